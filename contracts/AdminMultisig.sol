@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title Minimal M-of-N multisig for local and test deployments
+/// @notice Any owner submits a call, which also confirms it. The call runs when `threshold` owners have
+///         confirmed. Make it the AdminTimelock's proposer (or the admin itself) so no single key can
+///         schedule or cancel admin changes.
+/// @dev A call that reverts when the last confirmation arrives reverts that confirmation too, with the
+///      call's own revert data. It can be confirmed again once the call would succeed, e.g. after a timelock
+///      operation becomes ready. Owners and threshold are fixed; use a full-featured wallet in production.
+contract AdminMultisig {
+    struct Transaction {
+        address target;
+        bytes data;
+        bool executed;
+        uint256 confirmations;
+    }
+
+    uint256 public immutable threshold;
+    address[] private _owners;
+    mapping(address => bool) public isOwner;
+    Transaction[] public transactions;
+    mapping(uint256 => mapping(address => bool)) public confirmed;
+
+    event Submitted(uint256 indexed txId, address indexed owner, address indexed target, bytes data);
+    event Confirmed(uint256 indexed txId, address indexed owner);
+    event Revoked(uint256 indexed txId, address indexed owner);
+    event Executed(uint256 indexed txId);
+
+    modifier onlyOwner() {
+        require(isOwner[msg.sender], "not owner");
+        _;
+    }
+
+    constructor(address[] memory owners, uint256 _threshold) {
+        require(_threshold > 0 && _threshold <= owners.length, "invalid threshold");
+        for (uint256 i = 0; i < owners.length; i++) {
+            require(owners[i] != address(0) && !isOwner[owners[i]], "invalid owner");
+            isOwner[owners[i]] = true;
+            _owners.push(owners[i]);
+        }
+        threshold = _threshold;
+    }
+
+    /// @notice Propose `data` to be called on `target`, confirmed by the sender
+    function submit(address target, bytes calldata data) external onlyOwner returns (uint256 txId) {
+        txId = transactions.length;
+        transactions.push(Transaction({ target: target, data: data, executed: false, confirmations: 0 }));
+        emit Submitted(txId, msg.sender, target, data);
+        _confirm(txId);
+    }
+
+    /// @notice Confirm a submitted call; the confirmation that reaches the threshold executes it
+    function confirm(uint256 txId) external onlyOwner {
+        _confirm(txId);
+    }
+
+    /// @notice Withdraw the sender's confirmation of a call that has not run yet
+    function revoke(uint256 txId) external onlyOwner {
+        require(txId < transactions.length, "unknown transaction");
+        require(!transactions[txId].executed, "already executed");
+        require(confirmed[txId][msg.sender], "not confirmed");
+        confirmed[txId][msg.sender] = false;
+        transactions[txId].confirmations -= 1;
+        emit Revoked(txId, msg.sender);
+    }
+
+    function numTransactions() external view returns (uint256) {
+        return transactions.length;
+    }
+
+    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+
+    function _confirm(uint256 txId) internal {
+        require(txId < transactions.length, "unknown transaction");
+        Transaction storage t = transactions[txId];
+        require(!t.executed, "already executed");
+        require(!confirmed[txId][msg.sender], "already confirmed");
+        confirmed[txId][msg.sender] = true;
+        t.confirmations += 1;
+        emit Confirmed(txId, msg.sender);
+
+        if (t.confirmations >= threshold) {
+            t.executed = true;
+            (bool ok, bytes memory result) = t.target.call(t.data);
+            if (!ok) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            emit Executed(txId);
+        }
+    }
+}
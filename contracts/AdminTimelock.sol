@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/// @title Timelock holding DEFAULT_ADMIN_ROLE on MarketFactory and markets
+/// @notice Once it is their admin, fee and fee recipient changes and ORACLE_ROLE grants can only be made by
+///         scheduling them here: CallScheduled announces the call, it stays pending for at least getMinDelay()
+///         seconds, and then anyone with EXECUTOR_ROLE runs it (CallExecuted). CANCELLER_ROLE can drop it
+///         before that (Cancelled). Traders see every change coming before it applies.
+/// @dev Plain OpenZeppelin TimelockController. Proposers also get CANCELLER_ROLE; an executor of address(0)
+///      lets anyone execute ready operations. With `admin` = address(0) the timelock administers itself, so
+///      changing the delay or the proposers goes through the delay too. Hand PAUSER_ROLE to a key that can act
+///      immediately instead, since an emergency stop cannot wait for the delay.
+contract AdminTimelock is TimelockController {
+    constructor(uint256 minDelay, address[] memory proposers, address[] memory executors, address admin)
+        TimelockController(minDelay, proposers, executors, admin)
+    {}
+}
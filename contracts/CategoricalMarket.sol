@@ -0,0 +1,295 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title CPMM Categorical Prediction Market (N outcomes)
+/// @notice N-outcome market priced by an N-asset constant product, prod(pools) = k (a fixed product market maker):
+///         On buy(i, d): d collateral mints d complete sets, which are added to every pool; pool i is then
+///         reduced until the product is back to k and the difference is paid out as outcome-i position units
+///         Each position unit pays 1 collateral if its outcome wins
+///
+/// Settlement:
+/// - Every outcome's units in circulation plus its pool equal the complete sets minted
+///   (initialLiquidity + every trade's input after fees), which is exactly the collateral held
+/// - On resolve, winners claim their units 1:1 and the winning pool (liquidityPayout) goes to the admin
+/// - On cancel, every trader is refunded what they paid after fees and the initial liquidity goes back to the admin
+///
+/// Schedule: trading closes and resolution opens at resolveTimestamp (0 = unscheduled). The oracle can cancel at any time.
+///
+/// Emergency stop: as on Market, pausing (PAUSER_ROLE, granted to the admin, or the deploying factory) stops buys;
+/// claims, refunds and the liquidity withdrawal only stop when claims are frozen.
+///
+/// BetPlaced, Claimed and MarketResolved are the same events as on Market, which also indexes BetPlaced by a uint8 outcome.
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./EmergencyStop.sol";
+import "./FeeSchedule.sol";
+import "./IMarketIndex.sol";
+
+contract CategoricalMarket is AccessControl, ReentrancyGuard, EmergencyStop, FeeSchedule, MarketStateReporter {
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    uint8 public constant MAX_OUTCOMES = 16; // bounds the per-trade loop over the pools
+    uint256 private constant WAD = 1e18;
+
+    IERC20 public immutable settlementToken; // collateral token
+
+    // same values as Market.State
+    enum State { Created, Active, Resolved, Cancelled }
+    State public state;
+
+    uint256[] private pools; // outcome units held by the market maker, one pool per outcome
+    uint256[] private totalPositions; // units held by traders per outcome
+
+    // per-user positions (user => outcome => units)
+    mapping(address => mapping(uint8 => uint256)) public positions;
+    // collateral each trader paid in after fees, refunded on cancel
+    mapping(address => uint256) public deposits;
+
+    // market metadata
+    bytes32 public question;
+    uint32 public resolveTimestamp; // trading closes and resolution opens here; 0 = unscheduled
+    address public creator;
+    uint256 public initialLiquidity;
+
+    uint8 public resolutionOutcome; // winning index (valid only if state == Resolved)
+    uint256 public liquidityPayout; // collateral owed to the admin after settlement
+
+    event CategoricalMarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint8 outcomeCount, uint256 initialLiquidity, uint16 feeBps);
+    event BetPlaced(address indexed user, uint8 indexed outcome, uint256 amountIn, uint256 positionUnits);
+    event MarketResolved(uint8 indexed outcome, address indexed resolver);
+    event Claimed(address indexed user, address indexed to, uint256 amount);
+    event MarketCancelled(address indexed canceller);
+    event MarketActivated(address indexed activator);
+    event FeeCollected(address indexed feeRecipient, uint256 amount);
+    event LiquidityWithdrawn(address indexed to, uint256 amount);
+
+    modifier inState(State s) {
+        require(state == s, "Invalid state for action");
+        _;
+    }
+
+    constructor(
+        IERC20 _settlementToken,
+        bytes32 _question,
+        uint32 _resolveTimestamp,
+        uint8 _outcomeCount,
+        uint256 _initialLiquidity,
+        uint16 _feeBps,
+        address _feeRecipient,
+        address _admin
+    ) {
+        require(address(_settlementToken) != address(0), "invalid token");
+        require(_outcomeCount >= 2 && _outcomeCount <= MAX_OUTCOMES, "invalid outcome count");
+        require(_initialLiquidity > 0, "no liquidity");
+        require(_feeBps <= MAX_FEE_BPS, "fee too high");
+        settlementToken = _settlementToken;
+        question = _question;
+        resolveTimestamp = _resolveTimestamp;
+        feeBps = _feeBps;
+        feeRecipient = _feeRecipient == address(0) ? msg.sender : _feeRecipient;
+        creator = msg.sender;
+        initialLiquidity = _initialLiquidity;
+
+        // initialLiquidity complete sets, one unit of every outcome each: all outcomes start at 1/N
+        for (uint8 i = 0; i < _outcomeCount; i++) {
+            pools.push(_initialLiquidity);
+            totalPositions.push(0);
+        }
+        // the pools must be backed by collateral before trading opens, see activate()
+        state = State.Created;
+
+        address admin = _admin == address(0) ? msg.sender : _admin;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+
+        emit CategoricalMarketCreated(creator, question, resolveTimestamp, _outcomeCount, _initialLiquidity, feeBps);
+    }
+
+    // --- CPMM core math helpers ---
+
+    /// @notice Position units received for `amountAfterFee` of collateral on `outcome`
+    /// @dev The pool keeps ceil(pools[i] * prod(pools[j] / (pools[j] + d))), so rounding favours the market
+    function calcBuyAmount(uint8 outcome, uint256 amountAfterFee) public view returns (uint256) {
+        require(outcome < pools.length, "invalid outcome");
+        uint256 poolBalance = pools[outcome];
+        uint256 endingBalance = poolBalance;
+        for (uint256 j = 0; j < pools.length; j++) {
+            if (j == outcome) continue;
+            endingBalance = _ceilDiv(endingBalance * pools[j], pools[j] + amountAfterFee);
+        }
+        return poolBalance + amountAfterFee - endingBalance;
+    }
+
+    function _ceilDiv(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a == 0 ? 0 : (a - 1) / b + 1;
+    }
+
+    function _applyFee(uint256 amountIn) internal view returns (uint256 amountAfterFee, uint256 fee) {
+        fee = (amountIn * feeBps) / 10000;
+        return (amountIn - fee, fee);
+    }
+
+    // --- Main user actions ---
+
+    /// @notice Buy `outcome` by depositing `amount` settlement tokens, reverting below `minPositionUnits`
+    function buy(uint8 outcome, uint256 amount, uint256 minPositionUnits) external nonReentrant inState(State.Active) whenNotPaused {
+        _buy(msg.sender, outcome, amount, minPositionUnits);
+    }
+
+    /// @notice Buy `outcome` with the caller's tokens and credit the positions (and the refundable deposit) to `to`
+    /// @dev For relays and routers trading on a user's behalf; BetPlaced names `to` as the user
+    function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) external nonReentrant inState(State.Active) whenNotPaused returns (uint256) {
+        require(block.timestamp <= deadline, "expired");
+        return _buy(to, outcome, amount, minPositionUnits);
+    }
+
+    /// @notice buy() with an EIP-2612 permit for `amount` instead of a prior approve; `deadline` bounds both
+    function buyWithPermit(uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant inState(State.Active) whenNotPaused {
+        require(block.timestamp <= deadline, "expired");
+        // an already used permit still left the allowance in place; the transfer decides
+        try IERC20Permit(address(settlementToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _buy(msg.sender, outcome, amount, minPositionUnits);
+    }
+
+    // pulls `amount` from the caller and credits the bought units to `to`
+    function _buy(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits) internal returns (uint256) {
+        require(tradingOpen(), "trading closed");
+        require(amount > 0, "amount>0");
+        (uint256 amountAfterFee, uint256 fee) = _applyFee(amount);
+
+        require(settlementToken.transferFrom(msg.sender, address(this), amount), "transfer failed");
+        if (fee > 0) {
+            require(settlementToken.transfer(feeRecipient, fee), "fee transfer failed");
+            emit FeeCollected(feeRecipient, fee);
+        }
+
+        uint256 out = calcBuyAmount(outcome, amountAfterFee);
+        require(out >= minPositionUnits, "slippage");
+
+        // mint amountAfterFee complete sets into every pool, then pay `out` from the bought one
+        for (uint256 j = 0; j < pools.length; j++) {
+            pools[j] += amountAfterFee;
+        }
+        pools[outcome] -= out;
+
+        positions[to][outcome] += out;
+        totalPositions[outcome] += out;
+        deposits[to] += amountAfterFee;
+
+        emit BetPlaced(to, outcome, amount, out);
+        return out;
+    }
+
+    /// @notice Open trading once the market holds the collateral backing its pools
+    /// @dev Callable by the creator (the factory, when funding atomically) or the market admin
+    function activate() external inState(State.Created) {
+        require(msg.sender == creator || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "not authorized");
+        require(resolveTimestamp == 0 || block.timestamp < resolveTimestamp, "trading closed");
+        require(settlementToken.balanceOf(address(this)) >= initialLiquidity, "unfunded");
+        _setState(State.Active);
+        emit MarketActivated(msg.sender);
+    }
+
+    /// @notice Resolve market to the winning outcome index (only ORACLE_ROLE, once resolveTimestamp has passed)
+    function resolve(uint8 outcome) external nonReentrant inState(State.Active) onlyRole(ORACLE_ROLE) {
+        require(outcome < pools.length, "invalid outcome");
+        require(block.timestamp >= resolveTimestamp, "too early");
+        resolutionOutcome = outcome;
+        _setState(State.Resolved);
+        // the market maker's units of the winning outcome pay out like anyone else's
+        liquidityPayout = pools[outcome];
+        emit MarketResolved(outcome, msg.sender);
+    }
+
+    /// @notice Cancel the market (only ORACLE_ROLE, at any time); traders are refunded their deposits
+    function cancel() external nonReentrant inState(State.Active) onlyRole(ORACLE_ROLE) {
+        _setState(State.Cancelled);
+        liquidityPayout = initialLiquidity;
+        emit MarketCancelled(msg.sender);
+    }
+
+    /// @notice Claim the caller's winning units 1:1 after resolution
+    function claim() external nonReentrant inState(State.Resolved) whenClaimsOpen {
+        _claim(msg.sender);
+    }
+
+    /// @notice claim() on behalf of `user`; callable by anyone since the payout always goes to `user`
+    function claimFor(address user) external nonReentrant inState(State.Resolved) whenClaimsOpen returns (uint256) {
+        return _claim(user);
+    }
+
+    /// @notice Refund what the caller paid in after fees, if the market was cancelled
+    function refund() external nonReentrant inState(State.Cancelled) whenClaimsOpen {
+        _refund(msg.sender);
+    }
+
+    /// @notice refund() on behalf of `user`; callable by anyone since the refund always goes to `user`
+    function refundFor(address user) external nonReentrant inState(State.Cancelled) whenClaimsOpen returns (uint256) {
+        return _refund(user);
+    }
+
+    function _claim(address user) internal returns (uint256 pos) {
+        pos = positions[user][resolutionOutcome];
+        require(pos > 0, "no position");
+        positions[user][resolutionOutcome] = 0;
+        require(settlementToken.transfer(user, pos), "transfer failed");
+        emit Claimed(user, user, pos);
+    }
+
+    function _refund(address user) internal returns (uint256 amount) {
+        amount = deposits[user];
+        require(amount > 0, "no position");
+        deposits[user] = 0;
+        require(settlementToken.transfer(user, amount), "transfer failed");
+        emit Claimed(user, user, amount);
+    }
+
+    /// @notice Return the liquidity's share to `to` once the market is resolved or cancelled
+    function withdrawLiquidity(address to) external nonReentrant onlyRole(DEFAULT_ADMIN_ROLE) whenClaimsOpen {
+        require(state == State.Resolved || state == State.Cancelled, "Invalid state for action");
+        require(to != address(0), "zero");
+        uint256 amount = liquidityPayout;
+        require(amount > 0, "nothing to withdraw");
+        liquidityPayout = 0;
+        require(settlementToken.transfer(to, amount), "transfer failed");
+        emit LiquidityWithdrawn(to, amount);
+    }
+
+    // view helpers
+    function outcomeCount() external view returns (uint8) {
+        return uint8(pools.length);
+    }
+
+    function getPools() external view returns (uint256[] memory) {
+        return pools;
+    }
+
+    function getTotalPositions() external view returns (uint256[] memory) {
+        return totalPositions;
+    }
+
+    // the deploying factory indexes markets by state, see MarketStateReporter
+    function _setState(State s) internal {
+        state = s;
+        _reportState(uint8(s));
+    }
+
+    /// @notice True while buys are accepted
+    function tradingOpen() public view returns (bool) {
+        return state == State.Active && (resolveTimestamp == 0 || block.timestamp < resolveTimestamp);
+    }
+
+    /// @notice Implied probability of every outcome, scaled by 1e18: price(i) = (1 / pools[i]) / sum(1 / pools[j])
+    function currentPrices() external view returns (uint256[] memory prices) {
+        prices = new uint256[](pools.length);
+        uint256 sum;
+        for (uint256 i = 0; i < pools.length; i++) {
+            prices[i] = (WAD * WAD) / pools[i];
+            sum += prices[i];
+        }
+        for (uint256 i = 0; i < pools.length; i++) {
+            prices[i] = (prices[i] * WAD) / sum;
+        }
+    }
+}
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/// @notice The two switches every EmergencyStop reports; MarketFactory's are read by the markets it deployed
+interface IEmergencyStop {
+    function paused() external view returns (bool);
+    function claimsFrozen() external view returns (bool);
+}
+
+/// @title Emergency stop shared by MarketFactory, Market and CategoricalMarket
+/// @notice PAUSER_ROLE can pause trading (whenNotPaused) and, separately, freeze payouts (whenClaimsOpen).
+///         Pausing leaves claims and refunds available; only freezeClaims() stops them, and for at most
+///         MAX_CLAIMS_FREEZE. A market's admin holds PAUSER_ROLE, so a freeze must never hold payouts for good.
+/// @dev Each switch is also on while it is on in the contract that deployed this one, when that deployer
+///      implements IEmergencyStop. Markets are deployed by MarketFactory, so pausing the factory pauses every
+///      market it created without touching them. Deployers that are accounts or other contracts never stop anything.
+abstract contract EmergencyStop is AccessControl, IEmergencyStop {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    uint32 public constant MAX_CLAIMS_FREEZE = 7 days;
+
+    address private immutable _deployer;
+    bool private _paused;
+    uint32 public claimsFrozenUntil; // payouts are frozen here until this time; 0 = never frozen
+
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event ClaimsFrozen(address indexed account);
+    event ClaimsUnfrozen(address indexed account);
+
+    // checks live in functions so the modifiers are not inlined into every guarded function
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    modifier whenClaimsOpen() {
+        _requireClaimsOpen();
+        _;
+    }
+
+    constructor() {
+        _deployer = msg.sender;
+    }
+
+    /// @notice Halt trading here (and, on the factory, in every market it deployed and in new creations)
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!_paused, "already paused");
+        _paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(_paused, "not paused");
+        _paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /// @notice Stop claims, refunds and other payouts as well, for MAX_CLAIMS_FREEZE at most
+    /// @dev Payouts then stay open for MAX_CLAIMS_FREEZE before the next freeze, so freezing again and again
+    ///      cannot hold them either
+    function freezeClaims() external onlyRole(PAUSER_ROLE) {
+        require(block.timestamp >= uint256(claimsFrozenUntil) + MAX_CLAIMS_FREEZE, "frozen or cooling down");
+        claimsFrozenUntil = uint32(block.timestamp + MAX_CLAIMS_FREEZE);
+        emit ClaimsFrozen(msg.sender);
+    }
+
+    function unfreezeClaims() external onlyRole(PAUSER_ROLE) {
+        require(block.timestamp < claimsFrozenUntil, "not frozen");
+        claimsFrozenUntil = uint32(block.timestamp);
+        emit ClaimsUnfrozen(msg.sender);
+    }
+
+    /// @notice True when this contract or its deploying factory is paused
+    function paused() public view returns (bool) {
+        return _paused || _deployerSwitch(IEmergencyStop.paused.selector);
+    }
+
+    /// @notice True when payouts are frozen here or in the deploying factory
+    function claimsFrozen() public view returns (bool) {
+        return block.timestamp < claimsFrozenUntil || _deployerSwitch(IEmergencyStop.claimsFrozen.selector);
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused(), "paused");
+    }
+
+    function _requireClaimsOpen() internal view {
+        require(!claimsFrozen(), "claims frozen");
+    }
+
+    // an account answers nothing and a contract without the getter reverts: both read as off
+    function _deployerSwitch(bytes4 selector) private view returns (bool) {
+        (bool ok, bytes memory data) = _deployer.staticcall(abi.encodeWithSelector(selector));
+        return ok && data.length == 32 && abi.decode(data, (bool));
+    }
+}
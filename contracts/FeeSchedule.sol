@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/// @title Announce-then-apply fee changes shared by Market and CategoricalMarket
+/// @notice The admin cannot change the fee or its recipient on the spot: setFeeBps() and setFeeRecipient()
+///         announce the change (FeeChangeAnnounced), and it only takes effect through applyFeeChange() once
+///         FEE_CHANGE_DELAY has passed (FeeUpdated). Traders see every change coming before it applies.
+/// @dev One change is pending at a time; announcing again replaces it and restarts the delay. Anyone may apply
+///      a ready change, and the admin can cancel it before that. A market whose admin is an AdminTimelock
+///      waits for both delays.
+abstract contract FeeSchedule is AccessControl {
+    uint32 public constant FEE_CHANGE_DELAY = 2 days;
+    uint16 public constant MAX_FEE_BPS = 1000; // 10%
+
+    uint16 public feeBps; // fee in basis points taken from input amount (goes to feeRecipient)
+    address public feeRecipient;
+
+    uint16 public pendingFeeBps;
+    address public pendingFeeRecipient;
+    uint32 public feeChangeReadyAt; // 0 = no change pending
+
+    event FeeChangeAnnounced(uint16 feeBps, address feeRecipient, uint32 readyAt);
+    event FeeChangeCancelled(uint16 feeBps, address feeRecipient);
+    event FeeUpdated(uint16 feeBps, address feeRecipient);
+
+    /// @notice Announce a new fee, keeping the recipient of the change already pending if there is one
+    function setFeeBps(uint16 newFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newFee <= MAX_FEE_BPS, "max 10%");
+        _announceFeeChange(newFee, feeChangeReadyAt == 0 ? feeRecipient : pendingFeeRecipient);
+    }
+
+    /// @notice Announce a new fee recipient, keeping the fee of the change already pending if there is one
+    function setFeeRecipient(address newRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newRecipient != address(0), "zero");
+        _announceFeeChange(feeChangeReadyAt == 0 ? feeBps : pendingFeeBps, newRecipient);
+    }
+
+    /// @notice Put the pending change into effect once FEE_CHANGE_DELAY has passed; callable by anyone
+    function applyFeeChange() external {
+        require(feeChangeReadyAt != 0, "no fee change");
+        require(block.timestamp >= feeChangeReadyAt, "fee change pending");
+        feeChangeReadyAt = 0;
+        feeBps = pendingFeeBps;
+        feeRecipient = pendingFeeRecipient;
+        emit FeeUpdated(feeBps, feeRecipient);
+    }
+
+    function cancelFeeChange() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(feeChangeReadyAt != 0, "no fee change");
+        feeChangeReadyAt = 0;
+        emit FeeChangeCancelled(pendingFeeBps, pendingFeeRecipient);
+    }
+
+    function _announceFeeChange(uint16 newFee, address newRecipient) private {
+        pendingFeeBps = newFee;
+        pendingFeeRecipient = newRecipient;
+        feeChangeReadyAt = uint32(block.timestamp + FEE_CHANGE_DELAY);
+        emit FeeChangeAnnounced(newFee, newRecipient, feeChangeReadyAt);
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @notice Implemented by MarketFactory to keep its per-state index of markets current
+/// @dev Market and CategoricalMarket report every state change to the contract that deployed them, if it is one
+interface IMarketIndex {
+    /// @notice True; a market only reports to a deployer that answers it
+    function isMarketIndex() external view returns (bool);
+
+    function marketStateChanged(uint8 state) external;
+}
+
+/// @title State reports from Market and CategoricalMarket to the index that deployed them
+/// @dev The deployer is asked once, at construction, whether it is an IMarketIndex. Accounts and other contracts
+///      (multisigs, routers, test harnesses) answer nothing or revert, and are never called back, so a market
+///      they deploy settles like any other.
+abstract contract MarketStateReporter {
+    address private immutable _index; // address(0) when the deployer keeps no index
+
+    constructor() {
+        (bool ok, bytes memory data) = msg.sender.staticcall(abi.encodeWithSelector(IMarketIndex.isMarketIndex.selector));
+        _index = ok && data.length == 32 && abi.decode(data, (uint256)) == 1 ? msg.sender : address(0);
+    }
+
+    function _reportState(uint8 state) internal {
+        if (_index != address(0)) IMarketIndex(_index).marketStateChanged(state);
+    }
+}
@@ -6,55 +6,149 @@ pragma solidity ^0.8.19;
 ///         k = yesPool * noPool
 ///         On buy: user adds collateral to opposite pool, and receives collateral-equivalent "position units"
 ///         equal to the difference in the target pool before/after swap (dy = y - k/(x+dx))
+///         On sell: the swap runs in reverse, position units go back to their pool and collateral leaves the opposite one
+///
+/// Settlement:
+/// - Collateral held always equals yesPool + noPool + totalYesPositions + totalNoPositions
+///   (the seeded liquidity plus every trade's input after fees, minus sale proceeds)
+/// - On resolve, winners are owed their positions plus the losing side's pool (payoutPool),
+///   paid pro-rata and exactly: the last claimer receives whatever rounding left over
+/// - Everything else (the winning side's pool and the losing positions) is the liquidity's
+///   share (liquidityPayout) and is paid to LP share holders pro-rata through removeLiquidity
+/// - On cancel, positions are refunded 1:1 and both pools are returned as liquidity
+///
+/// Liquidity:
+/// - The market itself is the ERC20 LP share token. The seeded pools mint initYesPool + initNoPool
+///   shares to the admin; addLiquidity mints shares pro-rata to pool depth and splits the deposit
+///   across both pools in their current ratio, so the price does not move
+/// - Before resolution removeLiquidity returns the same fraction of both pools; afterwards it pays
+///   the same fraction of liquidityPayout
+/// - With feesToLiquidity set, trading fees stay in the market and accrue to LP shares (claimFees)
+///   instead of going to feeRecipient
+///
+/// Positions:
+/// - YES and NO units are ERC-1155 balances of the shared PositionToken (ids yesTokenId / noTokenId).
+///   buyYes/buyNo mint them, sells, claim and refund burn them, and holders can transfer them freely
+/// - totalYesPositions / totalNoPositions change only on mint and burn, so transfers leave them exact;
+///   claim and refund pay whoever holds the units at the time
+///
+/// Funding:
+/// - A market seeded with initYesPool + initNoPool starts in Created and cannot trade until activate()
+///   confirms it holds that much collateral. MarketFactory.createAndFundMarket funds and activates atomically
+/// - A market without seeded pools has nothing to back and starts Active
+///
+/// Schedule (all times optional, 0 = unscheduled):
+/// - Created: pre-open. Nothing trades; the admin can still set closeTimestamp and the grace period.
+///   A market still Created at closeTimestamp can no longer open, and anyone can cancel it through cancelUnresolved().
+///   Without a closeTimestamp (resolveTimestamp 0) it never closes: its admin cancels it with cancelUnresolved() instead
+/// - Active: buys, sells and liquidity changes are accepted until closeTimestamp, which defaults to resolveTimestamp
+/// - The oracle resolves YES/NO once both closeTimestamp and resolveTimestamp have passed; it may cancel at any time
+/// - If resolutionGracePeriod is set and the oracle has not reported that long after resolution opened,
+///   anyone can cancel through cancelUnresolved()
+///
+/// Optimistic resolution (when disputeWindow > 0, resolve() is disabled):
+/// - The oracle proposes an outcome with proposeOutcome(), posting resolutionBond in settlement tokens (Proposed)
+/// - Anyone can dispute within disputeWindow by posting the same bond (Disputed); otherwise anyone can finalize()
+///   after the window and the proposer's bond is returned
+/// - A disputed market is settled by ARBITER_ROLE through arbitrate(); whoever the ruling proves right
+///   (the proposer if it matches the proposal, the disputer otherwise) receives both bonds
+/// - If resolutionGracePeriod is set and a proposal is still Proposed or Disputed that long after the dispute
+///   window closed, anyone can cancel through cancelUnresolved() and both bonds are returned
+/// - claim, refund and removeLiquidity stay blocked until the market is Resolved or Cancelled
 ///
 /// Security:
-/// - AccessControl for ORACLE_ROLE to resolve markets
+/// - AccessControl for ORACLE_ROLE to resolve markets and ARBITER_ROLE to rule on disputes
 /// - ReentrancyGuard on mutative external functions
-/// - Pausable by admin if needed (not implemented but can be added)
+/// - FeeSchedule: fee and fee recipient changes only apply FEE_CHANGE_DELAY after the admin announces them
+/// - EmergencyStop: PAUSER_ROLE (granted to the admin) or the deploying factory can pause buys, sells and
+///   liquidity changes before settlement; resolution goes on. Claims, refunds, fee claims and post-settlement
+///   liquidity withdrawals only stop when claims are frozen
 ///
 /// Limitations:
-/// - Trusted oracle for MVP (ORACLE_ROLE). Decentralized oracles or dispute layer recommended for production.
+/// - With disputeWindow = 0 a single ORACLE_ROLE holder settles the market through resolve().
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-
-contract Market is AccessControl, ReentrancyGuard {
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./PositionToken.sol";
+import "./EmergencyStop.sol";
+import "./FeeSchedule.sol";
+import "./IMarketIndex.sol";
+
+contract Market is ERC20, AccessControl, ReentrancyGuard, EmergencyStop, FeeSchedule, MarketStateReporter {
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    uint256 private constant FEE_PRECISION = 1e18;
 
     IERC20 public immutable settlementToken; // collateral token
+    PositionToken public immutable positionToken; // holds the YES/NO units
+    uint256 public immutable yesTokenId; // positionToken.positionId(this, 1)
+    uint256 public immutable noTokenId; // positionToken.positionId(this, 0)
 
-    enum State { Created, Active, Resolved, Cancelled }
+    enum State { Created, Active, Resolved, Cancelled, Proposed, Disputed }
     State public state;
 
     uint256 public yesPool; // collateral units backing YES side (residual in pool)
     uint256 public noPool;  // collateral units backing NO side
 
-    // total positions created by traders (sum of per-user positions)
+    // total positions created by traders (the positionToken supply of each id)
     uint256 public totalYesPositions;
     uint256 public totalNoPositions;
 
-    // per-user positions (denominated in collateral units)
-    mapping(address => uint256) public yesPositions;
-    mapping(address => uint256) public noPositions;
-
     // market metadata
     bytes32 public question; // short descriptor or ipfs hash
     uint32 public resolveTimestamp; // optional scheduled resolution time
+    uint32 public closeTimestamp; // trading closes here; defaults to resolveTimestamp, 0 = never
+    uint32 public resolutionGracePeriod; // anyone can cancel this long after resolution opens; 0 = disabled
+
+    // optimistic resolution, see proposeOutcome()
+    uint32 public disputeWindow; // 0 = the oracle resolves directly
+    uint256 public resolutionBond; // posted by the proposer and by a disputer
+    uint8 public proposedOutcome;
+    uint32 public proposedAt;
+    address public proposer;
+    address public disputer;
     address public creator;
-    uint16 public feeBps; // fee in basis points taken from input amount (goes to feeRecipient)
-    address public feeRecipient;
 
     uint8 public resolutionOutcome; // 0 = no, 1 = yes (valid only if state == Resolved)
 
+    // settlement accounting, fixed at resolve/cancel
+    uint256 public payoutPool; // collateral still owed to unclaimed winning positions
+    uint256 public liquidityPayout; // collateral still owed to LP shares
+
+    // LP fee accrual
+    bool public feesToLiquidity; // true: fees accrue to LP shares instead of feeRecipient
+    uint256 public feesPerShare; // accumulated LP fees per share, scaled by FEE_PRECISION
+    mapping(address => uint256) private feesPerSharePaid;
+    mapping(address => uint256) private feesOwed;
+
     event MarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint256 yesPool, uint256 noPool, uint16 feeBps);
-    event BetPlaced(address indexed user, bool indexed outcome, uint256 amountIn, uint256 positionUnits);
+    // outcome 0 = NO, 1 = YES; BetPlaced shares its signature (and topic) with CategoricalMarket's
+    event BetPlaced(address indexed user, uint8 indexed outcome, uint256 amountIn, uint256 positionUnits);
+    event PositionSold(address indexed user, uint8 indexed outcome, uint256 positionUnits, uint256 amountOut);
     event MarketResolved(uint8 indexed outcome, address indexed resolver);
     event Claimed(address indexed user, address indexed to, uint256 amount);
     event MarketCancelled(address indexed canceller);
+    event MarketActivated(address indexed activator);
+    event ScheduleUpdated(uint32 closeTimestamp, uint32 resolutionGracePeriod);
+    event DisputeParamsUpdated(uint32 disputeWindow, uint256 resolutionBond);
+    event OutcomeProposed(uint8 indexed outcome, address indexed proposer, uint256 bond);
+    event OutcomeDisputed(address indexed disputer, uint256 bond);
+    event DisputeRuled(uint8 indexed outcome, address indexed arbiter, address indexed bondRecipient);
     event FeeCollected(address indexed feeRecipient, uint256 amount);
+    event LiquidityAdded(address indexed provider, uint256 amount, uint256 shares);
+    event LiquidityRemoved(address indexed provider, uint256 shares, uint256 amount);
+    event FeesClaimed(address indexed provider, uint256 amount);
 
+    // checks live in functions so the modifiers are not inlined into every guarded function
     modifier inState(State s) {
-        require(state == s, "Invalid state for action");
+        _requireState(s);
+        _;
+    }
+
+    modifier whenTradingOpen() {
+        _requireTradingOpen();
         _;
     }
 
@@ -66,37 +160,47 @@ contract Market is AccessControl, ReentrancyGuard {
         uint256 _initNoPool,
         uint16 _feeBps,
         address _feeRecipient,
-        address _admin
-    ) {
+        address _admin,
+        PositionToken _positionToken
+    ) ERC20("Market LP Share", "MLP") {
         require(address(_settlementToken) != address(0), "invalid token");
-        require(_feeBps <= 1000, "fee too high"); // max 10% for safety in MVP
+        require(address(_positionToken) != address(0), "invalid position token");
+        require(_feeBps <= MAX_FEE_BPS, "fee too high");
         settlementToken = _settlementToken;
+        positionToken = _positionToken;
+        yesTokenId = _positionToken.positionId(address(this), 1);
+        noTokenId = _positionToken.positionId(address(this), 0);
         question = _question;
         resolveTimestamp = _resolveTimestamp;
+        closeTimestamp = _resolveTimestamp;
         yesPool = _initYesPool;
         noPool = _initNoPool;
         feeBps = _feeBps;
         feeRecipient = _feeRecipient == address(0) ? msg.sender : _feeRecipient;
         creator = msg.sender;
-        state = State.Active;
+        // seeded pools must be backed by collateral before trading opens, see activate()
+        state = _initYesPool + _initNoPool > 0 ? State.Created : State.Active;
 
         // Access control
-        _grantRole(DEFAULT_ADMIN_ROLE, _admin == address(0) ? msg.sender : _admin);
+        address admin = _admin == address(0) ? msg.sender : _admin;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+
+        // the seeded pools belong to the admin, who funds them
+        if (_initYesPool + _initNoPool > 0) {
+            _mint(admin, _initYesPool + _initNoPool);
+        }
 
         emit MarketCreated(creator, question, resolveTimestamp, yesPool, noPool, feeBps);
     }
 
     // --- CPMM core math helpers ---
-    // dy = y - k/(x + dx)
+    // dx is added to pool x, dy is removed from pool y
+    // dy = y - k/(x + dx) = y * dx / (x + dx), rounded down so k never shrinks
     function _calcOutGivenIn(uint256 x, uint256 y, uint256 dx) internal pure returns (uint256) {
         // If x or y zero -> no liquidity, protect
         require(x > 0 && y > 0, "empty pool");
-        // k = x * y
-        // newY = k / (x + dx)
-        // dy = y - newY
-        uint256 k = x * y;
-        uint256 newY = k / (x + dx);
-        return y - newY;
+        return (y * dx) / (x + dx);
     }
 
     // fee applied on input amount
@@ -111,152 +215,437 @@ contract Market is AccessControl, ReentrancyGuard {
 
     /// @notice Buy YES by depositing `amount` settlement tokens
     /// @dev Implements CPMM swap where input adds to NO pool, and user receives collateral-equivalent YES position units
-    function buyYes(uint256 amount) external nonReentrant inState(State.Active) {
+    function buyYes(uint256 amount) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        _buy(msg.sender, true, amount, 0);
+    }
+
+    /// @notice Buy YES, reverting if fewer than `minPositionUnits` are received or the tx is mined after `deadline`
+    function buyYes(uint256 amount, uint256 minPositionUnits, uint256 deadline) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        require(block.timestamp <= deadline, "expired");
+        _buy(msg.sender, true, amount, minPositionUnits);
+    }
+
+    /// @notice Buy NO by depositing `amount` settlement tokens
+    function buyNo(uint256 amount) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        _buy(msg.sender, false, amount, 0);
+    }
+
+    /// @notice Buy NO, reverting if fewer than `minPositionUnits` are received or the tx is mined after `deadline`
+    function buyNo(uint256 amount, uint256 minPositionUnits, uint256 deadline) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        require(block.timestamp <= deadline, "expired");
+        _buy(msg.sender, false, amount, minPositionUnits);
+    }
+
+    /// @notice Buy `outcome` (1 = YES, 0 = NO) with the caller's tokens and credit the positions to `to`
+    /// @dev For relays and routers trading on a user's behalf; BetPlaced names `to` as the user
+    function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused returns (uint256) {
+        require(block.timestamp <= deadline, "expired");
+        require(outcome <= 1, "invalid outcome");
+        return _buy(to, outcome == 1, amount, minPositionUnits);
+    }
+
+    /// @notice Buy `outcome` (1 = YES, 0 = NO) with an EIP-2612 permit for `amount` instead of a prior approve
+    /// @dev `deadline` bounds both the permit and the trade. A permit that was already used still left the
+    ///      allowance in place, so only the transfer decides whether the buy goes through
+    function buyWithPermit(uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        require(block.timestamp <= deadline, "expired");
+        require(outcome <= 1, "invalid outcome");
+        try IERC20Permit(address(settlementToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _buy(msg.sender, outcome == 1, amount, minPositionUnits);
+    }
+
+    // pulls `amount` from the caller and mints the bought side's units to `to`
+    function _buy(address to, bool yes, uint256 amount, uint256 minPositionUnits) internal returns (uint256) {
         require(amount > 0, "amount>0");
         (uint256 amountAfterFee, uint256 fee) = _applyFee(amount);
 
         // transfer token in
         require(settlementToken.transferFrom(msg.sender, address(this), amount), "transfer failed");
 
-        if (fee > 0) {
-            require(settlementToken.transfer(feeRecipient, fee), "fee transfer failed");
-            emit FeeCollected(feeRecipient, fee);
+        _collectFee(fee);
+
+        // CPMM swap: amountAfterFee is added to the opposite pool and `out` is removed from the bought side's pool
+        uint256 out = yes ? _calcOutGivenIn(noPool, yesPool, amountAfterFee) : _calcOutGivenIn(yesPool, noPool, amountAfterFee);
+        require(out >= minPositionUnits, "slippage");
+
+        // update pools (out < the bought side's pool by math) and credit the position in collateral units
+        if (yes) {
+            noPool = noPool + amountAfterFee;
+            yesPool = yesPool - out;
+            totalYesPositions += out;
+        } else {
+            yesPool = yesPool + amountAfterFee;
+            noPool = noPool - out;
+            totalNoPositions += out;
         }
+        positionToken.mint(to, yes ? 1 : 0, out);
+
+        emit BetPlaced(to, yes ? 1 : 0, amount, out);
+        return out;
+    }
 
-        // compute yesOut using CPMM swap: user adds amountAfterFee to noPool, removes yesOut from yesPool
-        uint256 yesOut = _calcOutGivenIn(yesPool, noPool, amountAfterFee);
+    /// @notice Sell `units` YES back to the pool for at least `minCollateralOut` settlement tokens (after fee)
+    /// @dev Reverse CPMM swap: units are added to yesPool and collateral is removed from noPool
+    function sellYes(uint256 units, uint256 minCollateralOut) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        require(units > 0, "amount>0");
+        require(yesPositions(msg.sender) >= units, "insufficient position");
 
-        // update pools
-        noPool = noPool + amountAfterFee;
-        yesPool = yesPool - yesOut; // yesOut <= yesPool by math
+        uint256 grossOut = _calcOutGivenIn(yesPool, noPool, units);
+        (uint256 amountOut, uint256 fee) = _applyFee(grossOut);
+        require(amountOut >= minCollateralOut, "slippage");
 
-        // credit user position (position amount denominated in collateral units)
-        yesPositions[msg.sender] += yesOut;
-        totalYesPositions += yesOut;
+        yesPool = yesPool + units;
+        noPool = noPool - grossOut;
 
-        emit BetPlaced(msg.sender, true, amount, yesOut);
+        totalYesPositions -= units;
+        positionToken.burn(msg.sender, 1, units);
+
+        _payOutSale(amountOut, fee);
+        emit PositionSold(msg.sender, 1, units, amountOut);
     }
 
-    /// @notice Buy NO by depositing `amount` settlement tokens
-    function buyNo(uint256 amount) external nonReentrant inState(State.Active) {
-        require(amount > 0, "amount>0");
-        (uint256 amountAfterFee, uint256 fee) = _applyFee(amount);
+    /// @notice Sell `units` NO back to the pool for at least `minCollateralOut` settlement tokens (after fee)
+    function sellNo(uint256 units, uint256 minCollateralOut) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused {
+        require(units > 0, "amount>0");
+        require(noPositions(msg.sender) >= units, "insufficient position");
 
-        require(settlementToken.transferFrom(msg.sender, address(this), amount), "transfer failed");
+        uint256 grossOut = _calcOutGivenIn(noPool, yesPool, units);
+        (uint256 amountOut, uint256 fee) = _applyFee(grossOut);
+        require(amountOut >= minCollateralOut, "slippage");
 
-        if (fee > 0) {
-            require(settlementToken.transfer(feeRecipient, fee), "fee transfer failed");
-            emit FeeCollected(feeRecipient, fee);
-        }
+        noPool = noPool + units;
+        yesPool = yesPool - grossOut;
 
-        uint256 noOut = _calcOutGivenIn(noPool, yesPool, amountAfterFee);
+        totalNoPositions -= units;
+        positionToken.burn(msg.sender, 0, units);
 
-        // update pools
-        yesPool = yesPool + amountAfterFee;
-        noPool = noPool - noOut;
+        _payOutSale(amountOut, fee);
+        emit PositionSold(msg.sender, 0, units, amountOut);
+    }
 
-        noPositions[msg.sender] += noOut;
-        totalNoPositions += noOut;
+    function _payOutSale(uint256 amountOut, uint256 fee) internal {
+        _collectFee(fee);
+        require(settlementToken.transfer(msg.sender, amountOut), "transfer failed");
+    }
 
-        emit BetPlaced(msg.sender, false, amount, noOut);
+    // fee is already held by the market: either accrue it to LP shares or forward it to feeRecipient
+    function _collectFee(uint256 fee) internal {
+        if (fee == 0) return;
+        uint256 shares = totalSupply();
+        if (feesToLiquidity && shares > 0) {
+            feesPerShare += (fee * FEE_PRECISION) / shares;
+            emit FeeCollected(address(this), fee);
+            return;
+        }
+        require(settlementToken.transfer(feeRecipient, fee), "fee transfer failed");
+        emit FeeCollected(feeRecipient, fee);
+    }
+
+    /// @notice Open trading once the market holds the collateral backing its seeded pools
+    /// @dev Callable by the creator (the factory, when funding atomically) or the market admin
+    function activate() external inState(State.Created) {
+        require(msg.sender == creator || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "not authorized");
+        require(closeTimestamp == 0 || block.timestamp < closeTimestamp, "trading closed");
+        require(settlementToken.balanceOf(address(this)) >= yesPool + noPool, "unfunded");
+        _setState(State.Active);
+        emit MarketActivated(msg.sender);
     }
 
     /// @notice Resolve market (only ORACLE_ROLE). outcome: 0=no, 1=yes, 2=cancel
+    /// @dev YES/NO only once resolutionOpensAt() has passed; cancellation is allowed at any time.
+    ///      Disabled when a dispute window is configured, see proposeOutcome()
     function resolve(uint8 outcome) external nonReentrant inState(State.Active) onlyRole(ORACLE_ROLE) {
+        require(disputeWindow == 0, "use proposeOutcome");
+        _checkOutcome(outcome);
+        _settle(outcome);
+    }
+
+    /// @notice Propose an outcome (0=no, 1=yes, 2=cancel), posting resolutionBond. It becomes final
+    ///         after disputeWindow unless someone disputes it
+    function proposeOutcome(uint8 outcome) external nonReentrant inState(State.Active) onlyRole(ORACLE_ROLE) {
+        require(disputeWindow > 0, "no dispute window");
+        _checkOutcome(outcome);
+        _pullBond();
+
+        proposedOutcome = outcome;
+        proposedAt = uint32(block.timestamp);
+        proposer = msg.sender;
+        _setState(State.Proposed);
+        emit OutcomeProposed(outcome, msg.sender, resolutionBond);
+    }
+
+    /// @notice Dispute the proposed outcome within disputeWindow, posting a bond equal to the proposer's
+    function dispute() external nonReentrant inState(State.Proposed) {
+        require(block.timestamp < uint256(proposedAt) + disputeWindow, "dispute window closed");
+        _pullBond();
+
+        disputer = msg.sender;
+        _setState(State.Disputed);
+        emit OutcomeDisputed(msg.sender, resolutionBond);
+    }
+
+    /// @notice Settle an undisputed proposal once disputeWindow has passed and return the proposer's bond; callable by anyone
+    function finalize() external nonReentrant inState(State.Proposed) {
+        require(block.timestamp >= uint256(proposedAt) + disputeWindow, "dispute window open");
+        _settle(proposedOutcome);
+        _payBond(proposer, resolutionBond);
+    }
+
+    /// @notice Rule on a disputed proposal. The side the ruling proves right receives both bonds
+    function arbitrate(uint8 outcome) external nonReentrant inState(State.Disputed) onlyRole(ARBITER_ROLE) {
         require(outcome <= 2, "invalid outcome");
+        address bondRecipient = outcome == proposedOutcome ? proposer : disputer;
+        _settle(outcome);
+        _payBond(bondRecipient, 2 * resolutionBond);
+        emit DisputeRuled(outcome, msg.sender, bondRecipient);
+    }
+
+    function _checkOutcome(uint8 outcome) internal view {
+        require(outcome <= 2, "invalid outcome");
+        if (outcome != 2) require(block.timestamp >= resolutionOpensAt(), "too early");
+    }
+
+    function _pullBond() internal {
+        if (resolutionBond > 0) {
+            require(settlementToken.transferFrom(msg.sender, address(this), resolutionBond), "transfer failed");
+        }
+    }
+
+    function _payBond(address to, uint256 amount) internal {
+        if (amount > 0) {
+            require(settlementToken.transfer(to, amount), "transfer failed");
+        }
+    }
+
+    // fixes the settlement split; bonds are held on top of it and paid out separately
+    function _settle(uint8 outcome) internal {
         if (outcome == 2) {
-            // cancel market -> refunds
-            state = State.Cancelled;
-            emit MarketCancelled(msg.sender);
+            _cancel();
             return;
         }
         resolutionOutcome = outcome;
-        state = State.Resolved;
+        _setState(State.Resolved);
+
+        uint256 winningPositions = outcome == 1 ? totalYesPositions : totalNoPositions;
+        uint256 losingPool = outcome == 1 ? noPool : yesPool;
+        // with no winners the losing pool stays with the liquidity
+        payoutPool = winningPositions > 0 ? winningPositions + losingPool : 0;
+        liquidityPayout = yesPool + noPool + totalYesPositions + totalNoPositions - payoutPool;
+
         emit MarketResolved(outcome, msg.sender);
     }
 
-    /// @notice Claim winnings after resolution. For winners: claim base position units + proportional share of losing pool
-    function claim() external nonReentrant inState(State.Resolved) {
-        if (resolutionOutcome == 1) {
-            // YES wins
-            uint256 pos = yesPositions[msg.sender];
-            require(pos > 0, "no yes position");
-            // user gets their pos + (pos / totalYesPositions) * noPool
-            uint256 payout = pos;
-            if (totalYesPositions > 0 && noPool > 0) {
-                // multiply first to avoid precision loss
-                uint256 extra = (pos * noPool) / totalYesPositions;
-                payout += extra;
-                // reduce losing pool
-                // We'll transfer entire noPool proportionally via payout calculations; update noPool after
-            }
-
-            // zero out user's position
-            yesPositions[msg.sender] = 0;
-            // adjust totals
-            totalYesPositions -= pos;
+    /// @notice Cancel a market that can no longer settle on its own; callable by anyone:
+    ///         - Created past closeTimestamp: it can never be activated, so the seeded liquidity is returned.
+    ///           The admin may cancel a Created market at any time, e.g. one without a closeTimestamp
+    ///         - Active: the oracle has not resolved within resolutionGracePeriod
+    ///         - Proposed or Disputed: nobody finalized or arbitrated within resolutionGracePeriod after the
+    ///           dispute window closed; both bonds go back to whoever posted them
+    function cancelUnresolved() external nonReentrant {
+        if (state == State.Created) {
+            require((closeTimestamp > 0 && block.timestamp >= closeTimestamp) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "trading open");
+            _cancel();
+            // the seeded pools may never have been funded in full
+            uint256 balance = settlementToken.balanceOf(address(this));
+            if (balance < liquidityPayout) liquidityPayout = balance;
+            return;
+        }
+        require(resolutionGracePeriod > 0, "no grace period");
+        uint256 stuckSince;
+        if (state == State.Active) {
+            stuckSince = resolutionOpensAt();
+            require(stuckSince > 0, "no grace period");
+        } else {
+            require(state == State.Proposed || state == State.Disputed, "Invalid state for action");
+            stuckSince = uint256(proposedAt) + disputeWindow;
+        }
+        require(block.timestamp >= stuckSince + resolutionGracePeriod, "grace period not over");
+        _cancel();
+        // an unsettled proposal is voided rather than judged, so nobody forfeits a bond
+        if (proposer != address(0)) _payBond(proposer, resolutionBond);
+        if (disputer != address(0)) _payBond(disputer, resolutionBond);
+    }
+
+    // cancel market -> refunds; positions are repaid 1:1, the pools go back to the liquidity
+    function _cancel() internal {
+        _setState(State.Cancelled);
+        liquidityPayout = yesPool + noPool;
+        emit MarketCancelled(msg.sender);
+    }
 
-            // If this was last claimer, reset pools to 0
-            // To keep accounting simple: subtract proportional amount from noPool
-            // Reduce noPool by proportional claim amount:
-            if (noPool > 0 && totalYesPositions == 0) {
-                // last YES claimer: we must reduce noPool to zero after distributing all shares
-                // But since we distributed proportional pieces as we go, reduce noPool by proportional amount:
-                // However we already computed extra based on pre-claim noPool. To keep math simple and conservative:
-                // Decrease noPool by the proportional amount distributed.
-                // Because multiple claimers will distribute the whole noPool across claims; we compute exact extra and subtract.
-                // We'll compute proportional reduction below using extra variable already computed.
-            }
-
-            // transfer payout
-            require(settlementToken.transfer(msg.sender, payout), "transfer failed");
-            emit Claimed(msg.sender, msg.sender, payout);
+    /// @notice Claim winnings after resolution: the caller's pro-rata share of payoutPool
+    /// @dev payout = pos * payoutPool / remaining winning positions; both shrink on every claim,
+    ///      so the last claimer receives exactly what is left and no collateral is stranded
+    function claim() external nonReentrant inState(State.Resolved) whenClaimsOpen {
+        _claim(msg.sender);
+    }
+
+    /// @notice claim() on behalf of `user`; callable by anyone since the payout always goes to `user`
+    function claimFor(address user) external nonReentrant inState(State.Resolved) whenClaimsOpen returns (uint256) {
+        return _claim(user);
+    }
+
+    /// @notice Refund positions if market cancelled
+    function refund() external nonReentrant inState(State.Cancelled) whenClaimsOpen {
+        _refund(msg.sender);
+    }
+
+    /// @notice refund() on behalf of `user`; callable by anyone since the refund always goes to `user`
+    function refundFor(address user) external nonReentrant inState(State.Cancelled) whenClaimsOpen returns (uint256) {
+        return _refund(user);
+    }
+
+    function _claim(address user) internal returns (uint256 payout) {
+        bool yesWon = resolutionOutcome == 1;
+        uint256 pos = yesWon ? yesPositions(user) : noPositions(user);
+        require(pos > 0, yesWon ? "no yes position" : "no no position");
+
+        if (yesWon) {
+            payout = (pos * payoutPool) / totalYesPositions;
+            totalYesPositions -= pos;
         } else {
-            // NO wins
-            uint256 pos = noPositions[msg.sender];
-            require(pos > 0, "no no position");
-            uint256 payout = pos;
-            if (totalNoPositions > 0 && yesPool > 0) {
-                uint256 extra = (pos * yesPool) / totalNoPositions;
-                payout += extra;
-            }
-            noPositions[msg.sender] = 0;
+            payout = (pos * payoutPool) / totalNoPositions;
             totalNoPositions -= pos;
-
-            require(settlementToken.transfer(msg.sender, payout), "transfer failed");
-            emit Claimed(msg.sender, msg.sender, payout);
         }
+        payoutPool -= payout;
+        positionToken.burn(user, resolutionOutcome, pos);
+
+        require(settlementToken.transfer(user, payout), "transfer failed");
+        emit Claimed(user, user, payout);
     }
 
-    /// @notice Refund positions if market cancelled
-    function refund() external nonReentrant inState(State.Cancelled) {
-        uint256 y = yesPositions[msg.sender];
-        uint256 n = noPositions[msg.sender];
+    function _refund(address user) internal returns (uint256) {
+        uint256 y = yesPositions(user);
+        uint256 n = noPositions(user);
         require(y > 0 || n > 0, "no positions");
 
         if (y > 0) {
-            yesPositions[msg.sender] = 0;
             totalYesPositions -= y;
-            require(settlementToken.transfer(msg.sender, y), "transfer failed");
-            emit Claimed(msg.sender, msg.sender, y);
+            positionToken.burn(user, 1, y);
+            require(settlementToken.transfer(user, y), "transfer failed");
+            emit Claimed(user, user, y);
         }
         if (n > 0) {
-            noPositions[msg.sender] = 0;
             totalNoPositions -= n;
-            require(settlementToken.transfer(msg.sender, n), "transfer failed");
-            emit Claimed(msg.sender, msg.sender, n);
+            positionToken.burn(user, 0, n);
+            require(settlementToken.transfer(user, n), "transfer failed");
+            emit Claimed(user, user, n);
+        }
+        return y + n;
+    }
+
+    // --- Liquidity ---
+
+    /// @notice Add `amount` settlement tokens of liquidity at the current price and mint LP shares
+    function addLiquidity(uint256 amount, uint256 minShares) external nonReentrant inState(State.Active) whenTradingOpen whenNotPaused returns (uint256 shares) {
+        require(amount > 0, "amount>0");
+        require(yesPool > 0 && noPool > 0, "empty pool");
+        uint256 depth = yesPool + noPool;
+        shares = (amount * totalSupply()) / depth;
+        require(shares > 0, "amount too small");
+        require(shares >= minShares, "slippage");
+
+        require(settlementToken.transferFrom(msg.sender, address(this), amount), "transfer failed");
+
+        // split in the current pool ratio so noPool / yesPool stays put
+        uint256 yesIn = (amount * yesPool) / depth;
+        yesPool += yesIn;
+        noPool += amount - yesIn;
+
+        _mint(msg.sender, shares);
+        emit LiquidityAdded(msg.sender, amount, shares);
+    }
+
+    /// @notice Burn `shares` for their part of the pools (before resolution) or of liquidityPayout (after).
+    ///         Pending LP fees are paid out as well.
+    function removeLiquidity(uint256 shares, uint256 minCollateralOut) external nonReentrant returns (uint256 amountOut) {
+        require(shares > 0, "amount>0");
+        require(balanceOf(msg.sender) >= shares, "insufficient shares");
+        uint256 supply = totalSupply();
+
+        if (state == State.Active) {
+            // once trading closes the pools stay put until settlement, so LPs cannot front-run the oracle
+            require(tradingOpen(), "trading closed");
+            _requireNotPaused();
+            // outstanding positions still need a pool to trade against
+            require(shares < supply, "cannot remove all liquidity");
+            uint256 yesOut = (yesPool * shares) / supply;
+            uint256 noOut = (noPool * shares) / supply;
+            yesPool -= yesOut;
+            noPool -= noOut;
+            amountOut = yesOut + noOut;
+        } else {
+            require(state == State.Resolved || state == State.Cancelled, "Invalid state for action");
+            _requireClaimsOpen();
+            amountOut = (liquidityPayout * shares) / supply;
+            liquidityPayout -= amountOut;
         }
+        require(amountOut >= minCollateralOut, "slippage");
+
+        _burn(msg.sender, shares);
+        require(settlementToken.transfer(msg.sender, amountOut), "transfer failed");
+        emit LiquidityRemoved(msg.sender, shares, amountOut);
+
+        _claimFees(msg.sender);
     }
 
-    // admin helpers
-    function setFeeBps(uint16 newFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newFee <= 1000, "max 10%");
-        feeBps = newFee;
+    /// @notice Pay out the caller's accrued LP fees
+    function claimFees() external nonReentrant whenClaimsOpen returns (uint256) {
+        return _claimFees(msg.sender);
     }
 
-    function setFeeRecipient(address newRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newRecipient != address(0), "zero");
-        feeRecipient = newRecipient;
+    function pendingFees(address account) public view returns (uint256) {
+        return feesOwed[account] + (balanceOf(account) * (feesPerShare - feesPerSharePaid[account])) / FEE_PRECISION;
+    }
+
+    function _claimFees(address account) internal returns (uint256 fees) {
+        _settleFees(account);
+        fees = feesOwed[account];
+        if (fees == 0) return 0;
+        feesOwed[account] = 0;
+        require(settlementToken.transfer(account, fees), "transfer failed");
+        emit FeesClaimed(account, fees);
+    }
+
+    function _settleFees(address account) internal {
+        feesOwed[account] = pendingFees(account);
+        feesPerSharePaid[account] = feesPerShare;
+    }
+
+    // checkpoint fees on every mint, burn and transfer so shares only earn fees while held
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0)) _settleFees(from);
+        if (to != address(0)) _settleFees(to);
+        super._update(from, to, value);
+    }
+
+    // admin helpers; fee and fee recipient changes are announced first, see FeeSchedule
+    function setFeesToLiquidity(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        feesToLiquidity = enabled;
+    }
+
+    /// @notice Move the end of trading; it cannot pass resolveTimestamp or be set once trading has closed
+    function setCloseTimestamp(uint32 newClose) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(state == State.Created || tradingOpen(), "trading closed");
+        require(newClose > block.timestamp, "close in past");
+        require(resolveTimestamp == 0 || newClose <= resolveTimestamp, "close after resolve");
+        closeTimestamp = newClose;
+        emit ScheduleUpdated(closeTimestamp, resolutionGracePeriod);
+    }
+
+    /// @notice Let anyone cancel `period` seconds after resolution opens if the oracle has not reported (0 disables)
+    function setResolutionGracePeriod(uint32 period) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(state == State.Created || tradingOpen(), "trading closed");
+        resolutionGracePeriod = period;
+        emit ScheduleUpdated(closeTimestamp, resolutionGracePeriod);
+    }
+
+    /// @notice Require proposeOutcome() with a `window`-second dispute period and a `bond` (0 window = direct resolve)
+    function setDisputeParams(uint32 window, uint256 bond) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(state == State.Created || tradingOpen(), "trading closed");
+        disputeWindow = window;
+        resolutionBond = bond;
+        emit DisputeParamsUpdated(window, bond);
     }
 
     // emergency rescue: admin can withdraw stray tokens (not market collateral) - optional
@@ -266,6 +655,40 @@ contract Market is AccessControl, ReentrancyGuard {
     }
 
     // view helpers
+    /// @notice YES units held by `user` (its positionToken balance of yesTokenId)
+    function yesPositions(address user) public view returns (uint256) {
+        return positionToken.balanceOf(user, yesTokenId);
+    }
+
+    /// @notice NO units held by `user` (its positionToken balance of noTokenId)
+    function noPositions(address user) public view returns (uint256) {
+        return positionToken.balanceOf(user, noTokenId);
+    }
+
+    // the deploying factory indexes markets by state, see MarketStateReporter
+    function _setState(State s) internal {
+        state = s;
+        _reportState(uint8(s));
+    }
+
+    function _requireState(State s) internal view {
+        require(state == s, "Invalid state for action");
+    }
+
+    function _requireTradingOpen() internal view {
+        require(tradingOpen(), "trading closed");
+    }
+
+    /// @notice True while buys, sells and liquidity changes are accepted
+    function tradingOpen() public view returns (bool) {
+        return state == State.Active && (closeTimestamp == 0 || block.timestamp < closeTimestamp);
+    }
+
+    /// @notice Earliest time the oracle may resolve YES/NO: the later of closeTimestamp and resolveTimestamp
+    function resolutionOpensAt() public view returns (uint256) {
+        return closeTimestamp > resolveTimestamp ? closeTimestamp : resolveTimestamp;
+    }
+
     function currentPriceYes() external view returns (uint256 numerator, uint256 denominator) {
         // price(YES) = noPool / yesPool (as a fraction)
         return (noPool, yesPool);
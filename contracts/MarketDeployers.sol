@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./Market.sol";
+import "./CategoricalMarket.sol";
+
+/// @notice Holds Market's creation code so MarketFactory stays under the 24 KB contract size limit.
+/// @dev Linked into MarketFactory; public library calls run via DELEGATECALL, so the factory is the deployer (Market.creator).
+library MarketDeployer {
+    function deploy(
+        IERC20 settlementToken,
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint256 initYesPool,
+        uint256 initNoPool,
+        uint16 feeBps,
+        address feeRecipient,
+        address admin,
+        PositionToken positionToken
+    ) public returns (Market) {
+        return new Market(settlementToken, question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient, admin, positionToken);
+    }
+}
+
+/// @notice Holds CategoricalMarket's creation code, see MarketDeployer.
+library CategoricalMarketDeployer {
+    function deploy(
+        IERC20 settlementToken,
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint8 outcomeCount,
+        uint256 initialLiquidity,
+        uint16 feeBps,
+        address feeRecipient,
+        address admin
+    ) public returns (CategoricalMarket) {
+        return new CategoricalMarket(settlementToken, question, resolveTimestamp, outcomeCount, initialLiquidity, feeBps, feeRecipient, admin);
+    }
+}
@@ -3,22 +3,71 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "./Market.sol";
+import "./CategoricalMarket.sol";
+import "./MarketDeployers.sol";
+import "./PositionToken.sol";
+import "./EmergencyStop.sol";
+import "./IMarketIndex.sol";
 
-
-contract MarketFactory is AccessControl {
+/// @dev Market and CategoricalMarket bytecode lives in the linked MarketDeployer and
+///      CategoricalMarketDeployer libraries; deploy them first and link them when deploying the factory.
+///      Every binary market it deploys keeps its YES/NO positions in the one PositionToken created here.
+///      Its EmergencyStop is the kill switch: pause() blocks new markets and pauses every market it deployed,
+///      freezeClaims() freezes their payouts too (PAUSER_ROLE, granted to the admin).
+///
+/// Discovery: markets are indexed by creator (the account that called the create function), by question hash
+/// and by current state. Markets report their state changes back through marketStateChanged(), so the state
+/// index needs no keeper. Lists are read a page at a time (offset, limit), and getMarketSummaries() returns
+/// what a market list shows for many markets in one call.
+contract MarketFactory is AccessControl, EmergencyStop, IMarketIndex {
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
 
+    enum MarketKind {
+        None,
+        Binary,
+        Categorical
+    }
+
+    struct MarketSummary {
+        address market;
+        MarketKind kind; // None for an address this factory did not deploy; every other field is then zero
+        uint8 state; // Market.State / CategoricalMarket.State
+        bytes32 question;
+        uint32 resolveTimestamp;
+        uint16 feeBps;
+        uint8 resolutionOutcome; // valid only if state == Resolved
+        uint256[] pools; // binary markets: [noPool, yesPool]
+        uint256[] prices; // 18 decimals; binary markets: [currentPriceNo, currentPriceYes], 0 while a pool is empty
+    }
+
     address[] public markets;
+    address[] public categoricalMarkets;
     IERC20 public settlementToken;
+    PositionToken public immutable positionToken;
+
+    mapping(address => MarketKind) public marketKind;
+    mapping(address => address[]) private _marketsByCreator;
+    mapping(bytes32 => address[]) private _marketsByQuestion;
+    mapping(uint8 => address[]) private _marketsByState;
+    mapping(address => uint8) private _indexedState;
+    mapping(address => uint256) private _stateIndex; // position in _marketsByState[state]
 
     event MarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question);
+    event CategoricalMarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question, uint8 outcomeCount);
 
     constructor(IERC20 _settlementToken, address admin) {
         settlementToken = _settlementToken;
-        _grantRole(DEFAULT_ADMIN_ROLE, admin == address(0) ? msg.sender : admin);
+        positionToken = new PositionToken();
+        address factoryAdmin = admin == address(0) ? msg.sender : admin;
+        _grantRole(DEFAULT_ADMIN_ROLE, factoryAdmin);
+        _grantRole(PAUSER_ROLE, factoryAdmin);
     }
 
+    /// @notice Deploy a market without funding it
+    /// @dev A market with seeded pools stays in Created until its admin transfers
+    ///      initYesPool + initNoPool to it and calls Market.activate(). Prefer createAndFundMarket.
     function createMarket(
         bytes32 question,
         uint32 resolveTimestamp,
@@ -26,9 +75,97 @@ contract MarketFactory is AccessControl {
         uint256 initNoPool,
         uint16 feeBps,
         address feeRecipient
-    ) external returns (address) {
-        // Caller must transfer initial liquidity to deployed market after creation
-        Market m = new Market(
+    ) external whenNotPaused returns (address) {
+        return address(_deployMarket(question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient));
+    }
+
+    /// @notice Deploy a market, pull initYesPool + initNoPool from the caller and open trading in one transaction
+    /// @dev The caller must have approved this factory for the liquidity
+    function createAndFundMarket(
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint256 initYesPool,
+        uint256 initNoPool,
+        uint16 feeBps,
+        address feeRecipient
+    ) external whenNotPaused returns (address) {
+        return _createAndFund(question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient);
+    }
+
+    /// @notice createAndFundMarket with an EIP-2612 permit for initYesPool + initNoPool instead of an approval
+    function createAndFundMarketWithPermit(
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint256 initYesPool,
+        uint256 initNoPool,
+        uint16 feeBps,
+        address feeRecipient,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused returns (address) {
+        // a permit that was already used (e.g. front-run from the mempool) still left the allowance
+        // in place, so only the transferFrom below decides whether funding succeeds
+        try IERC20Permit(address(settlementToken)).permit(
+            msg.sender, address(this), initYesPool + initNoPool, deadline, v, r, s
+        ) {} catch {}
+        return _createAndFund(question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient);
+    }
+
+    /// @notice Deploy an N-outcome market, pull `initialLiquidity` from the caller and open trading in one transaction
+    /// @dev initialLiquidity mints that many complete sets, so every outcome starts at 1 / outcomeCount
+    function createCategoricalMarket(
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint8 outcomeCount,
+        uint256 initialLiquidity,
+        uint16 feeBps,
+        address feeRecipient
+    ) external whenNotPaused returns (address) {
+        CategoricalMarket m = CategoricalMarketDeployer.deploy(
+            settlementToken,
+            question,
+            resolveTimestamp,
+            outcomeCount,
+            initialLiquidity,
+            feeBps,
+            feeRecipient,
+            msg.sender
+        );
+        categoricalMarkets.push(address(m));
+        _register(address(m), MarketKind.Categorical, question, uint8(m.state()));
+        emit CategoricalMarketDeployed(address(m), msg.sender, question, outcomeCount);
+
+        require(settlementToken.transferFrom(msg.sender, address(m), initialLiquidity), "transfer failed");
+        m.activate();
+        return address(m);
+    }
+
+    function _createAndFund(
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint256 initYesPool,
+        uint256 initNoPool,
+        uint16 feeBps,
+        address feeRecipient
+    ) internal returns (address) {
+        require(initYesPool + initNoPool > 0, "no liquidity");
+        Market m = _deployMarket(question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient);
+        require(settlementToken.transferFrom(msg.sender, address(m), initYesPool + initNoPool), "transfer failed");
+        m.activate();
+        return address(m);
+    }
+
+    function _deployMarket(
+        bytes32 question,
+        uint32 resolveTimestamp,
+        uint256 initYesPool,
+        uint256 initNoPool,
+        uint16 feeBps,
+        address feeRecipient
+    ) internal returns (Market m) {
+        m = MarketDeployer.deploy(
             settlementToken,
             question,
             resolveTimestamp,
@@ -36,20 +173,149 @@ contract MarketFactory is AccessControl {
             initNoPool,
             feeBps,
             feeRecipient,
-            msg.sender // admin of market set to caller; factory does not assume admin rights
+            msg.sender, // admin of market set to caller; factory does not assume admin rights
+            positionToken
         );
 
         markets.push(address(m));
+        _register(address(m), MarketKind.Binary, question, uint8(m.state()));
         emit MarketDeployed(address(m), msg.sender, question);
+    }
 
-        return address(m);
+    /// @notice Tells the markets deployed here to report their state changes, see MarketStateReporter
+    function isMarketIndex() external pure returns (bool) {
+        return true;
+    }
+
+    /// @notice Called by a market deployed here whenever its state changes; moves it in the state index
+    /// @dev Not paused with the factory: markets keep settling while it is, and the index must follow them
+    function marketStateChanged(uint8 state) external {
+        require(marketKind[msg.sender] != MarketKind.None, "unknown market");
+        _unindexState(msg.sender);
+        _indexState(msg.sender, state);
+    }
+
+    function _register(address market, MarketKind kind, bytes32 question, uint8 state) internal {
+        marketKind[market] = kind;
+        _marketsByCreator[msg.sender].push(market);
+        _marketsByQuestion[question].push(market);
+        _indexState(market, state);
+    }
+
+    function _indexState(address market, uint8 state) internal {
+        _indexedState[market] = state;
+        _stateIndex[market] = _marketsByState[state].length;
+        _marketsByState[state].push(market);
+    }
+
+    // swap and pop, so a state's list is unordered
+    function _unindexState(address market) internal {
+        address[] storage list = _marketsByState[_indexedState[market]];
+        uint256 i = _stateIndex[market];
+        address last = list[list.length - 1];
+        list[i] = last;
+        _stateIndex[last] = i;
+        list.pop();
     }
 
     function numMarkets() external view returns (uint256) {
         return markets.length;
     }
 
+    /// @notice Every binary market; unbounded, prefer getMarketsPaginated
     function getMarkets() external view returns (address[] memory) {
         return markets;
     }
+
+    /// @notice Up to `limit` binary markets from `offset`, in creation order, and how many there are in total
+    function getMarketsPaginated(uint256 offset, uint256 limit) external view returns (address[] memory page, uint256 total) {
+        return (_page(markets, offset, limit), markets.length);
+    }
+
+    function numCategoricalMarkets() external view returns (uint256) {
+        return categoricalMarkets.length;
+    }
+
+    /// @notice Every categorical market; unbounded, prefer getCategoricalMarketsPaginated
+    function getCategoricalMarkets() external view returns (address[] memory) {
+        return categoricalMarkets;
+    }
+
+    function getCategoricalMarketsPaginated(uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory page, uint256 total)
+    {
+        return (_page(categoricalMarkets, offset, limit), categoricalMarkets.length);
+    }
+
+    /// @notice Binary and categorical markets created by `creator`, in creation order
+    function getMarketsByCreator(address creator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory page, uint256 total)
+    {
+        return (_page(_marketsByCreator[creator], offset, limit), _marketsByCreator[creator].length);
+    }
+
+    /// @notice Binary and categorical markets currently in `state`; the order changes as markets move between states
+    function getMarketsByState(uint8 state, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory page, uint256 total)
+    {
+        return (_page(_marketsByState[state], offset, limit), _marketsByState[state].length);
+    }
+
+    /// @notice Every market asking `question`, in creation order
+    function getMarketsByQuestion(bytes32 question) external view returns (address[] memory) {
+        return _marketsByQuestion[question];
+    }
+
+    /// @notice State, pools, prices and settlement details of each of `addresses`, in one call
+    function getMarketSummaries(address[] calldata addresses) external view returns (MarketSummary[] memory summaries) {
+        summaries = new MarketSummary[](addresses.length);
+        for (uint256 i = 0; i < addresses.length; i++) {
+            summaries[i] = _summary(addresses[i]);
+        }
+    }
+
+    function _summary(address market) internal view returns (MarketSummary memory s) {
+        s.market = market;
+        s.kind = marketKind[market];
+        if (s.kind == MarketKind.Binary) {
+            Market m = Market(market);
+            s.state = uint8(m.state());
+            s.question = m.question();
+            s.resolveTimestamp = m.resolveTimestamp();
+            s.feeBps = m.feeBps();
+            s.resolutionOutcome = m.resolutionOutcome();
+            uint256 noPool = m.noPool();
+            uint256 yesPool = m.yesPool();
+            s.pools = new uint256[](2);
+            s.pools[0] = noPool;
+            s.pools[1] = yesPool;
+            s.prices = new uint256[](2);
+            if (noPool > 0) s.prices[0] = (yesPool * 1e18) / noPool;
+            if (yesPool > 0) s.prices[1] = (noPool * 1e18) / yesPool;
+        } else if (s.kind == MarketKind.Categorical) {
+            CategoricalMarket m = CategoricalMarket(market);
+            s.state = uint8(m.state());
+            s.question = m.question();
+            s.resolveTimestamp = m.resolveTimestamp();
+            s.feeBps = m.feeBps();
+            s.resolutionOutcome = m.resolutionOutcome();
+            s.pools = m.getPools();
+            s.prices = m.currentPrices();
+        }
+    }
+
+    function _page(address[] storage list, uint256 offset, uint256 limit) internal view returns (address[] memory page) {
+        if (offset >= list.length) return page;
+        uint256 end = limit > list.length - offset ? list.length : offset + limit;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = list[i];
+        }
+    }
 }
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/// @notice The part of Market and CategoricalMarket the router works through
+interface IRoutedMarket {
+    function settlementToken() external view returns (IERC20);
+    function state() external view returns (uint8);
+    function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) external returns (uint256);
+    function claimFor(address user) external returns (uint256);
+    function refundFor(address user) external returns (uint256);
+}
+
+/// @title Batch trades, claims and refunds across markets
+/// @notice Traders approve the router once instead of every market. trade() places several buys in one
+///         transaction, each with its own minimum output, and reverts as a whole if any leg does. claimAll()
+///         sweeps claim() and refund() over a list of markets; the payouts go to the position owner.
+/// @dev The router never holds positions or tokens between calls: buys go through buyFor, so the units are
+///      minted or credited straight to the trader, and each leg must spend exactly what it was approved.
+contract MarketRouter is ReentrancyGuard {
+    struct Trade {
+        address market;
+        uint8 outcome; // binary markets: 1 = YES, 0 = NO
+        uint256 amount;
+        uint256 minPositionUnits;
+    }
+
+    // Market.State and CategoricalMarket.State share these values
+    uint8 private constant RESOLVED = 2;
+    uint8 private constant CANCELLED = 3;
+
+    IERC20 public immutable settlementToken;
+
+    event Swept(address indexed user, uint256 markets, uint256 amount);
+
+    constructor(IERC20 _settlementToken) {
+        require(address(_settlementToken) != address(0), "invalid token");
+        settlementToken = _settlementToken;
+    }
+
+    /// @notice Place every trade for the caller, reverting as a whole if any leg fails its minimum or `deadline`
+    /// @return units Position units bought per leg
+    function trade(Trade[] calldata trades, uint256 deadline) external nonReentrant returns (uint256[] memory units) {
+        return _trade(trades, deadline);
+    }
+
+    /// @notice trade() after submitting the caller's permit for the sum of the trades' amounts to this contract
+    function tradeWithPermit(Trade[] calldata trades, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        returns (uint256[] memory units)
+    {
+        uint256 total;
+        for (uint256 i = 0; i < trades.length; i++) total += trades[i].amount;
+        // an already used permit still left the allowance in place; the transfer decides
+        try IERC20Permit(address(settlementToken)).permit(msg.sender, address(this), total, deadline, v, r, s) {} catch {}
+        return _trade(trades, deadline);
+    }
+
+    /// @notice Claim or refund the caller's payout in every resolved or cancelled market of `markets`
+    /// @return amounts Paid out per market; 0 where there was nothing to collect
+    function claimAll(address[] calldata markets) external nonReentrant returns (uint256[] memory amounts) {
+        return _sweep(msg.sender, markets);
+    }
+
+    /// @notice claimAll() on behalf of `user`; callable by anyone since every payout goes to `user`
+    function claimAllFor(address user, address[] calldata markets) external nonReentrant returns (uint256[] memory amounts) {
+        return _sweep(user, markets);
+    }
+
+    function _trade(Trade[] calldata trades, uint256 deadline) internal returns (uint256[] memory units) {
+        require(trades.length > 0, "no trades");
+        require(block.timestamp <= deadline, "expired");
+        units = new uint256[](trades.length);
+        for (uint256 i = 0; i < trades.length; i++) {
+            Trade calldata leg = trades[i];
+            IRoutedMarket market = IRoutedMarket(leg.market);
+            require(market.settlementToken() == settlementToken, "wrong settlement token");
+
+            require(settlementToken.transferFrom(msg.sender, address(this), leg.amount), "transfer failed");
+            require(settlementToken.approve(leg.market, leg.amount), "approve failed");
+            units[i] = market.buyFor(msg.sender, leg.outcome, leg.amount, leg.minPositionUnits, deadline);
+            // a market that did not take the whole amount would leave it stranded here
+            require(settlementToken.allowance(address(this), leg.market) == 0, "not spent");
+        }
+    }
+
+    // Markets that are not settled, where `user` has nothing to collect, or whose claims are frozen are skipped
+    function _sweep(address user, address[] calldata markets) internal returns (uint256[] memory amounts) {
+        amounts = new uint256[](markets.length);
+        uint256 total;
+        for (uint256 i = 0; i < markets.length; i++) {
+            IRoutedMarket market = IRoutedMarket(markets[i]);
+            uint8 state = market.state();
+            if (state == RESOLVED) {
+                try market.claimFor(user) returns (uint256 amount) {
+                    amounts[i] = amount;
+                } catch {}
+            } else if (state == CANCELLED) {
+                try market.refundFor(user) returns (uint256 amount) {
+                    amounts[i] = amount;
+                } catch {}
+            }
+            total += amounts[i];
+        }
+        emit Swept(user, markets.length, total);
+    }
+}
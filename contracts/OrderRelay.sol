@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @notice The part of Market and CategoricalMarket the relay trades through
+interface IBuyFor {
+    function settlementToken() external view returns (IERC20);
+    function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) external returns (uint256);
+}
+
+/// @title Gasless trading through EIP-712 signed orders
+/// @notice A trader signs an Order off-chain; any relayer submits it with execute() and pays the gas. The relay
+///         pulls `amount + relayerFee` settlement tokens from the trader, pays `relayerFee` to the relayer and buys
+///         `outcome` in `market` for the trader with Market.buyFor / CategoricalMarket.buyFor. The positions go
+///         straight to the trader, and BetPlaced names the trader as the user.
+///
+/// - Nonces are sequential per trader: an order must carry nonces(trader), and executing it uses the nonce up.
+///   cancelNonce() burns the current nonce, cancelling any order signed with it
+/// - `deadline` bounds the order and is passed on to the market as the trade deadline
+/// - The trader approves this contract once, or signs an EIP-2612 permit that executeWithPermit() submits
+///   with the order, so the trader never needs gas
+/// - Orders are signed by the trader's own key (ECDSA); contract wallets trade directly instead
+contract OrderRelay is EIP712, Nonces, ReentrancyGuard {
+    struct Order {
+        address trader;
+        address market;
+        uint8 outcome; // binary markets: 1 = YES, 0 = NO
+        uint256 amount; // settlement tokens spent on the trade, fee included
+        uint256 minPositionUnits;
+        uint256 relayerFee; // settlement tokens paid to the relayer on top of `amount`
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address trader,address market,uint8 outcome,uint256 amount,uint256 minPositionUnits,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+    );
+
+    IERC20 public immutable settlementToken;
+
+    event OrderExecuted(
+        bytes32 indexed orderHash,
+        address indexed trader,
+        address indexed relayer,
+        address market,
+        uint8 outcome,
+        uint256 amount,
+        uint256 positionUnits,
+        uint256 relayerFee
+    );
+    event NonceCancelled(address indexed trader, uint256 nonce);
+
+    constructor(IERC20 _settlementToken) EIP712("OrderRelay", "1") {
+        require(address(_settlementToken) != address(0), "invalid token");
+        settlementToken = _settlementToken;
+    }
+
+    /// @notice EIP-712 digest the trader signs for `order`
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.trader,
+                    order.market,
+                    order.outcome,
+                    order.amount,
+                    order.minPositionUnits,
+                    order.relayerFee,
+                    order.nonce,
+                    order.deadline
+                )
+            )
+        );
+    }
+
+    /// @notice Execute a signed order; the caller receives its relayerFee
+    function execute(Order calldata order, bytes calldata signature) external nonReentrant returns (uint256) {
+        return _execute(order, signature);
+    }
+
+    /// @notice execute() after submitting the trader's permit for amount + relayerFee to this contract
+    /// @dev A permit that was already used still left the allowance in place, so only the transfers decide
+    function executeWithPermit(
+        Order calldata order,
+        bytes calldata signature,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        try IERC20Permit(address(settlementToken)).permit(
+            order.trader, address(this), order.amount + order.relayerFee, permitDeadline, v, r, s
+        ) {} catch {}
+        return _execute(order, signature);
+    }
+
+    /// @notice Use up the caller's current nonce, so the order signed with it can no longer be executed
+    function cancelNonce() external {
+        emit NonceCancelled(msg.sender, _useNonce(msg.sender));
+    }
+
+    function _execute(Order calldata order, bytes calldata signature) internal returns (uint256 units) {
+        require(block.timestamp <= order.deadline, "expired");
+        bytes32 orderHash = hashOrder(order);
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(orderHash, signature);
+        require(error == ECDSA.RecoverError.NoError && signer == order.trader, "invalid signature");
+        _useCheckedNonce(order.trader, order.nonce);
+
+        IBuyFor market = IBuyFor(order.market);
+        require(market.settlementToken() == settlementToken, "wrong settlement token");
+
+        require(settlementToken.transferFrom(order.trader, address(this), order.amount), "transfer failed");
+        if (order.relayerFee > 0) {
+            require(settlementToken.transferFrom(order.trader, msg.sender, order.relayerFee), "transfer failed");
+        }
+        require(settlementToken.approve(order.market, order.amount), "approve failed");
+        units = market.buyFor(order.trader, order.outcome, order.amount, order.minPositionUnits, order.deadline);
+        // a market that did not take the whole amount would leave it stranded here
+        require(settlementToken.allowance(address(this), order.market) == 0, "not spent");
+
+        emit OrderExecuted(orderHash, order.trader, msg.sender, order.market, order.outcome, order.amount, units, order.relayerFee);
+    }
+}
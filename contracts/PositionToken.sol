@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title Shared ERC-1155 position token
+/// @notice Holds the outcome positions of every market as transferable ERC-1155 balances
+///
+/// Token ids: positionId(market, outcome) = uint256(uint160(market)) << 8 | outcome, so the market and the
+/// outcome can be read back from any id (marketOf / outcomeOf). Binary markets use their resolution
+/// encoding: 0 = NO, 1 = YES.
+///
+/// A market mints and burns only the ids derived from its own address; nobody else can create or destroy them.
+/// Markets burn on claim/refund without an approval, as the issuer redeeming its own positions.
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+contract PositionToken is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /// @notice Token id of `outcome` positions in `market`
+    function positionId(address market, uint8 outcome) public pure returns (uint256) {
+        return (uint256(uint160(market)) << 8) | outcome;
+    }
+
+    function marketOf(uint256 id) external pure returns (address) {
+        return address(uint160(id >> 8));
+    }
+
+    function outcomeOf(uint256 id) external pure returns (uint8) {
+        return uint8(id);
+    }
+
+    /// @notice Mint `amount` of the caller's `outcome` positions to `to`
+    function mint(address to, uint8 outcome, uint256 amount) external {
+        _mint(to, positionId(msg.sender, outcome), amount, "");
+    }
+
+    /// @notice Burn `amount` of the caller's `outcome` positions held by `from`
+    function burn(address from, uint8 outcome, uint256 amount) external {
+        _burn(from, positionId(msg.sender, outcome), amount);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../MarketDeployers.sol";
+
+/// @notice Test harness: deploys markets from a contract that is not a MarketFactory, as a multisig or a
+///         router might, so the markets' deployer has code but keeps no index
+contract MarketLauncher {
+    event Launched(address market);
+
+    function launchMarket(IERC20 settlementToken, uint256 initYesPool, uint256 initNoPool, PositionToken positionToken) external returns (Market m) {
+        m = MarketDeployer.deploy(settlementToken, bytes32("launched"), 0, initYesPool, initNoPool, 0, address(0), msg.sender, positionToken);
+        emit Launched(address(m));
+    }
+
+    function launchCategoricalMarket(IERC20 settlementToken, uint256 initialLiquidity) external returns (CategoricalMarket m) {
+        m = CategoricalMarketDeployer.deploy(settlementToken, bytes32("launched"), 0, 2, initialLiquidity, 0, address(0), msg.sender);
+        emit Launched(address(m));
+    }
+}
@@ -1,5 +1,17 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/registry");
+require("./tasks/verify");
+require("./tasks/market");
+require("./tasks/metadata");
+require("./tasks/token");
+require("./tasks/roles");
+require("./tasks/emergency");
+require("./tasks/timelock");
+require("./tasks/indexer");
+require("./tasks/api");
+require("./tasks/keeper");
+require("./tasks/relayer");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
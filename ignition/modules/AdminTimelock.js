@@ -0,0 +1,21 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MarketSystemModule = require("./MarketSystem");
+
+// Hands the factory's DEFAULT_ADMIN_ROLE to an AdminTimelock once MarketSystemModule's grants are sent.
+// `minDelay` (seconds, default 2 days) is how long every scheduled change waits. `proposer` defaults to the
+// deployer; pass a multisig to require several keys. Anyone may execute a ready operation.
+// The deployer keeps PAUSER_ROLE, and its DEFAULT_ADMIN_ROLE is renounced.
+module.exports = buildModule("AdminTimelockModule", (m) => {
+  const contracts = m.useModule(MarketSystemModule);
+  const { marketFactory } = contracts;
+
+  const minDelay = m.getParameter("minDelay", 2 * 24 * 60 * 60);
+  const proposer = m.getParameter("proposer", m.getAccount(0));
+  const adminTimelock = m.contract("AdminTimelock", [minDelay, [proposer], ["0x0000000000000000000000000000000000000000"], "0x0000000000000000000000000000000000000000"]);
+
+  const adminRole = m.staticCall(marketFactory, "DEFAULT_ADMIN_ROLE");
+  const grant = m.call(marketFactory, "grantRole", [adminRole, adminTimelock], { id: "grantTimelockAdmin", after: [MarketSystemModule] });
+  m.call(marketFactory, "renounceRole", [adminRole, m.getAccount(0)], { id: "renounceDeployerAdmin", after: [grant] });
+
+  return { ...contracts, adminTimelock };
+});
@@ -0,0 +1,24 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SettlementTokenModule = require("./SettlementToken");
+
+// MarketFactory with its deployer libraries linked (lib/deploy.js does the same in plain ethers).
+// `admin` gets DEFAULT_ADMIN_ROLE on the factory and defaults to the deployer.
+module.exports = buildModule("MarketFactoryModule", (m) => {
+  const { settlementToken } = m.useModule(SettlementTokenModule);
+  const admin = m.getParameter("admin", m.getAccount(0));
+
+  const marketDeployer = m.library("MarketDeployer");
+  const categoricalMarketDeployer = m.library("CategoricalMarketDeployer");
+
+  const marketFactory = m.contract("MarketFactory", [settlementToken, admin], {
+    libraries: {
+      MarketDeployer: marketDeployer,
+      CategoricalMarketDeployer: categoricalMarketDeployer,
+    },
+  });
+
+  // created by the factory's constructor
+  const positionToken = m.contractAt("PositionToken", m.staticCall(marketFactory, "positionToken"));
+
+  return { settlementToken, marketFactory, positionToken, marketDeployer, categoricalMarketDeployer };
+});
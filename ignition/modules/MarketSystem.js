@@ -0,0 +1,21 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MarketFactoryModule = require("./MarketFactory");
+
+// Token, factory and the role grants operators need. The grants are sent by the deployer, so leave
+// MarketFactoryModule's `admin` as the deployer when deploying this module.
+// `oracle` receives ORACLE_ROLE on the factory and `minter` MINTER_ROLE on the token; both default to the deployer.
+module.exports = buildModule("MarketSystemModule", (m) => {
+  const contracts = m.useModule(MarketFactoryModule);
+  const { settlementToken, marketFactory } = contracts;
+
+  const oracle = m.getParameter("oracle", m.getAccount(0));
+  const minter = m.getParameter("minter", m.getAccount(0));
+
+  const oracleRole = m.staticCall(marketFactory, "ORACLE_ROLE");
+  m.call(marketFactory, "grantRole", [oracleRole, oracle], { id: "grantFactoryOracle" });
+
+  const minterRole = m.staticCall(settlementToken, "MINTER_ROLE");
+  m.call(settlementToken, "grantRole", [minterRole, minter], { id: "grantTokenMinter" });
+
+  return contracts;
+});
@@ -0,0 +1,35 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { id, parseEther } = require("ethers");
+const MarketSystemModule = require("./MarketSystem");
+
+// Optional seeded market for test networks. The deployer mints the liquidity, transfers it to the
+// market and activates it (the createMarket + activate() path), then grants `oracle` ORACLE_ROLE on it.
+// `question` is the bytes32 hash stored on chain; `resolveTimestamp` 0 leaves the market unscheduled.
+module.exports = buildModule("SampleMarketModule", (m) => {
+  const contracts = m.useModule(MarketSystemModule);
+  const { settlementToken, marketFactory } = contracts;
+
+  const deployer = m.getAccount(0);
+  const question = m.getParameter("question", id("Will Bitcoin reach $100,000 by end of 2024?"));
+  const resolveTimestamp = m.getParameter("resolveTimestamp", 0);
+  const initYesPool = m.getParameter("initYesPool", parseEther("10000"));
+  const initNoPool = m.getParameter("initNoPool", parseEther("10000"));
+  const feeBps = m.getParameter("feeBps", 100);
+  const feeRecipient = m.getParameter("feeRecipient", deployer);
+  const oracle = m.getParameter("oracle", deployer);
+
+  const create = m.call(marketFactory, "createMarket", [question, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient]);
+  const marketAddress = m.readEventArgument(create, "MarketDeployed", "marketAddress");
+  const sampleMarket = m.contractAt("Market", marketAddress);
+
+  const mintYes = m.call(settlementToken, "mint", [deployer, initYesPool], { id: "mintYesLiquidity" });
+  const mintNo = m.call(settlementToken, "mint", [deployer, initNoPool], { id: "mintNoLiquidity" });
+  const fundYes = m.call(settlementToken, "transfer", [marketAddress, initYesPool], { id: "fundYesPool", after: [mintYes] });
+  const fundNo = m.call(settlementToken, "transfer", [marketAddress, initNoPool], { id: "fundNoPool", after: [mintNo] });
+  m.call(sampleMarket, "activate", [], { after: [fundYes, fundNo] });
+
+  const oracleRole = m.staticCall(sampleMarket, "ORACLE_ROLE");
+  m.call(sampleMarket, "grantRole", [oracleRole, oracle], { id: "grantMarketOracle" });
+
+  return { ...contracts, sampleMarket };
+});
@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Collateral token shared by every market. The deployer holds DEFAULT_ADMIN_ROLE and MINTER_ROLE.
+module.exports = buildModule("SettlementTokenModule", (m) => {
+  const name = m.getParameter("name", "Prediction Market Token");
+  const symbol = m.getParameter("symbol", "PMT");
+
+  const settlementToken = m.contract("SettlementToken", [name, symbol]);
+
+  return { settlementToken };
+});
@@ -0,0 +1,231 @@
+// Read-only HTTP/JSON API over an IndexerStore. Everything is answered from the indexed events, so it runs
+// next to the indexer against any node, a local Hardhat node included, without extra chain reads.
+//
+//   GET /markets                       ?state=&creator=&kind=&category=&limit=&offset=
+//   GET /markets/:address              state, pools, prices, price history, volume, fees
+//   GET /markets/:address/trades       ?user=&limit=&offset=
+//   GET /users/:address/positions      ?state=&limit=&offset=   balances and claimable amounts per market
+//   GET /metadata/:questionHash        the question's metadata document
+//   GET /stats
+//
+// Lists come back as { items, total, limit, offset }. Integers are decimal strings; prices are 18-decimal
+// fixed point, indexed by outcome like pools (binary markets: 0 = NO, 1 = YES). With a metadata store,
+// markets carry their verified question metadata (null when unknown); documents that do not hash to the
+// market's question are never served.
+const http = require("http");
+const { getAddress, isAddress, isHexString } = require("ethers");
+const { MetadataMismatchError } = require("../sdk/errors");
+const { claimableOf, replayMarket } = require("./replay");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  return value;
+}
+
+function addressParam(value, name) {
+  if (!isAddress(value)) throw new HttpError(400, `${name} must be an address`);
+  return getAddress(value);
+}
+
+function intParam(query, name, fallback, max = Infinity) {
+  const raw = query.get(name);
+  if (raw === null || raw === "") return fallback;
+  if (!/^\d+$/.test(raw)) throw new HttpError(400, `${name} must be a non-negative integer`);
+  return Math.min(Number(raw), max);
+}
+
+function paginate(items, query) {
+  const limit = intParam(query, "limit", DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = intParam(query, "offset", 0);
+  return { items: items.slice(offset, offset + limit), total: items.length, limit, offset };
+}
+
+function stateFilter(query) {
+  const state = query.get("state");
+  return state ? (market) => market.state.toLowerCase() === state.toLowerCase() : () => true;
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// `metadata` is a MetadataStore (lib/metadata.js) or anything else with a synchronous get(questionHash).
+function createApiServer({ store, metadata = null }) {
+  if (!store) throw new Error("store is required");
+
+  // replays are cached until the store changes: a new checkpoint, new events or a rollback
+  let cacheKey = null;
+  let cache = new Map();
+  function replayed(record) {
+    const { events } = store.data;
+    const key = `${store.checkpoint}:${events.length}:${events.length ? events[events.length - 1].id : ""}`;
+    if (key !== cacheKey) {
+      cacheKey = key;
+      cache = new Map();
+    }
+    if (!cache.has(record.address)) cache.set(record.address, replayMarket(record, store.getEvents({ market: record.address })));
+    return cache.get(record.address);
+  }
+
+  // { metadata } for a question hash; a mismatched document is reported instead of served
+  function metadataOf(questionHash) {
+    if (!metadata) return { metadata: null };
+    try {
+      return { metadata: metadata.get(questionHash) || null };
+    } catch (err) {
+      if (err instanceof MetadataMismatchError) return { metadata: null, metadataError: err.message };
+      throw err;
+    }
+  }
+
+  function marketSummary(market) {
+    const replay = replayed(market);
+    return { ...market, feeBps: replay.feeBps, pools: replay.pools, prices: replay.prices, ...metadataOf(market.question) };
+  }
+
+  function findMarket(address) {
+    const market = store.getMarket(addressParam(address, "market"));
+    if (!market) throw new HttpError(404, `No indexed market ${address}`);
+    return market;
+  }
+
+  const routes = [
+    [/^\/markets$/, (query) => {
+      const creator = query.get("creator") ? addressParam(query.get("creator"), "creator") : null;
+      const kind = query.get("kind");
+      const category = query.get("category");
+      const markets = store
+        .getMarkets()
+        .filter(stateFilter(query))
+        .filter((m) => !creator || sameAddress(m.creator, creator))
+        .filter((m) => !kind || m.kind === kind)
+        .filter((m) => {
+          if (!category) return true;
+          const found = metadataOf(m.question).metadata;
+          return found !== null && found.category.toLowerCase() === category.toLowerCase();
+        });
+      const page = paginate(markets, query);
+      return { ...page, items: page.items.map(marketSummary) };
+    }],
+    [/^\/markets\/([^/]+)$/, (query, address) => {
+      const market = findMarket(address);
+      const replay = replayed(market);
+      return {
+        ...marketSummary(market),
+        totalPositions: replay.totalPositions,
+        payoutPool: replay.payoutPool,
+        liquidityPayout: replay.liquidityPayout,
+        lpSupply: market.kind === "binary" ? replay.lpSupply : null,
+        priceHistory: replay.priceHistory,
+      };
+    }],
+    [/^\/markets\/([^/]+)\/trades$/, (query, address) => {
+      const market = findMarket(address);
+      const user = query.get("user") ? addressParam(query.get("user"), "user") : undefined;
+      const trades = store.getTrades({ market: market.address, user }).filter((t) => !user || sameAddress(t.user, user));
+      return paginate(trades, query);
+    }],
+    [/^\/users\/([^/]+)\/positions$/, (query, address) => {
+      const user = addressParam(address, "user");
+      const flows = new Map(store.getPortfolio(user).map((p) => [p.market.toLowerCase(), p]));
+      const positions = [];
+      for (const market of store.getMarkets().filter(stateFilter(query))) {
+        const replay = replayed(market);
+        const units = replay.positions.get(user.toLowerCase()) || new Array(market.outcomeCount).fill(0n);
+        const flow = flows.get(market.address.toLowerCase());
+        const claimable = claimableOf(replay, user);
+        if (!flow && !units.some((u) => u > 0n) && claimable.amount === 0n) continue;
+        positions.push({
+          market: market.address,
+          kind: market.kind,
+          question: market.question,
+          state: market.state,
+          outcome: market.outcome,
+          units,
+          claimable: claimable.amount,
+          claimAction: claimable.amount > 0n ? claimable.action : null,
+          spent: flow ? flow.spent : "0",
+          received: flow ? flow.received : "0",
+          pnl: flow ? flow.pnl : "0",
+        });
+      }
+      return { user, ...paginate(positions, query) };
+    }],
+    [/^\/metadata\/([^/]+)$/, (query, questionHash) => {
+      if (!isHexString(questionHash, 32)) throw new HttpError(400, "question hash must be bytes32");
+      const found = metadataOf(questionHash);
+      if (found.metadataError) throw new HttpError(409, found.metadataError);
+      if (!found.metadata) throw new HttpError(404, `No metadata for ${questionHash}`);
+      return { question: questionHash, metadata: found.metadata };
+    }],
+    [/^\/stats$/, () => {
+      const markets = store.getMarkets();
+      const count = (key) => markets.reduce((acc, m) => ({ ...acc, [m[key]]: (acc[m[key]] || 0) + 1 }), {});
+      const trades = store.getTrades();
+      return {
+        chainId: store.data.chainId,
+        factory: store.data.factory,
+        checkpoint: store.checkpoint,
+        markets: markets.length,
+        byState: count("state"),
+        byKind: count("kind"),
+        trades: trades.length,
+        traders: new Set(trades.map((t) => t.user.toLowerCase())).size,
+        volume: markets.reduce((sum, m) => sum + BigInt(m.volume), 0n),
+        fees: markets.reduce((sum, m) => sum + BigInt(m.fees), 0n),
+      };
+    }],
+  ];
+
+  function decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (err) {
+      if (err instanceof URIError) throw new HttpError(400, `malformed path segment ${segment}`);
+      throw err;
+    }
+  }
+
+  function handle(req) {
+    if (req.method !== "GET") throw new HttpError(405, `${req.method} not allowed`);
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+    for (const [pattern, route] of routes) {
+      const match = path.match(pattern);
+      if (match) return route(url.searchParams, ...match.slice(1).map(decodeSegment));
+    }
+    throw new HttpError(404, `No route for ${path}`);
+  }
+
+  return http.createServer((req, res) => {
+    let status = 200;
+    let body;
+    try {
+      body = plain(handle(req));
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      body = { error: err.message };
+    }
+    res.writeHead(status, { "content-type": "application/json; charset=utf-8", "access-control-allow-origin": "*" });
+    res.end(JSON.stringify(body));
+  });
+}
+
+module.exports = {
+  HttpError,
+  plain,
+  createApiServer,
+};
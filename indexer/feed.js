@@ -0,0 +1,253 @@
+// WebSocket feed of market activity, driven by a MarketIndexer: every event the indexer ingests is turned
+// into a normalized message and pushed to the clients whose subscription matches it.
+//
+// Client -> server:
+//   { "type": "subscribe", "markets": ["0x..."], "users": ["0x..."], "fromBlock": 123 }
+// Server -> client:
+//   { "type": "subscribed", markets, users, fromBlock, head }   then the history from fromBlock, then live
+//   { "type": "trade" | "market-created" | "resolved" | "cancelled" | "claimed", id, market, blockNumber, ... }
+//   { "type": "reorg", "fromBlock" }                             drop what you have from that block on
+//   { "type": "error", "error" }
+//
+// The connection URL takes the same subscription as query parameters (?markets=a,b&users=c&fromBlock=123);
+// without any, a client receives every market live. A subscribe message replaces the current subscription.
+// Every message carries the id of the event it came from, so clients resuming from their last block can
+// drop the ones they have already seen.
+const { getAddress, isAddress } = require("ethers");
+const { WebSocketServer, WebSocket } = require("ws");
+const { MarketReplay } = require("./replay");
+
+const DEFAULT_PATH = "/feed";
+const BINARY_SIDES = ["no", "yes"];
+
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  return value;
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function addressList(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return new Set(
+    list.map((address) => {
+      if (!isAddress(address)) throw new Error(`${name} must be addresses, got ${address}`);
+      return getAddress(address);
+    }),
+  );
+}
+
+function parseSubscription({ markets, users, fromBlock }) {
+  if (fromBlock !== undefined && fromBlock !== null && fromBlock !== "" && !/^\d+$/.test(String(fromBlock))) {
+    throw new Error("fromBlock must be a block number");
+  }
+  return {
+    markets: addressList(markets, "markets"),
+    users: addressList(users, "users"),
+    fromBlock: fromBlock === undefined || fromBlock === null || fromBlock === "" ? null : Number(fromBlock),
+  };
+}
+
+// The message an event turns into, or null for events the feed does not publish.
+// `replay` is the market's state with the event applied and `point` what apply() returned for it.
+function toMessage(event, record, replay, point) {
+  const base = { id: event.id, market: event.market, blockNumber: event.blockNumber, txHash: event.txHash, logIndex: event.logIndex };
+  const { args } = event;
+  const binary = record.kind === "binary";
+  // binary markets report the contract's YES/NO prices by name, categorical ones every outcome's price
+  const prices = () => (binary ? { priceNo: point.prices && point.prices[0], priceYes: point.prices && point.prices[1] } : { prices: point.prices });
+
+  switch (event.name) {
+    case "MarketCreated":
+    case "CategoricalMarketCreated":
+      return {
+        type: "market-created",
+        ...base,
+        kind: record.kind,
+        creator: record.creator,
+        question: record.question,
+        outcomeCount: record.outcomeCount,
+        feeBps: replay.feeBps,
+        pools: point.pools,
+        ...prices(),
+      };
+    case "BetPlaced":
+    case "PositionSold": {
+      const outcome = Number(args.outcome);
+      const buy = event.name === "BetPlaced";
+      return {
+        type: "trade",
+        ...base,
+        action: buy ? "buy" : "sell",
+        user: args.user,
+        outcome,
+        side: binary ? BINARY_SIDES[outcome] : null,
+        amountIn: buy ? args.amountIn : null,
+        amountOut: buy ? null : args.amountOut,
+        positionUnits: args.positionUnits,
+        fee: point.fee,
+        pools: point.pools,
+        ...prices(),
+      };
+    }
+    case "MarketResolved":
+      return { type: "resolved", ...base, outcome: Number(args.outcome), resolver: args.resolver };
+    case "MarketCancelled":
+      return { type: "cancelled", ...base, canceller: args.canceller };
+    case "Claimed":
+      return { type: "claimed", ...base, kind: replay.state === "Cancelled" ? "refund" : "claim", user: args.user, to: args.to, amount: args.amount };
+    default:
+      return null;
+  }
+}
+
+class MarketFeed {
+  // Attaches to `server` (an http.Server, e.g. the API's) at `path`, or listens on `port` itself.
+  constructor({ indexer, server, port, host, path = DEFAULT_PATH }) {
+    if (!indexer) throw new Error("indexer is required");
+    this.indexer = indexer;
+    this.store = indexer.store;
+    this.wss = new WebSocketServer(server ? { server, path } : { port, host, path });
+    this._clients = new Map();
+    // live replays, one per market, advanced with every event the indexer emits: { replay, last }
+    this._replays = new Map();
+    // what has reached the feed so far: everything stored before it started, then every emitted event
+    this._base = this.store.checkpoint === null ? -1 : this.store.checkpoint;
+    this._last = null;
+
+    this._onEvent = (event) => this._publish(event);
+    this._onReorg = ({ fromBlock }) => this._reorg(fromBlock);
+    indexer.on("event", this._onEvent);
+    indexer.on("reorg", this._onReorg);
+    this.wss.on("connection", (socket, req) => this._connect(socket, req));
+  }
+
+  close() {
+    this.indexer.off("event", this._onEvent);
+    this.indexer.off("reorg", this._onReorg);
+    for (const socket of this._clients.keys()) socket.terminate();
+    this._clients.clear();
+    return new Promise((resolve) => this.wss.close(() => resolve()));
+  }
+
+  _connect(socket, req) {
+    this._clients.set(socket, { markets: null, users: null });
+    socket.on("close", () => this._clients.delete(socket));
+    socket.on("message", (data) => {
+      let request;
+      try {
+        request = JSON.parse(data.toString());
+      } catch {
+        return this._send(socket, { type: "error", error: "messages must be JSON" });
+      }
+      if (request.type !== "subscribe") return this._send(socket, { type: "error", error: `unknown message type ${request.type}` });
+      this._subscribe(socket, request);
+    });
+
+    const query = new URL(req.url, "http://localhost").searchParams;
+    this._subscribe(socket, { markets: query.get("markets"), users: query.get("users"), fromBlock: query.get("fromBlock") });
+  }
+
+  _subscribe(socket, request) {
+    let subscription;
+    try {
+      subscription = parseSubscription(request);
+    } catch (err) {
+      return this._send(socket, { type: "error", error: err.message });
+    }
+    this._clients.set(socket, subscription);
+    this._send(socket, {
+      type: "subscribed",
+      markets: subscription.markets && [...subscription.markets],
+      users: subscription.users && [...subscription.users],
+      fromBlock: subscription.fromBlock,
+      head: this._last ? Math.max(this._base, this._last.blockNumber) : this._base,
+    });
+    if (subscription.fromBlock === null) return;
+    for (const message of this._history(subscription)) this._send(socket, message);
+  }
+
+  // Messages from subscription.fromBlock up to what the feed has published, replayed from the store
+  _history(subscription) {
+    const messages = [];
+    for (const record of this.store.data.markets) {
+      if (subscription.markets && !subscription.markets.has(record.address)) continue;
+      const replay = new MarketReplay(record);
+      for (const event of this.store.getEvents({ market: record.address })) {
+        if (!this._delivered(event)) break;
+        const point = replay.apply(event);
+        if (event.blockNumber < subscription.fromBlock) continue;
+        const message = toMessage(event, record, replay, point);
+        if (message && this._matches(subscription, message)) messages.push(message);
+      }
+    }
+    return messages.sort(compareEvents).map(plain);
+  }
+
+  _delivered(event) {
+    return event.blockNumber <= this._base || (this._last !== null && compareEvents(event, this._last) <= 0);
+  }
+
+  _publish(event) {
+    const record = this.store.getMarketRecord(event.market);
+    if (!record) return;
+    const live = this._replay(record, event);
+    const point = live.replay.apply(event);
+    live.last = event;
+    this._last = event;
+    const { replay } = live;
+
+    const message = toMessage(event, record, replay, point);
+    if (!message) return;
+    const payload = plain(message);
+    for (const [socket, subscription] of this._clients) {
+      if (this._matches(subscription, message)) this._send(socket, payload);
+    }
+  }
+
+  // The market's live replay, rebuilt from the store when it is missing or not right behind `event`
+  _replay(record, event) {
+    const current = this._replays.get(record.address);
+    if (current && compareEvents(current.last, event) < 0) return current;
+    const live = { replay: new MarketReplay(record), last: null };
+    for (const earlier of this.store.getEvents({ market: record.address, toBlock: event.blockNumber })) {
+      if (compareEvents(earlier, event) >= 0) break;
+      live.replay.apply(earlier);
+    }
+    this._replays.set(record.address, live);
+    return live;
+  }
+
+  _reorg(fromBlock) {
+    this._replays.clear();
+    this._base = Math.min(this._base, fromBlock - 1);
+    if (this._last && this._last.blockNumber >= fromBlock) this._last = null;
+    for (const socket of this._clients.keys()) this._send(socket, { type: "reorg", fromBlock });
+  }
+
+  _matches({ markets, users }, message) {
+    if (markets && !markets.has(message.market)) return false;
+    if (!users) return true;
+    for (const field of ["user", "to", "creator"]) {
+      if (message[field] && users.has(getAddress(message[field]))) return true;
+    }
+    // resolutions reach the users who traded in the market
+    if (message.type === "resolved" || message.type === "cancelled") {
+      return [...users].some((user) => this.store.getTrades({ market: message.market, user }).some((t) => t.user === user));
+    }
+    return false;
+  }
+
+  _send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }
+}
+
+module.exports = {
+  MarketFeed,
+};
@@ -0,0 +1,13 @@
+const api = require("./api");
+const feed = require("./feed");
+const indexer = require("./indexer");
+const replay = require("./replay");
+const store = require("./store");
+
+module.exports = {
+  ...api,
+  ...feed,
+  ...indexer,
+  ...replay,
+  ...store,
+};
@@ -0,0 +1,237 @@
+// Follows a MarketFactory: discovers the markets it deploys and ingests their events, plus the factory
+// PositionToken's transfers of their YES/NO positions, into an IndexerStore in block ranges. Every pass first re-checks the hashes of the last `reorgDepth` ingested blocks and
+// rolls the store back to the first one that changed, then resumes from the store's checkpoint.
+//
+// Emits "market" (new market record), "event" (each ingested event), "reorg" ({ fromBlock }) and
+// "sync" (the summary syncOnce() returns).
+const { EventEmitter } = require("events");
+const { Contract, Interface, getAddress, toBeHex } = require("ethers");
+const { CATEGORICAL_MARKET_ABI, MARKET_ABI, MARKET_FACTORY_ABI, POSITION_TOKEN_ABI } = require("../sdk/abi");
+const { IndexerStore } = require("./store");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_REORG_DEPTH = 12;
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+// markets per eth_getLogs address filter
+const ADDRESS_CHUNK = 100;
+
+const factoryInterface = new Interface(MARKET_FACTORY_ABI);
+const positionInterface = new Interface(POSITION_TOKEN_ABI);
+const interfaces = {
+  binary: new Interface(MARKET_ABI),
+  categorical: new Interface(CATEGORICAL_MARKET_ABI),
+};
+
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  return value;
+}
+
+function namedArgs(parsed) {
+  return Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, plain(parsed.args[i])]));
+}
+
+function toEvent(log, market, parsed) {
+  return {
+    id: `${log.transactionHash}-${log.index}`,
+    market,
+    name: parsed.name,
+    args: namedArgs(parsed),
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+// PositionToken ids are (market << 8) | outcome
+function marketOfPosition(id) {
+  return getAddress(toBeHex(id >> 8n, 20));
+}
+
+// One PositionTransfer event per id moved; batch entries get a suffixed id so they stay unique.
+function toPositionEvents(log, parsed) {
+  const { operator, from, to } = parsed.args;
+  const batch = parsed.name === "TransferBatch";
+  const ids = batch ? parsed.args.ids : [parsed.args.id];
+  const values = batch ? parsed.args.values : [parsed.args.value];
+  return ids.map((id, i) => ({
+    id: batch ? `${log.transactionHash}-${log.index}-${i}` : `${log.transactionHash}-${log.index}`,
+    market: marketOfPosition(id),
+    name: "PositionTransfer",
+    args: { operator, from, to, outcome: Number(id & 0xffn), value: values[i].toString() },
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+  }));
+}
+
+class MarketIndexer extends EventEmitter {
+  constructor({
+    provider,
+    factoryAddress,
+    store = new IndexerStore(),
+    startBlock = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+    reorgDepth = DEFAULT_REORG_DEPTH,
+    confirmations = 0,
+  }) {
+    super();
+    if (!provider) throw new Error("provider is required");
+    if (!factoryAddress) throw new Error("factoryAddress is required");
+    this.provider = provider;
+    this.factoryAddress = getAddress(factoryAddress);
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.confirmations = confirmations;
+    this._timer = null;
+    this._running = false;
+    this._positionToken = null;
+  }
+
+  // One pass: reorg check, then ingest up to the head (minus `confirmations`). Saves after every range.
+  async syncOnce() {
+    const { chainId } = await this.provider.getNetwork();
+    this.store.init({ chainId: Number(chainId), factory: this.factoryAddress });
+    if (!this._positionToken) {
+      const factory = new Contract(this.factoryAddress, MARKET_FACTORY_ABI, this.provider);
+      this._positionToken = getAddress(await factory.positionToken());
+    }
+
+    const reorgedFrom = await this._checkReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.store.checkpoint === null ? this.startBlock : this.store.checkpoint + 1;
+
+    let events = 0;
+    for (let start = fromBlock; start <= head; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, head);
+      events += await this._ingestRange(start, end);
+      await this._rememberBlocks(Math.max(start, end - this.reorgDepth + 1), end);
+      this.store.checkpoint = end;
+      this.store.save();
+    }
+
+    const summary = { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, reorgedFrom };
+    this.emit("sync", summary);
+    return summary;
+  }
+
+  // Polls syncOnce() every `interval` ms until stop(). Errors go to "error" listeners and the loop carries on.
+  start({ interval = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    if (this._running) return;
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.syncOnce();
+      } catch (err) {
+        if (this.listenerCount("error") > 0) this.emit("error", err);
+        else console.error("indexer sync failed:", err.message);
+      }
+      if (this._running) this._timer = setTimeout(tick, interval);
+    };
+    tick();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  // Returns the first block rolled back, or null when the remembered blocks are still canonical.
+  async _checkReorg() {
+    const remembered = this.store.recentBlocks();
+    let firstChanged = null;
+    for (let i = remembered.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(remembered[i].number);
+      if (block && block.hash === remembered[i].hash) break;
+      firstChanged = remembered[i].number;
+    }
+    if (firstChanged === null) return null;
+    if (firstChanged === remembered[0].number && remembered.length === this.reorgDepth) {
+      throw new Error(`reorg deeper than ${this.reorgDepth} blocks at ${firstChanged}; rebuild the indexer store`);
+    }
+
+    this.store.rollback(firstChanged);
+    this.emit("reorg", { fromBlock: firstChanged });
+    return firstChanged;
+  }
+
+  async _rememberBlocks(from, to) {
+    const blocks = [];
+    for (let n = from; n <= to; n++) {
+      const block = await this.provider.getBlock(n);
+      blocks.push({ number: n, hash: block.hash });
+    }
+    this.store.rememberBlocks(blocks, this.reorgDepth);
+  }
+
+  async _ingestRange(fromBlock, toBlock) {
+    const added = [];
+
+    // markets first, so their own events in the same range are picked up below
+    const deployments = await this.provider.getLogs({
+      address: this.factoryAddress,
+      topics: [[factoryInterface.getEvent("MarketDeployed").topicHash, factoryInterface.getEvent("CategoricalMarketDeployed").topicHash]],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of deployments) {
+      const parsed = factoryInterface.parseLog(log);
+      const address = getAddress(parsed.args.marketAddress);
+      const market = {
+        address,
+        kind: parsed.name === "MarketDeployed" ? "binary" : "categorical",
+        creator: parsed.args.creator,
+        question: parsed.args.question,
+        outcomeCount: parsed.name === "MarketDeployed" ? 2 : Number(parsed.args.outcomeCount),
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+      };
+      if (!this.store.getMarketRecord(address)) {
+        this.store.addMarket(market);
+        this.emit("market", market);
+      }
+      const event = toEvent(log, address, parsed);
+      if (this.store.addEvent(event)) added.push(event);
+    }
+
+    const addresses = this.store.marketAddresses();
+    for (let i = 0; i < addresses.length; i += ADDRESS_CHUNK) {
+      const logs = await this.provider.getLogs({ address: addresses.slice(i, i + ADDRESS_CHUNK), fromBlock, toBlock });
+      for (const log of logs) {
+        const market = this.store.getMarketRecord(log.address);
+        const parsed = interfaces[market.kind].parseLog(log);
+        if (!parsed) continue;
+        const event = toEvent(log, market.address, parsed);
+        if (this.store.addEvent(event)) added.push(event);
+      }
+    }
+
+    // positions of the markets above, including transfers between holders
+    const transfers = await this.provider.getLogs({
+      address: this._positionToken,
+      topics: [[positionInterface.getEvent("TransferSingle").topicHash, positionInterface.getEvent("TransferBatch").topicHash]],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of transfers) {
+      for (const event of toPositionEvents(log, positionInterface.parseLog(log))) {
+        if (!this.store.getMarketRecord(event.market)) continue;
+        if (this.store.addEvent(event)) added.push(event);
+      }
+    }
+
+    added.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    for (const event of added) this.emit("event", event);
+    return added.length;
+  }
+}
+
+module.exports = {
+  MarketIndexer,
+};
@@ -0,0 +1,212 @@
+// Replays a market's indexed events through the integer arithmetic of Market.sol and CategoricalMarket.sol,
+// so pools, prices, position balances and claimable amounts match the contracts to the wei without
+// reading chain state. Everything is BigInt; pools, prices and balances are arrays indexed by outcome
+// (binary markets: 0 = NO, 1 = YES).
+const { ZeroAddress } = require("ethers");
+const { categoricalPrices, priceNo, priceYes, toWad } = require("../sdk/quote");
+const { stateAfter } = require("./store");
+
+const NO = 0;
+const YES = 1;
+
+function binaryPrices([noPool, yesPool]) {
+  if (noPool === 0n || yesPool === 0n) return null;
+  return [toWad(priceNo({ yesPool, noPool })), toWad(priceYes({ yesPool, noPool }))];
+}
+
+function pricesOf(kind, pools) {
+  if (kind === "binary") return binaryPrices(pools);
+  return pools.some((pool) => pool === 0n) ? null : categoricalPrices(pools);
+}
+
+// Folds one market's events, in chain order, into its current state. apply() returns the price point
+// an event produced ({ blockNumber, txHash, event, pools, prices, fee }) or null when the pools did not move.
+class MarketReplay {
+  constructor(record) {
+    const n = record.outcomeCount;
+    this.kind = record.kind;
+    this.outcomeCount = n;
+    this.state = "Created";
+    this.outcome = null;
+    this.feeBps = null;
+    this.initialLiquidity = 0n;
+    this.pools = new Array(n).fill(0n);
+    this.prices = null;
+    this.totalPositions = new Array(n).fill(0n);
+    // binary: PositionToken balances; categorical: the market's positions mapping
+    this.positions = new Map();
+    // categorical: deposits after fees, refunded on cancel
+    this.deposits = new Map();
+    this.lpSupply = 0n;
+    this.payoutPool = 0n;
+    this.liquidityPayout = 0n;
+    this.priceHistory = [];
+    // FeeCollected is emitted just before the trade it was taken from
+    this._fee = null;
+  }
+
+  _holder(user) {
+    const key = user.toLowerCase();
+    if (!this.positions.has(key)) this.positions.set(key, new Array(this.outcomeCount).fill(0n));
+    return this.positions.get(key);
+  }
+
+  _takeFee(event) {
+    const amount = this._fee && this._fee.txHash === event.txHash ? this._fee.amount : 0n;
+    this._fee = null;
+    return amount;
+  }
+
+  _snapshot(event, fee = null) {
+    this.prices = pricesOf(this.kind, this.pools);
+    const point = {
+      blockNumber: event.blockNumber,
+      txHash: event.txHash,
+      event: event.name,
+      pools: this.pools.slice(),
+      prices: this.prices,
+      fee,
+    };
+    this.priceHistory.push(point);
+    return point;
+  }
+
+  apply(event) {
+    const { args } = event;
+    this.state = stateAfter(event) || this.state;
+
+    switch (event.name) {
+      case "MarketCreated":
+        this.feeBps = Number(args.feeBps);
+        this.pools = [BigInt(args.noPool), BigInt(args.yesPool)];
+        this.lpSupply = this.pools[NO] + this.pools[YES];
+        return this._snapshot(event);
+      case "CategoricalMarketCreated":
+        this.feeBps = Number(args.feeBps);
+        this.initialLiquidity = BigInt(args.initialLiquidity);
+        this.pools = new Array(this.outcomeCount).fill(this.initialLiquidity);
+        return this._snapshot(event);
+      case "FeeUpdated":
+        // an announced change only counts once applied, see FeeSchedule
+        this.feeBps = Number(args.feeBps);
+        return null;
+      case "FeeCollected":
+        this._fee = { txHash: event.txHash, amount: BigInt(args.amount) };
+        return null;
+      case "BetPlaced": {
+        const fee = this._takeFee(event);
+        const amountAfterFee = BigInt(args.amountIn) - fee;
+        const units = BigInt(args.positionUnits);
+        const outcome = Number(args.outcome);
+        if (this.kind === "binary") {
+          this.pools[1 - outcome] += amountAfterFee;
+          this.pools[outcome] -= units;
+        } else {
+          this.pools = this.pools.map((pool, j) => (j === outcome ? pool + amountAfterFee - units : pool + amountAfterFee));
+          this._holder(args.user)[outcome] += units;
+          this.totalPositions[outcome] += units;
+          const key = args.user.toLowerCase();
+          this.deposits.set(key, (this.deposits.get(key) || 0n) + amountAfterFee);
+        }
+        return this._snapshot(event, fee);
+      }
+      case "PositionSold": {
+        const fee = this._takeFee(event);
+        const outcome = Number(args.outcome);
+        this.pools[outcome] += BigInt(args.positionUnits);
+        this.pools[1 - outcome] -= BigInt(args.amountOut) + fee;
+        return this._snapshot(event, fee);
+      }
+      case "LiquidityAdded": {
+        const amount = BigInt(args.amount);
+        const yesIn = (amount * this.pools[YES]) / (this.pools[YES] + this.pools[NO]);
+        this.pools[YES] += yesIn;
+        this.pools[NO] += amount - yesIn;
+        this.lpSupply += BigInt(args.shares);
+        return this._snapshot(event);
+      }
+      case "LiquidityRemoved": {
+        const shares = BigInt(args.shares);
+        const supply = this.lpSupply;
+        this.lpSupply -= shares;
+        if (this.state !== "Active") {
+          this.liquidityPayout -= BigInt(args.amount);
+          return null;
+        }
+        this.pools = this.pools.map((pool) => pool - (pool * shares) / supply);
+        return this._snapshot(event);
+      }
+      case "PositionTransfer": {
+        const outcome = Number(args.outcome);
+        const value = BigInt(args.value);
+        if (args.from === ZeroAddress) this.totalPositions[outcome] += value;
+        else this._holder(args.from)[outcome] -= value;
+        if (args.to === ZeroAddress) this.totalPositions[outcome] -= value;
+        else this._holder(args.to)[outcome] += value;
+        return null;
+      }
+      case "MarketResolved":
+        this.outcome = Number(args.outcome);
+        if (this.kind === "binary") {
+          // Market._settle: winners share their positions plus the losing pool; with no winners it stays with the liquidity
+          const winning = this.totalPositions[this.outcome];
+          this.payoutPool = winning > 0n ? winning + this.pools[1 - this.outcome] : 0n;
+          this.liquidityPayout = this.pools[NO] + this.pools[YES] + this.totalPositions[NO] + this.totalPositions[YES] - this.payoutPool;
+        } else {
+          this.liquidityPayout = this.pools[this.outcome];
+        }
+        return null;
+      case "MarketCancelled":
+        this.liquidityPayout = this.kind === "binary" ? this.pools[NO] + this.pools[YES] : this.initialLiquidity;
+        return null;
+      case "Claimed":
+        if (this.kind === "binary") {
+          // refunds and claims burn their positions through PositionTransfer; only the payout pool moves here
+          if (this.state === "Resolved") this.payoutPool -= BigInt(args.amount);
+        } else if (this.state === "Resolved") {
+          this._holder(args.user)[this.outcome] = 0n;
+        } else {
+          this.deposits.set(args.user.toLowerCase(), 0n);
+        }
+        return null;
+      case "LiquidityWithdrawn":
+        this.liquidityPayout = 0n;
+        return null;
+      default:
+        return null;
+    }
+  }
+}
+
+// `events` are the market's events in chain order, as IndexerStore.getEvents({ market }) returns them.
+function replayMarket(record, events) {
+  const replay = new MarketReplay(record);
+  for (const event of events) replay.apply(event);
+  replay.prices = pricesOf(replay.kind, replay.pools);
+  return replay;
+}
+
+// What claim() (resolved) or refund() (cancelled) would pay `user` right now.
+function claimableOf(replayed, user) {
+  const key = user.toLowerCase();
+  const positions = replayed.positions.get(key) || [];
+  if (replayed.state === "Resolved") {
+    const pos = positions[replayed.outcome] || 0n;
+    if (replayed.kind !== "binary") return { action: "claim", amount: pos };
+    // Market.claim: pos * payoutPool / remaining winning positions
+    const total = replayed.totalPositions[replayed.outcome];
+    return { action: "claim", amount: pos > 0n && total > 0n ? (pos * replayed.payoutPool) / total : 0n };
+  }
+  if (replayed.state === "Cancelled") {
+    // binary positions are repaid 1:1; categorical traders get their deposits back
+    const amount = replayed.kind === "binary" ? positions.reduce((a, b) => a + b, 0n) : replayed.deposits.get(key) || 0n;
+    return { action: "refund", amount };
+  }
+  return { action: null, amount: 0n };
+}
+
+module.exports = {
+  MarketReplay,
+  claimableOf,
+  replayMarket,
+};
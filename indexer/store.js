@@ -0,0 +1,244 @@
+// Local store for the indexer: one JSON file per network holding the markets the factory deployed,
+// every decoded market event and the checkpoint the indexer resumes from. PositionToken transfers of a
+// market's positions are stored with that market as "PositionTransfer" events ({ operator, from, to, outcome, value }).
+//
+// {
+//   "version": 1,
+//   "chainId": 11155111,
+//   "factory": "0x...",
+//   "checkpoint": 123,                     // last block fully ingested
+//   "blocks": [{ "number", "hash" }],      // recent block hashes, re-checked for reorgs
+//   "markets": [{ address, kind, creator, question, outcomeCount, blockNumber, txHash }],
+//   "events": [{ id, market, name, args, blockNumber, blockHash, txHash, logIndex }]
+// }
+//
+// Event arguments are stored by name with integers as decimal strings. Market state, trades, claims and
+// portfolios are derived from the events on read, so rolling back a reorged range is just dropping it.
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+// Market.State names, driven by the events that move a market between them
+const STATE_BY_EVENT = {
+  MarketActivated: "Active",
+  OutcomeProposed: "Proposed",
+  OutcomeDisputed: "Disputed",
+  MarketResolved: "Resolved",
+  MarketCancelled: "Cancelled",
+};
+
+// The state `event` moves its market to, or null. A binary market deployed without seeded pools has
+// nothing to back and starts Active, so no MarketActivated follows its MarketCreated
+function stateAfter(event) {
+  if (event.name === "MarketCreated") {
+    return BigInt(event.args.yesPool) + BigInt(event.args.noPool) > 0n ? "Created" : "Active";
+  }
+  return STATE_BY_EVENT[event.name] || null;
+}
+
+function emptyState() {
+  return { version: STORE_VERSION, chainId: null, factory: null, checkpoint: null, blocks: [], markets: [], events: [] };
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+class IndexerStore {
+  // `file` null keeps everything in memory.
+  constructor(file = null) {
+    this.file = file;
+    this.data = emptyState();
+    if (file && fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (data.version > STORE_VERSION) {
+        throw new Error(`${file} is indexer store version ${data.version}; this indexer reads up to ${STORE_VERSION}`);
+      }
+      this.data = { ...emptyState(), ...data };
+    }
+    this._eventIds = new Set(this.data.events.map((e) => e.id));
+  }
+
+  // Binds the store to a chain and factory; refuses a file written for another one.
+  init({ chainId, factory }) {
+    const { data } = this;
+    if (data.chainId !== null && Number(data.chainId) !== Number(chainId)) {
+      throw new Error(`indexer store belongs to chain ${data.chainId}, not ${chainId}`);
+    }
+    if (data.factory !== null && !sameAddress(data.factory, factory)) {
+      throw new Error(`indexer store follows factory ${data.factory}, not ${factory}`);
+    }
+    data.chainId = Number(chainId);
+    data.factory = factory;
+  }
+
+  get checkpoint() {
+    return this.data.checkpoint;
+  }
+
+  set checkpoint(blockNumber) {
+    this.data.checkpoint = blockNumber;
+  }
+
+  recentBlocks() {
+    return this.data.blocks.slice();
+  }
+
+  // Keeps the hashes of the last `depth` ingested blocks.
+  rememberBlocks(blocks, depth) {
+    const byNumber = new Map(this.data.blocks.map((b) => [b.number, b]));
+    for (const block of blocks) byNumber.set(block.number, block);
+    this.data.blocks = [...byNumber.values()].sort((a, b) => a.number - b.number).slice(-depth);
+  }
+
+  addMarket(market) {
+    if (!this.getMarketRecord(market.address)) this.data.markets.push(market);
+  }
+
+  getMarketRecord(address) {
+    return this.data.markets.find((m) => sameAddress(m.address, address)) || null;
+  }
+
+  marketAddresses() {
+    return this.data.markets.map((m) => m.address);
+  }
+
+  addEvent(event) {
+    if (this._eventIds.has(event.id)) return false;
+    this._eventIds.add(event.id);
+    this.data.events.push(event);
+    return true;
+  }
+
+  // Drops everything ingested from `blockNumber` on; the indexer re-ingests it from the canonical chain.
+  rollback(blockNumber) {
+    const { data } = this;
+    data.events = data.events.filter((e) => e.blockNumber < blockNumber);
+    this._eventIds = new Set(data.events.map((e) => e.id));
+    data.markets = data.markets.filter((m) => m.blockNumber < blockNumber);
+    data.blocks = data.blocks.filter((b) => b.number < blockNumber);
+    if (data.checkpoint !== null && data.checkpoint >= blockNumber) {
+      data.checkpoint = blockNumber - 1;
+    }
+  }
+
+  // Events in chain order, optionally filtered by market, name(s), block range and any argument holding `user`.
+  getEvents({ market, name, user, fromBlock, toBlock } = {}) {
+    const names = name === undefined ? null : [].concat(name);
+    return this.data.events
+      .filter((e) => !market || sameAddress(e.market, market))
+      .filter((e) => !names || names.includes(e.name))
+      .filter((e) => fromBlock === undefined || e.blockNumber >= fromBlock)
+      .filter((e) => toBlock === undefined || e.blockNumber <= toBlock)
+      .filter((e) => !user || Object.values(e.args).some((v) => typeof v === "string" && sameAddress(v, user)))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  // Markets with their current state folded from their events.
+  getMarkets() {
+    return this.data.markets.map((m) => this.getMarket(m.address));
+  }
+
+  getMarket(address) {
+    const record = this.getMarketRecord(address);
+    if (!record) return null;
+
+    const market = { ...record, state: "Created", outcome: null, volume: "0", fees: "0", trades: 0 };
+    let volume = 0n;
+    let fees = 0n;
+    for (const event of this.getEvents({ market: record.address })) {
+      market.state = stateAfter(event) || market.state;
+      if (event.name === "MarketResolved") market.outcome = Number(event.args.outcome);
+      if (event.name === "BetPlaced") {
+        volume += BigInt(event.args.amountIn);
+        market.trades++;
+      }
+      if (event.name === "PositionSold") {
+        volume += BigInt(event.args.amountOut);
+        market.trades++;
+      }
+      if (event.name === "FeeCollected") fees += BigInt(event.args.amount);
+    }
+    market.volume = volume.toString();
+    market.fees = fees.toString();
+    return market;
+  }
+
+  // Buys and sells as { type, market, user, outcome, amount, units, blockNumber, txHash }.
+  getTrades({ market, user } = {}) {
+    return this.getEvents({ market, user, name: ["BetPlaced", "PositionSold"] }).map((e) => ({
+      type: e.name === "BetPlaced" ? "buy" : "sell",
+      market: e.market,
+      user: e.args.user,
+      outcome: Number(e.args.outcome),
+      amount: e.name === "BetPlaced" ? e.args.amountIn : e.args.amountOut,
+      units: e.args.positionUnits,
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+    }));
+  }
+
+  getClaims({ market, user } = {}) {
+    return this.getEvents({ market, user, name: "Claimed" }).map((e) => ({
+      market: e.market,
+      user: e.args.user,
+      to: e.args.to,
+      amount: e.args.amount,
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+    }));
+  }
+
+  // Per-market cash flows of `user`: spent on buys, received from sells and claims, and realized PnL.
+  // Positions moved with PositionToken transfers are not followed.
+  getPortfolio(user) {
+    const byMarket = new Map();
+    const entry = (market) => {
+      if (!byMarket.has(market)) byMarket.set(market, { market, spent: 0n, received: 0n, units: {} });
+      return byMarket.get(market);
+    };
+    for (const trade of this.getTrades({ user })) {
+      if (!sameAddress(trade.user, user)) continue;
+      const e = entry(trade.market);
+      const units = BigInt(trade.units);
+      e.units[trade.outcome] = (e.units[trade.outcome] || 0n) + (trade.type === "buy" ? units : -units);
+      if (trade.type === "buy") e.spent += BigInt(trade.amount);
+      else e.received += BigInt(trade.amount);
+    }
+    for (const claim of this.getClaims({ user })) {
+      if (!sameAddress(claim.user, user)) continue;
+      entry(claim.market).received += BigInt(claim.amount);
+    }
+
+    return [...byMarket.values()].map((e) => {
+      const market = this.getMarket(e.market);
+      return {
+        market: e.market,
+        state: market ? market.state : null,
+        spent: e.spent.toString(),
+        received: e.received.toString(),
+        pnl: (e.received - e.spent).toString(),
+        units: Object.fromEntries(Object.entries(e.units).map(([outcome, units]) => [outcome, units.toString()])),
+      };
+    });
+  }
+
+  save(file = this.file) {
+    if (!file) return null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // write-then-rename so a crash mid-write never leaves a truncated store behind
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data) + "\n");
+    fs.renameSync(tmp, file);
+    this.file = file;
+    return file;
+  }
+}
+
+module.exports = {
+  STATE_BY_EVENT,
+  stateAfter,
+  STORE_VERSION,
+  IndexerStore,
+};
@@ -0,0 +1,35 @@
+// Append-only audit log of the keeper's decisions: one JSON object per line, so the file can be tailed
+// and grepped while the keeper runs. `file` null keeps the entries in memory only.
+const fs = require("fs");
+const path = require("path");
+
+class AuditLog {
+  constructor(file = null) {
+    this.file = file;
+    this.entries = [];
+    if (file) fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  append(entry) {
+    const line = { at: new Date().toISOString(), ...entry };
+    this.entries.push(line);
+    if (this.file) {
+      fs.appendFileSync(this.file, JSON.stringify(line, (key, value) => (typeof value === "bigint" ? value.toString() : value)) + "\n");
+    }
+    return line;
+  }
+
+  // Every entry written to `file`, oldest first.
+  static read(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+}
+
+module.exports = {
+  AuditLog,
+};
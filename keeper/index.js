@@ -0,0 +1,9 @@
+const audit = require("./audit");
+const keeper = require("./keeper");
+const sources = require("./sources");
+
+module.exports = {
+  ...audit,
+  ...keeper,
+  ...sources,
+};
@@ -0,0 +1,257 @@
+// Oracle keeper: resolves binary markets once their resolution opens. Each due market's question hash is
+// looked up in the rules, the rule's source is asked for the answer and the answer is submitted as
+// Market.resolve(0 = NO | 1 = YES | 2 = cancel). Every decision is written to the audit log.
+//
+// Rules are keyed by question hash (or the plain question, hashed like the deploy script does):
+//   { "source": "file" | "http" | <custom>, ...source options,
+//     "outcomes": { "<answer>": "yes" | "no" | "cancel" },   // optional answer mapping
+//     "threshold": 100000,                                  // optional: numeric answer >= threshold is YES
+//     "cancelAfter": 86400 }                                // optional: cancel when still unanswered this long after opening
+//
+// Emits "decision" (each audit entry) and "error" (failed passes under start()).
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { id } = require("ethers");
+const { MarketState, Outcome, PredictionMarketError, parseContractError, toQuestionHash } = require("../sdk");
+const { AuditLog } = require("./audit");
+const { defaultSources } = require("./sources");
+
+const ORACLE_ROLE = id("ORACLE_ROLE");
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const OUTCOMES = { no: Outcome.NO, yes: Outcome.YES, cancel: Outcome.CANCEL };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Rule keys normalized to lowercase question hashes
+function normalizeRules(rules = {}) {
+  return Object.fromEntries(Object.entries(rules).map(([question, rule]) => [toQuestionHash(question).toLowerCase(), rule]));
+}
+
+// { "rules": { ... } } from a JSON file; file sources in it resolve relative to the file's directory.
+function loadKeeperConfig(file) {
+  if (!fs.existsSync(file)) throw new Error(`No keeper config at ${file}`);
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { rules: normalizeRules(config.rules), baseDir: path.dirname(path.resolve(file)) };
+}
+
+// Raw source answer -> Market.resolve outcome
+function toOutcome(answer, rule = {}) {
+  let value = answer;
+  if (rule.outcomes && Object.prototype.hasOwnProperty.call(rule.outcomes, String(answer))) {
+    value = rule.outcomes[String(answer)];
+  } else if (rule.threshold !== undefined) {
+    const number = Number(answer);
+    if (Number.isNaN(number)) throw new Error(`answer ${JSON.stringify(answer)} is not a number to compare with ${rule.threshold}`);
+    return number >= Number(rule.threshold) ? Outcome.YES : Outcome.NO;
+  }
+  if (value === true || value === false) return value ? Outcome.YES : Outcome.NO;
+  if (Object.values(OUTCOMES).includes(value)) return value;
+  const outcome = OUTCOMES[String(value).toLowerCase()];
+  if (outcome === undefined) throw new Error(`answer ${JSON.stringify(answer)} does not map to yes, no or cancel`);
+  return outcome;
+}
+
+class OracleKeeper extends EventEmitter {
+  // `client` is a PredictionMarketClient whose runner is the oracle's signer, ideally an ethers
+  // NonceManager so resolutions sent in one pass get consecutive nonces.
+  constructor({
+    client,
+    rules = {},
+    sources = defaultSources(),
+    audit = new AuditLog(),
+    dryRun = false,
+    retries = DEFAULT_RETRIES,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    wait = sleep,
+  }) {
+    super();
+    if (!client) throw new Error("client is required");
+    this.client = client;
+    this.rules = normalizeRules(rules);
+    this.sources = sources;
+    this.audit = audit;
+    this.dryRun = dryRun;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.wait = wait;
+    // last decision per market, so a market waiting on its source is not logged again on every pass
+    this._last = new Map();
+    this._timer = null;
+    this._running = false;
+  }
+
+  // One pass over the factory's markets. Sends every due resolution, then waits for their receipts.
+  // Returns the decisions made in this pass.
+  async runOnce() {
+    const provider = this.client.runner.provider;
+    const now = (await provider.getBlock("latest")).timestamp;
+    const oracle = await this.client.signerAddress();
+    const decisions = [];
+    const sent = [];
+
+    // only Active markets can be due; the factory's state index saves reading every market
+    const active = await this.client.findMarkets({ state: MarketState.Active });
+    for (const { address } of active.filter((m) => m.kind === "binary")) {
+      const result = await this._consider(address, { now, oracle });
+      if (!result) continue;
+      if (result.decision) decisions.push(result.decision);
+      if (result.tx) sent.push(result);
+    }
+
+    for (const { tx, entry } of sent) {
+      try {
+        const receipt = await tx.wait();
+        decisions.push(this._note(entry.market, { ...entry, decision: "confirmed", blockNumber: receipt.blockNumber }));
+      } catch (err) {
+        decisions.push(this._note(entry.market, { ...entry, decision: "error", stage: "receipt", error: parseContractError(err).message }));
+      }
+    }
+    return decisions;
+  }
+
+  // Runs runOnce() every `interval` ms until stop(). Errors go to "error" listeners and the loop carries on.
+  start({ interval = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    if (this._running) return;
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (err) {
+        if (this.listenerCount("error") > 0) this.emit("error", err);
+        else console.error("keeper pass failed:", err.message);
+      }
+      if (this._running) this._timer = setTimeout(tick, interval);
+    };
+    tick();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _consider(address, { now, oracle }) {
+    const market = this.client.market(address);
+    const [state, question, opensAt, disputeWindow] = await Promise.all([
+      market.state(),
+      market.question(),
+      market.resolutionOpensAt(),
+      market.disputeWindow(),
+    ]);
+    // only open markets whose resolution has opened are due; the rest are not decisions yet
+    if (Number(state) !== MarketState.Active || Number(opensAt) > now) return null;
+
+    const base = { market: address, question, dryRun: this.dryRun };
+    const rule = this.rules[question.toLowerCase()];
+    if (!rule) return { decision: this._note(address, { ...base, decision: "skip", reason: "no rule for question" }) };
+    base.source = rule.source;
+    if (Number(disputeWindow) > 0) {
+      return { decision: this._note(address, { ...base, decision: "skip", reason: "market resolves through proposeOutcome" }) };
+    }
+    if (!(await market.hasRole(ORACLE_ROLE, oracle))) {
+      return { decision: this._note(address, { ...base, decision: "skip", reason: `${oracle} lacks ORACLE_ROLE` }) };
+    }
+    const source = this.sources[rule.source];
+    if (!source) return { decision: this._note(address, { ...base, decision: "error", stage: "source", error: `unknown source ${rule.source}` }) };
+
+    let answer;
+    try {
+      answer = await this._retry(() => source.fetch(rule, { address, question, opensAt: Number(opensAt) }));
+    } catch (err) {
+      return { decision: this._note(address, { ...base, decision: "error", stage: "source", error: err.message }) };
+    }
+
+    let outcome;
+    let reason;
+    if (answer === null || answer === undefined) {
+      if (rule.cancelAfter === undefined || now < Number(opensAt) + Number(rule.cancelAfter)) {
+        return { decision: this._note(address, { ...base, decision: "wait", reason: "no answer yet" }) };
+      }
+      outcome = Outcome.CANCEL;
+      reason = `no answer ${rule.cancelAfter}s after resolution opened`;
+    } else {
+      try {
+        outcome = toOutcome(answer, rule);
+      } catch (err) {
+        return { decision: this._note(address, { ...base, decision: "error", stage: "answer", answer, error: err.message }) };
+      }
+    }
+    const entry = { ...base, answer: answer === undefined ? null : answer, outcome, ...(reason ? { reason } : {}) };
+
+    if (this.dryRun) {
+      try {
+        await market.resolve.staticCall(outcome);
+      } catch (err) {
+        return { decision: this._note(address, { ...entry, decision: "error", stage: "simulate", error: parseContractError(err).message }) };
+      }
+      return { decision: this._note(address, { ...entry, decision: "dry-run" }) };
+    }
+
+    let tx;
+    try {
+      tx = await this._sendResolve(market, outcome, oracle);
+    } catch (err) {
+      return { decision: this._note(address, { ...entry, decision: "error", stage: "send", error: err.message }) };
+    }
+    const sent = { ...entry, txHash: tx.hash, nonce: tx.nonce };
+    return { decision: this._note(address, { ...sent, decision: "resolve" }), tx, entry: sent };
+  }
+
+  // market.resolve(outcome) with retries. A send that failed may still have been broadcast, so before sending
+  // again the market and the account's pending nonce are read back: the send is only repeated while the market
+  // is still Active and no transaction has taken the nonce the failed send would have used.
+  async _sendResolve(market, outcome, oracle) {
+    const provider = this.client.runner.provider;
+    const nonce = await provider.getTransactionCount(oracle, "pending");
+    return this._retry(
+      () => market.resolve(outcome),
+      async () => {
+        const [state, pending] = await Promise.all([market.state(), provider.getTransactionCount(oracle, "pending")]);
+        if (Number(state) !== MarketState.Active) return `market left Active (state ${state}) after a failed send`;
+        if (pending > nonce) return `nonce ${nonce} was taken after a failed send, which may still be mined`;
+        return null;
+      },
+    );
+  }
+
+  // Retries transient failures (network, RPC, source) with exponential backoff. Contract reverts are final.
+  // `blocked()` runs after each backoff; a reason it returns ends the retries with that reason as the error.
+  async _retry(action, blocked = async () => null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await action();
+      } catch (err) {
+        // a NonceManager counts a nonce as used even when the send fails; make it re-read the account's nonce
+        if (typeof this.client.runner.reset === "function") this.client.runner.reset();
+        const parsed = parseContractError(err);
+        if (parsed instanceof PredictionMarketError || attempt >= this.retries) throw parsed;
+        await this.wait(this.backoffMs * 2 ** attempt);
+        const reason = await blocked();
+        if (reason) throw new Error(`${reason}; not retried`);
+      }
+    }
+  }
+
+  // Writes `entry` to the audit log unless it repeats the market's previous decision.
+  _note(address, entry) {
+    const key = JSON.stringify([entry.decision, entry.reason, entry.outcome, entry.error]);
+    if (this._last.get(address) === key && entry.decision !== "confirmed") return null;
+    this._last.set(address, key);
+    const line = this.audit.append(entry);
+    this.emit("decision", line);
+    return line;
+  }
+}
+
+module.exports = {
+  OracleKeeper,
+  loadKeeperConfig,
+  normalizeRules,
+  toOutcome,
+};
@@ -0,0 +1,56 @@
+// Answer sources for the oracle keeper. A source is { fetch(rule, market) } resolving to the raw answer
+// for a market's question, or null/undefined while there is none yet. The keeper maps answers to
+// outcomes (see toOutcome in keeper.js), so sources only locate a value.
+//
+// Both built-in sources read JSON and pick the value at the rule's dotted `path` ("result", "data.0.winner").
+const fs = require("fs");
+const path = require("path");
+
+function pick(document, dotted) {
+  if (!dotted) return document;
+  let value = document;
+  for (const key of String(dotted).split(".")) {
+    if (value === null || value === undefined) return null;
+    value = value[key];
+  }
+  return value === undefined ? null : value;
+}
+
+// { "source": "file", "file": "answers/rain.json", "path": "result" }; relative files are read from `baseDir`.
+// A missing file means no answer yet.
+function jsonFileSource({ baseDir = process.cwd() } = {}) {
+  return {
+    async fetch(rule) {
+      if (!rule.file) throw new Error("file source needs a file");
+      const file = path.resolve(baseDir, rule.file);
+      if (!fs.existsSync(file)) return null;
+      return pick(JSON.parse(fs.readFileSync(file, "utf8")), rule.path);
+    },
+  };
+}
+
+// { "source": "http", "url": "http://127.0.0.1:8080/rain", "path": "result" }; a 404 means no answer yet.
+function httpSource({ fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+  return {
+    async fetch(rule) {
+      if (!rule.url) throw new Error("http source needs a url");
+      const res = await fetchImpl(rule.url, { headers: { accept: "application/json", ...headers, ...(rule.headers || {}) } });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`${rule.url} answered ${res.status}`);
+      return pick(await res.json(), rule.path);
+    },
+  };
+}
+
+function defaultSources({ baseDir } = {}) {
+  return {
+    file: jsonFileSource({ baseDir }),
+    http: httpSource(),
+  };
+}
+
+module.exports = {
+  defaultSources,
+  httpSource,
+  jsonFileSource,
+};
@@ -0,0 +1,189 @@
+// Shared plumbing for the operator tasks in tasks/: locating the deployment, parsing human input,
+// running a task's transactions (or simulating them with eth_call under --dry-run) and printing results.
+const path = require("path");
+const { getAddress, id, isAddress, parseUnits } = require("ethers");
+const { types } = require("hardhat/config");
+const { DeploymentRegistry } = require("./registry");
+const { parseContractError } = require("../sdk/errors");
+
+const ROLES = ["ORACLE_ROLE", "PAUSER_ROLE", "MINTER_ROLE", "DEFAULT_ADMIN_ROLE"];
+const INSUFFICIENT_ALLOWANCE = id("ERC20InsufficientAllowance(address,uint256,uint256)").slice(0, 10);
+
+// Adds the options every operator task takes.
+function withCommonParams(definition) {
+  return definition
+    .addFlag("dryRun", "Simulate the transactions with eth_call instead of sending them")
+    .addFlag("json", "Print the result as JSON")
+    .addOptionalParam("from", "Signer address (default: first account)", undefined, types.string)
+    .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string);
+}
+
+async function getSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) {
+    if (signers.length === 0) throw new Error(`No accounts configured for ${hre.network.name}`);
+    return signers[0];
+  }
+  const wanted = getAddress(from);
+  const signer = signers.find((s) => s.address === wanted);
+  if (!signer) throw new Error(`${wanted} is not one of the configured accounts`);
+  return signer;
+}
+
+// Signer plus the factory and settlement token recorded in deployments/<network>.json.
+async function loadContext(hre, { dir, from } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = DeploymentRegistry.load(hre.network.name, {
+    dir: dir || path.join(hre.config.paths.root, "deployments"),
+    chainId: Number(chainId),
+  });
+  const factoryEntry = registry.getContract("MarketFactory");
+  if (!factoryEntry) {
+    throw new Error(`No MarketFactory in ${registry.file}; deploy first with scripts/deploy.js`);
+  }
+
+  const signer = await getSigner(hre, from);
+  const factory = await hre.ethers.getContractAt("MarketFactory", factoryEntry.address, signer);
+  const token = await hre.ethers.getContractAt("SettlementToken", await factory.settlementToken(), signer);
+  const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  return { registry, signer, factory, token, decimals: Number(decimals), symbol };
+}
+
+// "1,000.5" -> 1000500000000000000000n for an 18-decimal token
+function parseAmount(value, decimals) {
+  const text = String(value).replace(/[_,]/g, "").trim();
+  let amount;
+  try {
+    amount = parseUnits(text, decimals);
+  } catch (e) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  if (amount <= 0n) throw new Error(`Amount must be positive: ${value}`);
+  return amount;
+}
+
+// Unix seconds, or any date Date.parse understands ("2027-01-01", "2027-01-01T12:00:00Z"); empty or "0" means unscheduled.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "" || value === "0") return 0;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(ms / 1000);
+}
+
+function parseSide(value) {
+  const side = String(value).toLowerCase();
+  if (side !== "yes" && side !== "no") throw new Error(`Side must be yes or no, not ${value}`);
+  return side;
+}
+
+// Binary outcomes as Market.resolve takes them
+function parseOutcome(value) {
+  const outcomes = { no: 0, yes: 1, cancel: 2 };
+  const outcome = outcomes[String(value).toLowerCase()];
+  if (outcome === undefined) throw new Error(`Outcome must be yes, no or cancel, not ${value}`);
+  return outcome;
+}
+
+function parseRole(value) {
+  const role = String(value).toUpperCase();
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(", ")}, not ${value}`);
+  return role;
+}
+
+// A market address, or its index in factory.getMarkets()
+async function resolveMarketAddress(factory, value) {
+  if (value === undefined) throw new Error("--market is required");
+  if (isAddress(value)) return getAddress(value);
+  if (/^\d+$/.test(String(value))) {
+    const index = Number(value);
+    const count = Number(await factory.numMarkets());
+    if (index >= count) throw new Error(`No market #${index}; the factory has ${count}`);
+    return factory.markets(index);
+  }
+  throw new Error(`--market must be an address or an index, not ${value}`);
+}
+
+function isAllowanceError(error) {
+  for (let e = error; e; e = e.error || e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith(INSUFFICIENT_ALLOWANCE)) return true;
+  }
+  return /ERC20InsufficientAllowance/.test(String(error.message));
+}
+
+function approvalStep(token, spender, amount, allowance) {
+  if (allowance >= amount) return null;
+  return { label: "approve", contract: token, method: "approve", args: [spender, amount], approval: true };
+}
+
+// Runs `steps` ({ label, contract, method, args, approval? }) in order. With dryRun each one is
+// simulated with eth_call instead; a step that only fails for lack of an approval the plan would have
+// sent first is reported as "requires-approval". Reverts surface as typed SDK errors.
+async function runSteps(steps, { dryRun = false } = {}) {
+  const results = [];
+  for (const step of steps.filter(Boolean)) {
+    const { label, contract, method, args } = step;
+    const result = { label, to: contract.target, method, args, status: null };
+    try {
+      if (dryRun) {
+        const returned = await contract[method].staticCall(...args);
+        if (!(Array.isArray(returned) && returned.length === 0)) result.returned = returned;
+        result.gasEstimate = await contract[method].estimateGas(...args);
+        result.status = "simulated";
+      } else {
+        const receipt = await (await contract[method](...args)).wait();
+        Object.assign(result, { status: "sent", txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, receipt });
+      }
+    } catch (error) {
+      if (dryRun && results.some((r) => r.approval) && isAllowanceError(error)) {
+        result.status = "requires-approval";
+      } else {
+        throw parseContractError(error);
+      }
+    }
+    if (step.approval) result.approval = true;
+    results.push(result);
+  }
+  return results;
+}
+
+function toJSON(value) {
+  return JSON.stringify(
+    value,
+    (key, v) => {
+      if (key === "receipt") return undefined;
+      return typeof v === "bigint" ? v.toString() : v;
+    },
+    2,
+  );
+}
+
+// Prints `result` as JSON with --json, otherwise the human-readable `lines`. Returns `result`.
+function output(result, { json, lines = [] }) {
+  if (json) {
+    console.log(toJSON(result));
+  } else {
+    for (const line of lines) console.log(line);
+    for (const tx of result.transactions || []) {
+      const detail = tx.status === "sent" ? `${tx.txHash} (gas ${tx.gasUsed})` : tx.status === "simulated" ? `ok (gas ~${tx.gasEstimate})` : "";
+      console.log(`  ${tx.label}: ${tx.status} ${detail}`.trimEnd());
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ROLES,
+  approvalStep,
+  loadContext,
+  output,
+  parseAmount,
+  parseOutcome,
+  parseRole,
+  parseSide,
+  parseTimestamp,
+  resolveMarketAddress,
+  runSteps,
+  toJSON,
+  withCommonParams,
+};
@@ -0,0 +1,79 @@
+// Deployment helpers shared by scripts and tests.
+
+// MarketFactory links against the libraries that hold Market and CategoricalMarket bytecode,
+// so they are deployed first and passed to the factory's contract factory.
+const FACTORY_LIBRARIES = ["MarketDeployer", "CategoricalMarketDeployer"];
+
+// `onDeployed(name, library)` is awaited after each library deploys, e.g. to record it in the registry.
+async function deployFactoryLibraries(ethers, onDeployed) {
+  const libraries = {};
+  for (const name of FACTORY_LIBRARIES) {
+    const Library = await ethers.getContractFactory(name);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+    if (onDeployed) await onDeployed(name, library);
+  }
+  return libraries;
+}
+
+async function deployMarketFactory(ethers, settlementToken, admin, libraries) {
+  libraries = libraries || (await deployFactoryLibraries(ethers));
+  const MarketFactory = await ethers.getContractFactory("MarketFactory", { libraries });
+  const marketFactory = await MarketFactory.deploy(settlementToken, admin);
+  await marketFactory.waitForDeployment();
+  return marketFactory;
+}
+
+// OrderRelay executing EIP-712 signed orders on the markets that settle in `settlementToken`
+async function deployOrderRelay(ethers, settlementToken) {
+  const OrderRelay = await ethers.getContractFactory("OrderRelay");
+  const relay = await OrderRelay.deploy(settlementToken);
+  await relay.waitForDeployment();
+  return relay;
+}
+
+// MarketRouter batching trades and claims on the markets that settle in `settlementToken`
+async function deployMarketRouter(ethers, settlementToken) {
+  const MarketRouter = await ethers.getContractFactory("MarketRouter");
+  const router = await MarketRouter.deploy(settlementToken);
+  await router.waitForDeployment();
+  return router;
+}
+
+// AdminTimelock that anyone may execute once the delay has passed (`executors` defaults to address(0)).
+// With no `admin` it administers itself, so its own settings change only through the delay.
+async function deployAdminTimelock(ethers, { minDelay, proposers, executors = [ethers.ZeroAddress], admin = ethers.ZeroAddress }) {
+  const AdminTimelock = await ethers.getContractFactory("AdminTimelock");
+  const timelock = await AdminTimelock.deploy(minDelay, proposers, executors, admin);
+  await timelock.waitForDeployment();
+  return timelock;
+}
+
+async function deployAdminMultisig(ethers, { owners, threshold }) {
+  const AdminMultisig = await ethers.getContractFactory("AdminMultisig");
+  const multisig = await AdminMultisig.deploy(owners, threshold);
+  await multisig.waitForDeployment();
+  return multisig;
+}
+
+// Makes `newAdmin` the only DEFAULT_ADMIN_ROLE holder the caller knows of: grants it, then renounces the
+// caller's own. Other roles the caller holds (PAUSER_ROLE, ORACLE_ROLE) are kept.
+async function handOverAdmin(contract, newAdmin) {
+  const runner = contract.runner;
+  const role = await contract.DEFAULT_ADMIN_ROLE();
+  const receipts = [await (await contract.grantRole(role, newAdmin)).wait()];
+  receipts.push(await (await contract.renounceRole(role, await runner.getAddress())).wait());
+  return receipts;
+}
+
+module.exports = {
+  FACTORY_LIBRARIES,
+  deployAdminMultisig,
+  deployAdminTimelock,
+  deployFactoryLibraries,
+  deployMarketFactory,
+  deployMarketRouter,
+  deployOrderRelay,
+  handOverAdmin,
+};
@@ -0,0 +1,72 @@
+// Content-addressed store of question metadata: metadata/<question hash>.json holds the canonical JSON the
+// hash commits to, so `keccak256(file bytes)` is the file name and the store can be copied, served or
+// pinned anywhere without trusting whoever hosts it. Documents are checked against their hash when they
+// are written and again when they are read back.
+const fs = require("fs");
+const path = require("path");
+const { isHexString } = require("ethers");
+const { InvalidMetadataError, MetadataMismatchError } = require("../sdk/errors");
+const { canonicalizeQuestionMetadata, hashQuestionMetadata, verifyQuestionMetadata } = require("../sdk/metadata");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "metadata");
+
+class MetadataStore {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+  }
+
+  file(questionHash) {
+    if (!isHexString(questionHash, 32)) throw new InvalidMetadataError(`${questionHash} is not a bytes32 question hash`);
+    return path.join(this.dir, `${questionHash.toLowerCase()}.json`);
+  }
+
+  // Validates and writes `metadata`; returns its question hash. Writing the same document twice is a no-op.
+  put(metadata) {
+    const questionHash = hashQuestionMetadata(metadata);
+    const file = this.file(questionHash);
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(file, canonicalizeQuestionMetadata(metadata));
+    }
+    return questionHash;
+  }
+
+  has(questionHash) {
+    return fs.existsSync(this.file(questionHash));
+  }
+
+  // The document stored under `questionHash`, or null. Throws MetadataMismatchError if the file was edited.
+  get(questionHash) {
+    const file = this.file(questionHash);
+    if (!fs.existsSync(file)) return null;
+    let metadata;
+    try {
+      metadata = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new MetadataMismatchError(`${file} is not valid JSON`, { expected: questionHash, cause: e });
+    }
+    try {
+      return verifyQuestionMetadata(questionHash, metadata);
+    } catch (err) {
+      if (err instanceof InvalidMetadataError) {
+        throw new MetadataMismatchError(`${file} no longer holds valid metadata: ${err.message}`, { expected: questionHash, cause: err });
+      }
+      throw err;
+    }
+  }
+
+  // Every stored question hash
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((name) => /^0x[0-9a-f]{64}\.json$/.test(name))
+      .map((name) => name.slice(0, -5))
+      .sort();
+  }
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  MetadataStore,
+};
@@ -0,0 +1,342 @@
+// Deployment registry: deployments/<network>.json records every contract and market deployed on a
+// network with what is needed to verify and audit it later.
+//
+// {
+//   "version": 1,
+//   "network": "sepolia",
+//   "chainId": 11155111,
+//   "lastSyncedBlock": 123,          // markets are backfilled from factory logs up to here
+//   "contracts": {                   // keyed by contract name
+//     "MarketFactory": { entry, "libraries": { "MarketDeployer": "0x..." } }
+//   },
+//   "markets": [                     // every market, in creation order
+//     { entry, "factory": "0x...", "creator": "0x...", "question": "0x..." }
+//   ]
+// }
+//
+// entry = { contractName, address, constructorArgs, txHash, blockNumber, abiHash }. Constructor
+// arguments are stored as strings (bigints in decimal) so the file round-trips through JSON.
+const fs = require("fs");
+const path = require("path");
+const { Contract, Interface, getAddress, id } = require("ethers");
+
+const REGISTRY_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+const DEFAULT_SYNC_BATCH = 10000;
+
+const FACTORY_EVENTS_ABI = [
+  "event MarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question)",
+  "event CategoricalMarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question, uint8 outcomeCount)",
+  "function createMarket(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient)",
+  "function createAndFundMarket(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient)",
+  "function createAndFundMarketWithPermit(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function createCategoricalMarket(bytes32 question, uint32 resolveTimestamp, uint8 outcomeCount, uint256 initialLiquidity, uint16 feeBps, address feeRecipient)",
+];
+
+const MARKET_EVENTS_ABI = [
+  "event MarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint256 yesPool, uint256 noPool, uint16 feeBps)",
+  "event CategoricalMarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint8 outcomeCount, uint256 initialLiquidity, uint16 feeBps)",
+  "function settlementToken() view returns (address)",
+  "function positionToken() view returns (address)",
+  "function feeRecipient() view returns (address)",
+];
+
+const factoryInterface = new Interface(FACTORY_EVENTS_ABI);
+const marketInterface = new Interface(MARKET_EVENTS_ABI);
+
+function abiHash(abi) {
+  return id(JSON.stringify(abi));
+}
+
+function toArg(value) {
+  if (Array.isArray(value)) return value.map(toArg);
+  return typeof value === "bigint" || typeof value === "number" ? value.toString() : value;
+}
+
+function normalizeEntry(entry) {
+  if (!entry.contractName) throw new Error("registry entry needs a contractName");
+  if (!entry.address) throw new Error(`registry entry ${entry.contractName} needs an address`);
+  return {
+    ...entry,
+    address: getAddress(entry.address),
+    constructorArgs: toArg(entry.constructorArgs || []),
+    txHash: entry.txHash || null,
+    blockNumber: entry.blockNumber === undefined || entry.blockNumber === null ? null : Number(entry.blockNumber),
+    abiHash: entry.abiHash || null,
+  };
+}
+
+// Files written by the first deploy script: { contracts: { settlementToken, marketFactory, sampleMarket }, sampleMarket: {...} }
+function migrateLegacy(legacy) {
+  const registry = { version: REGISTRY_VERSION, network: legacy.network, chainId: null, lastSyncedBlock: null, contracts: {}, markets: [] };
+  const { settlementToken, marketFactory, positionToken, sampleMarket } = legacy.contracts || {};
+  const entry = (contractName, address, constructorArgs, extra = {}) => normalizeEntry({ contractName, address, constructorArgs, ...extra });
+
+  if (settlementToken) {
+    registry.contracts.SettlementToken = entry("SettlementToken", settlementToken, ["Prediction Market Token", "PMT"]);
+  }
+  for (const [name, address] of Object.entries(legacy.libraries || {})) {
+    registry.contracts[name] = entry(name, address, []);
+  }
+  if (marketFactory) {
+    const extra = legacy.libraries ? { libraries: legacy.libraries } : {};
+    registry.contracts.MarketFactory = entry("MarketFactory", marketFactory, [settlementToken, legacy.deployer], extra);
+  }
+  if (positionToken) {
+    registry.contracts.PositionToken = entry("PositionToken", positionToken, []);
+  }
+  if (sampleMarket && legacy.sampleMarket) {
+    const s = legacy.sampleMarket;
+    const args = [settlementToken, s.question, s.resolveTimestamp, s.initYesPool, s.initNoPool, s.feeBps, legacy.deployer, legacy.deployer];
+    if (positionToken) args.push(positionToken);
+    registry.markets.push(entry("Market", sampleMarket, args, { factory: marketFactory, creator: legacy.deployer, question: s.question }));
+  }
+  return registry;
+}
+
+class DeploymentRegistry {
+  constructor(data, file = null) {
+    this.data = data;
+    this.file = file;
+  }
+
+  static path(network, dir = DEFAULT_DIR) {
+    return path.join(dir, `${network}.json`);
+  }
+
+  // Reads deployments/<network>.json, upgrading files in the legacy format; starts empty when there is none.
+  static load(network, { dir = DEFAULT_DIR, chainId = null } = {}) {
+    const file = DeploymentRegistry.path(network, dir);
+    if (!fs.existsSync(file)) {
+      return new DeploymentRegistry({ version: REGISTRY_VERSION, network, chainId, lastSyncedBlock: null, contracts: {}, markets: [] }, file);
+    }
+
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const data = raw.version === undefined ? migrateLegacy(raw) : raw;
+    if (data.version > REGISTRY_VERSION) {
+      throw new Error(`${file} is registry version ${data.version}; this tooling reads up to ${REGISTRY_VERSION}`);
+    }
+    if (chainId !== null && data.chainId !== null && Number(data.chainId) !== Number(chainId)) {
+      throw new Error(`${file} belongs to chain ${data.chainId}, not ${chainId}`);
+    }
+    if (data.chainId === null) data.chainId = chainId;
+    return new DeploymentRegistry(data, file);
+  }
+
+  get network() {
+    return this.data.network;
+  }
+
+  get lastSyncedBlock() {
+    return this.data.lastSyncedBlock;
+  }
+
+  set lastSyncedBlock(block) {
+    this.data.lastSyncedBlock = block === null ? null : Number(block);
+  }
+
+  getContract(name) {
+    return this.data.contracts[name] || null;
+  }
+
+  // Adds or replaces the named contract.
+  addContract(entry) {
+    const normalized = normalizeEntry(entry);
+    this.data.contracts[normalized.contractName] = normalized;
+    return normalized;
+  }
+
+  markets() {
+    return this.data.markets.slice();
+  }
+
+  getMarket(address) {
+    const wanted = getAddress(address);
+    return this.data.markets.find((m) => m.address === wanted) || null;
+  }
+
+  // Appends a market, or merges into the entry already recorded for its address.
+  addMarket(entry) {
+    const normalized = normalizeEntry(entry);
+    const index = this.data.markets.findIndex((m) => m.address === normalized.address);
+    if (index === -1) {
+      this.data.markets.push(normalized);
+      return normalized;
+    }
+    const merged = { ...this.data.markets[index] };
+    for (const [key, value] of Object.entries(normalized)) {
+      if (value !== null && value !== undefined) merged[key] = value;
+    }
+    this.data.markets[index] = merged;
+    return merged;
+  }
+
+  // Records a contract deployed with ethers. `artifacts` (hre.artifacts) supplies the ABI for abiHash.
+  async recordDeployment(contractName, contract, { constructorArgs = [], libraries, artifacts } = {}) {
+    const tx = contract.deploymentTransaction();
+    const receipt = tx ? await tx.wait() : null;
+    return this.addContract({
+      contractName,
+      address: await contract.getAddress(),
+      constructorArgs,
+      ...(libraries ? { libraries } : {}),
+      txHash: tx ? tx.hash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      abiHash: artifacts ? abiHash((await artifacts.readArtifact(contractName)).abi) : null,
+    });
+  }
+
+  toJSON() {
+    return this.data;
+  }
+
+  save(file = this.file) {
+    if (!file) throw new Error("no registry file to save to");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ ...this.data, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+    this.file = file;
+    return file;
+  }
+}
+
+// feeRecipient as passed to the factory: decoded from the creating call when the factory was called
+// directly, otherwise the market's current getter (which turns a zero argument into the factory's address).
+async function originalFeeRecipient(provider, log, market, factoryAddress) {
+  const tx = await provider.getTransaction(log.transactionHash);
+  if (tx && tx.to && getAddress(tx.to) === factoryAddress) {
+    try {
+      const call = factoryInterface.parseTransaction({ data: tx.data });
+      if (call) return call.args.feeRecipient;
+    } catch (e) {
+      // not a factory call we know; fall through to the getter
+    }
+  }
+  const feeRecipient = await market.feeRecipient();
+  return feeRecipient === factoryAddress ? "0x0000000000000000000000000000000000000000" : feeRecipient;
+}
+
+async function marketEntryFromLog(provider, factoryAddress, log, abiHashes) {
+  const deployed = factoryInterface.parseLog(log);
+  const address = getAddress(deployed.args.marketAddress);
+  const receipt = await provider.getTransactionReceipt(log.transactionHash);
+  const created = receipt.logs
+    .filter((l) => getAddress(l.address) === address)
+    .map((l) => {
+      try {
+        return marketInterface.parseLog(l);
+      } catch (e) {
+        return null;
+      }
+    })
+    .find((e) => e && (e.name === "MarketCreated" || e.name === "CategoricalMarketCreated"));
+  if (!created) throw new Error(`no creation event for market ${address} in ${log.transactionHash}`);
+
+  const market = new Contract(address, MARKET_EVENTS_ABI, provider);
+  const settlementToken = await market.settlementToken();
+  const feeRecipient = await originalFeeRecipient(provider, log, market, factoryAddress);
+  const admin = deployed.args.creator;
+  const e = created.args;
+
+  const entry = {
+    factory: factoryAddress,
+    creator: admin,
+    question: e.question,
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+  };
+  if (created.name === "MarketCreated") {
+    const constructorArgs = [settlementToken, e.question, e.resolveTimestamp, e.yesPool, e.noPool, e.feeBps, feeRecipient, admin];
+    // markets deployed before positions moved to the shared PositionToken take one argument less
+    const positionToken = await market.positionToken().catch(() => null);
+    if (positionToken) constructorArgs.push(positionToken);
+    return normalizeEntry({
+      ...entry,
+      contractName: "Market",
+      address,
+      constructorArgs,
+      abiHash: abiHashes.Market || null,
+    });
+  }
+  return normalizeEntry({
+    ...entry,
+    contractName: "CategoricalMarket",
+    address,
+    constructorArgs: [settlementToken, e.question, e.resolveTimestamp, e.outcomeCount, e.initialLiquidity, e.feeBps, feeRecipient, admin],
+    abiHash: abiHashes.CategoricalMarket || null,
+  });
+}
+
+async function readAbiHashes(artifacts) {
+  const abiHashes = {};
+  if (artifacts) {
+    for (const name of ["Market", "CategoricalMarket"]) {
+      abiHashes[name] = abiHash((await artifacts.readArtifact(name)).abi);
+    }
+  }
+  return abiHashes;
+}
+
+// Rebuilds the registry entry of one factory-deployed market from chain data alone: its
+// MarketCreated / CategoricalMarketCreated event, the factory log in the same transaction and its getters.
+async function readMarketEntry(provider, address, { artifacts, fromBlock = 0, toBlock = "latest" } = {}) {
+  const wanted = getAddress(address);
+  const topics = [[
+    marketInterface.getEvent("MarketCreated").topicHash,
+    marketInterface.getEvent("CategoricalMarketCreated").topicHash,
+  ]];
+  const [createdLog] = await provider.getLogs({ address: wanted, topics, fromBlock, toBlock });
+  if (!createdLog) throw new Error(`no creation event found for market ${wanted}`);
+
+  const receipt = await provider.getTransactionReceipt(createdLog.transactionHash);
+  const deployedLog = receipt.logs.find((l) => {
+    try {
+      const parsed = factoryInterface.parseLog(l);
+      return parsed && getAddress(parsed.args.marketAddress) === wanted;
+    } catch (e) {
+      return false;
+    }
+  });
+  if (!deployedLog) throw new Error(`market ${wanted} was not deployed by a MarketFactory`);
+  return marketEntryFromLog(provider, getAddress(deployedLog.address), deployedLog, await readAbiHashes(artifacts));
+}
+
+// Backfills registry.markets from the factory's MarketDeployed / CategoricalMarketDeployed logs and
+// each market's MarketCreated / CategoricalMarketCreated event. Resumes after lastSyncedBlock.
+// `artifacts` (hre.artifacts) is optional and only used for abiHash. Returns the entries added or updated.
+async function syncRegistry(registry, { provider, artifacts, fromBlock, toBlock, batchSize = DEFAULT_SYNC_BATCH } = {}) {
+  const factory = registry.getContract("MarketFactory");
+  if (!factory) throw new Error(`no MarketFactory recorded for ${registry.network}`);
+  const factoryAddress = factory.address;
+
+  const abiHashes = await readAbiHashes(artifacts);
+
+  if (fromBlock === undefined) {
+    fromBlock = registry.lastSyncedBlock !== null ? registry.lastSyncedBlock + 1 : factory.blockNumber || 0;
+  }
+  if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+
+  const topics = [[
+    factoryInterface.getEvent("MarketDeployed").topicHash,
+    factoryInterface.getEvent("CategoricalMarketDeployed").topicHash,
+  ]];
+
+  const synced = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: factoryAddress, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      synced.push(registry.addMarket(await marketEntryFromLog(provider, factoryAddress, log, abiHashes)));
+    }
+    registry.lastSyncedBlock = end;
+  }
+  return synced;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  DeploymentRegistry,
+  abiHash,
+  migrateLegacy,
+  readMarketEntry,
+  syncRegistry,
+};
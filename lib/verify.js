@@ -0,0 +1,125 @@
+// Batch source verification of registry entries against a block explorer.
+//
+// An explorer is any object with
+//   name                       label written to the report
+//   isVerified(address)        -> Promise<boolean>
+//   verify(entry)              -> Promise<void>; throws on failure
+//   url(address)               -> Promise<string | null>, optional
+// where entry is a registry entry ({ contractName, address, constructorArgs, libraries? }).
+// etherscanExplorer(hre) is the one used on real networks; tests pass a local stub.
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BACKOFF_MS = 5000;
+
+function isRateLimited(error) {
+  return /rate limit|too many requests|\b429\b/i.test(error.message || "");
+}
+
+function isAlreadyVerified(error) {
+  return /already verified|already been verified/i.test(error.message || "");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function etherscanExplorer(hre) {
+  let client;
+  async function etherscan() {
+    if (!client) {
+      const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+      const chainConfig = await Etherscan.getCurrentChainConfig(hre.network.name, hre.network.provider, hre.config.etherscan.customChains);
+      client = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+    }
+    return client;
+  }
+
+  return {
+    name: "etherscan",
+    async isVerified(address) {
+      return (await etherscan()).isVerified(address);
+    },
+    async verify(entry) {
+      await hre.run("verify:etherscan", {
+        address: entry.address,
+        constructorArgsParams: entry.constructorArgs,
+        contract: `contracts/${entry.contractName}.sol:${entry.contractName}`,
+        libraries: entry.libraries || {},
+        force: false,
+      });
+    },
+    async url(address) {
+      return (await etherscan()).getContractUrl(address);
+    },
+  };
+}
+
+// Verifies each entry in turn: entries the explorer already reports as verified are skipped, rate-limit
+// errors are retried with exponential backoff (backoffMs, 2 * backoffMs, ...) up to `retries` times, and
+// any other failure is recorded without stopping the batch. Returns one result per entry.
+async function verifyEntries(entries, { explorer, retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS, wait = sleep, onResult } = {}) {
+  if (!explorer) throw new Error("verifyEntries needs an explorer");
+
+  const results = [];
+  for (const entry of entries) {
+    const result = { contractName: entry.contractName, address: entry.address, status: null, attempts: 0, error: null };
+    let backoffs = 0;
+
+    for (;;) {
+      try {
+        if (await explorer.isVerified(entry.address)) {
+          result.status = "already-verified";
+        } else {
+          result.attempts++;
+          await explorer.verify(entry);
+          result.status = "verified";
+        }
+        break;
+      } catch (error) {
+        if (isAlreadyVerified(error)) {
+          result.status = "already-verified";
+          break;
+        }
+        if (isRateLimited(error) && backoffs < retries) {
+          await wait(backoffMs * 2 ** backoffs++);
+          continue;
+        }
+        result.status = "failed";
+        result.error = error.message;
+        break;
+      }
+    }
+
+    if (explorer.url) result.url = await explorer.url(entry.address);
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+  return results;
+}
+
+function buildReport(results, { network, chainId, explorer }) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    network,
+    chainId,
+    explorer,
+    generatedAt: new Date().toISOString(),
+    summary: { total: results.length, verified: count("verified"), alreadyVerified: count("already-verified"), failed: count("failed") },
+    results,
+  };
+}
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  buildReport,
+  etherscanExplorer,
+  verifyEntries,
+  writeReport,
+};
@@ -0,0 +1,7 @@
+const relayer = require("./relayer");
+const server = require("./server");
+
+module.exports = {
+  ...relayer,
+  ...server,
+};
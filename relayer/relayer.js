@@ -0,0 +1,157 @@
+// Order relayer: checks signed orders (sdk/orders.js) off-chain, simulates them against the OrderRelay and
+// submits them from its own key, one at a time, collecting each order's relayerFee.
+//
+// Orders are refused before any gas is spent when they are malformed, expired, signed by someone other
+// than the trader, carry a fee below `minFee` or a nonce that is not the trader's current one, or would
+// revert on-chain. Emits "executed" and "rejected" for every order submitted through submit().
+const { EventEmitter } = require("events");
+const { isHexString } = require("ethers");
+const { buildOrder, orderDomain, permitFromJSON, recoverOrderSigner, hashOrder, parseContractError, PredictionMarketError } = require("../sdk");
+
+class OrderRejectedError extends Error {
+  // `status` is the HTTP status the relayer server answers with
+  constructor(message, { status = 400, reason, cause } = {}) {
+    super(message);
+    this.name = "OrderRejectedError";
+    this.status = status;
+    this.reason = reason;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+class OrderRelayer extends EventEmitter {
+  // `relay` is an OrderRelay contract (sdk/orders.js orderRelay()) connected to the relayer's signer
+  constructor({ relay, minFee = 0n }) {
+    super();
+    if (!relay || !relay.runner || !relay.runner.provider) throw new Error("relay connected to a signer is required");
+    this.relay = relay;
+    this.minFee = BigInt(minFee);
+    this._domain = null;
+    // submissions run one after another so each simulation sees the nonces the previous one used
+    this._queue = Promise.resolve();
+  }
+
+  get provider() {
+    return this.relay.runner.provider;
+  }
+
+  async domain() {
+    if (!this._domain) {
+      const { chainId } = await this.provider.getNetwork();
+      this._domain = orderDomain(this.relay.target, chainId);
+    }
+    return this._domain;
+  }
+
+  // What traders need to sign orders for this relayer
+  async config() {
+    const [domain, settlementToken, relayer] = await Promise.all([
+      this.domain(),
+      this.relay.settlementToken(),
+      this.relay.runner.getAddress(),
+    ]);
+    return { relay: this.relay.target, chainId: domain.chainId, settlementToken, relayer, minFee: this.minFee };
+  }
+
+  async nonceOf(trader) {
+    return this.relay.nonces(trader);
+  }
+
+  // { order, signature, permit } (JSON or parsed) -> the checked order, ready to send; throws OrderRejectedError.
+  async check({ order: rawOrder, signature, permit: rawPermit = null } = {}) {
+    let order;
+    let permit = null;
+    try {
+      order = buildOrder(rawOrder);
+      if (rawPermit) permit = permitFromJSON(rawPermit);
+    } catch (err) {
+      if (err instanceof PredictionMarketError) throw new OrderRejectedError(err.message, { reason: err.reason, cause: err });
+      throw err;
+    }
+    if (!isHexString(signature)) throw new OrderRejectedError("signature must be hex");
+    if (permit && permit.value < order.amount + order.relayerFee) {
+      throw new OrderRejectedError("permit value does not cover amount + relayerFee");
+    }
+
+    const domain = await this.domain();
+    const orderHash = hashOrder(domain, order);
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (order.deadline <= BigInt(timestamp)) throw new OrderRejectedError("expired", { reason: "expired" });
+    if (order.relayerFee < this.minFee) throw new OrderRejectedError(`relayer fee below the minimum of ${this.minFee}`);
+
+    let signer = null;
+    try {
+      signer = recoverOrderSigner(domain, order, signature);
+    } catch (err) {
+      signer = null;
+    }
+    if (!signer || signer !== order.trader) throw new OrderRejectedError("invalid signature", { reason: "invalid signature" });
+
+    const nonce = await this.nonceOf(order.trader);
+    if (order.nonce !== nonce) {
+      throw new OrderRejectedError(`nonce ${order.nonce} is not ${order.trader}'s current nonce ${nonce}`, { status: 409 });
+    }
+
+    const args = permit ? [order, signature, permit.deadline, permit.v, permit.r, permit.s] : [order, signature];
+    const method = permit ? "executeWithPermit" : "execute";
+    try {
+      await this.relay[method].staticCall(...args);
+    } catch (err) {
+      const parsed = parseContractError(err);
+      throw new OrderRejectedError(parsed.message, { status: 422, reason: parsed.reason, cause: parsed });
+    }
+    return { order, signature, permit, orderHash, method, args };
+  }
+
+  // Check and execute an order. Resolves to { orderHash, trader, market, outcome, amount, positionUnits,
+  // relayerFee, txHash, blockNumber } once mined; rejects with OrderRejectedError.
+  submit(request) {
+    const run = this._queue.then(() => this._submit(request));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _submit(request) {
+    let checked;
+    try {
+      checked = await this.check(request);
+      const receipt = await (await this.relay[checked.method](...checked.args)).wait();
+      const executed = receipt.logs
+        .filter((log) => log.address === this.relay.target)
+        .map((log) => this.relay.interface.parseLog(log))
+        .find((e) => e && e.name === "OrderExecuted");
+      const result = {
+        orderHash: executed.args.orderHash,
+        trader: executed.args.trader,
+        market: executed.args.market,
+        outcome: Number(executed.args.outcome),
+        amount: executed.args.amount,
+        positionUnits: executed.args.positionUnits,
+        relayerFee: executed.args.relayerFee,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+      this.emit("executed", result);
+      return result;
+    } catch (err) {
+      let rejected = err;
+      if (!(err instanceof OrderRejectedError)) {
+        // a revert between the simulation and the send, or the node failing
+        const parsed = parseContractError(err);
+        const status = parsed instanceof PredictionMarketError ? 422 : 500;
+        rejected = new OrderRejectedError(parsed.message, { status, reason: parsed.reason, cause: err });
+      }
+      this.emit("rejected", {
+        orderHash: checked ? checked.orderHash : null,
+        trader: checked ? checked.order.trader : null,
+        error: rejected.message,
+      });
+      throw rejected;
+    }
+  }
+}
+
+module.exports = {
+  OrderRejectedError,
+  OrderRelayer,
+};
@@ -0,0 +1,86 @@
+// HTTP front of an OrderRelayer, for wallets and scripts that sign orders with sdk/orders.js:
+//
+//   GET  /config              relay address, chain id, settlement token, relayer address and minimum fee
+//   GET  /nonces/:trader      the nonce the trader's next order must carry
+//   POST /orders              { order, signature, permit? }   executes the order and answers once it is mined
+//
+// Integers are decimal strings, as in the indexer API. A refused order answers 400 (malformed, expired,
+// bad signature, fee too low), 409 (stale nonce) or 422 (the relay would revert) with { error, reason }.
+const http = require("http");
+const { getAddress, isAddress } = require("ethers");
+const { HttpError, plain } = require("../indexer/api");
+const { OrderRejectedError } = require("./relayer");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(new HttpError(400, "body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function createRelayerServer({ relayer }) {
+  if (!relayer) throw new Error("relayer is required");
+
+  async function handle(req) {
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+    // CORS preflight for browser wallets posting JSON
+    if (req.method === "OPTIONS") return {};
+
+    if (path === "/orders") {
+      if (req.method !== "POST") throw new HttpError(405, `${req.method} not allowed`);
+      return relayer.submit(await readJson(req));
+    }
+    if (req.method !== "GET") throw new HttpError(405, `${req.method} not allowed`);
+    if (path === "/config") return relayer.config();
+    const nonce = path.match(/^\/nonces\/([^/]+)$/);
+    if (nonce) {
+      if (!isAddress(nonce[1])) throw new HttpError(400, "trader must be an address");
+      const trader = getAddress(nonce[1]);
+      return { trader, nonce: await relayer.nonceOf(trader) };
+    }
+    throw new HttpError(404, `No route for ${path}`);
+  }
+
+  return http.createServer(async (req, res) => {
+    let status = 200;
+    let body;
+    try {
+      body = plain(await handle(req));
+    } catch (err) {
+      status = err instanceof HttpError || err instanceof OrderRejectedError ? err.status : 500;
+      body = { error: err.message };
+      if (err.reason) body.reason = err.reason;
+    }
+    res.writeHead(status, {
+      "content-type": "application/json; charset=utf-8",
+      "access-control-allow-origin": "*",
+      "access-control-allow-methods": "GET, POST",
+      "access-control-allow-headers": "content-type",
+    });
+    res.end(JSON.stringify(body));
+  });
+}
+
+module.exports = {
+  createRelayerServer,
+};
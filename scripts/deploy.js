@@ -1,4 +1,14 @@
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
+const {
+  deployAdminMultisig,
+  deployAdminTimelock,
+  deployFactoryLibraries,
+  deployMarketFactory,
+  deployMarketRouter,
+  deployOrderRelay,
+  handOverAdmin,
+} = require("../lib/deploy");
+const { DeploymentRegistry, abiHash, syncRegistry } = require("../lib/registry");
 
 async function main() {
   console.log("Starting deployment of Prediction Market System...\n");
@@ -7,12 +17,16 @@ async function main() {
   console.log("Deploying contracts with account:", deployer.address);
   console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH\n");
 
+  const { chainId } = await ethers.provider.getNetwork();
+  const registry = DeploymentRegistry.load(network.name, { chainId: Number(chainId) });
+
   console.log("Deploying SettlementToken...");
   const SettlementToken = await ethers.getContractFactory("SettlementToken");
   const settlementToken = await SettlementToken.deploy("Prediction Market Token", "PMT");
   await settlementToken.waitForDeployment();
   
   const settlementTokenAddress = await settlementToken.getAddress();
+  await registry.recordDeployment("SettlementToken", settlementToken, { constructorArgs: ["Prediction Market Token", "PMT"], artifacts });
   console.log("SettlementToken deployed to:", settlementTokenAddress);
   console.log("   - Name:", await settlementToken.name());
   console.log("   - Symbol:", await settlementToken.symbol());
@@ -20,16 +34,44 @@ async function main() {
   console.log("   - Minter:", await settlementToken.hasRole(await settlementToken.MINTER_ROLE(), deployer.address) ? "Yes" : "No\n");
 
   console.log("Deploying MarketFactory...");
-  const MarketFactory = await ethers.getContractFactory("MarketFactory");
-  const marketFactory = await MarketFactory.deploy(settlementTokenAddress, deployer.address);
-  await marketFactory.waitForDeployment();
+  const libraries = await deployFactoryLibraries(ethers, async (name, library) => {
+    const entry = await registry.recordDeployment(name, library, { artifacts });
+    console.log(`${name} library deployed to:`, entry.address);
+  });
+  const marketFactory = await deployMarketFactory(ethers, settlementTokenAddress, deployer.address, libraries);
+  const factoryEntry = await registry.recordDeployment("MarketFactory", marketFactory, {
+    constructorArgs: [settlementTokenAddress, deployer.address],
+    libraries,
+    artifacts,
+  });
   
   const marketFactoryAddress = await marketFactory.getAddress();
   console.log("MarketFactory deployed to:", marketFactoryAddress);
   console.log("   - Settlement Token:", settlementTokenAddress);
+  const positionTokenAddress = await marketFactory.positionToken();
+  console.log("   - Position Token:", positionTokenAddress);
+  // created in the factory's constructor, so it shares the factory's deployment transaction
+  registry.addContract({
+    contractName: "PositionToken",
+    address: positionTokenAddress,
+    constructorArgs: [],
+    txHash: factoryEntry.txHash,
+    blockNumber: factoryEntry.blockNumber,
+    abiHash: abiHash((await artifacts.readArtifact("PositionToken")).abi),
+  });
   console.log("   - Admin:", await marketFactory.hasRole(await marketFactory.DEFAULT_ADMIN_ROLE(), deployer.address) ? "Yes" : "No");
   console.log("   - Initial market count:", await marketFactory.numMarkets(), "\n");
 
+  console.log("Deploying OrderRelay...");
+  const orderRelay = await deployOrderRelay(ethers, settlementTokenAddress);
+  const orderRelayEntry = await registry.recordDeployment("OrderRelay", orderRelay, { constructorArgs: [settlementTokenAddress], artifacts });
+  console.log("OrderRelay deployed to:", orderRelayEntry.address);
+
+  console.log("Deploying MarketRouter...");
+  const marketRouter = await deployMarketRouter(ethers, settlementTokenAddress);
+  const marketRouterEntry = await registry.recordDeployment("MarketRouter", marketRouter, { constructorArgs: [settlementTokenAddress], artifacts });
+  console.log("MarketRouter deployed to:", marketRouterEntry.address, "\n");
+
   console.log("Minting initial tokens...");
   const mintAmount = ethers.parseEther("1000000");
   await settlementToken.mint(deployer.address, mintAmount);
@@ -41,8 +83,12 @@ async function main() {
   const initYesPool = ethers.parseEther("10000");
   const initNoPool = ethers.parseEther("10000");
   const feeBps = 100;
+  const totalLiquidity = initYesPool + initNoPool;
+
+  console.log("Approving factory for initial liquidity...");
+  await (await settlementToken.approve(marketFactoryAddress, totalLiquidity)).wait();
 
-  const tx = await marketFactory.createMarket(
+  const tx = await marketFactory.createAndFundMarket(
     sampleQuestion,
     resolveTimestamp,
     initYesPool,
@@ -79,55 +125,69 @@ async function main() {
   console.log("   - Resolve timestamp:", new Date(Number(resolveTimestamp) * 1000).toISOString());
   console.log("   - Initial YES pool:", ethers.formatEther(initYesPool));
   console.log("   - Initial NO pool:", ethers.formatEther(initNoPool));
-  console.log("   - Fee:", feeBps / 100, "%\n");
-
-  console.log("Funding sample market with initial liquidity...");
-  const totalLiquidity = initYesPool + initNoPool;
-  await settlementToken.transfer(sampleMarketAddress, totalLiquidity);
-  console.log("Transferred", ethers.formatEther(totalLiquidity), "tokens to sample market\n");
+  console.log("   - Fee:", feeBps / 100, "%");
+  console.log("   - Funded with:", ethers.formatEther(totalLiquidity), "tokens");
+  console.log("   - State:", Number(await sampleMarket.state()) === 1 ? "Active" : "Not active", "\n");
 
   console.log("Setting up oracle permissions...");
   await sampleMarket.grantRole(await sampleMarket.ORACLE_ROLE(), deployer.address);
-  console.log("Deployer granted ORACLE_ROLE for sample market\n");
+  console.log("Deployer granted ORACLE_ROLE for sample market");
+  // the oracle keeper (npx hardhat keeper:run) resolves with its own account
+  if (process.env.KEEPER_ADDRESS) {
+    await sampleMarket.grantRole(await sampleMarket.ORACLE_ROLE(), process.env.KEEPER_ADDRESS);
+    console.log("Keeper", process.env.KEEPER_ADDRESS, "granted ORACLE_ROLE for sample market");
+  }
+  console.log();
+
+  // Optional admin handover, so fee changes and ORACLE_ROLE grants stop being one key's instant call:
+  // ADMIN_MULTISIG_OWNERS=0xA,0xB,0xC ADMIN_MULTISIG_THRESHOLD=2 deploys an AdminMultisig,
+  // ADMIN_TIMELOCK_DELAY=<seconds> deploys an AdminTimelock proposed to by the multisig, ADMIN_ADDRESS or the deployer,
+  // ADMIN_ADDRESS alone hands admin to an existing multisig or timelock.
+  // The deployer keeps PAUSER_ROLE and ORACLE_ROLE.
+  let admin = process.env.ADMIN_ADDRESS ? ethers.getAddress(process.env.ADMIN_ADDRESS) : null;
+  if (process.env.ADMIN_MULTISIG_OWNERS) {
+    const owners = process.env.ADMIN_MULTISIG_OWNERS.split(",").map((o) => ethers.getAddress(o.trim()));
+    const threshold = Number(process.env.ADMIN_MULTISIG_THRESHOLD || owners.length);
+    console.log(`Deploying AdminMultisig (${threshold} of ${owners.length})...`);
+    const multisig = await deployAdminMultisig(ethers, { owners, threshold });
+    admin = (await registry.recordDeployment("AdminMultisig", multisig, { constructorArgs: [owners, threshold], artifacts })).address;
+    console.log("AdminMultisig deployed to:", admin);
+  }
+  if (process.env.ADMIN_TIMELOCK_DELAY) {
+    const minDelay = Number(process.env.ADMIN_TIMELOCK_DELAY);
+    const proposers = [admin || deployer.address];
+    console.log(`Deploying AdminTimelock (${minDelay}s delay)...`);
+    const timelock = await deployAdminTimelock(ethers, { minDelay, proposers });
+    admin = (await registry.recordDeployment("AdminTimelock", timelock, {
+      constructorArgs: [minDelay, proposers, [ethers.ZeroAddress], ethers.ZeroAddress],
+      artifacts,
+    })).address;
+    console.log("AdminTimelock deployed to:", admin);
+    console.log("   - Proposer:", proposers[0]);
+  }
+  if (admin) {
+    await handOverAdmin(marketFactory, admin);
+    await handOverAdmin(sampleMarket, admin);
+    console.log("DEFAULT_ADMIN_ROLE on MarketFactory and the sample market handed to", admin, "\n");
+  }
 
   console.log("Deployment Summary:");
   console.log("=====================");
   console.log("SettlementToken:", settlementTokenAddress);
   console.log("MarketFactory:", marketFactoryAddress);
+  console.log("PositionToken:", positionTokenAddress);
+  console.log("OrderRelay:", orderRelayEntry.address);
+  console.log("MarketRouter:", marketRouterEntry.address);
   console.log("Sample Market:", sampleMarketAddress);
-  console.log("Deployer (Admin & Oracle):", deployer.address);
+  console.log("Admin:", admin || deployer.address);
+  console.log("Deployer (Pauser & Oracle):", deployer.address);
   console.log("\nNetwork:", network.name);
   console.log("Gas used:", receipt.gasUsed.toString());
   console.log("Final balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH");
 
-  const deploymentInfo = {
-    network: network.name,
-    timestamp: new Date().toISOString(),
-    deployer: deployer.address,
-    contracts: {
-      settlementToken: settlementTokenAddress,
-      marketFactory: marketFactoryAddress,
-      sampleMarket: sampleMarketAddress
-    },
-    sampleMarket: {
-      question: sampleQuestion,
-      resolveTimestamp: resolveTimestamp.toString(),
-      initYesPool: initYesPool.toString(),
-      initNoPool: initNoPool.toString(),
-      feeBps: feeBps
-    }
-  };
-
-  const fs = require('fs');
-  const path = require('path');
-  const deploymentPath = path.join(__dirname, '..', 'deployments', `${network.name}.json`);
-  
-  const deploymentsDir = path.dirname(deploymentPath);
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
-  
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  // the sample market (and any other market of this factory) is backfilled from the factory's logs
+  await syncRegistry(registry, { provider: ethers.provider, artifacts });
+  const deploymentPath = registry.save();
   console.log("\nDeployment info saved to:", deploymentPath);
 
   console.log("\nDeployment completed successfully!");
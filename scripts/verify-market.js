@@ -1,4 +1,5 @@
 const { run } = require("hardhat");
+const { DeploymentRegistry } = require("../lib/registry");
 
 async function main() {
   console.log("Verifying Market contract...\n");
@@ -6,20 +7,18 @@ async function main() {
   const network = await hre.network;
   console.log("Network:", network.name);
 
-  const marketAddress = "0xa9b5FE7cd5877Ae86232bAa2f68AAc8a3e0a8257";
-  
-  const settlementTokenAddress = "0x40E301b4b0bE1CdBC6FCed08DA1700e46C7414B6";
+  // MARKET_ADDRESS=0x... picks a market; the default is the latest one in the registry.
+  // Run `npx hardhat registry:sync --network <network>` first to pick up markets created since deployment.
+  const registry = DeploymentRegistry.load(network.name);
+  const markets = registry.markets().filter((m) => m.contractName === "Market");
+  const entry = process.env.MARKET_ADDRESS ? registry.getMarket(process.env.MARKET_ADDRESS) : markets[markets.length - 1];
+  if (!entry) {
+    console.error("Market not found in", DeploymentRegistry.path(network.name));
+    process.exit(1);
+  }
 
-  const constructorArgs = [
-    settlementTokenAddress,
-    "0xe0742a1c3c8e6b3db3f92b4029f4ea15c4fcf9df83461917d3dc0053fb45c84d",
-    "1759580800",
-    "100000000000000000000",
-    "100000000000000000000",
-    "100",
-    "0x1df86eAcBbCb398BC5bac64C1391D66c7950fA65",
-    "0x1df86eAcBbCb398BC5bac64C1391D66c7950fA65"
-  ];
+  const marketAddress = entry.address;
+  const constructorArgs = entry.constructorArgs;
 
   console.log("Market Contract Details:");
   console.log("Address:", marketAddress);
@@ -32,6 +31,7 @@ async function main() {
   console.log("  - Fee (bps):", constructorArgs[5], "(" + (parseInt(constructorArgs[5]) / 100) + "%)");
   console.log("  - Fee Recipient:", constructorArgs[6]);
   console.log("  - Admin:", constructorArgs[7]);
+  if (constructorArgs[8]) console.log("  - Position Token:", constructorArgs[8]);
   console.log("");
 
   try {
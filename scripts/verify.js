@@ -1,4 +1,6 @@
+const fs = require("fs");
 const { run } = require("hardhat");
+const { DeploymentRegistry } = require("../lib/registry");
 
 async function main() {
   console.log("Starting contract verification...\n");
@@ -6,63 +8,39 @@ async function main() {
   const network = await hre.network;
   console.log("Network:", network.name);
 
-  const fs = require('fs');
-  const path = require('path');
-  const deploymentPath = path.join(__dirname, '..', 'deployments', `${network.name}.json`);
+  const registryPath = DeploymentRegistry.path(network.name);
   
-  if (!fs.existsSync(deploymentPath)) {
+  if (!fs.existsSync(registryPath)) {
     console.error("No deployment info found for network:", network.name);
     console.log("Please run deployment first: npx hardhat run scripts/deploy.js --network", network.name);
     process.exit(1);
   }
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  console.log("Deployment timestamp:", deploymentInfo.timestamp);
-  console.log("Deployer:", deploymentInfo.deployer, "\n");
+  const registry = DeploymentRegistry.load(network.name);
+  const contracts = Object.values(registry.toJSON().contracts);
+  const markets = registry.markets();
+  console.log("Contracts:", contracts.length, "- Markets:", markets.length, "\n");
 
-  try {
-    console.log("Verifying SettlementToken...");
-    await run("verify:verify", {
-      address: deploymentInfo.contracts.settlementToken,
-      constructorArguments: ["Prediction Market Token", "PMT"],
-    });
-    console.log("SettlementToken verified successfully\n");
-
-    console.log("Verifying MarketFactory...");
-    await run("verify:verify", {
-      address: deploymentInfo.contracts.marketFactory,
-      constructorArguments: [deploymentInfo.contracts.settlementToken, deploymentInfo.deployer],
-    });
-    console.log("MarketFactory verified successfully\n");
+  const etherscanBase = network.name === 'mainnet' ? 'https://etherscan.io' : 'https://sepolia.etherscan.io';
 
-    console.log("Verifying Sample Market...");
-    await run("verify:verify", {
-      address: deploymentInfo.contracts.sampleMarket,
-      constructorArguments: [
-        deploymentInfo.contracts.settlementToken,
-        deploymentInfo.sampleMarket.question,
-        deploymentInfo.sampleMarket.resolveTimestamp,
-        deploymentInfo.sampleMarket.initYesPool,
-        deploymentInfo.sampleMarket.initNoPool,
-        deploymentInfo.sampleMarket.feeBps,
-        deploymentInfo.deployer,
-        deploymentInfo.deployer
-      ],
-    });
-    console.log("Sample Market verified successfully\n");
+  try {
+    // libraries first: MarketFactory is verified against their addresses
+    const ordered = [...contracts.filter((c) => !c.libraries), ...contracts.filter((c) => c.libraries), ...markets];
+    for (const entry of ordered) {
+      console.log(`Verifying ${entry.contractName} at ${entry.address}...`);
+      await run("verify:verify", {
+        address: entry.address,
+        constructorArguments: entry.constructorArgs,
+        ...(entry.libraries ? { libraries: entry.libraries } : {}),
+      });
+      console.log(`${entry.contractName} verified successfully\n`);
+    }
 
     console.log("All contracts verified successfully!");
-    console.log("\nVerification Summary:");
-    console.log("========================");
-    console.log("SettlementToken:", deploymentInfo.contracts.settlementToken);
-    console.log("MarketFactory:", deploymentInfo.contracts.marketFactory);
-    console.log("Sample Market:", deploymentInfo.contracts.sampleMarket);
-    
     console.log("\nEtherscan Links:");
-    const etherscanBase = network.name === 'mainnet' ? 'https://etherscan.io' : 'https://sepolia.etherscan.io';
-    console.log(`SettlementToken: ${etherscanBase}/address/${deploymentInfo.contracts.settlementToken}`);
-    console.log(`MarketFactory: ${etherscanBase}/address/${deploymentInfo.contracts.marketFactory}`);
-    console.log(`Sample Market: ${etherscanBase}/address/${deploymentInfo.contracts.sampleMarket}`);
+    for (const entry of ordered) {
+      console.log(`${entry.contractName}: ${etherscanBase}/address/${entry.address}`);
+    }
 
   } catch (error) {
     console.error("Verification failed:", error.message);
@@ -0,0 +1,276 @@
+// Human-readable ABIs for the contracts the SDK talks to.
+// Keep these in sync with contracts/ when a public function or event changes.
+
+// pause(), freezeClaims() and their events come from contracts/EmergencyStop.sol, on the factory and on both market kinds
+const EMERGENCY_STOP_ABI = [
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function paused() view returns (bool)",
+  "function claimsFrozen() view returns (bool)",
+  "function MAX_CLAIMS_FREEZE() view returns (uint32)",
+  "function claimsFrozenUntil() view returns (uint32)",
+  "function pause()",
+  "function unpause()",
+  "function freezeClaims()",
+  "function unfreezeClaims()",
+  "event Paused(address indexed account)",
+  "event Unpaused(address indexed account)",
+  "event ClaimsFrozen(address indexed account)",
+  "event ClaimsUnfrozen(address indexed account)",
+];
+
+const MARKET_FACTORY_ABI = [
+  "function ORACLE_ROLE() view returns (bytes32)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function settlementToken() view returns (address)",
+  "function positionToken() view returns (address)",
+  "function numMarkets() view returns (uint256)",
+  "function getMarkets() view returns (address[])",
+  "function markets(uint256) view returns (address)",
+  "function createMarket(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient) returns (address)",
+  "function createAndFundMarket(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient) returns (address)",
+  "function createAndFundMarketWithPermit(bytes32 question, uint32 resolveTimestamp, uint256 initYesPool, uint256 initNoPool, uint16 feeBps, address feeRecipient, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (address)",
+  "function numCategoricalMarkets() view returns (uint256)",
+  "function getCategoricalMarkets() view returns (address[])",
+  "function categoricalMarkets(uint256) view returns (address)",
+  "function createCategoricalMarket(bytes32 question, uint32 resolveTimestamp, uint8 outcomeCount, uint256 initialLiquidity, uint16 feeBps, address feeRecipient) returns (address)",
+  "function getMarketsPaginated(uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+  "function getCategoricalMarketsPaginated(uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+  "function getMarketsByCreator(address creator, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+  "function getMarketsByState(uint8 state, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+  "function getMarketsByQuestion(bytes32 question) view returns (address[])",
+  "function marketKind(address market) view returns (uint8)",
+  "function getMarketSummaries(address[] addresses) view returns (tuple(address market, uint8 kind, uint8 state, bytes32 question, uint32 resolveTimestamp, uint16 feeBps, uint8 resolutionOutcome, uint256[] pools, uint256[] prices)[])",
+  "event MarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question)",
+  "event CategoricalMarketDeployed(address indexed marketAddress, address indexed creator, bytes32 question, uint8 outcomeCount)",
+  ...EMERGENCY_STOP_ABI,
+];
+
+const MARKET_ABI = [
+  "function ORACLE_ROLE() view returns (bytes32)",
+  "function ARBITER_ROLE() view returns (bytes32)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function settlementToken() view returns (address)",
+  "function state() view returns (uint8)",
+  "function yesPool() view returns (uint256)",
+  "function noPool() view returns (uint256)",
+  "function totalYesPositions() view returns (uint256)",
+  "function totalNoPositions() view returns (uint256)",
+  "function positionToken() view returns (address)",
+  "function yesTokenId() view returns (uint256)",
+  "function noTokenId() view returns (uint256)",
+  "function yesPositions(address) view returns (uint256)",
+  "function noPositions(address) view returns (uint256)",
+  "function question() view returns (bytes32)",
+  "function resolveTimestamp() view returns (uint32)",
+  "function closeTimestamp() view returns (uint32)",
+  "function resolutionGracePeriod() view returns (uint32)",
+  "function tradingOpen() view returns (bool)",
+  "function resolutionOpensAt() view returns (uint256)",
+  "function disputeWindow() view returns (uint32)",
+  "function resolutionBond() view returns (uint256)",
+  "function proposedOutcome() view returns (uint8)",
+  "function proposedAt() view returns (uint32)",
+  "function proposer() view returns (address)",
+  "function disputer() view returns (address)",
+  "function creator() view returns (address)",
+  "function feeBps() view returns (uint16)",
+  "function feeRecipient() view returns (address)",
+  "function resolutionOutcome() view returns (uint8)",
+  "function payoutPool() view returns (uint256)",
+  "function liquidityPayout() view returns (uint256)",
+  "function feesToLiquidity() view returns (bool)",
+  "function pendingFees(address account) view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function currentPriceYes() view returns (uint256 numerator, uint256 denominator)",
+  "function currentPriceNo() view returns (uint256 numerator, uint256 denominator)",
+  "function buyYes(uint256 amount)",
+  "function buyYes(uint256 amount, uint256 minPositionUnits, uint256 deadline)",
+  "function buyNo(uint256 amount)",
+  "function buyNo(uint256 amount, uint256 minPositionUnits, uint256 deadline)",
+  "function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) returns (uint256)",
+  "function buyWithPermit(uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function sellYes(uint256 units, uint256 minCollateralOut)",
+  "function sellNo(uint256 units, uint256 minCollateralOut)",
+  "function activate()",
+  "function resolve(uint8 outcome)",
+  "function cancelUnresolved()",
+  "function proposeOutcome(uint8 outcome)",
+  "function dispute()",
+  "function finalize()",
+  "function arbitrate(uint8 outcome)",
+  "function setDisputeParams(uint32 window, uint256 bond)",
+  "function setCloseTimestamp(uint32 newClose)",
+  "function setResolutionGracePeriod(uint32 period)",
+  "function claim()",
+  "function claimFor(address user) returns (uint256)",
+  "function refund()",
+  "function refundFor(address user) returns (uint256)",
+  "function addLiquidity(uint256 amount, uint256 minShares) returns (uint256 shares)",
+  "function removeLiquidity(uint256 shares, uint256 minCollateralOut) returns (uint256 amountOut)",
+  "function claimFees() returns (uint256)",
+  "function setFeesToLiquidity(bool enabled)",
+  "function FEE_CHANGE_DELAY() view returns (uint32)",
+  "function pendingFeeBps() view returns (uint16)",
+  "function pendingFeeRecipient() view returns (address)",
+  "function feeChangeReadyAt() view returns (uint32)",
+  "function setFeeBps(uint16 newFee)",
+  "function setFeeRecipient(address newRecipient)",
+  "function applyFeeChange()",
+  "function cancelFeeChange()",
+  "event FeeChangeAnnounced(uint16 feeBps, address feeRecipient, uint32 readyAt)",
+  "event FeeChangeCancelled(uint16 feeBps, address feeRecipient)",
+  "event FeeUpdated(uint16 feeBps, address feeRecipient)",
+  "event MarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint256 yesPool, uint256 noPool, uint16 feeBps)",
+  "event BetPlaced(address indexed user, uint8 indexed outcome, uint256 amountIn, uint256 positionUnits)",
+  "event PositionSold(address indexed user, uint8 indexed outcome, uint256 positionUnits, uint256 amountOut)",
+  "event MarketResolved(uint8 indexed outcome, address indexed resolver)",
+  "event Claimed(address indexed user, address indexed to, uint256 amount)",
+  "event MarketCancelled(address indexed canceller)",
+  "event MarketActivated(address indexed activator)",
+  "event ScheduleUpdated(uint32 closeTimestamp, uint32 resolutionGracePeriod)",
+  "event DisputeParamsUpdated(uint32 disputeWindow, uint256 resolutionBond)",
+  "event OutcomeProposed(uint8 indexed outcome, address indexed proposer, uint256 bond)",
+  "event OutcomeDisputed(address indexed disputer, uint256 bond)",
+  "event DisputeRuled(uint8 indexed outcome, address indexed arbiter, address indexed bondRecipient)",
+  "event FeeCollected(address indexed feeRecipient, uint256 amount)",
+  "event LiquidityAdded(address indexed provider, uint256 amount, uint256 shares)",
+  "event LiquidityRemoved(address indexed provider, uint256 shares, uint256 amount)",
+  "event FeesClaimed(address indexed provider, uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  ...EMERGENCY_STOP_ABI,
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+];
+
+// BetPlaced, Claimed and MarketResolved are the same events as on Market
+const CATEGORICAL_MARKET_ABI = [
+  "function ORACLE_ROLE() view returns (bytes32)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function MAX_OUTCOMES() view returns (uint8)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function settlementToken() view returns (address)",
+  "function state() view returns (uint8)",
+  "function question() view returns (bytes32)",
+  "function resolveTimestamp() view returns (uint32)",
+  "function creator() view returns (address)",
+  "function feeBps() view returns (uint16)",
+  "function feeRecipient() view returns (address)",
+  "function initialLiquidity() view returns (uint256)",
+  "function resolutionOutcome() view returns (uint8)",
+  "function liquidityPayout() view returns (uint256)",
+  "function outcomeCount() view returns (uint8)",
+  "function getPools() view returns (uint256[])",
+  "function getTotalPositions() view returns (uint256[])",
+  "function currentPrices() view returns (uint256[] prices)",
+  "function tradingOpen() view returns (bool)",
+  "function positions(address user, uint8 outcome) view returns (uint256)",
+  "function deposits(address user) view returns (uint256)",
+  "function calcBuyAmount(uint8 outcome, uint256 amountAfterFee) view returns (uint256)",
+  "function buy(uint8 outcome, uint256 amount, uint256 minPositionUnits)",
+  "function buyFor(address to, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline) returns (uint256)",
+  "function buyWithPermit(uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function activate()",
+  "function resolve(uint8 outcome)",
+  "function cancel()",
+  "function claim()",
+  "function claimFor(address user) returns (uint256)",
+  "function refund()",
+  "function refundFor(address user) returns (uint256)",
+  "function withdrawLiquidity(address to)",
+  "function FEE_CHANGE_DELAY() view returns (uint32)",
+  "function pendingFeeBps() view returns (uint16)",
+  "function pendingFeeRecipient() view returns (address)",
+  "function feeChangeReadyAt() view returns (uint32)",
+  "function setFeeBps(uint16 newFee)",
+  "function setFeeRecipient(address newRecipient)",
+  "function applyFeeChange()",
+  "function cancelFeeChange()",
+  "event FeeChangeAnnounced(uint16 feeBps, address feeRecipient, uint32 readyAt)",
+  "event FeeChangeCancelled(uint16 feeBps, address feeRecipient)",
+  "event FeeUpdated(uint16 feeBps, address feeRecipient)",
+  "event CategoricalMarketCreated(address indexed creator, bytes32 question, uint32 resolveTimestamp, uint8 outcomeCount, uint256 initialLiquidity, uint16 feeBps)",
+  "event BetPlaced(address indexed user, uint8 indexed outcome, uint256 amountIn, uint256 positionUnits)",
+  "event MarketResolved(uint8 indexed outcome, address indexed resolver)",
+  "event Claimed(address indexed user, address indexed to, uint256 amount)",
+  "event MarketCancelled(address indexed canceller)",
+  "event MarketActivated(address indexed activator)",
+  "event FeeCollected(address indexed feeRecipient, uint256 amount)",
+  "event LiquidityWithdrawn(address indexed to, uint256 amount)",
+  ...EMERGENCY_STOP_ABI,
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+];
+
+// Shared ERC-1155 holding every binary market's YES/NO units, see contracts/PositionToken.sol
+const POSITION_TOKEN_ABI = [
+  "function positionId(address market, uint8 outcome) pure returns (uint256)",
+  "function marketOf(uint256 id) pure returns (address)",
+  "function outcomeOf(uint256 id) pure returns (uint8)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+  "function isApprovedForAll(address account, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+  "event ApprovalForAll(address indexed account, address indexed operator, bool approved)",
+  "error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)",
+];
+
+const SETTLEMENT_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function mint(address to, uint256 amount)",
+  "function faucet(address to, uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+];
+
+// Gasless trading through EIP-712 signed orders, see contracts/OrderRelay.sol and sdk/orders.js
+const ORDER_RELAY_ABI = [
+  "function ORDER_TYPEHASH() view returns (bytes32)",
+  "function settlementToken() view returns (address)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function hashOrder((address trader, address market, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 relayerFee, uint256 nonce, uint256 deadline) order) view returns (bytes32)",
+  "function execute((address trader, address market, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 relayerFee, uint256 nonce, uint256 deadline) order, bytes signature) returns (uint256)",
+  "function executeWithPermit((address trader, address market, uint8 outcome, uint256 amount, uint256 minPositionUnits, uint256 relayerFee, uint256 nonce, uint256 deadline) order, bytes signature, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+  "function cancelNonce()",
+  "event OrderExecuted(bytes32 indexed orderHash, address indexed trader, address indexed relayer, address market, uint8 outcome, uint256 amount, uint256 positionUnits, uint256 relayerFee)",
+  "event NonceCancelled(address indexed trader, uint256 nonce)",
+  "error InvalidAccountNonce(address account, uint256 currentNonce)",
+];
+
+// One approval for trades across markets and a claim/refund sweep, see contracts/MarketRouter.sol
+const MARKET_ROUTER_ABI = [
+  "function settlementToken() view returns (address)",
+  "function trade((address market, uint8 outcome, uint256 amount, uint256 minPositionUnits)[] trades, uint256 deadline) returns (uint256[] units)",
+  "function tradeWithPermit((address market, uint8 outcome, uint256 amount, uint256 minPositionUnits)[] trades, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256[] units)",
+  "function claimAll(address[] markets) returns (uint256[] amounts)",
+  "function claimAllFor(address user, address[] markets) returns (uint256[] amounts)",
+  "event Swept(address indexed user, uint256 markets, uint256 amount)",
+];
+
+module.exports = {
+  EMERGENCY_STOP_ABI,
+  MARKET_FACTORY_ABI,
+  MARKET_ABI,
+  CATEGORICAL_MARKET_ABI,
+  POSITION_TOKEN_ABI,
+  SETTLEMENT_TOKEN_ABI,
+  ORDER_RELAY_ABI,
+  MARKET_ROUTER_ABI,
+};
@@ -0,0 +1,975 @@
+const { Contract, Interface, id, isHexString } = require("ethers");
+const {
+  MARKET_FACTORY_ABI,
+  MARKET_ABI,
+  CATEGORICAL_MARKET_ABI,
+  POSITION_TOKEN_ABI,
+  SETTLEMENT_TOKEN_ABI,
+  MARKET_ROUTER_ABI,
+} = require("./abi");
+const { InvalidAmountError, PredictionMarketError, parseContractError } = require("./errors");
+const { hashQuestionMetadata, verifyQuestionMetadata } = require("./metadata");
+const { orderDomain, orderRelay, signOrder, signPermit, hashOrder } = require("./orders");
+const { quoteBuy, quoteSell, quoteCategoricalBuy, minOutWithSlippage } = require("./quote");
+
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_DEADLINE_SECONDS = 300;
+const DEFAULT_PAGE_SIZE = 100;
+
+const Side = Object.freeze({
+  NO: "no",
+  YES: "yes",
+});
+
+// Values accepted by Market.resolve
+const Outcome = Object.freeze({
+  NO: 0,
+  YES: 1,
+  CANCEL: 2,
+});
+
+// Mirrors Market.State
+const MarketState = Object.freeze({
+  Created: 0,
+  Active: 1,
+  Resolved: 2,
+  Cancelled: 3,
+  Proposed: 4,
+  Disputed: 5,
+});
+
+const STATE_NAMES = ["Created", "Active", "Resolved", "Cancelled", "Proposed", "Disputed"];
+
+// MarketFactory.MarketKind, by name as the indexer reports it
+const MARKET_KINDS = [null, "binary", "categorical"];
+
+const factoryInterface = new Interface(MARKET_FACTORY_ABI);
+const categoricalInterface = new Interface(CATEGORICAL_MARKET_ABI);
+const marketInterface = new Interface(MARKET_ABI);
+
+// Plain questions are hashed the same way the deploy script does (ethers.id); metadata documents
+// (sdk/metadata.js) hash to their canonical JSON; values that already are a bytes32 hash are passed through.
+function toQuestionHash(question) {
+  if (question !== null && typeof question === "object") return hashQuestionMetadata(question);
+  if (isHexString(question, 32)) return question;
+  return id(question);
+}
+
+function parseEvents(receipt, iface, address) {
+  const events = [];
+  for (const log of receipt.logs) {
+    if (address && log.address.toLowerCase() !== address.toLowerCase()) continue;
+    let parsed = null;
+    try {
+      parsed = iface.parseLog({ topics: log.topics, data: log.data });
+    } catch (e) {
+      parsed = null;
+    }
+    if (parsed) events.push(parsed);
+  }
+  return events;
+}
+
+function normalizeSide(side) {
+  if (side === true || side === Side.YES) return Side.YES;
+  if (side === false || side === Side.NO) return Side.NO;
+  if (typeof side === "string" && Object.values(Side).includes(side.toLowerCase())) {
+    return side.toLowerCase();
+  }
+  throw new PredictionMarketError(`unknown side: ${side}`);
+}
+
+class PredictionMarketClient {
+  // `runner` is an ethers Signer (for writes) or Provider (read-only).
+  // `slippageBps` and `deadlineSeconds` are the defaults buy() uses to protect trades.
+  // `metadata` resolves question hashes to metadata documents: anything with get(hash), such as a
+  // MetadataStore (lib/metadata.js); markets created from a document are put() into it when it can.
+  // `relayAddress` is the OrderRelay that signOrder() signs for (see sdk/orders.js), and `routerAddress`
+  // the MarketRouter that batchBuy() and claimAll() go through.
+  constructor({
+    factoryAddress,
+    runner,
+    approveMax = false,
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+    deadlineSeconds = DEFAULT_DEADLINE_SECONDS,
+    metadata = null,
+    relayAddress = null,
+    routerAddress = null,
+  }) {
+    if (!factoryAddress) throw new PredictionMarketError("factoryAddress is required");
+    if (!runner) throw new PredictionMarketError("runner is required");
+    this.runner = runner;
+    this.approveMax = approveMax;
+    this.slippageBps = slippageBps;
+    this.deadlineSeconds = deadlineSeconds;
+    this.metadata = metadata;
+    this.relayAddress = relayAddress;
+    this.routerAddress = routerAddress;
+    this.factory = new Contract(factoryAddress, MARKET_FACTORY_ABI, runner);
+    this._token = null;
+    this._positionToken = null;
+  }
+
+  market(address) {
+    return new Contract(address, MARKET_ABI, this.runner);
+  }
+
+  categoricalMarket(address) {
+    return new Contract(address, CATEGORICAL_MARKET_ABI, this.runner);
+  }
+
+  async token() {
+    if (!this._token) {
+      const tokenAddress = await this.factory.settlementToken();
+      this._token = new Contract(tokenAddress, SETTLEMENT_TOKEN_ABI, this.runner);
+    }
+    return this._token;
+  }
+
+  async positionToken() {
+    if (!this._positionToken) {
+      const tokenAddress = await this.factory.positionToken();
+      this._positionToken = new Contract(tokenAddress, POSITION_TOKEN_ABI, this.runner);
+    }
+    return this._positionToken;
+  }
+
+  orderRelay() {
+    if (!this.relayAddress) throw new PredictionMarketError("relayAddress is required for signed orders");
+    return orderRelay(this.relayAddress, this.runner);
+  }
+
+  router() {
+    if (!this.routerAddress) throw new PredictionMarketError("routerAddress is required for batch trades and claimAll");
+    return new Contract(this.routerAddress, MARKET_ROUTER_ABI, this.runner);
+  }
+
+  async signerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new PredictionMarketError("a signer is required for this action");
+    }
+    return this.runner.getAddress();
+  }
+
+  async _send(sendTx) {
+    try {
+      const tx = await sendTx();
+      return await tx.wait();
+    } catch (err) {
+      throw parseContractError(err);
+    }
+  }
+
+  // The verified metadata document behind a question hash, or null when there is no resolver or no document.
+  // Throws MetadataMismatchError when the resolver returns a document that hashes to something else.
+  async getMetadata(questionHash) {
+    if (!this.metadata) return null;
+    const metadata = await this.metadata.get(questionHash);
+    return metadata ? verifyQuestionMetadata(questionHash, metadata) : null;
+  }
+
+  async _publishMetadata(question) {
+    if (question !== null && typeof question === "object" && this.metadata && typeof this.metadata.put === "function") {
+      await this.metadata.put(question);
+    }
+  }
+
+  // Approve `spender` for at least `amount` settlement tokens; no-op if the allowance already covers it.
+  async ensureAllowance(spender, amount) {
+    const token = await this.token();
+    const owner = await this.signerAddress();
+    const allowance = await token.allowance(owner, spender);
+    if (allowance >= amount) return null;
+    const approval = this.approveMax ? 2n ** 256n - 1n : amount;
+    return this._send(() => token.approve(spender, approval));
+  }
+
+  // Signed EIP-2612 permit for `spender` to pull `amount` settlement tokens until `deadline`
+  async signPermit(spender, amount, deadline) {
+    const token = await this.token();
+    return signPermit(this.runner, token.target, spender, amount, deadline);
+  }
+
+  async createMarket({
+    question,
+    resolveTimestamp = 0,
+    initYesPool,
+    initNoPool,
+    feeBps = 0,
+    feeRecipient,
+    fund = true,
+  }) {
+    const questionHash = toQuestionHash(question);
+    // a zero recipient makes the market pay its fees to the factory, which cannot pass them on
+    feeRecipient = feeRecipient || (await this.signerAddress());
+    await this._publishMetadata(question);
+    const liquidity = BigInt(initYesPool) + BigInt(initNoPool);
+    // funded markets pull the seeded liquidity from the caller and open in the same transaction;
+    // unfunded ones stay Created until the admin transfers it and calls activate()
+    const funded = fund && liquidity > 0n;
+    if (funded) await this.ensureAllowance(this.factory.target, liquidity);
+    const receipt = await this._send(() =>
+      funded
+        ? this.factory.createAndFundMarket(questionHash, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient)
+        : this.factory.createMarket(questionHash, resolveTimestamp, initYesPool, initNoPool, feeBps, feeRecipient)
+    );
+    const deployed = parseEvents(receipt, factoryInterface, this.factory.target)
+      .find((e) => e.name === "MarketDeployed");
+    if (!deployed) throw new PredictionMarketError("MarketDeployed event not found in receipt");
+
+    return {
+      address: deployed.args.marketAddress,
+      creator: deployed.args.creator,
+      question: deployed.args.question,
+      receipt,
+    };
+  }
+
+  async getMarket(address) {
+    const market = this.market(address);
+    const [
+      question,
+      state,
+      resolveTimestamp,
+      closeTimestamp,
+      resolutionGracePeriod,
+      tradingOpen,
+      yesPool,
+      noPool,
+      totalYesPositions,
+      totalNoPositions,
+      feeBps,
+      feeRecipient,
+      resolutionOutcome,
+      payoutPool,
+      liquidityPayout,
+      disputeWindow,
+      resolutionBond,
+      proposedOutcome,
+      proposedAt,
+      paused,
+      claimsFrozen,
+    ] = await Promise.all([
+      market.question(),
+      market.state(),
+      market.resolveTimestamp(),
+      market.closeTimestamp(),
+      market.resolutionGracePeriod(),
+      market.tradingOpen(),
+      market.yesPool(),
+      market.noPool(),
+      market.totalYesPositions(),
+      market.totalNoPositions(),
+      market.feeBps(),
+      market.feeRecipient(),
+      market.resolutionOutcome(),
+      market.payoutPool(),
+      market.liquidityPayout(),
+      market.disputeWindow(),
+      market.resolutionBond(),
+      market.proposedOutcome(),
+      market.proposedAt(),
+      market.paused(),
+      market.claimsFrozen(),
+    ]);
+
+    return {
+      address,
+      question,
+      state: Number(state),
+      stateName: STATE_NAMES[Number(state)],
+      resolveTimestamp: Number(resolveTimestamp),
+      closeTimestamp: Number(closeTimestamp),
+      resolutionGracePeriod: Number(resolutionGracePeriod),
+      tradingOpen,
+      yesPool,
+      noPool,
+      totalYesPositions,
+      totalNoPositions,
+      feeBps: Number(feeBps),
+      feeRecipient,
+      resolutionOutcome: Number(resolutionOutcome),
+      payoutPool,
+      liquidityPayout,
+      disputeWindow: Number(disputeWindow),
+      resolutionBond,
+      proposedOutcome: Number(proposedOutcome),
+      proposedAt: Number(proposedAt),
+      paused,
+      claimsFrozen,
+      metadata: await this.getMetadata(question),
+    };
+  }
+
+  // --- Discovery ---
+
+  // One page of the factory's markets as summaries (see getMarketSummaries), filtered by at most one of
+  // `creator`, `state` (a MarketState value) or `question` (text, document or hash); those lists cover both
+  // kinds. Without a filter, `kind` picks the "binary" (default) or "categorical" list. Returns
+  // { items, total, offset, limit }, where total counts the whole filtered list.
+  // Markets in a state list move as they change state, so a page read later may skip or repeat one.
+  async listMarkets({ creator, state, question, kind = "binary", offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const filters = [creator, state, question].filter((v) => v !== undefined && v !== null);
+    if (filters.length > 1) throw new PredictionMarketError("filter markets by one of creator, state or question");
+    if (!MARKET_KINDS.includes(kind) || kind === null) throw new PredictionMarketError(`unknown market kind: ${kind}`);
+
+    let page;
+    let total;
+    if (question !== undefined && question !== null) {
+      const all = await this.factory.getMarketsByQuestion(toQuestionHash(question));
+      page = all.slice(offset, offset + limit);
+      total = all.length;
+    } else if (creator !== undefined && creator !== null) {
+      [page, total] = await this.factory.getMarketsByCreator(creator, offset, limit);
+    } else if (state !== undefined && state !== null) {
+      [page, total] = await this.factory.getMarketsByState(state, offset, limit);
+    } else if (kind === "categorical") {
+      [page, total] = await this.factory.getCategoricalMarketsPaginated(offset, limit);
+    } else {
+      [page, total] = await this.factory.getMarketsPaginated(offset, limit);
+    }
+    return { items: await this.getMarketSummaries([...page]), total: Number(total), offset, limit };
+  }
+
+  // Every market listMarkets(filter) would page through, read `pageSize` at a time
+  async findMarkets(filter = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const markets = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const { items, total } = await this.listMarkets({ ...filter, offset, limit: pageSize });
+      markets.push(...items);
+      if (items.length === 0 || offset + pageSize >= total) return markets;
+    }
+  }
+
+  // Markets asking `question` (text, document or hash), oldest first
+  async getMarketsByQuestion(question) {
+    return [...(await this.factory.getMarketsByQuestion(toQuestionHash(question)))];
+  }
+
+  // State, pools, prices, fee and settlement details of many markets in one call. `kind` is "binary",
+  // "categorical" or null for an address the factory did not deploy. Binary pools and prices are
+  // [NO, YES]; prices have 18 decimals, as the indexer reports them.
+  async getMarketSummaries(addresses) {
+    if (addresses.length === 0) return [];
+    const summaries = await this.factory.getMarketSummaries(addresses);
+    return summaries.map((s) => ({
+      address: s.market,
+      kind: MARKET_KINDS[Number(s.kind)],
+      state: Number(s.state),
+      stateName: Number(s.kind) === 0 ? null : STATE_NAMES[Number(s.state)],
+      question: s.question,
+      resolveTimestamp: Number(s.resolveTimestamp),
+      feeBps: Number(s.feeBps),
+      resolutionOutcome: Number(s.resolutionOutcome),
+      pools: [...s.pools],
+      prices: [...s.prices],
+    }));
+  }
+
+  async getPosition(marketAddress, user) {
+    const market = this.market(marketAddress);
+    const owner = user || (await this.signerAddress());
+    const [yes, no] = await Promise.all([market.yesPositions(owner), market.noPositions(owner)]);
+    return { yes, no };
+  }
+
+  // ERC-1155 id of the market's YES or NO units on the shared position token
+  async positionTokenId(marketAddress, side) {
+    const market = this.market(marketAddress);
+    return normalizeSide(side) === Side.YES ? market.yesTokenId() : market.noTokenId();
+  }
+
+  // Transfer `units` YES or NO of a market to `to`; the receiver holds (and can claim or sell) them from then on.
+  async transferPosition(marketAddress, side, to, units) {
+    if (BigInt(units) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    const positionToken = await this.positionToken();
+    const [from, tokenId] = await Promise.all([this.signerAddress(), this.positionTokenId(marketAddress, side)]);
+    const receipt = await this._send(() => positionToken.safeTransferFrom(from, to, tokenId, units, "0x"));
+    return { from, to, tokenId, units: BigInt(units), receipt };
+  }
+
+  async getPool(marketAddress) {
+    const market = this.market(marketAddress);
+    const [yesPool, noPool, feeBps] = await Promise.all([market.yesPool(), market.noPool(), market.feeBps()]);
+    return { yesPool, noPool, feeBps: Number(feeBps) };
+  }
+
+  // Off-chain quote of buy(marketAddress, side, amount) against the current pools (see sdk/quote.js).
+  async quote(marketAddress, side, amount) {
+    return quoteBuy(await this.getPool(marketAddress), normalizeSide(side), amount);
+  }
+
+  // Off-chain quote of sell(marketAddress, side, units) against the current pools.
+  async quoteSell(marketAddress, side, units) {
+    return quoteSell(await this.getPool(marketAddress), normalizeSide(side), units);
+  }
+
+  // Deadline relative to the latest block rather than the local clock, so it holds on forked/time-shifted chains.
+  async _deadline(deadlineSeconds) {
+    const provider = this.runner.provider || this.runner;
+    const block = await provider.getBlock("latest");
+    return BigInt(block.timestamp) + BigInt(deadlineSeconds);
+  }
+
+  // Buy `amount` settlement tokens worth of YES or NO, approving the market first when needed.
+  // The minimum output is quoted off-chain and reduced by `slippageBps` unless `minPositionUnits` is given.
+  // With `permit: true` the approval is a signed permit sent along with the trade (Market.buyWithPermit).
+  async buy(marketAddress, side, amount, options = {}) {
+    const normalized = normalizeSide(side);
+    if (BigInt(amount) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    const {
+      slippageBps = this.slippageBps,
+      deadlineSeconds = this.deadlineSeconds,
+    } = options;
+
+    let minPositionUnits = options.minPositionUnits;
+    if (minPositionUnits === undefined) {
+      const quote = await this.quote(marketAddress, normalized, amount);
+      minPositionUnits = minOutWithSlippage(quote.positionUnits, slippageBps);
+    }
+    const deadline = options.deadline !== undefined ? options.deadline : await this._deadline(deadlineSeconds);
+
+    const market = this.market(marketAddress);
+    let receipt;
+    if (options.permit) {
+      const { v, r, s } = await this.signPermit(marketAddress, amount, deadline);
+      const outcome = normalized === Side.YES ? Outcome.YES : Outcome.NO;
+      receipt = await this._send(() => market.buyWithPermit(outcome, amount, minPositionUnits, deadline, v, r, s));
+    } else {
+      await this.ensureAllowance(marketAddress, amount);
+      receipt = await this._send(() =>
+        normalized === Side.YES
+          ? market["buyYes(uint256,uint256,uint256)"](amount, minPositionUnits, deadline)
+          : market["buyNo(uint256,uint256,uint256)"](amount, minPositionUnits, deadline)
+      );
+    }
+
+    const events = parseEvents(receipt, marketInterface, marketAddress);
+    const bet = events.find((e) => e.name === "BetPlaced");
+    const feeEvent = events.find((e) => e.name === "FeeCollected");
+
+    return {
+      bet: {
+        user: bet.args.user,
+        side: Number(bet.args.outcome) === Outcome.YES ? Side.YES : Side.NO,
+        outcome: Number(bet.args.outcome),
+        amountIn: bet.args.amountIn,
+        positionUnits: bet.args.positionUnits,
+      },
+      fee: feeEvent ? feeEvent.args.amount : 0n,
+      position: await this.getPosition(marketAddress, bet.args.user),
+      receipt,
+    };
+  }
+
+  // Sell `units` YES or NO back to the pool. The minimum collateral out is quoted off-chain
+  // and reduced by `slippageBps` unless `minCollateralOut` is given.
+  async sell(marketAddress, side, units, options = {}) {
+    const normalized = normalizeSide(side);
+    if (BigInt(units) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    const { slippageBps = this.slippageBps } = options;
+
+    let minCollateralOut = options.minCollateralOut;
+    if (minCollateralOut === undefined) {
+      const quote = await this.quoteSell(marketAddress, normalized, units);
+      minCollateralOut = minOutWithSlippage(quote.amountOut, slippageBps);
+    }
+
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() =>
+      normalized === Side.YES
+        ? market.sellYes(units, minCollateralOut)
+        : market.sellNo(units, minCollateralOut)
+    );
+
+    const events = parseEvents(receipt, marketInterface, marketAddress);
+    const sold = events.find((e) => e.name === "PositionSold");
+    const feeEvent = events.find((e) => e.name === "FeeCollected");
+
+    return {
+      sale: {
+        user: sold.args.user,
+        side: Number(sold.args.outcome) === Outcome.YES ? Side.YES : Side.NO,
+        positionUnits: sold.args.positionUnits,
+        amountOut: sold.args.amountOut,
+      },
+      fee: feeEvent ? feeEvent.args.amount : 0n,
+      position: await this.getPosition(marketAddress, sold.args.user),
+      receipt,
+    };
+  }
+
+  async claim(marketAddress) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.claim());
+    return this._claimResult(receipt, marketAddress);
+  }
+
+  async refund(marketAddress) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.refund());
+    return this._claimResult(receipt, marketAddress);
+  }
+
+  // Markets of the factory where `user` (default: the signer) has a payout waiting: a winning position in a
+  // resolved market, or anything to refund in a cancelled one. Markets with frozen claims are included.
+  async getClaimableMarkets(user) {
+    const account = user || (await this.signerAddress());
+    const [resolved, cancelled] = await Promise.all([
+      this.findMarkets({ state: MarketState.Resolved }),
+      this.findMarkets({ state: MarketState.Cancelled }),
+    ]);
+    const claimable = [];
+    for (const summary of [...resolved, ...cancelled]) {
+      const resolvedTo = summary.state === MarketState.Resolved ? summary.resolutionOutcome : null;
+      let amount;
+      if (summary.kind === "binary") {
+        const { yes, no } = await this.getPosition(summary.address, account);
+        amount = resolvedTo === null ? yes + no : resolvedTo === Outcome.YES ? yes : no;
+      } else {
+        const market = this.categoricalMarket(summary.address);
+        amount = resolvedTo === null ? await market.deposits(account) : await market.positions(account, resolvedTo);
+      }
+      if (amount > 0n) claimable.push(summary.address);
+    }
+    return claimable;
+  }
+
+  // Collect every payout `user` (default: the signer) has waiting across the factory's markets, in one
+  // MarketRouter transaction. Anyone may sweep for a user: the payouts always go to the user.
+  // Returns { markets, claims, amount, receipt }; receipt is null when there was nothing to collect.
+  async claimAll(user) {
+    const router = this.router();
+    const signer = await this.signerAddress();
+    const account = user || signer;
+    const markets = await this.getClaimableMarkets(account);
+    if (markets.length === 0) return { markets, claims: [], amount: 0n, receipt: null };
+
+    const receipt = await this._send(() =>
+      account.toLowerCase() === signer.toLowerCase() ? router.claimAll(markets) : router.claimAllFor(account, markets)
+    );
+    const swept = new Set(markets.map((m) => m.toLowerCase()));
+    const claims = [];
+    for (const log of receipt.logs) {
+      if (!swept.has(log.address.toLowerCase())) continue;
+      const [event] = parseEvents({ logs: [log] }, marketInterface);
+      if (event && event.name === "Claimed") claims.push({ market: log.address, user: event.args.user, to: event.args.to, amount: event.args.amount });
+    }
+    const amount = claims.reduce((sum, c) => sum + c.amount, 0n);
+    return { markets, claims, amount, receipt };
+  }
+
+  async getLiquidity(marketAddress, account) {
+    const market = this.market(marketAddress);
+    const owner = account || (await this.signerAddress());
+    const [shares, totalShares, pendingFees] = await Promise.all([
+      market.balanceOf(owner),
+      market.totalSupply(),
+      market.pendingFees(owner),
+    ]);
+    return { shares, totalShares, pendingFees };
+  }
+
+  // Deposits collateral in the current pool ratio; the price does not move.
+  async addLiquidity(marketAddress, amount, { minShares = 0n } = {}) {
+    if (BigInt(amount) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    const market = this.market(marketAddress);
+    await this.ensureAllowance(marketAddress, amount);
+
+    const receipt = await this._send(() => market.addLiquidity(amount, minShares));
+    const added = parseEvents(receipt, marketInterface, marketAddress).find((e) => e.name === "LiquidityAdded");
+    return { provider: added.args.provider, amount: added.args.amount, shares: added.args.shares, receipt };
+  }
+
+  // Before resolution this removes a slice of both pools; afterwards it pays a share of liquidityPayout.
+  async removeLiquidity(marketAddress, shares, { minCollateralOut = 0n } = {}) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.removeLiquidity(shares, minCollateralOut));
+    const events = parseEvents(receipt, marketInterface, marketAddress);
+    const removed = events.find((e) => e.name === "LiquidityRemoved");
+    const fees = events.find((e) => e.name === "FeesClaimed");
+    return {
+      provider: removed.args.provider,
+      shares: removed.args.shares,
+      amount: removed.args.amount,
+      fees: fees ? fees.args.amount : 0n,
+      receipt,
+    };
+  }
+
+  async claimFees(marketAddress) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.claimFees());
+    const claimed = parseEvents(receipt, marketInterface, marketAddress).find((e) => e.name === "FeesClaimed");
+    return { amount: claimed ? claimed.args.amount : 0n, receipt };
+  }
+
+  async resolve(marketAddress, outcome) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.resolve(outcome));
+    const state = Number(await market.state());
+    return { outcome: Number(outcome), state, stateName: STATE_NAMES[state], receipt };
+  }
+
+  // ORACLE_ROLE, when the market has a dispute window: approves and posts resolutionBond.
+  async proposeOutcome(marketAddress, outcome) {
+    const market = this.market(marketAddress);
+    await this.ensureAllowance(marketAddress, await market.resolutionBond());
+    const receipt = await this._send(() => market.proposeOutcome(outcome));
+    const proposed = parseEvents(receipt, marketInterface, marketAddress).find((e) => e.name === "OutcomeProposed");
+    return { outcome: Number(proposed.args.outcome), proposer: proposed.args.proposer, bond: proposed.args.bond, receipt };
+  }
+
+  // Anyone, within the dispute window: approves and posts a bond matching the proposer's.
+  async dispute(marketAddress) {
+    const market = this.market(marketAddress);
+    await this.ensureAllowance(marketAddress, await market.resolutionBond());
+    const receipt = await this._send(() => market.dispute());
+    const disputed = parseEvents(receipt, marketInterface, marketAddress).find((e) => e.name === "OutcomeDisputed");
+    return { disputer: disputed.args.disputer, bond: disputed.args.bond, receipt };
+  }
+
+  // Anyone, after an undisputed window.
+  async finalize(marketAddress) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.finalize());
+    const state = Number(await market.state());
+    return { state, stateName: STATE_NAMES[state], receipt };
+  }
+
+  // ARBITER_ROLE: rule on a disputed proposal.
+  async arbitrate(marketAddress, outcome) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.arbitrate(outcome));
+    const ruled = parseEvents(receipt, marketInterface, marketAddress).find((e) => e.name === "DisputeRuled");
+    const state = Number(await market.state());
+    return { outcome: Number(outcome), bondRecipient: ruled.args.bondRecipient, state, stateName: STATE_NAMES[state], receipt };
+  }
+
+  // Anyone: cancel a market the oracle, the dispute process or its activation left unsettled past the schedule.
+  async cancelUnresolved(marketAddress) {
+    const market = this.market(marketAddress);
+    const receipt = await this._send(() => market.cancelUnresolved());
+    const state = Number(await market.state());
+    return { state, stateName: STATE_NAMES[state], receipt };
+  }
+
+  // --- Emergency stop ---
+  // PAUSER_ROLE on the market (or, for the *All variants, on the factory). Pausing stops trading; freezing
+  // claims stops claims, refunds and liquidity payouts too. Both work the same on categorical markets, and a
+  // market is stopped whenever the factory that deployed it is.
+
+  async pause(marketAddress) {
+    return this._setStop(this.market(marketAddress), "pause");
+  }
+
+  async unpause(marketAddress) {
+    return this._setStop(this.market(marketAddress), "unpause");
+  }
+
+  async freezeClaims(marketAddress) {
+    return this._setStop(this.market(marketAddress), "freezeClaims");
+  }
+
+  async unfreezeClaims(marketAddress) {
+    return this._setStop(this.market(marketAddress), "unfreezeClaims");
+  }
+
+  // Kill switch: blocks new markets and pauses every market the factory deployed
+  async pauseAll() {
+    return this._setStop(this.factory, "pause");
+  }
+
+  async unpauseAll() {
+    return this._setStop(this.factory, "unpause");
+  }
+
+  async freezeAllClaims() {
+    return this._setStop(this.factory, "freezeClaims");
+  }
+
+  async unfreezeAllClaims() {
+    return this._setStop(this.factory, "unfreezeClaims");
+  }
+
+  // Effective switches of a market (its own or its factory's), or the factory's own without an address
+  async getPauseStatus(marketAddress) {
+    const [factoryPaused, factoryClaimsFrozen] = await Promise.all([this.factory.paused(), this.factory.claimsFrozen()]);
+    if (!marketAddress) return { paused: factoryPaused, claimsFrozen: factoryClaimsFrozen };
+    const market = this.market(marketAddress);
+    const [paused, claimsFrozen] = await Promise.all([market.paused(), market.claimsFrozen()]);
+    return { paused, claimsFrozen, factoryPaused, factoryClaimsFrozen };
+  }
+
+  async _setStop(contract, method) {
+    const receipt = await this._send(() => contract[method]());
+    const [paused, claimsFrozen] = await Promise.all([contract.paused(), contract.claimsFrozen()]);
+    return { paused, claimsFrozen, receipt };
+  }
+
+  // --- CategoricalMarket ---
+  // claim() and refund() above work for categorical markets too: same functions, same Claimed event.
+
+  // Deploys, funds and opens an N-outcome market; every outcome starts at 1 / outcomeCount.
+  async createCategoricalMarket({
+    question,
+    resolveTimestamp = 0,
+    outcomeCount,
+    initialLiquidity,
+    feeBps = 0,
+    feeRecipient,
+  }) {
+    const questionHash = toQuestionHash(question);
+    // a zero recipient makes the market pay its fees to the factory, which cannot pass them on
+    feeRecipient = feeRecipient || (await this.signerAddress());
+    await this._publishMetadata(question);
+    await this.ensureAllowance(this.factory.target, BigInt(initialLiquidity));
+    const receipt = await this._send(() =>
+      this.factory.createCategoricalMarket(questionHash, resolveTimestamp, outcomeCount, initialLiquidity, feeBps, feeRecipient)
+    );
+    const deployed = parseEvents(receipt, factoryInterface, this.factory.target)
+      .find((e) => e.name === "CategoricalMarketDeployed");
+    if (!deployed) throw new PredictionMarketError("CategoricalMarketDeployed event not found in receipt");
+
+    return {
+      address: deployed.args.marketAddress,
+      creator: deployed.args.creator,
+      question: deployed.args.question,
+      outcomeCount: Number(deployed.args.outcomeCount),
+      receipt,
+    };
+  }
+
+  async getCategoricalMarket(address) {
+    const market = this.categoricalMarket(address);
+    const [
+      question,
+      state,
+      resolveTimestamp,
+      pools,
+      prices,
+      totalPositions,
+      feeBps,
+      feeRecipient,
+      resolutionOutcome,
+      liquidityPayout,
+      tradingOpen,
+      paused,
+      claimsFrozen,
+    ] = await Promise.all([
+      market.question(),
+      market.state(),
+      market.resolveTimestamp(),
+      market.getPools(),
+      market.currentPrices(),
+      market.getTotalPositions(),
+      market.feeBps(),
+      market.feeRecipient(),
+      market.resolutionOutcome(),
+      market.liquidityPayout(),
+      market.tradingOpen(),
+      market.paused(),
+      market.claimsFrozen(),
+    ]);
+
+    return {
+      address,
+      question,
+      state: Number(state),
+      stateName: STATE_NAMES[Number(state)],
+      resolveTimestamp: Number(resolveTimestamp),
+      outcomeCount: pools.length,
+      pools: [...pools],
+      prices: [...prices],
+      totalPositions: [...totalPositions],
+      feeBps: Number(feeBps),
+      feeRecipient,
+      resolutionOutcome: Number(resolutionOutcome),
+      liquidityPayout,
+      tradingOpen,
+      paused,
+      claimsFrozen,
+      metadata: await this.getMetadata(question),
+    };
+  }
+
+  // Units held per outcome, plus the deposit refunded if the market is cancelled
+  async getCategoricalPosition(marketAddress, user) {
+    const market = this.categoricalMarket(marketAddress);
+    const account = user || (await this.signerAddress());
+    const count = Number(await market.outcomeCount());
+    const units = await Promise.all(Array.from({ length: count }, (_, i) => market.positions(account, i)));
+    return { units, deposit: await market.deposits(account) };
+  }
+
+  async quoteOutcome(marketAddress, outcome, amountIn) {
+    const market = this.categoricalMarket(marketAddress);
+    const [pools, feeBps] = await Promise.all([market.getPools(), market.feeBps()]);
+    return quoteCategoricalBuy({ pools: [...pools], feeBps: Number(feeBps) }, outcome, amountIn);
+  }
+
+  // Same result shape as buy(): `bet.outcome` is the outcome index. `permit: true` works as in buy().
+  async buyOutcome(marketAddress, outcome, amount, { slippageBps = this.slippageBps, minPositionUnits, permit = false } = {}) {
+    if (BigInt(amount) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    if (minPositionUnits === undefined) {
+      const quote = await this.quoteOutcome(marketAddress, outcome, amount);
+      minPositionUnits = minOutWithSlippage(quote.positionUnits, slippageBps);
+    }
+
+    const market = this.categoricalMarket(marketAddress);
+    let receipt;
+    if (permit) {
+      const deadline = await this._deadline(this.deadlineSeconds);
+      const { v, r, s } = await this.signPermit(marketAddress, amount, deadline);
+      receipt = await this._send(() => market.buyWithPermit(outcome, amount, minPositionUnits, deadline, v, r, s));
+    } else {
+      await this.ensureAllowance(marketAddress, amount);
+      receipt = await this._send(() => market.buy(outcome, amount, minPositionUnits));
+    }
+
+    const events = parseEvents(receipt, categoricalInterface, marketAddress);
+    const bet = events.find((e) => e.name === "BetPlaced");
+    const feeEvent = events.find((e) => e.name === "FeeCollected");
+
+    return {
+      bet: {
+        user: bet.args.user,
+        outcome: Number(bet.args.outcome),
+        amountIn: bet.args.amountIn,
+        positionUnits: bet.args.positionUnits,
+      },
+      fee: feeEvent ? feeEvent.args.amount : 0n,
+      receipt,
+    };
+  }
+
+  // Sign an order for a relayer to execute through the OrderRelay; nothing is sent. `outcome` is a side
+  // ("yes"/"no") on binary markets and an outcome index on categorical ones, as in buy() and buyOutcome().
+  // The minimum output is quoted like a direct trade. A permit for amount + relayerFee is signed along
+  // with the order unless the relay's allowance already covers it (`permit: false` never signs one).
+  // Returns { order, signature, permit, orderHash }; hand it to postOrder() (sdk/orders.js).
+  async signOrder(marketAddress, outcome, amount, options = {}) {
+    if (BigInt(amount) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+    const {
+      relayerFee = 0n,
+      slippageBps = this.slippageBps,
+      deadlineSeconds = this.deadlineSeconds,
+    } = options;
+    const relay = this.orderRelay();
+    const trader = await this.signerAddress();
+    const leg = await this._leg({ market: marketAddress, outcome, amount, minPositionUnits: options.minPositionUnits }, slippageBps);
+    const deadline = options.deadline !== undefined ? options.deadline : await this._deadline(deadlineSeconds);
+    const order = {
+      trader,
+      ...leg,
+      relayerFee: BigInt(relayerFee),
+      nonce: await relay.nonces(trader),
+      deadline: BigInt(deadline),
+    };
+
+    const provider = this.runner.provider || this.runner;
+    const domain = orderDomain(relay.target, (await provider.getNetwork()).chainId);
+    const signature = await signOrder(this.runner, domain, order);
+
+    let permit = null;
+    const total = order.amount + order.relayerFee;
+    if (options.permit !== false) {
+      const token = await this.token();
+      if (options.permit === true || (await token.allowance(trader, relay.target)) < total) {
+        permit = await this.signPermit(relay.target, total, deadline);
+      }
+    }
+    return { order, signature, permit, orderHash: hashOrder(domain, order) };
+  }
+
+  // Several buys through the MarketRouter in one transaction, paid from a single approval of the router.
+  // Each leg is { market, outcome, amount, minPositionUnits? }, with `outcome` a side or an index as in
+  // signOrder(). Missing minimums are quoted against the current pools, so two legs in the same market
+  // need explicit ones. Any leg below its minimum reverts the whole batch. `permit: true` signs the
+  // approval instead of sending it. Returns { bets, receipt } with one bet per leg.
+  async batchBuy(legs, options = {}) {
+    if (!Array.isArray(legs) || legs.length === 0) throw new InvalidAmountError("no trades", { reason: "no trades" });
+    const { slippageBps = this.slippageBps, deadlineSeconds = this.deadlineSeconds } = options;
+    const router = this.router();
+    const trades = [];
+    for (const leg of legs) {
+      if (BigInt(leg.amount) <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+      trades.push(await this._leg(leg, slippageBps));
+    }
+    const total = trades.reduce((sum, t) => sum + t.amount, 0n);
+    const deadline = options.deadline !== undefined ? options.deadline : await this._deadline(deadlineSeconds);
+
+    let receipt;
+    if (options.permit) {
+      const { v, r, s } = await this.signPermit(router.target, total, deadline);
+      receipt = await this._send(() => router.tradeWithPermit(trades, deadline, v, r, s));
+    } else {
+      await this.ensureAllowance(router.target, total);
+      receipt = await this._send(() => router.trade(trades, deadline));
+    }
+
+    // BetPlaced is the same event on both market kinds
+    const bets = [];
+    for (const log of receipt.logs) {
+      const [event] = parseEvents({ logs: [log] }, marketInterface);
+      if (!event || event.name !== "BetPlaced") continue;
+      bets.push({
+        market: log.address,
+        user: event.args.user,
+        outcome: Number(event.args.outcome),
+        amountIn: event.args.amountIn,
+        positionUnits: event.args.positionUnits,
+      });
+    }
+    return { bets, receipt };
+  }
+
+  // { market, outcome, amount, minPositionUnits } as OrderRelay and MarketRouter take them: a side becomes
+  // 1 / 0, an index stays as it is, and a missing minimum is the quote reduced by `slippageBps`
+  async _leg({ market, outcome, amount, minPositionUnits }, slippageBps) {
+    const binary = typeof outcome !== "number";
+    if (minPositionUnits === undefined) {
+      const quote = binary ? await this.quote(market, outcome, amount) : await this.quoteOutcome(market, outcome, amount);
+      minPositionUnits = minOutWithSlippage(quote.positionUnits, slippageBps);
+    }
+    return {
+      market,
+      outcome: binary ? (normalizeSide(outcome) === Side.YES ? Outcome.YES : Outcome.NO) : outcome,
+      amount: BigInt(amount),
+      minPositionUnits: BigInt(minPositionUnits),
+    };
+  }
+
+  // Burn the signer's current relay nonce, so an order signed with it can no longer be executed
+  async cancelOrders() {
+    const relay = this.orderRelay();
+    const receipt = await this._send(() => relay.cancelNonce());
+    const cancelled = parseEvents(receipt, relay.interface, relay.target).find((e) => e.name === "NonceCancelled");
+    return { nonce: cancelled.args.nonce, receipt };
+  }
+
+  // ORACLE_ROLE; resolve(marketAddress, outcomeIndex) above settles categorical markets as well.
+  async cancelCategorical(marketAddress) {
+    const market = this.categoricalMarket(marketAddress);
+    const receipt = await this._send(() => market.cancel());
+    const state = Number(await market.state());
+    return { state, stateName: STATE_NAMES[state], receipt };
+  }
+
+  _claimResult(receipt, marketAddress) {
+    const claims = parseEvents(receipt, marketInterface, marketAddress)
+      .filter((e) => e.name === "Claimed")
+      .map((e) => ({ user: e.args.user, to: e.args.to, amount: e.args.amount }));
+    const amount = claims.reduce((sum, c) => sum + c.amount, 0n);
+    return { claims, amount, receipt };
+  }
+}
+
+module.exports = {
+  PredictionMarketClient,
+  Side,
+  Outcome,
+  MarketState,
+  toQuestionHash,
+  parseEvents,
+};
@@ -0,0 +1,175 @@
+const { Interface } = require("ethers");
+const { MARKET_ABI, POSITION_TOKEN_ABI, ORDER_RELAY_ABI } = require("./abi");
+
+class PredictionMarketError extends Error {
+  constructor(message, { reason, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// Market is not in the state the action requires ("Invalid state for action")
+class InvalidStateError extends PredictionMarketError {}
+
+// Trading is past closeTimestamp ("trading closed") or resolution has not opened yet ("too early")
+class TradingClosedError extends InvalidStateError {}
+
+// The call does not fit the market's dispute flow ("dispute window open", "dispute window closed",
+// "use proposeOutcome", "no dispute window")
+class DisputeWindowError extends InvalidStateError {}
+
+// The market or the factory that deployed it is stopped: trading is paused ("paused") or payouts are frozen ("claims frozen")
+class PausedError extends InvalidStateError {}
+
+// The CPMM has no liquidity on one side ("empty pool")
+class EmptyPoolError extends PredictionMarketError {}
+
+// Zero or otherwise unusable amount ("amount>0", "no trades")
+class InvalidAmountError extends PredictionMarketError {}
+
+// CPMM output below the caller's minimum ("slippage")
+class SlippageError extends PredictionMarketError {}
+
+// Transaction mined after its deadline ("expired")
+class DeadlineExpiredError extends PredictionMarketError {}
+
+// Selling or transferring more units than the caller holds ("insufficient position", ERC1155InsufficientBalance)
+class InsufficientPositionError extends PredictionMarketError {}
+
+// Caller lacks the role needed for the call (AccessControlUnauthorizedAccount)
+class UnauthorizedError extends PredictionMarketError {
+  constructor(message, { account, role, ...rest } = {}) {
+    super(message, rest);
+    this.account = account;
+    this.role = role;
+  }
+}
+
+// A signed order the relay refuses: bad signature ("invalid signature"), a nonce that is used or cancelled
+// (InvalidAccountNonce), a market on another token ("wrong settlement token") or one that did not take the
+// whole amount ("not spent"). MarketRouter legs revert with the last two as well.
+class InvalidOrderError extends PredictionMarketError {}
+
+// A quote the contract would reject or a target the pools cannot reach
+class QuoteError extends PredictionMarketError {}
+
+// Any other revert; `reason` carries the raw revert string when there is one
+class ContractRevertError extends PredictionMarketError {}
+
+// A question metadata document that does not follow the schema in sdk/metadata.js
+class InvalidMetadataError extends PredictionMarketError {}
+
+// A metadata document whose canonical hash is not the question hash it was looked up or stored under
+class MetadataMismatchError extends PredictionMarketError {
+  constructor(message, { expected, actual, ...rest } = {}) {
+    super(message, rest);
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+const REVERT_REASONS = {
+  "Invalid state for action": InvalidStateError,
+  "trading closed": TradingClosedError,
+  "too early": TradingClosedError,
+  "dispute window open": DisputeWindowError,
+  "dispute window closed": DisputeWindowError,
+  "use proposeOutcome": DisputeWindowError,
+  "no dispute window": DisputeWindowError,
+  "paused": PausedError,
+  "claims frozen": PausedError,
+  "empty pool": EmptyPoolError,
+  "amount>0": InvalidAmountError,
+  "no trades": InvalidAmountError,
+  "slippage": SlippageError,
+  "expired": DeadlineExpiredError,
+  "insufficient position": InsufficientPositionError,
+  "insufficient shares": InsufficientPositionError,
+  "invalid signature": InvalidOrderError,
+  "wrong settlement token": InvalidOrderError,
+  "not spent": InvalidOrderError,
+};
+
+const marketInterface = new Interface([
+  ...MARKET_ABI,
+  ...[...POSITION_TOKEN_ABI, ...ORDER_RELAY_ABI].filter((f) => f.startsWith("error ")),
+]);
+
+function extractRevertData(err) {
+  for (let e = err; e; e = e.error || e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+    if (e.data && typeof e.data.data === "string") return e.data.data;
+  }
+  return null;
+}
+
+function extractReason(err) {
+  for (let e = err; e; e = e.error || e.cause) {
+    if (typeof e.reason === "string" && e.reason) return e.reason;
+    if (e.revert && e.revert.name === "Error" && e.revert.args) return e.revert.args[0];
+  }
+  const match = /reverted with reason string '([^']*)'/.exec(String(err && err.message));
+  return match ? match[1] : null;
+}
+
+// Turn an ethers/Hardhat error raised by a market call into a typed SDK error.
+// Errors that are not contract reverts (network, signer, ...) are returned unchanged.
+function parseContractError(err) {
+  if (err instanceof PredictionMarketError) return err;
+
+  const data = extractRevertData(err);
+  if (data && data !== "0x") {
+    let decoded = null;
+    try {
+      decoded = marketInterface.parseError(data);
+    } catch (e) {
+      decoded = null;
+    }
+    if (decoded && decoded.name === "AccessControlUnauthorizedAccount") {
+      const [account, role] = decoded.args;
+      return new UnauthorizedError(`${account} is missing role ${role}`, { account, role, cause: err });
+    }
+    if (decoded && decoded.name === "ERC1155InsufficientBalance") {
+      const [sender, balance, needed] = decoded.args;
+      return new InsufficientPositionError(`${sender} holds ${balance} of ${needed} units`, { cause: err });
+    }
+    if (decoded && decoded.name === "InvalidAccountNonce") {
+      const [account, currentNonce] = decoded.args;
+      return new InvalidOrderError(`order nonce is not ${account}'s current nonce ${currentNonce}`, { cause: err });
+    }
+  }
+
+  const reason = extractReason(err);
+  if (reason === null) {
+    if (err && err.code === "CALL_EXCEPTION") {
+      return new ContractRevertError("transaction reverted", { cause: err });
+    }
+    return err;
+  }
+
+  const ErrorClass = REVERT_REASONS[reason] || ContractRevertError;
+  return new ErrorClass(reason, { reason, cause: err });
+}
+
+module.exports = {
+  PredictionMarketError,
+  InvalidStateError,
+  TradingClosedError,
+  DisputeWindowError,
+  PausedError,
+  EmptyPoolError,
+  InvalidAmountError,
+  SlippageError,
+  DeadlineExpiredError,
+  InsufficientPositionError,
+  UnauthorizedError,
+  InvalidOrderError,
+  QuoteError,
+  ContractRevertError,
+  InvalidMetadataError,
+  MetadataMismatchError,
+  REVERT_REASONS,
+  parseContractError,
+};
@@ -0,0 +1,15 @@
+const client = require("./client");
+const errors = require("./errors");
+const abi = require("./abi");
+const quote = require("./quote");
+const metadata = require("./metadata");
+const orders = require("./orders");
+
+module.exports = {
+  ...client,
+  ...errors,
+  ...abi,
+  ...quote,
+  ...metadata,
+  ...orders,
+};
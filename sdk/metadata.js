@@ -0,0 +1,127 @@
+// Question metadata: the human-readable document behind a market's bytes32 question hash.
+//
+// {
+//   "version": 1,
+//   "question": "Will BTC close above $100,000 on 2027-01-01?",
+//   "category": "crypto",
+//   "resolutionSource": "https://www.coinbase.com/price/bitcoin",
+//   "rules": "Resolves YES if the BTC-USD daily close on 2027-01-01 is above 100,000. Cancelled if ...",
+//   "endDate": "2027-01-01T00:00:00Z",
+//   "outcomes": ["Under", "Over"]          // optional labels, indexed like the market's outcomes
+// }
+//
+// The question hash is keccak256 of the canonical JSON: keys sorted, no whitespace, UTF-8. Anyone holding
+// the document can recompute the hash and compare it with Market.question(), so stores and APIs serving
+// metadata never have to be trusted.
+const { id, isHexString } = require("ethers");
+const { InvalidMetadataError, MetadataMismatchError } = require("./errors");
+
+const METADATA_VERSION = 1;
+const REQUIRED_FIELDS = ["question", "category", "resolutionSource", "rules", "endDate"];
+const FIELDS = ["version", ...REQUIRED_FIELDS, "outcomes"];
+const END_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function text(value) {
+  return typeof value === "string" ? value.normalize("NFC").trim() : value;
+}
+
+// Unix seconds, a Date or anything Date.parse understands -> "2027-01-01T00:00:00Z". Anything else is kept
+// as given for validateQuestionMetadata to report.
+function toEndDate(value) {
+  let ms = NaN;
+  if (value instanceof Date) ms = value.getTime();
+  else if (typeof value === "number" || typeof value === "bigint" || /^\d+$/.test(String(value))) ms = Number(value) * 1000;
+  else if (typeof value === "string") ms = Date.parse(value);
+  if (Number.isNaN(ms)) return value;
+  return new Date(Math.floor(ms / 1000) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+// Throws InvalidMetadataError listing every problem; returns the document unchanged when it is valid.
+function validateQuestionMetadata(metadata) {
+  if (!isPlainObject(metadata)) throw new InvalidMetadataError("metadata must be a JSON object");
+  const problems = [];
+  for (const key of Object.keys(metadata)) {
+    if (!FIELDS.includes(key)) problems.push(`unknown field ${key}`);
+  }
+  if (metadata.version !== METADATA_VERSION) problems.push(`version must be ${METADATA_VERSION}`);
+  for (const field of REQUIRED_FIELDS) {
+    const value = metadata[field];
+    if (typeof value !== "string" || value.trim() === "") problems.push(`${field} must be a non-empty string`);
+    else if (value !== text(value)) problems.push(`${field} must be trimmed NFC text`);
+  }
+  if (typeof metadata.endDate === "string" && !(END_DATE.test(metadata.endDate) && !Number.isNaN(Date.parse(metadata.endDate)))) {
+    problems.push("endDate must be a UTC timestamp like 2027-01-01T00:00:00Z");
+  }
+  if (metadata.outcomes !== undefined) {
+    const { outcomes } = metadata;
+    if (!Array.isArray(outcomes) || outcomes.length < 2 || outcomes.some((o) => typeof o !== "string" || o.trim() === "" || o !== text(o))) {
+      problems.push("outcomes must list at least two non-empty, trimmed labels");
+    } else if (new Set(outcomes).size !== outcomes.length) {
+      problems.push("outcomes must be unique");
+    }
+  }
+  if (problems.length > 0) throw new InvalidMetadataError(`invalid question metadata: ${problems.join("; ")}`);
+  return metadata;
+}
+
+// Normalizes user input into a valid document: trims text, formats endDate and sets the version.
+function buildQuestionMetadata({ question, category, resolutionSource, rules, endDate, outcomes, version = METADATA_VERSION, ...rest }) {
+  const metadata = {
+    ...rest,
+    version,
+    question: text(question),
+    category: text(category),
+    resolutionSource: text(resolutionSource),
+    rules: text(rules),
+    endDate: endDate === undefined ? undefined : toEndDate(endDate),
+  };
+  if (outcomes !== undefined) metadata.outcomes = Array.isArray(outcomes) ? outcomes.map(text) : outcomes;
+  return validateQuestionMetadata(metadata);
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The exact text the question hash commits to
+function canonicalizeQuestionMetadata(metadata) {
+  return canonical(validateQuestionMetadata(metadata));
+}
+
+function hashQuestionMetadata(metadata) {
+  return id(canonicalizeQuestionMetadata(metadata));
+}
+
+// Returns `metadata` if it hashes to `questionHash`, throws MetadataMismatchError otherwise.
+function verifyQuestionMetadata(questionHash, metadata) {
+  if (!isHexString(questionHash, 32)) throw new InvalidMetadataError(`${questionHash} is not a bytes32 question hash`);
+  const actual = hashQuestionMetadata(metadata);
+  if (actual.toLowerCase() !== questionHash.toLowerCase()) {
+    throw new MetadataMismatchError(`metadata hashes to ${actual}, not ${questionHash}`, { expected: questionHash, actual });
+  }
+  return metadata;
+}
+
+// resolveTimestamp matching the document's endDate
+function metadataEndTimestamp(metadata) {
+  return Math.floor(Date.parse(validateQuestionMetadata(metadata).endDate) / 1000);
+}
+
+module.exports = {
+  METADATA_VERSION,
+  buildQuestionMetadata,
+  canonicalizeQuestionMetadata,
+  hashQuestionMetadata,
+  metadataEndTimestamp,
+  validateQuestionMetadata,
+  verifyQuestionMetadata,
+};
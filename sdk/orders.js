@@ -0,0 +1,159 @@
+// EIP-712 signed orders for contracts/OrderRelay.sol and EIP-2612 permits for the settlement token.
+//
+// A trader signs an order off-chain and hands it to a relayer (relayer/), which submits it and pays the gas:
+//
+//   { trader, market, outcome, amount, minPositionUnits, relayerFee, nonce, deadline }
+//
+// `outcome` is 1 = YES / 0 = NO on binary markets and the outcome index on categorical ones. `amount` is
+// what the trade spends and `relayerFee` is paid to the relayer on top of it, both in settlement tokens.
+// `nonce` must be the relay's nonces(trader). A permit for amount + relayerFee to the relay can travel with
+// the order, so the trader never sends a transaction at all.
+//
+// Over HTTP, orders and permits are JSON with integers as decimal strings: orderToJSON / permitToJSON write
+// them, buildOrder / permitFromJSON read them back.
+const { Contract, TypedDataEncoder, getAddress, verifyTypedData, Signature } = require("ethers");
+const { ORDER_RELAY_ABI, SETTLEMENT_TOKEN_ABI } = require("./abi");
+const { InvalidAmountError, InvalidOrderError, PredictionMarketError } = require("./errors");
+
+const ORDER_TYPES = {
+  Order: [
+    { name: "trader", type: "address" },
+    { name: "market", type: "address" },
+    { name: "outcome", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "minPositionUnits", type: "uint256" },
+    { name: "relayerFee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const ORDER_UINT_FIELDS = ["amount", "minPositionUnits", "relayerFee", "nonce", "deadline"];
+
+// The OrderRelay's signing domain
+function orderDomain(relayAddress, chainId) {
+  return { name: "OrderRelay", version: "1", chainId: BigInt(chainId), verifyingContract: getAddress(relayAddress) };
+}
+
+// Checksummed addresses, bigint amounts and a numeric outcome from an order or its JSON form; throws
+// InvalidOrderError on malformed fields. minPositionUnits and relayerFee default to 0.
+function buildOrder(order) {
+  if (!order || typeof order !== "object") throw new InvalidOrderError("order must be an object");
+  const built = {};
+  for (const field of ["trader", "market"]) {
+    try {
+      built[field] = getAddress(order[field]);
+    } catch (e) {
+      throw new InvalidOrderError(`${field} must be an address`);
+    }
+  }
+  const outcome = Number(order.outcome);
+  if (!Number.isInteger(outcome) || outcome < 0 || outcome > 255) throw new InvalidOrderError("outcome must be an integer from 0 to 255");
+  built.outcome = outcome;
+  for (const field of ORDER_UINT_FIELDS) {
+    const value = order[field] === undefined && (field === "minPositionUnits" || field === "relayerFee") ? 0n : order[field];
+    if (!/^\d+$/.test(String(value))) throw new InvalidOrderError(`${field} must be a non-negative integer`);
+    built[field] = BigInt(value);
+  }
+  if (built.amount === 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+  return built;
+}
+
+function orderToJSON(order) {
+  const built = buildOrder(order);
+  return Object.fromEntries(Object.entries(built).map(([k, v]) => [k, typeof v === "bigint" ? v.toString() : v]));
+}
+
+// Digest OrderRelay.hashOrder returns for `order`
+function hashOrder(domain, order) {
+  return TypedDataEncoder.hash(domain, ORDER_TYPES, buildOrder(order));
+}
+
+async function signOrder(signer, domain, order) {
+  return signer.signTypedData(domain, ORDER_TYPES, buildOrder(order));
+}
+
+// Address that signed `order`; compare it with order.trader
+function recoverOrderSigner(domain, order, signature) {
+  try {
+    return verifyTypedData(domain, ORDER_TYPES, buildOrder(order), signature);
+  } catch (err) {
+    if (err instanceof PredictionMarketError) throw err;
+    throw new InvalidOrderError("invalid signature", { reason: "invalid signature", cause: err });
+  }
+}
+
+// EIP-2612 permit letting `spender` pull `value` of the signer's settlement tokens until `deadline`.
+// Returns { value, deadline, v, r, s } as the contracts' *WithPermit functions take them.
+async function signPermit(signer, tokenAddress, spender, value, deadline) {
+  const token = new Contract(tokenAddress, SETTLEMENT_TOKEN_ABI, signer);
+  const owner = await signer.getAddress();
+  const [domain, nonce] = await Promise.all([token.eip712Domain(), token.nonces(owner)]);
+  const signature = await signer.signTypedData(
+    { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+    PERMIT_TYPES,
+    { owner, spender: getAddress(spender), value: BigInt(value), nonce, deadline: BigInt(deadline) }
+  );
+  const { v, r, s } = Signature.from(signature);
+  return { value: BigInt(value), deadline: BigInt(deadline), v, r, s };
+}
+
+function permitToJSON(permit) {
+  return { value: permit.value.toString(), deadline: permit.deadline.toString(), v: Number(permit.v), r: permit.r, s: permit.s };
+}
+
+function permitFromJSON(json) {
+  if (!json || typeof json !== "object") throw new InvalidOrderError("permit must be an object");
+  if (!/^\d+$/.test(String(json.deadline)) || !/^\d+$/.test(String(json.value))) {
+    throw new InvalidOrderError("permit value and deadline must be non-negative integers");
+  }
+  try {
+    const { v, r, s } = Signature.from({ v: Number(json.v), r: json.r, s: json.s });
+    return { value: BigInt(json.value), deadline: BigInt(json.deadline), v, r, s };
+  } catch (err) {
+    throw new InvalidOrderError("permit signature is malformed", { cause: err });
+  }
+}
+
+function orderRelay(address, runner) {
+  return new Contract(address, ORDER_RELAY_ABI, runner);
+}
+
+// POST a signed order to a relayer (relayer/server.js). Resolves to the relayer's response body; throws
+// InvalidOrderError with the relayer's message when it refuses the order.
+async function postOrder(relayerUrl, { order, signature, permit = null }) {
+  const res = await fetch(new URL("/orders", relayerUrl), {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ order: orderToJSON(order), signature, permit: permit ? permitToJSON(permit) : null }),
+  });
+  const body = await res.json();
+  if (!res.ok) throw new InvalidOrderError(body.error || `relayer answered ${res.status}`, { reason: body.reason });
+  return body;
+}
+
+module.exports = {
+  ORDER_TYPES,
+  PERMIT_TYPES,
+  orderDomain,
+  buildOrder,
+  orderToJSON,
+  hashOrder,
+  signOrder,
+  recoverOrderSigner,
+  signPermit,
+  permitToJSON,
+  permitFromJSON,
+  orderRelay,
+  postOrder,
+};
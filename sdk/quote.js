@@ -0,0 +1,252 @@
+// Off-chain CPMM quotes. Everything is BigInt and mirrors the integer arithmetic
+// in Market.sol (_applyFee, _calcOutGivenIn, buy/sell) so results match to the wei.
+const { EmptyPoolError, InvalidAmountError, QuoteError } = require("./errors");
+
+const BPS = 10000n;
+// Prices, average prices and price impact are returned as 18-decimal fixed point
+const WAD = 10n ** 18n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+function applyFee(amountIn, feeBps) {
+  const amount = BigInt(amountIn);
+  const bps = BigInt(feeBps);
+  if (bps === 0n) return { amountAfterFee: amount, fee: 0n };
+  const fee = (amount * bps) / BPS;
+  return { amountAfterFee: amount - fee, fee };
+}
+
+// dy = y * dx / (x + dx), rounded down
+function calcOutGivenIn(x, y, dx) {
+  if (!(x > 0n && y > 0n)) throw new EmptyPoolError("empty pool", { reason: "empty pool" });
+  return (y * dx) / (x + dx);
+}
+
+// YES price as the contract reports it from currentPriceYes(): noPool / yesPool
+function priceYes({ yesPool, noPool }) {
+  return { numerator: BigInt(noPool), denominator: BigInt(yesPool) };
+}
+
+function priceNo({ yesPool, noPool }) {
+  return { numerator: BigInt(yesPool), denominator: BigInt(noPool) };
+}
+
+function toWad({ numerator, denominator }) {
+  if (denominator === 0n) throw new QuoteError("price undefined for an empty pool");
+  return (numerator * WAD) / denominator;
+}
+
+function isYes(side) {
+  if (side === true || side === "yes") return true;
+  if (side === false || side === "no") return false;
+  throw new QuoteError(`unknown side: ${side}`);
+}
+
+// Quote Market.buyYes / buyNo against the given pool state without touching the chain.
+// `pool` is { yesPool, noPool, feeBps } as read from the market.
+function quoteBuy(pool, side, amountIn) {
+  const yes = isYes(side);
+  const amount = BigInt(amountIn);
+  if (amount <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+
+  const yesPool = BigInt(pool.yesPool);
+  const noPool = BigInt(pool.noPool);
+  const { amountAfterFee, fee } = applyFee(amount, pool.feeBps);
+
+  let positionUnits;
+  let yesPoolAfter;
+  let noPoolAfter;
+  if (yes) {
+    positionUnits = calcOutGivenIn(noPool, yesPool, amountAfterFee);
+    noPoolAfter = noPool + amountAfterFee;
+    yesPoolAfter = yesPool - positionUnits;
+  } else {
+    positionUnits = calcOutGivenIn(yesPool, noPool, amountAfterFee);
+    yesPoolAfter = yesPool + amountAfterFee;
+    noPoolAfter = noPool - positionUnits;
+  }
+
+  const after = { yesPool: yesPoolAfter, noPool: noPoolAfter };
+  return {
+    side: yes ? "yes" : "no",
+    amountIn: amount,
+    fee,
+    amountAfterFee,
+    positionUnits,
+    averagePrice: positionUnits > 0n ? (amount * WAD) / positionUnits : null,
+    yesPoolAfter,
+    noPoolAfter,
+    priceYesAfter: priceYes(after),
+    priceNoAfter: priceNo(after),
+    priceImpact: priceImpact(yes, { yesPool, noPool }, after),
+  };
+}
+
+// Relative change of the traded side's price, 18-decimal fixed point; null when a pool is emptied
+function priceImpact(yes, before, after) {
+  const sidePrice = yes ? priceYes : priceNo;
+  const priceBefore = sidePrice(before);
+  const priceAfterFraction = sidePrice(after);
+  if (priceBefore.numerator === 0n || priceAfterFraction.denominator === 0n) return null;
+  const wadBefore = toWad(priceBefore);
+  return ((toWad(priceAfterFraction) - wadBefore) * WAD) / wadBefore;
+}
+
+// Quote Market.sellYes / sellNo: `units` go back to their pool and collateral leaves the opposite one;
+// the fee is taken from the output.
+function quoteSell(pool, side, units) {
+  const yes = isYes(side);
+  const amount = BigInt(units);
+  if (amount <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+
+  const yesPool = BigInt(pool.yesPool);
+  const noPool = BigInt(pool.noPool);
+
+  let grossOut;
+  let yesPoolAfter;
+  let noPoolAfter;
+  if (yes) {
+    grossOut = calcOutGivenIn(yesPool, noPool, amount);
+    yesPoolAfter = yesPool + amount;
+    noPoolAfter = noPool - grossOut;
+  } else {
+    grossOut = calcOutGivenIn(noPool, yesPool, amount);
+    noPoolAfter = noPool + amount;
+    yesPoolAfter = yesPool - grossOut;
+  }
+  const { amountAfterFee: amountOut, fee } = applyFee(grossOut, pool.feeBps);
+
+  const after = { yesPool: yesPoolAfter, noPool: noPoolAfter };
+  return {
+    side: yes ? "yes" : "no",
+    positionUnits: amount,
+    grossOut,
+    fee,
+    amountOut,
+    averagePrice: (amountOut * WAD) / amount,
+    yesPoolAfter,
+    noPoolAfter,
+    priceYesAfter: priceYes(after),
+    priceNoAfter: priceNo(after),
+    priceImpact: priceImpact(yes, { yesPool, noPool }, after),
+  };
+}
+
+// Smallest amountIn for which `done(quote)` holds; `done` must be monotonic in amountIn.
+function searchAmountIn(pool, side, done) {
+  const satisfied = (amount) => done(quoteBuy(pool, side, amount));
+
+  let hi = 1n;
+  while (!satisfied(hi)) {
+    hi *= 2n;
+    // past uint256 the trade could never be sent
+    if (hi > MAX_UINT256) throw new QuoteError("target unreachable with the current pools");
+  }
+  let lo = hi === 1n ? 1n : hi / 2n + 1n;
+
+  while (lo < hi) {
+    const mid = (lo + hi) / 2n;
+    if (satisfied(mid)) hi = mid;
+    else lo = mid + 1n;
+  }
+  return quoteBuy(pool, side, hi);
+}
+
+// Collateral needed to receive at least `units` position units on `side`.
+function quoteAmountInForUnits(pool, side, units) {
+  const target = BigInt(units);
+  if (target <= 0n) throw new InvalidAmountError("units must be positive");
+  return searchAmountIn(pool, side, (q) => q.positionUnits >= target);
+}
+
+// Collateral needed to move the YES price to `targetPriceYes` (18-decimal fixed point).
+// Buys YES to push the price up, NO to push it down; returns null if the price is already there.
+function quoteAmountInForPriceYes(pool, targetPriceYes) {
+  const target = BigInt(targetPriceYes);
+  const current = toWad(priceYes(pool));
+  if (current === target) return null;
+
+  if (target > current) {
+    return searchAmountIn(pool, "yes", (q) => toWad(q.priceYesAfter) >= target);
+  }
+  return searchAmountIn(pool, "no", (q) => toWad(q.priceYesAfter) <= target);
+}
+
+// Lowest acceptable output for a quoted `units` given a tolerance in basis points.
+function minOutWithSlippage(units, slippageBps) {
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps > BPS) throw new QuoteError(`invalid slippage: ${slippageBps} bps`);
+  return (BigInt(units) * (BPS - bps)) / BPS;
+}
+
+// --- CategoricalMarket (N-outcome fixed product market maker) ---
+
+function ceilDiv(a, b) {
+  return a === 0n ? 0n : (a - 1n) / b + 1n;
+}
+
+// Mirrors CategoricalMarket.calcBuyAmount: the bought pool keeps
+// ceil(pools[i] * prod(pools[j] / (pools[j] + d))) and the rest of pools[i] + d is paid out
+function calcCategoricalBuyAmount(pools, outcome, amountAfterFee) {
+  const index = Number(outcome);
+  if (!(index >= 0 && index < pools.length)) throw new QuoteError(`invalid outcome: ${outcome}`);
+  const d = BigInt(amountAfterFee);
+  const poolBalance = BigInt(pools[index]);
+  let endingBalance = poolBalance;
+  for (let j = 0; j < pools.length; j++) {
+    if (j === index) continue;
+    const pool = BigInt(pools[j]);
+    endingBalance = ceilDiv(endingBalance * pool, pool + d);
+  }
+  return poolBalance + d - endingBalance;
+}
+
+// Mirrors CategoricalMarket.currentPrices: (1 / pools[i]) / sum(1 / pools[j]), 18-decimal fixed point
+function categoricalPrices(pools) {
+  const weights = pools.map((pool) => {
+    if (BigInt(pool) === 0n) throw new EmptyPoolError("empty pool", { reason: "empty pool" });
+    return (WAD * WAD) / BigInt(pool);
+  });
+  const sum = weights.reduce((a, b) => a + b, 0n);
+  return weights.map((w) => (w * WAD) / sum);
+}
+
+// Quote CategoricalMarket.buy. `market` is { pools, feeBps } as read from the market.
+function quoteCategoricalBuy(market, outcome, amountIn) {
+  const amount = BigInt(amountIn);
+  if (amount <= 0n) throw new InvalidAmountError("amount>0", { reason: "amount>0" });
+  const index = Number(outcome);
+  const pools = market.pools.map(BigInt);
+  const { amountAfterFee, fee } = applyFee(amount, market.feeBps);
+
+  const positionUnits = calcCategoricalBuyAmount(pools, index, amountAfterFee);
+  const poolsAfter = pools.map((pool, j) => (j === index ? pool + amountAfterFee - positionUnits : pool + amountAfterFee));
+
+  return {
+    outcome: index,
+    amountIn: amount,
+    fee,
+    amountAfterFee,
+    positionUnits,
+    averagePrice: positionUnits > 0n ? (amount * WAD) / positionUnits : null,
+    poolsAfter,
+    pricesAfter: categoricalPrices(poolsAfter),
+  };
+}
+
+module.exports = {
+  BPS,
+  WAD,
+  applyFee,
+  calcOutGivenIn,
+  priceYes,
+  priceNo,
+  toWad,
+  quoteBuy,
+  quoteSell,
+  quoteAmountInForUnits,
+  quoteAmountInForPriceYes,
+  minOutWithSlippage,
+  calcCategoricalBuyAmount,
+  categoricalPrices,
+  quoteCategoricalBuy,
+};
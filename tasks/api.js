@@ -0,0 +1,37 @@
+const { once } = require("events");
+const { task, types } = require("hardhat/config");
+const { MarketFeed, createApiServer } = require("../indexer");
+const { createIndexer } = require("./indexer");
+const { openMetadataStore } = require("./metadata");
+
+task("api:serve", "Serve indexed market data over a read-only HTTP/JSON API and a WebSocket feed while following new blocks")
+  .addOptionalParam("port", "Port to listen on", 3001, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1", types.string)
+  .addOptionalParam("store", "Store file (default: data/indexer/<network>.json)", undefined, types.string)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .addOptionalParam("metadataDir", "Question metadata store (default: metadata/)", undefined, types.string)
+  .addOptionalParam("interval", "Polling interval in ms", 4000, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs range", 2000, types.int)
+  .addOptionalParam("reorgDepth", "Recent blocks re-checked for reorgs on every pass", 12, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .setAction(async (args, hre) => {
+    const indexer = await createIndexer(hre, args);
+    indexer.on("reorg", ({ fromBlock }) => console.log(`Reorg: rolled back to block ${fromBlock}`));
+    // serve only once the store has caught up, then keep following in the background
+    await indexer.syncOnce();
+
+    const server = createApiServer({ store: indexer.store, metadata: openMetadataStore(hre, args.metadataDir) });
+    const feed = new MarketFeed({ indexer, server });
+    server.listen(args.port, args.host);
+    await once(server, "listening");
+    const { port } = server.address();
+    console.log(`Serving ${indexer.store.getMarkets().length} market(s) from ${indexer.factoryAddress} at http://${args.host}:${port}`);
+    console.log(`WebSocket feed at ws://${args.host}:${port}/feed`);
+
+    indexer.start({ interval: args.interval });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    indexer.stop();
+    await feed.close();
+    server.close();
+    return null;
+  });
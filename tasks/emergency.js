@@ -0,0 +1,63 @@
+const { task, types } = require("hardhat/config");
+const { loadContext, output, resolveMarketAddress, runSteps, withCommonParams } = require("../lib/cli");
+
+// --all targets the factory's kill switch; otherwise the one market (binary or categorical, same functions)
+async function resolveStopTarget(hre, { factory, signer }, args) {
+  if (args.all === (args.market !== undefined)) throw new Error("Pass either --market or --all");
+  if (args.all) return { name: "MarketFactory", contract: factory };
+  const address = await resolveMarketAddress(factory, args.market);
+  return { name: "Market", contract: await hre.ethers.getContractAt("Market", address, signer) };
+}
+
+function withTargetParams(definition) {
+  return withCommonParams(
+    definition
+      .addOptionalParam("market", "Market address or index in getMarkets()", undefined, types.string)
+      .addFlag("all", "Use the factory's kill switch: every market it deployed, and new creations"),
+  );
+}
+
+for (const [name, method, description, done] of [
+  ["emergency:pause", "pause", "Pause trading in a market, or in every market with --all (PAUSER_ROLE)", "Paused"],
+  ["emergency:unpause", "unpause", "Resume trading paused with emergency:pause (PAUSER_ROLE)", "Unpaused"],
+  ["emergency:freeze-claims", "freezeClaims", "Freeze claims, refunds and liquidity payouts in a market, or everywhere with --all (PAUSER_ROLE)", "Froze claims on"],
+  ["emergency:unfreeze-claims", "unfreezeClaims", "Reopen claims frozen with emergency:freeze-claims (PAUSER_ROLE)", "Unfroze claims on"],
+]) {
+  withTargetParams(task(name, description)).setAction(async (args, hre) => {
+    const context = await loadContext(hre, args);
+    const target = await resolveStopTarget(hre, context, args);
+    const transactions = await runSteps([{ label: method, contract: target.contract, method, args: [] }], args);
+    const [paused, claimsFrozen] = await Promise.all([target.contract.paused(), target.contract.claimsFrozen()]);
+
+    const result = { dryRun: args.dryRun, target: target.contract.target, contractName: target.name, paused, claimsFrozen, transactions };
+    return output(result, {
+      json: args.json,
+      lines: [`${args.dryRun ? `Would ${method}` : done} ${target.name} ${target.contract.target}${args.all ? " (all markets)" : ""}`],
+    });
+  });
+}
+
+withCommonParams(
+  task("emergency:status", "Show whether the factory, or a market, is paused or has claims frozen")
+    .addOptionalParam("market", "Market address or index in getMarkets() (default: the factory)", undefined, types.string),
+).setAction(async (args, hre) => {
+  const { factory, signer } = await loadContext(hre, args);
+  const status = async (contract) => {
+    const [paused, claimsFrozen] = await Promise.all([contract.paused(), contract.claimsFrozen()]);
+    return { address: contract.target, paused, claimsFrozen };
+  };
+  const result = { factory: await status(factory) };
+  if (args.market !== undefined) {
+    const address = await resolveMarketAddress(factory, args.market);
+    result.market = await status(await hre.ethers.getContractAt("Market", address, signer));
+  }
+
+  const describe = (s) => [s.paused ? "paused" : "trading", s.claimsFrozen ? "claims frozen" : "claims open"].join(", ");
+  return output(result, {
+    json: args.json,
+    lines: [
+      `MarketFactory ${result.factory.address}: ${describe(result.factory)}`,
+      ...(result.market ? [`Market ${result.market.address}: ${describe(result.market)}`] : []),
+    ],
+  });
+});
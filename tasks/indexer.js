@@ -0,0 +1,58 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { DeploymentRegistry } = require("../lib/registry");
+const { IndexerStore, MarketIndexer } = require("../indexer");
+
+// Indexer over the MarketFactory recorded in deployments/<network>.json, starting at its deployment block.
+async function createIndexer(hre, { dir, store, batchSize, reorgDepth, confirmations }) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = DeploymentRegistry.load(hre.network.name, {
+    dir: dir || path.join(hre.config.paths.root, "deployments"),
+    chainId: Number(chainId),
+  });
+  const factory = registry.getContract("MarketFactory");
+  if (!factory) throw new Error(`No MarketFactory in ${registry.file}; deploy first with scripts/deploy.js`);
+
+  const file = store || path.join(hre.config.paths.root, "data", "indexer", `${hre.network.name}.json`);
+  return new MarketIndexer({
+    provider: hre.ethers.provider,
+    factoryAddress: factory.address,
+    store: new IndexerStore(file),
+    startBlock: factory.blockNumber || 0,
+    batchSize,
+    reorgDepth,
+    confirmations,
+  });
+}
+
+task("indexer:run", "Index factory markets and their events into a local store, following new blocks")
+  .addFlag("once", "Catch up to the head and exit instead of polling")
+  .addOptionalParam("store", "Store file (default: data/indexer/<network>.json)", undefined, types.string)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .addOptionalParam("interval", "Polling interval in ms", 4000, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs range", 2000, types.int)
+  .addOptionalParam("reorgDepth", "Recent blocks re-checked for reorgs on every pass", 12, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .setAction(async (args, hre) => {
+    const indexer = await createIndexer(hre, args);
+    indexer.on("reorg", ({ fromBlock }) => console.log(`Reorg: rolled back to block ${fromBlock}`));
+    indexer.on("sync", ({ fromBlock, toBlock, events }) => {
+      if (toBlock >= fromBlock) console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} event(s)`);
+    });
+
+    if (args.once) {
+      const summary = await indexer.syncOnce();
+      console.log(`${indexer.store.getMarkets().length} market(s) in ${indexer.store.file}`);
+      return summary;
+    }
+
+    console.log(`Following ${indexer.factoryAddress} on ${hre.network.name}; store ${indexer.store.file}`);
+    indexer.start({ interval: args.interval });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    indexer.stop();
+    return null;
+  });
+
+module.exports = {
+  createIndexer,
+};
@@ -0,0 +1,49 @@
+const path = require("path");
+const { NonceManager } = require("ethers");
+const { subtask, task, types } = require("hardhat/config");
+const { loadContext } = require("../lib/cli");
+const { PredictionMarketClient } = require("../sdk");
+const { AuditLog, OracleKeeper, defaultSources, loadKeeperConfig } = require("../keeper");
+
+// Subtask so tests and deployments can plug in their own answer sources
+subtask("keeper:sources", "Answer sources the keeper can use, by rule `source` name")
+  .addParam("baseDir", "Directory file sources resolve against", undefined, types.string)
+  .setAction(async ({ baseDir }) => defaultSources({ baseDir }));
+
+task("keeper:run", "Resolve due markets from the answers their configured sources report")
+  .addFlag("once", "Make one pass and exit instead of polling")
+  .addFlag("dryRun", "Simulate resolve() with eth_call instead of sending it")
+  .addOptionalParam("rules", "Keeper rules file (default: keeper.config.json)", undefined, types.string)
+  .addOptionalParam("audit", "Audit log, one JSON line per decision (default: data/keeper/<network>.jsonl)", undefined, types.string)
+  .addOptionalParam("from", "Oracle signer address (default: first account)", undefined, types.string)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .addOptionalParam("interval", "Polling interval in ms", 15000, types.int)
+  .addOptionalParam("retries", "Retries for failed source lookups and sends", 3, types.int)
+  .addOptionalParam("backoff", "Initial retry backoff in ms, doubled on every retry", 2000, types.int)
+  .setAction(async (args, hre) => {
+    const { factory, signer } = await loadContext(hre, args);
+    const { rules, baseDir } = loadKeeperConfig(args.rules || path.join(hre.config.paths.root, "keeper.config.json"));
+    const audit = new AuditLog(args.audit || path.join(hre.config.paths.root, "data", "keeper", `${hre.network.name}.jsonl`));
+
+    const keeper = new OracleKeeper({
+      client: new PredictionMarketClient({ factoryAddress: factory.target, runner: new NonceManager(signer) }),
+      rules,
+      sources: await hre.run("keeper:sources", { baseDir }),
+      audit,
+      dryRun: args.dryRun,
+      retries: args.retries,
+      backoffMs: args.backoff,
+    });
+    keeper.on("decision", (d) => {
+      const detail = d.error || d.reason || (d.outcome !== undefined ? `outcome ${d.outcome}${d.txHash ? ` (${d.txHash})` : ""}` : "");
+      console.log(`${d.decision} ${d.market}${detail ? `: ${detail}` : ""}`);
+    });
+
+    if (args.once) return keeper.runOnce();
+
+    console.log(`Keeping ${factory.target} on ${hre.network.name} as ${signer.address}; audit log ${audit.file}`);
+    keeper.start({ interval: args.interval });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    keeper.stop();
+    return null;
+  });
@@ -0,0 +1,221 @@
+const { task, types } = require("hardhat/config");
+const {
+  approvalStep,
+  loadContext,
+  output,
+  parseAmount,
+  parseOutcome,
+  parseSide,
+  parseTimestamp,
+  resolveMarketAddress,
+  runSteps,
+  withCommonParams,
+} = require("../lib/cli");
+const { MarketState, PredictionMarketClient } = require("../sdk/client");
+const { hashQuestionMetadata, metadataEndTimestamp } = require("../sdk/metadata");
+const { minOutWithSlippage, quoteBuy } = require("../sdk/quote");
+const { openMetadataStore, readMetadataFile } = require("./metadata");
+
+const OUTCOME_NAMES = ["NO", "YES", "CANCEL"];
+
+// Summary prices are 18-decimal, and 0 while the pool they divide by is empty
+function formatPrice(hre, wad, pool) {
+  return pool === 0n ? "-" : Number(hre.ethers.formatUnits(wad, 18)).toFixed(4);
+}
+
+function parseState(value) {
+  const name = Object.keys(MarketState).find((k) => k.toLowerCase() === String(value).toLowerCase());
+  if (name === undefined) throw new Error(`State must be one of ${Object.keys(MarketState).join(", ")}, not ${value}`);
+  return MarketState[name];
+}
+
+withCommonParams(
+  task("market:create", "Create a binary market through the recorded MarketFactory")
+    .addOptionalParam("question", "Question text (hashed with ethers.id) or a bytes32 hash", undefined, types.string)
+    .addOptionalParam("metadata", "Question metadata file to create the market from instead of --question; added to the metadata store", undefined, types.string)
+    .addOptionalParam("metadataDir", "Metadata store directory (default: metadata/)", undefined, types.string)
+    .addOptionalParam("yesPool", "Initial YES pool, in settlement tokens", undefined, types.string)
+    .addOptionalParam("noPool", "Initial NO pool, in settlement tokens", undefined, types.string)
+    .addOptionalParam("resolveAt", "Resolution time: unix seconds or a date such as 2027-01-01 (default: the metadata's endDate, else unscheduled)", undefined, types.string)
+    .addOptionalParam("feeBps", "Trading fee in basis points", 0, types.int)
+    .addOptionalParam("feeRecipient", "Fee recipient (default: the signer)", undefined, types.string)
+    .addFlag("unfunded", "Deploy without pulling liquidity; the market stays Created until activated"),
+).setAction(async (args, hre) => {
+  const { factory, token, decimals, symbol, signer } = await loadContext(hre, args);
+  if ((args.question === undefined) === (args.metadata === undefined)) throw new Error("Pass either --question or --metadata");
+  const metadata = args.metadata === undefined ? null : readMetadataFile(args.metadata);
+  let question;
+  if (metadata) question = hashQuestionMetadata(metadata);
+  else question = hre.ethers.isHexString(args.question, 32) ? args.question : hre.ethers.id(args.question);
+  const initYesPool = args.yesPool === undefined ? 0n : parseAmount(args.yesPool, decimals);
+  const initNoPool = args.noPool === undefined ? 0n : parseAmount(args.noPool, decimals);
+  const resolveTimestamp = args.resolveAt === undefined && metadata ? metadataEndTimestamp(metadata) : parseTimestamp(args.resolveAt);
+  // a zero recipient would make the market pay its fees to the factory, which cannot pass them on
+  const feeRecipient = args.feeRecipient || signer.address;
+  const funded = !args.unfunded && initYesPool + initNoPool > 0n;
+
+  const createArgs = [question, resolveTimestamp, initYesPool, initNoPool, args.feeBps, feeRecipient];
+  const steps = [
+    funded && approvalStep(token, factory.target, initYesPool + initNoPool, await token.allowance(signer.address, factory.target)),
+    { label: funded ? "createAndFundMarket" : "createMarket", contract: factory, method: funded ? "createAndFundMarket" : "createMarket", args: createArgs },
+  ];
+  const transactions = await runSteps(steps, args);
+  // the document is published once the market exists, so a failed create leaves no orphan behind
+  if (metadata && !args.dryRun) openMetadataStore(hre, args.metadataDir).put(metadata);
+
+  const create = transactions[transactions.length - 1];
+  let market = create.returned || null;
+  if (create.receipt) {
+    const deployed = create.receipt.logs.map((l) => factory.interface.parseLog(l)).find((e) => e && e.name === "MarketDeployed");
+    market = deployed.args.marketAddress;
+  }
+
+  const result = { dryRun: args.dryRun, market, question, questionText: metadata ? metadata.question : args.question, resolveTimestamp, initYesPool, initNoPool, feeBps: args.feeBps, funded, transactions };
+  return output(result, {
+    json: args.json,
+    lines: [
+      `${args.dryRun ? "Would create" : "Created"} market ${market || "(address known once sent)"}`,
+      `  question ${question}`,
+      `  pools ${hre.ethers.formatUnits(initYesPool, decimals)} YES / ${hre.ethers.formatUnits(initNoPool, decimals)} NO ${symbol}, fee ${args.feeBps} bps, ${funded ? "funded" : "unfunded"}`,
+    ],
+  });
+});
+
+withCommonParams(
+  task("market:list", "List the factory's binary markets with state, pools, prices and fee; --state and --creator lists include categorical markets")
+    .addOptionalParam("state", "Only markets in this state (Created, Active, Resolved, Cancelled, Proposed, Disputed)", undefined, types.string)
+    .addOptionalParam("creator", "Only markets created by this account", undefined, types.string)
+    .addOptionalParam("offset", "Skip this many markets of the list", 0, types.int)
+    .addOptionalParam("limit", "Show at most this many markets", 100, types.int)
+    .addOptionalParam("metadataDir", "Metadata store to read question texts from (default: metadata/)", undefined, types.string),
+).setAction(async (args, hre) => {
+  const { factory, decimals } = await loadContext(hre, args);
+  const client = new PredictionMarketClient({
+    factoryAddress: factory.target,
+    runner: hre.ethers.provider,
+    metadata: openMetadataStore(hre, args.metadataDir),
+  });
+
+  // one page of summaries in one call; state and creator lists hold categorical markets too
+  const filtered = args.state !== undefined || args.creator !== undefined;
+  const { items, total } = await client.listMarkets({
+    state: args.state === undefined ? undefined : parseState(args.state),
+    creator: args.creator,
+    offset: args.offset,
+    limit: args.limit,
+  });
+  const markets = [];
+  for (const [i, m] of items.entries()) {
+    const metadata = await client.getMetadata(m.question);
+    const entry = {
+      // a position in getMarkets() only for the unfiltered list
+      index: filtered ? null : args.offset + i,
+      kind: m.kind,
+      address: m.address,
+      question: m.question,
+      title: metadata ? metadata.question : null,
+      state: m.stateName,
+      feeBps: m.feeBps,
+      resolveTimestamp: m.resolveTimestamp,
+    };
+    if (m.kind === "binary") {
+      const [noPool, yesPool] = m.pools;
+      Object.assign(entry, { yesPool, noPool, priceYes: formatPrice(hre, m.prices[1], yesPool), priceNo: formatPrice(hre, m.prices[0], noPool) });
+    } else {
+      Object.assign(entry, { pools: m.pools, prices: m.prices.map((price, j) => formatPrice(hre, price, m.pools[j])) });
+    }
+    markets.push(entry);
+  }
+
+  const format = (v) => hre.ethers.formatUnits(v, decimals);
+  const more = args.offset + items.length < total ? [`Showing ${args.offset + 1}-${args.offset + items.length} of ${total}; use --offset for more`] : [];
+  return output({ markets, total }, {
+    json: args.json,
+    lines: markets.length === 0
+      ? ["No markets"]
+      : [
+          ...markets.map((m) => {
+            const pools = m.kind === "binary"
+              ? `pools ${format(m.yesPool)} YES / ${format(m.noPool)} NO price YES ${m.priceYes} NO ${m.priceNo}`
+              : `categorical pools ${m.pools.map(format).join(" / ")} prices ${m.prices.join(" / ")}`;
+            return `${m.index === null ? "" : `#${m.index} `}${m.address} ${m.state} ${pools} fee ${m.feeBps} bps${m.title ? ` "${m.title}"` : ""}`;
+          }),
+          ...more,
+        ],
+  });
+});
+
+withCommonParams(
+  task("market:buy", "Buy YES or NO in a market, approving the settlement token when needed")
+    .addParam("market", "Market address or index in getMarkets()", undefined, types.string)
+    .addParam("side", "yes or no", undefined, types.string)
+    .addParam("amount", "Settlement tokens to spend", undefined, types.string)
+    .addOptionalParam("slippageBps", "Accepted shortfall from the quoted position units", 50, types.int)
+    .addOptionalParam("deadline", "Seconds the order stays valid", 300, types.int),
+).setAction(async (args, hre) => {
+  const { factory, token, decimals, signer } = await loadContext(hre, args);
+  const address = await resolveMarketAddress(factory, args.market);
+  const market = await hre.ethers.getContractAt("Market", address, signer);
+  const side = parseSide(args.side);
+  const amount = parseAmount(args.amount, decimals);
+
+  const [yesPool, noPool, feeBps] = await Promise.all([market.yesPool(), market.noPool(), market.feeBps()]);
+  const quote = quoteBuy({ yesPool, noPool, feeBps }, side, amount);
+  const minPositionUnits = minOutWithSlippage(quote.positionUnits, args.slippageBps);
+  const block = await hre.ethers.provider.getBlock("latest");
+  const deadline = BigInt(block.timestamp) + BigInt(args.deadline);
+
+  const method = side === "yes" ? "buyYes(uint256,uint256,uint256)" : "buyNo(uint256,uint256,uint256)";
+  const transactions = await runSteps([
+    approvalStep(token, address, amount, await token.allowance(signer.address, address)),
+    { label: `buy${side === "yes" ? "Yes" : "No"}`, contract: market, method, args: [amount, minPositionUnits, deadline] },
+  ], args);
+
+  const result = { dryRun: args.dryRun, market: address, side, amount, quotedUnits: quote.positionUnits, minPositionUnits, fee: quote.fee, transactions };
+  return output(result, {
+    json: args.json,
+    lines: [`${args.dryRun ? "Would buy" : "Bought"} ~${hre.ethers.formatUnits(quote.positionUnits, decimals)} ${side.toUpperCase()} in ${address} for ${args.amount}`],
+  });
+});
+
+withCommonParams(
+  task("market:resolve", "Resolve a market (ORACLE_ROLE)")
+    .addParam("market", "Market address or index in getMarkets()", undefined, types.string)
+    .addParam("outcome", "yes, no or cancel", undefined, types.string),
+).setAction(async (args, hre) => {
+  const { factory, signer } = await loadContext(hre, args);
+  const address = await resolveMarketAddress(factory, args.market);
+  const market = await hre.ethers.getContractAt("Market", address, signer);
+  const outcome = parseOutcome(args.outcome);
+
+  const transactions = await runSteps([{ label: "resolve", contract: market, method: "resolve", args: [outcome] }], args);
+  const result = { dryRun: args.dryRun, market: address, outcome, transactions };
+  return output(result, {
+    json: args.json,
+    lines: [`${args.dryRun ? "Would resolve" : "Resolved"} ${address} as ${OUTCOME_NAMES[outcome]}`],
+  });
+});
+
+// claim and refund only differ in the market call
+for (const [name, method, description] of [
+  ["market:claim", "claim", "Claim winnings from a resolved market"],
+  ["market:refund", "refund", "Refund deposits from a cancelled market"],
+]) {
+  withCommonParams(
+    task(name, description).addParam("market", "Market address or index in getMarkets()", undefined, types.string)
+  ).setAction(async (args, hre) => {
+    const { factory, token, decimals, symbol, signer } = await loadContext(hre, args);
+    const address = await resolveMarketAddress(factory, args.market);
+    const market = await hre.ethers.getContractAt("Market", address, signer);
+
+    const before = await token.balanceOf(signer.address);
+    const transactions = await runSteps([{ label: method, contract: market, method, args: [] }], args);
+    const paid = args.dryRun ? null : (await token.balanceOf(signer.address)) - before;
+
+    const result = { dryRun: args.dryRun, market: address, account: signer.address, paid, transactions };
+    return output(result, {
+      json: args.json,
+      lines: [args.dryRun ? `${method} from ${address} would succeed` : `${method} paid ${hre.ethers.formatUnits(paid, decimals)} ${symbol} from ${address}`],
+    });
+  });
+}
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { MetadataStore } = require("../lib/metadata");
+const { output } = require("../lib/cli");
+const { buildQuestionMetadata } = require("../sdk/metadata");
+
+// The metadata store the tasks share: metadata/ in the project unless --metadata-dir says otherwise.
+function openMetadataStore(hre, metadataDir) {
+  return new MetadataStore(metadataDir || path.join(hre.config.paths.root, "metadata"));
+}
+
+// A metadata document from a JSON file, normalized (trimmed text, endDate as a UTC timestamp) and validated
+function readMetadataFile(file) {
+  if (!fs.existsSync(file)) throw new Error(`No metadata file at ${file}`);
+  return buildQuestionMetadata(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+task("metadata:add", "Validate a question metadata file and add it to the metadata store under its question hash")
+  .addParam("file", "JSON file with question, category, resolutionSource, rules and endDate", undefined, types.string)
+  .addOptionalParam("metadataDir", "Metadata store directory (default: metadata/)", undefined, types.string)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const metadata = readMetadataFile(args.file);
+    const store = openMetadataStore(hre, args.metadataDir);
+    const question = store.put(metadata);
+    return output({ question, file: store.file(question), metadata }, {
+      json: args.json,
+      lines: [`Stored ${question}`, `  ${metadata.question}`],
+    });
+  });
+
+task("metadata:show", "Print the verified metadata behind a question hash or a market's question")
+  .addParam("question", "Question hash, or a market address to read it from", undefined, types.string)
+  .addOptionalParam("metadataDir", "Metadata store directory (default: metadata/)", undefined, types.string)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    let question = args.question;
+    if (hre.ethers.isAddress(question)) {
+      question = await (await hre.ethers.getContractAt("Market", question)).question();
+    }
+    const metadata = openMetadataStore(hre, args.metadataDir).get(question);
+    if (!metadata) throw new Error(`No metadata for ${question}`);
+    return output({ question, metadata }, {
+      json: args.json,
+      lines: [
+        metadata.question,
+        `  question ${question}`,
+        `  category ${metadata.category}, ends ${metadata.endDate}`,
+        `  source ${metadata.resolutionSource}`,
+        ...(metadata.outcomes ? [`  outcomes ${metadata.outcomes.join(" / ")}`] : []),
+        `  rules ${metadata.rules}`,
+      ],
+    });
+  });
+
+module.exports = {
+  openMetadataStore,
+  readMetadataFile,
+};
@@ -0,0 +1,22 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { DeploymentRegistry, syncRegistry } = require("../lib/registry");
+
+task("registry:sync", "Backfill deployments/<network>.json with every market the recorded MarketFactory created")
+  .addOptionalParam("fromBlock", "First block to scan (default: after lastSyncedBlock)", undefined, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", 10000, types.int)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .setAction(async ({ fromBlock, batchSize, dir }, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const registry = DeploymentRegistry.load(hre.network.name, {
+      dir: dir || path.join(hre.config.paths.root, "deployments"),
+      chainId: Number(chainId),
+    });
+
+    const synced = await syncRegistry(registry, { provider: hre.ethers.provider, artifacts: hre.artifacts, fromBlock, batchSize });
+    const file = registry.save();
+
+    console.log(`Synced ${synced.length} market(s) up to block ${registry.lastSyncedBlock}`);
+    console.log(`${registry.markets().length} market(s) recorded in ${file}`);
+    return synced;
+  });
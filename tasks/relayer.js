@@ -0,0 +1,37 @@
+const { once } = require("events");
+const { parseUnits } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { loadContext } = require("../lib/cli");
+const { OrderRelayer, createRelayerServer } = require("../relayer");
+const { orderRelay } = require("../sdk");
+
+task("relayer:serve", "Execute EIP-712 signed orders posted over HTTP through the OrderRelay, paying their gas")
+  .addOptionalParam("port", "Port to listen on", 3002, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1", types.string)
+  .addOptionalParam("minFee", "Smallest relayerFee accepted, in settlement tokens", "0", types.string)
+  .addOptionalParam("relay", "OrderRelay address (default: the registry's)", undefined, types.string)
+  .addOptionalParam("from", "Relayer signer address (default: first account)", undefined, types.string)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { registry, signer, decimals, symbol } = await loadContext(hre, args);
+    let relayAddress = args.relay;
+    if (!relayAddress) {
+      const entry = registry.getContract("OrderRelay");
+      if (!entry) throw new Error(`No OrderRelay in ${registry.file}; pass --relay`);
+      relayAddress = entry.address;
+    }
+
+    const relayer = new OrderRelayer({ relay: orderRelay(relayAddress, signer), minFee: parseUnits(args.minFee, decimals) });
+    relayer.on("executed", (r) => console.log(`executed ${r.orderHash} for ${r.trader}: ${r.positionUnits} units (${r.txHash})`));
+    relayer.on("rejected", (r) => console.log(`rejected ${r.orderHash || "order"}: ${r.error}`));
+
+    const server = createRelayerServer({ relayer });
+    server.listen(args.port, args.host);
+    await once(server, "listening");
+    const { port } = server.address();
+    console.log(`Relaying orders to ${relayAddress} as ${signer.address} (minimum fee ${args.minFee} ${symbol}) at http://${args.host}:${port}`);
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    server.close();
+    return null;
+  });
@@ -0,0 +1,46 @@
+const { task, types } = require("hardhat/config");
+const { loadContext, output, parseRole, resolveMarketAddress, runSteps, withCommonParams } = require("../lib/cli");
+
+// MINTER_ROLE only exists on the settlement token; the other roles default to the factory.
+async function resolveTarget(hre, { factory, token, signer }, role, target) {
+  if (target === undefined) target = role === "MINTER_ROLE" ? "token" : "factory";
+  if (target === "token") return { name: "SettlementToken", contract: token };
+  if (target === "factory") return { name: "MarketFactory", contract: factory };
+  const address = await resolveMarketAddress(factory, target);
+  return { name: "Market", contract: await hre.ethers.getContractAt("Market", address, signer) };
+}
+
+for (const [name, method, verbs] of [
+  ["roles:grant", "grantRole", { action: "Grant", done: "Granted", preposition: "to" }],
+  ["roles:revoke", "revokeRole", { action: "Revoke", done: "Revoked", preposition: "from" }],
+]) {
+  withCommonParams(
+    task(name, `${verbs.action} ORACLE_ROLE, PAUSER_ROLE, MINTER_ROLE or DEFAULT_ADMIN_ROLE; the signer needs the target's DEFAULT_ADMIN_ROLE`)
+      .addParam("role", "ORACLE_ROLE, PAUSER_ROLE, MINTER_ROLE or DEFAULT_ADMIN_ROLE", undefined, types.string)
+      .addParam("account", "Account to grant the role to or revoke it from", undefined, types.string)
+      .addOptionalParam("target", "factory, token, or a market address / index (default: token for MINTER_ROLE, factory otherwise)", undefined, types.string),
+  ).setAction(async (args, hre) => {
+    const context = await loadContext(hre, args);
+    const role = parseRole(args.role);
+    const account = hre.ethers.getAddress(args.account);
+    const target = await resolveTarget(hre, context, role, args.target);
+    if (!target.contract.interface.getFunction(role)) throw new Error(`${target.name} has no ${role}`);
+    const roleId = await target.contract[role]();
+
+    const transactions = await runSteps([{ label: method, contract: target.contract, method, args: [roleId, account] }], args);
+    const result = {
+      dryRun: args.dryRun,
+      target: target.contract.target,
+      contractName: target.name,
+      role,
+      roleId,
+      account,
+      hasRole: await target.contract.hasRole(roleId, account),
+      transactions,
+    };
+    return output(result, {
+      json: args.json,
+      lines: [`${args.dryRun ? `Would ${verbs.action.toLowerCase()}` : verbs.done} ${role} ${verbs.preposition} ${account} on ${target.name} ${target.contract.target}`],
+    });
+  });
+}
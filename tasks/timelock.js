@@ -0,0 +1,254 @@
+const { task, types } = require("hardhat/config");
+const { ROLES, loadContext, output, resolveMarketAddress, runSteps, withCommonParams } = require("../lib/cli");
+
+function parseFeeBps(value) {
+  if (!/^\d+$/.test(String(value)) || Number(value) > 1000) throw new Error(`Fee must be 0-1000 basis points, not ${value}`);
+  return Number(value);
+}
+
+// Changes that go through the timelock once it holds DEFAULT_ADMIN_ROLE: --action -> the admin call it schedules
+const ACTIONS = {
+  "set-fee": { method: "setFeeBps", marketOnly: true, args: (hre, value) => [parseFeeBps(value)] },
+  "set-fee-recipient": { method: "setFeeRecipient", marketOnly: true, args: (hre, value) => [hre.ethers.getAddress(value)] },
+  "grant-oracle": { method: "grantRole", args: (hre, value) => [hre.ethers.id("ORACLE_ROLE"), hre.ethers.getAddress(value)] },
+  "revoke-oracle": { method: "revokeRole", args: (hre, value) => [hre.ethers.id("ORACLE_ROLE"), hre.ethers.getAddress(value)] },
+};
+// TimelockController.OperationState
+const OPERATION_STATES = ["unset", "waiting", "ready", "done"];
+
+// --timelock, or the AdminTimelock recorded in the registry
+async function loadTimelock(hre, { registry, signer }, address) {
+  if (address === undefined) {
+    const entry = registry.getContract("AdminTimelock");
+    if (!entry) throw new Error(`No AdminTimelock in ${registry.file}; pass --timelock`);
+    address = entry.address;
+  }
+  return hre.ethers.getContractAt("AdminTimelock", address, signer);
+}
+
+async function loadMultisig(hre, { registry, signer }, address) {
+  if (address === undefined) {
+    const entry = registry.getContract("AdminMultisig");
+    if (!entry) throw new Error(`No AdminMultisig in ${registry.file}; pass --multisig`);
+    address = entry.address;
+  }
+  return hre.ethers.getContractAt("AdminMultisig", address, signer);
+}
+
+// The timelock's own call, or (with --multisig) an AdminMultisig.submit of it for the other owners to confirm
+async function timelockStep(hre, context, timelock, method, args, multisig) {
+  if (multisig === undefined) return { label: method, contract: timelock, method, args };
+  const wallet = await loadMultisig(hre, context, multisig);
+  return { label: `submit ${method}`, contract: wallet, method: "submit", args: [timelock.target, timelock.interface.encodeFunctionData(method, args)] };
+}
+
+function roleName(hre, roleId) {
+  return ROLES.find((r) => (r === "DEFAULT_ADMIN_ROLE" ? hre.ethers.ZeroHash : hre.ethers.id(r)) === roleId) || roleId;
+}
+
+// "setFeeBps(200)", "grantRole(ORACLE_ROLE, 0x...)"; Market's ABI covers the factory's role functions too
+async function describeCall(hre, data) {
+  const market = await hre.ethers.getContractAt("Market", hre.ethers.ZeroAddress);
+  const parsed = market.interface.parseTransaction({ data });
+  if (!parsed) return data;
+  const args = parsed.args.map((a, i) => (parsed.fragment.inputs[i].name === "role" ? roleName(hre, a) : String(a)));
+  return `${parsed.name}(${args.join(", ")})`;
+}
+
+// Every CallScheduled of the timelock (or only `id`'s), with its salt and current state
+async function scheduledOperations(hre, timelock, id) {
+  const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled(id));
+  const salts = new Map((await timelock.queryFilter(timelock.filters.CallSalt(id))).map((e) => [e.args.id, e.args.salt]));
+  return Promise.all(
+    scheduled.map(async (e) => {
+      const { id: opId, target, value, data, predecessor } = e.args;
+      const [state, timestamp] = await Promise.all([timelock.getOperationState(opId), timelock.getTimestamp(opId)]);
+      return {
+        id: opId,
+        target,
+        value,
+        data,
+        predecessor,
+        salt: salts.get(opId) || hre.ethers.ZeroHash,
+        call: await describeCall(hre, data),
+        // a cancelled operation is forgotten by the timelock, so it reads as unset again
+        state: OPERATION_STATES[Number(state)] === "unset" ? "cancelled" : OPERATION_STATES[Number(state)],
+        readyAt: timestamp > 1n ? Number(timestamp) : null,
+        scheduledBlock: e.blockNumber,
+      };
+    }),
+  );
+}
+
+async function findOperation(hre, timelock, id) {
+  const [operation] = await scheduledOperations(hre, timelock, id);
+  if (!operation) throw new Error(`No operation ${id} was scheduled on AdminTimelock ${timelock.target}`);
+  return operation;
+}
+
+function isoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function withTimelockParams(definition) {
+  return withCommonParams(definition.addOptionalParam("timelock", "AdminTimelock address (default: the registry's)", undefined, types.string));
+}
+
+withTimelockParams(
+  task("timelock:schedule", "Announce a fee, fee recipient or ORACLE_ROLE change; it can be executed once the timelock's delay has passed")
+    .addParam("action", Object.keys(ACTIONS).join(", "), undefined, types.string)
+    .addParam("value", "New fee in basis points, fee recipient, or oracle account", undefined, types.string)
+    .addOptionalParam("target", "factory, or a market address / index (default: factory; fee actions need a market)", undefined, types.string)
+    .addOptionalParam("delay", "Seconds to wait, at least the timelock's minimum (default: the minimum)", undefined, types.int)
+    .addOptionalParam("salt", "bytes32 salt, to schedule a call identical to an earlier one (default: zero)", undefined, types.string)
+    .addOptionalParam("multisig", "Submit the schedule to this AdminMultisig instead of sending it (the timelock's proposer)", undefined, types.string),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const action = ACTIONS[args.action];
+  if (!action) throw new Error(`--action must be one of ${Object.keys(ACTIONS).join(", ")}, not ${args.action}`);
+  if (action.marketOnly && (args.target === undefined || args.target === "factory")) throw new Error(`${args.action} needs --target <market>`);
+  const timelock = await loadTimelock(hre, context, args.timelock);
+  const target =
+    args.target === undefined || args.target === "factory"
+      ? { name: "MarketFactory", address: context.factory.target }
+      : { name: "Market", address: await resolveMarketAddress(context.factory, args.target) };
+
+  const market = await hre.ethers.getContractAt("Market", target.address);
+  const data = market.interface.encodeFunctionData(action.method, action.args(hre, args.value));
+  const delay = args.delay === undefined ? await timelock.getMinDelay() : BigInt(args.delay);
+  const salt = args.salt || hre.ethers.ZeroHash;
+  const id = await timelock.hashOperation(target.address, 0, data, hre.ethers.ZeroHash, salt);
+  if (await timelock.isOperation(id)) throw new Error(`Operation ${id} is already scheduled; pass --salt to schedule the same call again`);
+
+  const scheduleArgs = [target.address, 0, data, hre.ethers.ZeroHash, salt, delay];
+  const step = await timelockStep(hre, context, timelock, "schedule", scheduleArgs, args.multisig);
+  const transactions = await runSteps([step], args);
+  const timestamp = await timelock.getTimestamp(id);
+  const call = await describeCall(hre, data);
+
+  const result = {
+    dryRun: args.dryRun,
+    id,
+    timelock: timelock.target,
+    target: target.address,
+    contractName: target.name,
+    call,
+    data,
+    salt,
+    delay,
+    readyAt: timestamp > 1n ? Number(timestamp) : null,
+    transactions,
+  };
+  let line = `${args.dryRun ? "Would schedule" : "Scheduled"} ${call} on ${target.name} ${target.address} as ${id}`;
+  if (args.multisig !== undefined) line = `${args.dryRun ? "Would submit" : "Submitted"} to AdminMultisig: schedule ${call} on ${target.name} ${target.address} as ${id}`;
+  return output(result, {
+    json: args.json,
+    lines: [line, result.readyAt ? `  ready at ${isoTime(result.readyAt)}` : `  ready ${delay}s after it is scheduled`],
+  });
+});
+
+withTimelockParams(
+  task("timelock:execute", "Execute a scheduled operation whose delay has passed").addParam("id", "Operation id printed by timelock:schedule", undefined, types.string),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const timelock = await loadTimelock(hre, context, args.timelock);
+  const operation = await findOperation(hre, timelock, args.id);
+  if (operation.state === "waiting") throw new Error(`Operation ${args.id} is not ready until ${isoTime(operation.readyAt)}`);
+  if (operation.state !== "ready") throw new Error(`Operation ${args.id} is ${operation.state}`);
+
+  const { target, value, data, predecessor, salt } = operation;
+  const transactions = await runSteps([{ label: "execute", contract: timelock, method: "execute", args: [target, value, data, predecessor, salt] }], args);
+  return output(
+    { dryRun: args.dryRun, ...operation, state: args.dryRun ? operation.state : "done", transactions },
+    { json: args.json, lines: [`${args.dryRun ? "Would execute" : "Executed"} ${operation.call} on ${target}`] },
+  );
+});
+
+withTimelockParams(
+  task("timelock:cancel", "Cancel a scheduled operation before it is executed (CANCELLER_ROLE)")
+    .addParam("id", "Operation id printed by timelock:schedule", undefined, types.string)
+    .addOptionalParam("multisig", "Submit the cancel to this AdminMultisig instead of sending it", undefined, types.string),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const timelock = await loadTimelock(hre, context, args.timelock);
+  const operation = await findOperation(hre, timelock, args.id);
+  if (operation.state !== "waiting" && operation.state !== "ready") throw new Error(`Operation ${args.id} is ${operation.state}`);
+
+  const transactions = await runSteps([await timelockStep(hre, context, timelock, "cancel", [operation.id], args.multisig)], args);
+  const done = args.multisig !== undefined ? "Submitted to AdminMultisig: cancel" : "Cancelled";
+  return output(
+    { dryRun: args.dryRun, ...operation, transactions },
+    { json: args.json, lines: [`${args.dryRun ? "Would cancel" : done} ${operation.call} on ${operation.target} (${operation.id})`] },
+  );
+});
+
+withTimelockParams(
+  task("timelock:list", "List the operations scheduled on the timelock")
+    .addFlag("all", "Include executed and cancelled operations"),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const timelock = await loadTimelock(hre, context, args.timelock);
+  const all = await scheduledOperations(hre, timelock);
+  const operations = args.all ? all : all.filter((o) => o.state === "waiting" || o.state === "ready");
+  const minDelay = await timelock.getMinDelay();
+
+  return output(
+    { timelock: timelock.target, minDelay, operations },
+    {
+      json: args.json,
+      lines: [
+        `AdminTimelock ${timelock.target}: ${minDelay}s delay, ${operations.length} operation(s)`,
+        ...operations.map((o) => {
+          const when = o.state === "waiting" ? ` until ${isoTime(o.readyAt)}` : "";
+          return `  ${o.id} ${o.state}${when}: ${o.call} on ${o.target}`;
+        }),
+      ],
+    },
+  );
+});
+
+withCommonParams(
+  task("multisig:confirm", "Confirm an AdminMultisig transaction; the confirmation that reaches the threshold executes it")
+    .addParam("id", "Transaction number", undefined, types.int)
+    .addOptionalParam("multisig", "AdminMultisig address (default: the registry's)", undefined, types.string),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const multisig = await loadMultisig(hre, context, args.multisig);
+  const transactions = await runSteps([{ label: "confirm", contract: multisig, method: "confirm", args: [args.id] }], args);
+  const [, , executed, confirmations] = await multisig.transactions(args.id);
+  const threshold = await multisig.threshold();
+
+  return output(
+    { dryRun: args.dryRun, multisig: multisig.target, txId: args.id, confirmations, threshold, executed, transactions },
+    {
+      json: args.json,
+      lines: [`${args.dryRun ? "Would confirm" : "Confirmed"} AdminMultisig #${args.id}: ${confirmations} of ${threshold}${executed ? ", executed" : ""}`],
+    },
+  );
+});
+
+withCommonParams(
+  task("admin:handover", "Grant DEFAULT_ADMIN_ROLE to a timelock or multisig and renounce the signer's; other roles are kept")
+    .addParam("to", "New admin, e.g. the AdminTimelock", undefined, types.string)
+    .addOptionalParam("target", "factory, or a market address / index (default: factory)", undefined, types.string),
+).setAction(async (args, hre) => {
+  const context = await loadContext(hre, args);
+  const to = hre.ethers.getAddress(args.to);
+  const target =
+    args.target === undefined || args.target === "factory"
+      ? { name: "MarketFactory", contract: context.factory }
+      : { name: "Market", contract: await hre.ethers.getContractAt("Market", await resolveMarketAddress(context.factory, args.target), context.signer) };
+  const role = await target.contract.DEFAULT_ADMIN_ROLE();
+
+  const transactions = await runSteps(
+    [
+      { label: "grantRole", contract: target.contract, method: "grantRole", args: [role, to] },
+      { label: "renounceRole", contract: target.contract, method: "renounceRole", args: [role, context.signer.address] },
+    ],
+    args,
+  );
+  return output(
+    { dryRun: args.dryRun, target: target.contract.target, contractName: target.name, admin: to, transactions },
+    { json: args.json, lines: [`${args.dryRun ? "Would hand" : "Handed"} DEFAULT_ADMIN_ROLE on ${target.name} ${target.contract.target} to ${to}`] },
+  );
+});
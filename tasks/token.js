@@ -0,0 +1,19 @@
+const { task, types } = require("hardhat/config");
+const { loadContext, output, parseAmount, runSteps, withCommonParams } = require("../lib/cli");
+
+withCommonParams(
+  task("token:faucet", "Mint settlement tokens to an account (MINTER_ROLE)")
+    .addOptionalParam("to", "Recipient (default: the signer)", undefined, types.string)
+    .addOptionalParam("amount", "Tokens to mint", "1000", types.string),
+).setAction(async (args, hre) => {
+  const { token, decimals, symbol, signer } = await loadContext(hre, args);
+  const to = hre.ethers.getAddress(args.to || signer.address);
+  const amount = parseAmount(args.amount, decimals);
+
+  const transactions = await runSteps([{ label: "faucet", contract: token, method: "faucet", args: [to, amount] }], args);
+  const result = { dryRun: args.dryRun, token: token.target, to, amount, balance: await token.balanceOf(to), transactions };
+  return output(result, {
+    json: args.json,
+    lines: [`${args.dryRun ? "Would mint" : "Minted"} ${args.amount} ${symbol} to ${to}; balance ${hre.ethers.formatUnits(result.balance, decimals)} ${symbol}`],
+  });
+});
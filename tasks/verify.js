@@ -0,0 +1,48 @@
+const path = require("path");
+const { subtask, task, types } = require("hardhat/config");
+const { DeploymentRegistry, readMarketEntry, syncRegistry } = require("../lib/registry");
+const { buildReport, etherscanExplorer, verifyEntries, writeReport } = require("../lib/verify");
+
+// Override this subtask to verify against another explorer (tests swap in a local stub).
+subtask("verify-markets:explorer", "Returns the block explorer client verify-markets submits to")
+  .setAction(async (_, hre) => etherscanExplorer(hre));
+
+task("verify-markets", "Verify factory-deployed markets with constructor arguments rebuilt from chain data")
+  .addFlag("all", "Verify every market the recorded MarketFactory created")
+  .addOptionalParam("address", "Verify a single market", undefined, types.string)
+  .addOptionalParam("dir", "Registry directory (default: deployments/)", undefined, types.string)
+  .addOptionalParam("report", "Status report file (default: <dir>/verification/<network>.json)", undefined, types.string)
+  .addOptionalParam("retries", "Retries per contract when the explorer rate-limits", 5, types.int)
+  .addOptionalParam("backoff", "First rate-limit backoff in ms, doubled on every retry", 5000, types.int)
+  .setAction(async ({ all, address, dir, report, retries, backoff }, hre) => {
+    if (all === Boolean(address)) throw new Error("Pass exactly one of --all or --address");
+
+    const provider = hre.ethers.provider;
+    const { chainId } = await provider.getNetwork();
+    dir = dir || path.join(hre.config.paths.root, "deployments");
+    const registry = DeploymentRegistry.load(hre.network.name, { dir, chainId: Number(chainId) });
+
+    let entries;
+    if (all) {
+      await syncRegistry(registry, { provider, artifacts: hre.artifacts });
+      registry.save();
+      entries = registry.markets();
+    } else {
+      entries = [await readMarketEntry(provider, address, { artifacts: hre.artifacts })];
+    }
+
+    const explorer = await hre.run("verify-markets:explorer");
+    console.log(`Verifying ${entries.length} market(s) on ${explorer.name}...`);
+    const results = await verifyEntries(entries, {
+      explorer,
+      retries,
+      backoffMs: backoff,
+      onResult: (r) => console.log(`  ${r.contractName} ${r.address}: ${r.status}${r.error ? ` (${r.error})` : ""}`),
+    });
+
+    const summary = buildReport(results, { network: hre.network.name, chainId: Number(chainId), explorer: explorer.name });
+    const file = writeReport(report || path.join(dir, "verification", `${hre.network.name}.json`), summary);
+    const { verified, alreadyVerified, failed } = summary.summary;
+    console.log(`${verified} verified, ${alreadyVerified} already verified, ${failed} failed - report written to ${file}`);
+    return summary;
+  });
@@ -0,0 +1,183 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { once } = require("events");
+const { deployMarketFactory } = require("../lib/deploy");
+const { IndexerStore, MarketIndexer, createApiServer } = require("../indexer");
+
+describe("Indexer API", function () {
+  let server;
+
+  afterEach(async function () {
+    if (!server) return;
+    server.closeAllConnections();
+    server.close();
+    await once(server, "close");
+    server = null;
+  });
+
+  async function deployFixture() {
+    const [admin, oracle, trader1, trader2, trader3] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    const startBlock = (await marketFactory.deploymentTransaction().wait()).blockNumber;
+    const positionToken = await ethers.getContractAt("PositionToken", await marketFactory.positionToken());
+
+    for (const account of [admin, trader1, trader2, trader3]) {
+      await settlementToken.mint(account.address, ethers.parseEther("10000"));
+      await settlementToken.connect(account).approve(marketFactory.target, ethers.MaxUint256);
+    }
+
+    await marketFactory.createAndFundMarket(ethers.id("binary"), 0, ethers.parseEther("100"), ethers.parseEther("300"), 100, ethers.ZeroAddress);
+    await marketFactory.connect(trader1).createCategoricalMarket(ethers.id("categorical"), 0, 3, ethers.parseEther("30"), 200, ethers.ZeroAddress);
+    const market = await ethers.getContractAt("Market", (await marketFactory.getMarkets())[0]);
+    const categorical = await ethers.getContractAt("CategoricalMarket", (await marketFactory.getCategoricalMarkets())[0]);
+    await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+    await categorical.connect(trader1).grantRole(await categorical.ORACLE_ROLE(), oracle.address);
+    for (const account of [admin, trader1, trader2, trader3]) {
+      await settlementToken.connect(account).approve(market.target, ethers.MaxUint256);
+      await settlementToken.connect(account).approve(categorical.target, ethers.MaxUint256);
+    }
+    return { admin, oracle, trader1, trader2, trader3, settlementToken, marketFactory, positionToken, market, categorical, startBlock };
+  }
+
+  // indexes the fixture's factory into an in-memory store and serves it on a free port
+  async function serve({ marketFactory, startBlock }) {
+    const indexer = new MarketIndexer({ provider: ethers.provider, factoryAddress: marketFactory.target, store: new IndexerStore(), startBlock });
+    await indexer.syncOnce();
+    server = createApiServer({ store: indexer.store });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const { port } = server.address();
+    const get = async (path, init) => {
+      const res = await fetch(`http://127.0.0.1:${port}${path}`, init);
+      return { status: res.status, body: await res.json() };
+    };
+    return { indexer, get };
+  }
+
+  it("Should list markets with filters and pagination, and serve pools and prices matching the chain", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { admin, trader1, trader2, market, categorical } = fixture;
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("40"));
+    await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("15"));
+    await market.connect(trader1).sellYes((await market.yesPositions(trader1.address)) / 3n, 0);
+    await market.connect(trader2).addLiquidity(ethers.parseEther("50"), 0);
+    await market.connect(admin).removeLiquidity(ethers.parseEther("120"), 0);
+    await categorical.connect(trader2).buy(1, ethers.parseEther("12"), 0);
+    await categorical.connect(trader1).buy(2, ethers.parseEther("5"), 0);
+
+    const { get } = await serve(fixture);
+
+    const all = await get("/markets");
+    expect(all.status).to.equal(200);
+    expect(all.body).to.include({ total: 2, limit: 50, offset: 0 });
+    expect((await get("/markets?creator=" + trader1.address.toLowerCase())).body.items.map((m) => m.address)).to.deep.equal([categorical.target]);
+    expect((await get("/markets?state=resolved")).body.total).to.equal(0);
+    const page = (await get("/markets?state=Active&limit=1&offset=1")).body;
+    expect(page).to.include({ total: 2, limit: 1, offset: 1 });
+    expect(page.items.map((m) => m.kind)).to.deep.equal(["categorical"]);
+
+    const { body: binary } = await get(`/markets/${market.target}`);
+    expect(binary).to.include({ kind: "binary", state: "Active", feeBps: 100, trades: 3 });
+    expect(binary.pools).to.deep.equal([(await market.noPool()).toString(), (await market.yesPool()).toString()]);
+    const [num, den] = await market.currentPriceYes();
+    expect(binary.prices[1]).to.equal(((num * ethers.WeiPerEther) / den).toString());
+    expect(binary.lpSupply).to.equal((await market.totalSupply()).toString());
+    expect(binary.totalPositions).to.deep.equal([(await market.totalNoPositions()).toString(), (await market.totalYesPositions()).toString()]);
+    expect(binary.priceHistory.map((p) => p.event)).to.deep.equal(["MarketCreated", "BetPlaced", "BetPlaced", "PositionSold", "LiquidityAdded", "LiquidityRemoved"]);
+    expect(binary.priceHistory.at(-1).pools).to.deep.equal(binary.pools);
+
+    const { body: cat } = await get(`/markets/${categorical.target}`);
+    expect(cat.pools).to.deep.equal((await categorical.getPools()).map(String));
+    expect(cat.prices).to.deep.equal((await categorical.currentPrices()).map(String));
+    expect(cat.totalPositions).to.deep.equal((await categorical.getTotalPositions()).map(String));
+
+    const trades = (await get(`/markets/${market.target}/trades?user=${trader1.address}&limit=1`)).body;
+    expect(trades).to.include({ total: 2, limit: 1 });
+    expect(trades.items[0]).to.include({ type: "buy", user: trader1.address, amount: ethers.parseEther("40").toString() });
+
+    expect((await get("/markets/0x1234")).status).to.equal(400);
+    const malformed = await get("/markets/%E0%A4%A");
+    expect(malformed.status).to.equal(400);
+    expect(malformed.body.error).to.include("malformed path segment");
+    expect((await get("/markets?limit=-1")).status).to.equal(400);
+    const missing = await get(`/markets/${trader1.address}`);
+    expect(missing.status).to.equal(404);
+    expect(missing.body.error).to.include("No indexed market");
+    expect((await get("/nowhere")).status).to.equal(404);
+    expect((await get("/stats", { method: "POST" })).status).to.equal(405);
+  });
+
+  it("Should apply fee changes and start markets deployed without seeded pools Active", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { admin, marketFactory, market } = fixture;
+    await marketFactory.createMarket(ethers.id("unseeded"), 0, 0, 0, 0, ethers.ZeroAddress);
+    const unseeded = (await marketFactory.getMarkets())[1];
+    // announced, then applied: only the applied change is the market's fee
+    await market.connect(admin).setFeeBps(250);
+    await time.increase(await market.FEE_CHANGE_DELAY());
+    await market.applyFeeChange();
+    await market.connect(admin).setFeeBps(400);
+
+    const { get } = await serve(fixture);
+
+    const { body: binary } = await get(`/markets/${market.target}`);
+    expect(binary.feeBps).to.equal(Number(await market.feeBps()));
+    expect(binary.feeBps).to.equal(250);
+    const { body: fresh } = await get(`/markets/${unseeded}`);
+    expect(fresh).to.include({ state: "Active", feeBps: 0 });
+    expect((await get("/markets?state=Created")).body.total).to.equal(0);
+  });
+
+  it("Should report positions with the amounts claim and refund pay out", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { oracle, trader1, trader2, trader3, settlementToken, positionToken, market, categorical } = fixture;
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("30"));
+    await market.connect(trader2)["buyYes(uint256)"](ethers.parseEther("10"));
+    await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("25"));
+    // positions moved on the PositionToken count for their new holder
+    const yesId = await positionToken.positionId(market.target, 1);
+    const moved = (await positionToken.balanceOf(trader1.address, yesId)) / 4n;
+    await positionToken.connect(trader1).safeTransferFrom(trader1.address, trader3.address, yesId, moved, "0x");
+    await market.connect(oracle).resolve(1);
+    await market.connect(trader3).claim();
+
+    await categorical.connect(trader2).buy(0, ethers.parseEther("8"), 0);
+    await categorical.connect(oracle).cancel();
+
+    const { get, indexer } = await serve(fixture);
+
+    const { body: one } = await get(`/users/${trader1.address}/positions`);
+    expect(one).to.include({ user: trader1.address, total: 1 });
+    expect(one.items[0]).to.include({ market: market.target, state: "Resolved", outcome: 1, claimAction: "claim" });
+    expect(one.items[0].units).to.deep.equal(["0", (await positionToken.balanceOf(trader1.address, yesId)).toString()]);
+
+    const { body: two } = await get(`/users/${trader2.address}/positions`);
+    expect(two.items.map((p) => p.market)).to.deep.equal([market.target, categorical.target]);
+    expect(two.items[1]).to.include({ state: "Cancelled", claimAction: "refund", claimable: (await categorical.deposits(trader2.address)).toString() });
+    expect((await get(`/users/${trader2.address}/positions?state=cancelled`)).body.total).to.equal(1);
+
+    // what the API reports is exactly what claim() pays next; every claim re-rounds the shares left
+    for (const trader of [trader2, trader1]) {
+      await indexer.syncOnce();
+      const [position] = (await get(`/users/${trader.address}/positions?state=resolved`)).body.items;
+      const before = await settlementToken.balanceOf(trader.address);
+      await market.connect(trader).claim();
+      expect(await settlementToken.balanceOf(trader.address)).to.equal(before + BigInt(position.claimable));
+    }
+    const before = await settlementToken.balanceOf(trader2.address);
+    await categorical.connect(trader2).refund();
+    expect(await settlementToken.balanceOf(trader2.address)).to.equal(before + BigInt(two.items[1].claimable));
+
+    await indexer.syncOnce();
+    const after = (await get(`/users/${trader1.address}/positions`)).body.items[0];
+    expect(after).to.include({ claimable: "0", claimAction: null });
+    expect((await get(`/markets/${market.target}`)).body.payoutPool).to.equal((await market.payoutPool()).toString());
+
+    const { body: stats } = await get("/stats");
+    expect(stats).to.include({ markets: 2, trades: 4, traders: 2, checkpoint: await ethers.provider.getBlockNumber() });
+    expect(stats.byState).to.deep.equal({ Resolved: 1, Cancelled: 1 });
+    expect(stats.byKind).to.deep.equal({ binary: 1, categorical: 1 });
+    expect(stats.volume).to.equal(ethers.parseEther("73").toString());
+  });
+});
@@ -0,0 +1,161 @@
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { once } = require("events");
+const { WebSocket } = require("ws");
+const { deployMarketFactory } = require("../lib/deploy");
+const { IndexerStore, MarketFeed, MarketIndexer } = require("../indexer");
+
+describe("Market feed", function () {
+  let feed;
+  let sockets;
+
+  beforeEach(function () {
+    sockets = [];
+  });
+
+  afterEach(async function () {
+    for (const socket of sockets) socket.terminate();
+    if (feed) await feed.close();
+    feed = null;
+  });
+
+  async function deployFixture() {
+    const [admin, oracle, trader1, trader2] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    const startBlock = (await marketFactory.deploymentTransaction().wait()).blockNumber;
+
+    for (const account of [admin, trader1, trader2]) {
+      await settlementToken.mint(account.address, ethers.parseEther("10000"));
+      await settlementToken.connect(account).approve(marketFactory.target, ethers.MaxUint256);
+    }
+    await marketFactory.createAndFundMarket(ethers.id("binary"), 0, ethers.parseEther("100"), ethers.parseEther("100"), 100, ethers.ZeroAddress);
+    await marketFactory.createCategoricalMarket(ethers.id("categorical"), 0, 3, ethers.parseEther("30"), 0, ethers.ZeroAddress);
+    const market = await ethers.getContractAt("Market", (await marketFactory.getMarkets())[0]);
+    const categorical = await ethers.getContractAt("CategoricalMarket", (await marketFactory.getCategoricalMarkets())[0]);
+    await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+    for (const trader of [trader1, trader2]) {
+      await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+      await settlementToken.connect(trader).approve(categorical.target, ethers.MaxUint256);
+    }
+    return { oracle, trader1, trader2, marketFactory, market, categorical, startBlock };
+  }
+
+  // an in-memory indexer caught up to the head, with a feed listening on a free port
+  async function startFeed({ marketFactory, startBlock }) {
+    const indexer = new MarketIndexer({ provider: ethers.provider, factoryAddress: marketFactory.target, store: new IndexerStore(), startBlock });
+    await indexer.syncOnce();
+    feed = new MarketFeed({ indexer, port: 0, host: "127.0.0.1" });
+    await once(feed.wss, "listening");
+    return indexer;
+  }
+
+  async function connect(query = "") {
+    const socket = new WebSocket(`ws://127.0.0.1:${feed.wss.address().port}/feed${query}`);
+    sockets.push(socket);
+    const messages = [];
+    socket.on("message", (data) => messages.push(JSON.parse(data.toString())));
+    await once(socket, "open");
+    const client = {
+      socket,
+      messages,
+      of: (type) => messages.filter((m) => m.type === type),
+      // resolves once `count` messages of `type` have arrived
+      async until(type, count = 1) {
+        for (let waited = 0; client.of(type).length < count; waited += 10) {
+          if (waited > 3000) throw new Error(`timed out waiting for ${count} ${type} message(s)`);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return client.of(type);
+      },
+    };
+    await client.until("subscribed");
+    return client;
+  }
+
+  it("Should push trades with fee and new price, resolutions and claims to matching subscribers", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { oracle, trader1, trader2, market, categorical } = fixture;
+    const indexer = await startFeed(fixture);
+
+    const everything = await connect();
+    const byMarket = await connect(`?markets=${market.target}`);
+    const byUser = await connect();
+    byUser.socket.send(JSON.stringify({ type: "subscribe", users: [trader2.address.toLowerCase()] }));
+    await byUser.until("subscribed", 2);
+
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("10"));
+    await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("5"));
+    await categorical.connect(trader2).buy(2, ethers.parseEther("3"), 0);
+    await indexer.syncOnce();
+
+    const trades = await everything.until("trade", 3);
+    expect(trades.map((t) => [t.market, t.user, t.side, t.outcome])).to.deep.equal([
+      [market.target, trader1.address, "yes", 1],
+      [market.target, trader2.address, "no", 0],
+      [categorical.target, trader2.address, null, 2],
+    ]);
+    expect(trades[0]).to.include({ action: "buy", amountIn: ethers.parseEther("10").toString(), fee: ethers.parseEther("0.1").toString() });
+    expect(trades[0].positionUnits).to.equal((await market.yesPositions(trader1.address)).toString());
+    const [num, den] = await market.currentPriceYes();
+    expect(trades[1].priceYes).to.equal(((num * ethers.WeiPerEther) / den).toString());
+    expect(trades[2].prices).to.deep.equal((await categorical.currentPrices()).map(String));
+
+    expect((await byMarket.until("trade", 2)).map((t) => t.market)).to.deep.equal([market.target, market.target]);
+    expect((await byUser.until("trade", 2)).map((t) => t.user)).to.deep.equal([trader2.address, trader2.address]);
+
+    await market.connect(oracle).resolve(1);
+    await market.connect(trader1).claim();
+    await indexer.syncOnce();
+
+    const [claimed] = await everything.until("claimed");
+    expect(claimed).to.include({ kind: "claim", user: trader1.address, market: market.target });
+    expect((await everything.until("resolved"))[0]).to.include({ outcome: 1, resolver: oracle.address });
+    // trader2 traded in the market, so the resolution reaches them, but trader1's claim does not
+    await byUser.until("resolved");
+    expect(byUser.of("claimed")).to.have.length(0);
+    expect(byMarket.of("trade")).to.have.length(2);
+  });
+
+  it("Should replay history from a block on reconnect and announce reorgs", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { trader1, trader2, market, startBlock } = fixture;
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("4"));
+    const second = await (await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("6"))).wait();
+    const indexer = await startFeed(fixture);
+
+    // a client that saw everything up to the first trade resumes from the block after it
+    const resumed = await connect(`?markets=${market.target}&fromBlock=${second.blockNumber}`);
+    const [subscribed] = resumed.of("subscribed");
+    expect(subscribed).to.include({ fromBlock: second.blockNumber, head: await ethers.provider.getBlockNumber() });
+    const [replayed] = await resumed.until("trade");
+    expect(replayed).to.include({ user: trader2.address, txHash: second.hash });
+    expect(resumed.of("market-created")).to.have.length(0);
+
+    const all = await connect(`?fromBlock=${startBlock}`);
+    const created = await all.until("market-created", 2);
+    expect(created.map((m) => m.kind)).to.deep.equal(["binary", "categorical"]);
+    expect(created[0]).to.include({ priceYes: ethers.WeiPerEther.toString(), feeBps: 100 });
+    const history = await all.until("trade", 2);
+    expect(history[1].id).to.equal(replayed.id);
+
+    // a trade that gets reorged out is retracted with a reorg message, then the canonical one follows
+    const snapshot = await network.provider.send("evm_snapshot");
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("1"));
+    await indexer.syncOnce();
+    await resumed.until("trade", 2);
+    await network.provider.send("evm_revert", [snapshot]);
+    await market.connect(trader2)["buyYes(uint256)"](ethers.parseEther("2"));
+    await mine(2);
+    await indexer.syncOnce();
+
+    const [reorg] = await resumed.until("reorg");
+    const trades = await resumed.until("trade", 3);
+    expect(reorg.fromBlock).to.equal(trades[1].blockNumber);
+    expect(trades[2]).to.include({ user: trader2.address, amountIn: ethers.parseEther("2").toString() });
+    expect(resumed.messages.indexOf(reorg)).to.be.lessThan(resumed.messages.indexOf(trades[2]));
+
+    resumed.socket.send(JSON.stringify({ type: "subscribe", users: ["nobody"] }));
+    expect((await resumed.until("error"))[0].error).to.include("users must be addresses");
+  });
+});
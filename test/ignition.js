@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("@nomicfoundation/ignition-core");
+const { HardhatArtifactResolver } = require("@nomicfoundation/hardhat-ignition/helpers");
+const AdminTimelockModule = require("../ignition/modules/AdminTimelock");
+const MarketFactoryModule = require("../ignition/modules/MarketFactory");
+const MarketSystemModule = require("../ignition/modules/MarketSystem");
+const SampleMarketModule = require("../ignition/modules/SampleMarket");
+
+describe("Ignition modules", function () {
+  // hre.ignition.deploy keeps no journal on the in-process network, so resumability is
+  // exercised through ignition-core with an on-disk deployment directory, as `ignition deploy` does
+  async function deployWithJournal(deploymentDir, ignitionModule, deploymentParameters = {}) {
+    const accounts = await network.provider.request({ method: "eth_accounts" });
+    const result = await deploy({
+      config: { requiredConfirmations: 1 },
+      artifactResolver: new HardhatArtifactResolver(hre),
+      provider: network.provider,
+      deploymentDir,
+      ignitionModule,
+      deploymentParameters,
+      accounts,
+    });
+    expect(result.type).to.equal("SUCCESSFUL_DEPLOYMENT");
+    return result.contracts;
+  }
+
+  it("Should deploy the market system with a funded sample market", async function () {
+    const [deployer, oracle, minter] = await ethers.getSigners();
+    const question = ethers.id("Ignition sample");
+
+    const { settlementToken, marketFactory, positionToken, sampleMarket } = await ignition.deploy(SampleMarketModule, {
+      parameters: {
+        SettlementTokenModule: { name: "Ignition Token", symbol: "IGN" },
+        MarketSystemModule: { oracle: oracle.address, minter: minter.address },
+        SampleMarketModule: {
+          question,
+          initYesPool: ethers.parseEther("300"),
+          initNoPool: ethers.parseEther("100"),
+          feeBps: 50,
+          oracle: oracle.address,
+        },
+      },
+    });
+
+    expect(await settlementToken.symbol()).to.equal("IGN");
+    expect(await marketFactory.settlementToken()).to.equal(settlementToken.target);
+    expect(await marketFactory.positionToken()).to.equal(positionToken.target);
+    expect(await marketFactory.hasRole(await marketFactory.DEFAULT_ADMIN_ROLE(), deployer.address)).to.be.true;
+    expect(await marketFactory.hasRole(await marketFactory.ORACLE_ROLE(), oracle.address)).to.be.true;
+    expect(await settlementToken.hasRole(await settlementToken.MINTER_ROLE(), minter.address)).to.be.true;
+
+    expect(await marketFactory.getMarkets()).to.deep.equal([sampleMarket.target]);
+    expect(await sampleMarket.question()).to.equal(question);
+    expect(await sampleMarket.state()).to.equal(1);
+    expect(await sampleMarket.yesPool()).to.equal(ethers.parseEther("300"));
+    expect(await sampleMarket.feeBps()).to.equal(50);
+    expect(await settlementToken.balanceOf(sampleMarket.target)).to.equal(ethers.parseEther("400"));
+    expect(await sampleMarket.hasRole(await sampleMarket.ORACLE_ROLE(), oracle.address)).to.be.true;
+    expect(await sampleMarket.hasRole(await sampleMarket.DEFAULT_ADMIN_ROLE(), deployer.address)).to.be.true;
+  });
+
+  it("Should resume from the journal and send nothing when rerun", async function () {
+    const [, oracle] = await ethers.getSigners();
+    const deploymentDir = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+    const parameters = { MarketSystemModule: { oracle: oracle.address } };
+
+    try {
+      // a partial deployment: token and factory only
+      const partial = await deployWithJournal(deploymentDir, MarketFactoryModule);
+
+      // the full module picks up the journalled contracts and only sends the role grants
+      const full = await deployWithJournal(deploymentDir, MarketSystemModule, parameters);
+      expect(full["SettlementTokenModule#SettlementToken"].address).to.equal(partial["SettlementTokenModule#SettlementToken"].address);
+      expect(full["MarketFactoryModule#MarketFactory"].address).to.equal(partial["MarketFactoryModule#MarketFactory"].address);
+
+      const marketFactory = await ethers.getContractAt("MarketFactory", full["MarketFactoryModule#MarketFactory"].address);
+      expect(await marketFactory.hasRole(await marketFactory.ORACLE_ROLE(), oracle.address)).to.be.true;
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const rerun = await deployWithJournal(deploymentDir, MarketSystemModule, parameters);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(rerun).to.deep.equal(full);
+    } finally {
+      fs.rmSync(deploymentDir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should hand the factory's admin to a timelock after the role grants", async function () {
+    const [deployer, oracle, proposer] = await ethers.getSigners();
+    const { marketFactory, adminTimelock } = await ignition.deploy(AdminTimelockModule, {
+      parameters: {
+        MarketSystemModule: { oracle: oracle.address },
+        AdminTimelockModule: { minDelay: 3600, proposer: proposer.address },
+      },
+    });
+
+    const adminRole = await marketFactory.DEFAULT_ADMIN_ROLE();
+    expect(await marketFactory.hasRole(adminRole, adminTimelock.target)).to.be.true;
+    expect(await marketFactory.hasRole(adminRole, deployer.address)).to.be.false;
+    expect(await marketFactory.hasRole(await marketFactory.PAUSER_ROLE(), deployer.address)).to.be.true;
+    expect(await marketFactory.hasRole(await marketFactory.ORACLE_ROLE(), oracle.address)).to.be.true;
+    expect(await adminTimelock.getMinDelay()).to.equal(3600n);
+    expect(await adminTimelock.hasRole(await adminTimelock.PROPOSER_ROLE(), proposer.address)).to.be.true;
+  });
+});
@@ -0,0 +1,192 @@
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployMarketFactory } = require("../lib/deploy");
+const { DeploymentRegistry, REGISTRY_VERSION } = require("../lib/registry");
+const { IndexerStore, MarketIndexer } = require("../indexer");
+
+describe("Indexer", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin, oracle, trader1, trader2] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    const startBlock = (await marketFactory.deploymentTransaction().wait()).blockNumber;
+
+    for (const account of [admin, trader1, trader2]) {
+      await settlementToken.mint(account.address, ethers.parseEther("10000"));
+      await settlementToken.connect(account).approve(marketFactory.target, ethers.MaxUint256);
+    }
+    return { admin, oracle, trader1, trader2, settlementToken, marketFactory, startBlock };
+  }
+
+  async function createMarket({ marketFactory, settlementToken, oracle, trader1, trader2 }, question) {
+    await marketFactory.createAndFundMarket(ethers.id(question), 0, ethers.parseEther("100"), ethers.parseEther("100"), 100, ethers.ZeroAddress);
+    const markets = await marketFactory.getMarkets();
+    const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+    await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+    for (const trader of [trader1, trader2]) {
+      await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+    }
+    return market;
+  }
+
+  function newIndexer({ marketFactory, startBlock }, options = {}) {
+    return new MarketIndexer({
+      provider: ethers.provider,
+      factoryAddress: marketFactory.target,
+      store: new IndexerStore(path.join(dir, "hardhat.json")),
+      startBlock,
+      ...options,
+    });
+  }
+
+  it("Should discover markets and ingest trades, fees, resolution and claims", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { marketFactory, oracle, trader1, trader2 } = fixture;
+    const market = await createMarket(fixture, "binary");
+    await marketFactory.createCategoricalMarket(ethers.id("categorical"), 0, 3, ethers.parseEther("30"), 0, ethers.ZeroAddress);
+
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("10"));
+    await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("20"));
+    const sold = await market.yesPositions(trader1.address) / 2n;
+    await market.connect(trader1).sellYes(sold, 0);
+    await market.connect(oracle).resolve(1);
+    await market.connect(trader1).claim();
+
+    const indexer = newIndexer(fixture, { batchSize: 5 });
+    const seen = [];
+    indexer.on("event", (e) => seen.push(e.name));
+    const summary = await indexer.syncOnce();
+    expect(summary.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    const { store } = indexer;
+
+    const markets = store.getMarkets();
+    expect(markets.map((m) => m.kind)).to.deep.equal(["binary", "categorical"]);
+    expect(markets[1]).to.include({ outcomeCount: 3, question: ethers.id("categorical"), state: "Active" });
+    expect(markets[0]).to.include({ address: market.target, state: "Resolved", outcome: 1, trades: 3 });
+
+    const names = store.getEvents({ market: market.target }).map((e) => e.name);
+    for (const name of ["MarketDeployed", "MarketCreated", "MarketActivated", "BetPlaced", "PositionSold", "FeeCollected", "MarketResolved", "Claimed"]) {
+      expect(names).to.include(name);
+    }
+    expect(seen).to.have.length(store.getEvents().length);
+
+    const trades = store.getTrades({ market: market.target });
+    expect(trades.map((t) => [t.type, t.user, t.outcome])).to.deep.equal([
+      ["buy", trader1.address, 1],
+      ["buy", trader2.address, 0],
+      ["sell", trader1.address, 1],
+    ]);
+    expect(trades[0].amount).to.equal(ethers.parseEther("10").toString());
+
+    const fees = store.getEvents({ market: market.target, name: "FeeCollected" }).reduce((sum, e) => sum + BigInt(e.args.amount), 0n);
+    expect(markets[0].fees).to.equal(fees.toString());
+
+    const [claim] = store.getClaims({ user: trader1.address });
+    const [portfolio] = store.getPortfolio(trader1.address);
+    expect(portfolio).to.include({ market: market.target, state: "Resolved", spent: ethers.parseEther("10").toString() });
+    expect(BigInt(portfolio.received)).to.equal(BigInt(trades[2].amount) + BigInt(claim.amount));
+    expect(BigInt(portfolio.pnl)).to.equal(BigInt(portfolio.received) - ethers.parseEther("10"));
+    expect(portfolio.units["1"]).to.equal((BigInt(trades[0].units) - sold).toString());
+  });
+
+  it("Should resume from its checkpoint without duplicating events", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const market = await createMarket(fixture, "resume");
+    await market.connect(fixture.trader1)["buyYes(uint256)"](ethers.parseEther("1"));
+
+    const first = newIndexer(fixture);
+    await first.syncOnce();
+    const count = first.store.getEvents().length;
+    const checkpoint = first.store.checkpoint;
+
+    await market.connect(fixture.trader2)["buyNo(uint256)"](ethers.parseEther("2"));
+    await createMarket(fixture, "later");
+
+    // a fresh process reading the same store only scans the new blocks
+    const second = newIndexer(fixture);
+    expect(second.store.checkpoint).to.equal(checkpoint);
+    const summary = await second.syncOnce();
+    expect(summary.fromBlock).to.equal(checkpoint + 1);
+    expect(second.store.getMarkets()).to.have.length(2);
+    expect(second.store.getTrades()).to.have.length(2);
+    expect(second.store.getEvents().length).to.be.greaterThan(count);
+
+    const again = await second.syncOnce();
+    expect(again.events).to.equal(0);
+
+    const ids = second.store.getEvents().map((e) => e.id);
+    expect(new Set(ids).size).to.equal(ids.length);
+  });
+
+  it("Should roll back and re-ingest blocks that were reorged out", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { trader1, trader2 } = fixture;
+    const market = await createMarket(fixture, "reorg");
+    const indexer = newIndexer(fixture);
+    await indexer.syncOnce();
+
+    // the canonical chain at first: trader1 buys YES
+    const snapshot = await network.provider.send("evm_snapshot");
+    await market.connect(trader1)["buyYes(uint256)"](ethers.parseEther("5"));
+    await indexer.syncOnce();
+    expect(indexer.store.getTrades().map((t) => t.user)).to.deep.equal([trader1.address]);
+
+    // a competing branch replaces that block: trader2 buys NO instead, and the chain grows past it
+    await network.provider.send("evm_revert", [snapshot]);
+    await market.connect(trader2)["buyNo(uint256)"](ethers.parseEther("7"));
+    await mine(2);
+
+    const reorgs = [];
+    indexer.on("reorg", (r) => reorgs.push(r.fromBlock));
+    const summary = await indexer.syncOnce();
+    expect(reorgs).to.have.length(1);
+    expect(summary.reorgedFrom).to.equal(reorgs[0]);
+
+    const trades = indexer.store.getTrades();
+    expect(trades.map((t) => [t.user, t.outcome])).to.deep.equal([[trader2.address, 0]]);
+    expect(trades[0].amount).to.equal(ethers.parseEther("7").toString());
+    const head = await ethers.provider.getBlock("latest");
+    expect(indexer.store.recentBlocks().at(-1)).to.deep.equal({ number: head.number, hash: head.hash });
+  });
+
+  it("Should refuse a store written for another factory and run through the indexer:run task", async function () {
+    const fixture = await loadFixture(deployFixture);
+    await createMarket(fixture, "task");
+
+    const registry = new DeploymentRegistry(
+      { version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] },
+      DeploymentRegistry.path("hardhat", dir),
+    );
+    registry.addContract({ contractName: "MarketFactory", address: fixture.marketFactory.target, constructorArgs: [], blockNumber: fixture.startBlock });
+    registry.save();
+
+    const storeFile = path.join(dir, "task-store.json");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const summary = await hre.run("indexer:run", { once: true, dir, store: storeFile });
+      expect(summary.fromBlock).to.equal(fixture.startBlock);
+    } finally {
+      console.log = log;
+    }
+    const store = new IndexerStore(storeFile);
+    expect(store.getMarkets().map((m) => m.question)).to.deep.equal([ethers.id("task")]);
+
+    const other = await deployMarketFactory(ethers, fixture.settlementToken.target, fixture.admin.address);
+    const wrong = new MarketIndexer({ provider: ethers.provider, factoryAddress: other.target, store });
+    await expect(wrong.syncOnce()).to.be.rejectedWith("follows factory");
+  });
+});
@@ -0,0 +1,274 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { deployMarketFactory } = require("../lib/deploy");
+const { DeploymentRegistry, REGISTRY_VERSION } = require("../lib/registry");
+const { PredictionMarketClient } = require("../sdk");
+const { AuditLog, OracleKeeper, defaultSources, toOutcome } = require("../keeper");
+
+describe("Oracle keeper", function () {
+  let dir;
+  let stub;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (stub) {
+      stub.closeAllConnections();
+      stub.close();
+      await once(stub, "close");
+      stub = null;
+    }
+  });
+
+  async function deployFixture() {
+    const [admin, oracle, trader] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+    await settlementToken.approve(marketFactory.target, ethers.MaxUint256);
+    const resolveAt = (await time.latest()) + 3600;
+    return { admin, oracle, trader, marketFactory, resolveAt };
+  }
+
+  async function createMarket({ marketFactory, oracle }, question, resolveAt) {
+    await marketFactory.createAndFundMarket(ethers.id(question), resolveAt, ethers.parseEther("100"), ethers.parseEther("100"), 0, ethers.ZeroAddress);
+    const markets = await marketFactory.getMarkets();
+    const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+    await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+    return market;
+  }
+
+  // a local HTTP stub answering GET /<name> with answers[name], or 404 while there is none
+  async function startStub(answers) {
+    stub = http.createServer((req, res) => {
+      const answer = answers[req.url.slice(1)];
+      res.writeHead(answer === undefined ? 404 : 200, { "content-type": "application/json" });
+      res.end(JSON.stringify(answer === undefined ? { error: "not found" } : answer));
+    });
+    stub.listen(0, "127.0.0.1");
+    await once(stub, "listening");
+    return `http://127.0.0.1:${stub.address().port}`;
+  }
+
+  function newKeeper({ marketFactory, oracle }, options = {}) {
+    return new OracleKeeper({
+      client: new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: new ethers.NonceManager(oracle) }),
+      sources: defaultSources({ baseDir: dir }),
+      audit: new AuditLog(path.join(dir, "audit.jsonl")),
+      wait: async () => {},
+      ...options,
+    });
+  }
+
+  it("Should map answers to outcomes", function () {
+    expect(toOutcome("YES")).to.equal(1);
+    expect(toOutcome(false)).to.equal(0);
+    expect(toOutcome(2)).to.equal(2);
+    expect(toOutcome("rain", { outcomes: { rain: "yes", dry: "no" } })).to.equal(1);
+    expect(toOutcome("99999.5", { threshold: 100000 })).to.equal(0);
+    expect(toOutcome(100000, { threshold: 100000 })).to.equal(1);
+    expect(() => toOutcome("maybe")).to.throw("does not map to yes, no or cancel");
+  });
+
+  it("Should resolve due markets from file and HTTP sources and audit every decision", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { resolveAt } = fixture;
+    const rain = await createMarket(fixture, "Will it rain?", resolveAt);
+    const btc = await createMarket(fixture, "BTC above 100k?", resolveAt);
+    const later = await createMarket(fixture, "Later", resolveAt + 86400);
+    const unruled = await createMarket(fixture, "No rule", resolveAt);
+    const pending = await createMarket(fixture, "Pending", resolveAt);
+
+    const url = await startStub({ btc: { data: { price: 123456 } } });
+    fs.writeFileSync(path.join(dir, "rain.json"), JSON.stringify({ result: "rain" }));
+    const rules = {
+      "Will it rain?": { source: "file", file: "rain.json", path: "result", outcomes: { rain: "yes", dry: "no" } },
+      [ethers.id("BTC above 100k?")]: { source: "http", url: `${url}/btc`, path: "data.price", threshold: 100000 },
+      Later: { source: "file", file: "rain.json", path: "result", outcomes: { rain: "yes" } },
+      Pending: { source: "http", url: `${url}/pending` },
+    };
+    const keeper = newKeeper(fixture, { rules });
+
+    // nothing is due before resolveTimestamp
+    expect(await keeper.runOnce()).to.deep.equal([]);
+
+    await time.increaseTo(resolveAt);
+    const decisions = await keeper.runOnce();
+    expect(decisions.map((d) => [d.market, d.decision])).to.deep.equal([
+      [rain.target, "resolve"],
+      [btc.target, "resolve"],
+      [unruled.target, "skip"],
+      [pending.target, "wait"],
+      [rain.target, "confirmed"],
+      [btc.target, "confirmed"],
+    ]);
+    // both resolutions went out in the same pass with consecutive nonces
+    expect(decisions[1].nonce).to.equal(decisions[0].nonce + 1);
+    expect(decisions[1]).to.include({ source: "http", answer: 123456, outcome: 1 });
+    expect(await rain.state()).to.equal(2);
+    expect(await rain.resolutionOutcome()).to.equal(1);
+    expect(await btc.resolutionOutcome()).to.equal(1);
+    expect(await later.state()).to.equal(1);
+
+    // unchanged decisions are not logged again; a new answer resolves the pending market
+    expect(await keeper.runOnce()).to.deep.equal([]);
+    stub.closeAllConnections();
+    stub.close();
+    stub = null;
+    keeper.rules[ethers.id("Pending").toLowerCase()] = { source: "file", file: "pending.json", path: "answer" };
+    fs.writeFileSync(path.join(dir, "pending.json"), JSON.stringify({ answer: "no" }));
+    const [resolved] = await keeper.runOnce();
+    expect(resolved).to.include({ market: pending.target, decision: "resolve", answer: "no", outcome: 0 });
+    expect(await pending.state()).to.equal(2);
+
+    const audit = AuditLog.read(path.join(dir, "audit.jsonl"));
+    expect(audit.map((d) => d.decision)).to.deep.equal(["resolve", "resolve", "skip", "wait", "confirmed", "confirmed", "resolve", "confirmed"]);
+    expect(audit[2]).to.include({ market: unruled.target, reason: "no rule for question" });
+    expect(audit[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should retry flaky sources, cancel unanswered markets and report failures", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { resolveAt } = fixture;
+    const flaky = await createMarket(fixture, "Flaky", resolveAt);
+    const silent = await createMarket(fixture, "Silent", resolveAt);
+    const broken = await createMarket(fixture, "Broken", resolveAt);
+
+    let calls = 0;
+    const sources = {
+      flaky: { fetch: async () => (++calls < 3 ? Promise.reject(new Error("ECONNRESET")) : "yes") },
+      silent: { fetch: async () => null },
+      broken: { fetch: async () => Promise.reject(new Error("source down")) },
+    };
+    const waits = [];
+    const keeper = newKeeper(fixture, {
+      sources,
+      retries: 2,
+      backoffMs: 100,
+      wait: async (ms) => waits.push(ms),
+      rules: {
+        Flaky: { source: "flaky" },
+        Silent: { source: "silent", cancelAfter: 600 },
+        Broken: { source: "broken" },
+      },
+    });
+
+    await time.increaseTo(resolveAt);
+    const first = await keeper.runOnce();
+    expect(first.map((d) => d.decision)).to.deep.equal(["resolve", "wait", "error", "confirmed"]);
+    expect(calls).to.equal(3);
+    // two retries for the flaky source, two for the broken one, each backing off exponentially
+    expect(waits).to.deep.equal([100, 200, 100, 200]);
+    expect(first[2]).to.include({ market: broken.target, stage: "source", error: "source down" });
+    expect(await flaky.resolutionOutcome()).to.equal(1);
+
+    await time.increase(600);
+    const [cancel] = await keeper.runOnce();
+    expect(cancel).to.include({ market: silent.target, decision: "resolve", outcome: 2 });
+    expect(cancel.reason).to.include("no answer 600s");
+    expect(await silent.state()).to.equal(3);
+  });
+
+  it("Should only retry a failed send when it is known not to have gone out", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { resolveAt } = fixture;
+    const dropped = await createMarket(fixture, "Dropped", resolveAt);
+    const mined = await createMarket(fixture, "Mined", resolveAt);
+    const pending = await createMarket(fixture, "Pending", resolveAt);
+    fs.writeFileSync(path.join(dir, "answers.json"), JSON.stringify({ answer: "yes" }));
+    const rule = { source: "file", file: "answers.json", path: "answer" };
+    const waits = [];
+    const keeper = newKeeper(fixture, { rules: { Dropped: rule, Mined: rule }, backoffMs: 100, wait: async (ms) => waits.push(ms) });
+
+    // the first send to each market fails: "Dropped" before it reaches the node, the others after it was broadcast
+    const failures = { [dropped.target]: "before", [mined.target]: "after", [pending.target]: "after" };
+    const market = keeper.client.market.bind(keeper.client);
+    keeper.client.market = (address) => {
+      const contract = market(address);
+      const resolve = async (outcome) => {
+        const failure = failures[address];
+        delete failures[address];
+        if (failure === "before") throw new Error("ECONNRESET");
+        const tx = await contract.resolve(outcome);
+        if (failure === "after") throw new Error("socket hang up");
+        return tx;
+      };
+      return new Proxy(contract, { get: (target, key) => (key === "resolve" ? resolve : target[key]) });
+    };
+    await time.increaseTo(resolveAt);
+
+    const first = await keeper.runOnce();
+    expect(first.map((d) => [d.market, d.decision])).to.deep.equal([
+      [dropped.target, "resolve"],
+      [mined.target, "error"],
+      [pending.target, "skip"],
+      [dropped.target, "confirmed"],
+    ]);
+    expect(waits).to.deep.equal([100, 100]);
+    expect(first[1]).to.include({ stage: "send", error: "market left Active (state 2) after a failed send; not retried" });
+    expect(await mined.state()).to.equal(2);
+
+    // a broadcast send that is not mined yet still takes the nonce
+    keeper.rules[ethers.id("Pending").toLowerCase()] = rule;
+    await network.provider.send("evm_setAutomine", [false]);
+    let second;
+    try {
+      second = await keeper.runOnce();
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+    expect(second).to.have.length(1);
+    expect(second[0]).to.include({ market: pending.target, decision: "error", stage: "send" });
+    expect(second[0].error).to.match(/^nonce \d+ was taken after a failed send, which may still be mined; not retried$/);
+    await network.provider.send("evm_mine");
+    expect(await pending.state()).to.equal(2);
+    expect(await keeper.runOnce()).to.deep.equal([]);
+  });
+
+  it("Should only simulate with --dry-run and skip markets it is not oracle of through keeper:run", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { marketFactory, trader, resolveAt } = fixture;
+    const market = await createMarket(fixture, "Task", resolveAt);
+
+    const registry = new DeploymentRegistry(
+      { version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] },
+      DeploymentRegistry.path("hardhat", dir),
+    );
+    registry.addContract({ contractName: "MarketFactory", address: marketFactory.target, constructorArgs: [] });
+    registry.save();
+    const config = path.join(dir, "keeper.config.json");
+    fs.writeFileSync(config, JSON.stringify({ rules: { Task: { source: "file", file: "answers.json", path: "task" } } }));
+    fs.writeFileSync(path.join(dir, "answers.json"), JSON.stringify({ task: "cancel" }));
+    const audit = path.join(dir, "task-audit.jsonl");
+    await time.increaseTo(resolveAt);
+
+    const log = console.log;
+    const printed = [];
+    console.log = (...line) => printed.push(line.join(" "));
+    try {
+      const args = { once: true, dir, rules: config, audit, from: fixture.oracle.address };
+      const [dry] = await hre.run("keeper:run", { ...args, dryRun: true });
+      expect(dry).to.include({ decision: "dry-run", outcome: 2, dryRun: true });
+      expect(await market.state()).to.equal(1);
+
+      const [skipped] = await hre.run("keeper:run", { ...args, from: trader.address });
+      expect(skipped).to.include({ decision: "skip", reason: `${trader.address} lacks ORACLE_ROLE` });
+
+      const decisions = await hre.run("keeper:run", args);
+      expect(decisions.map((d) => d.decision)).to.deep.equal(["resolve", "confirmed"]);
+      expect(await market.state()).to.equal(3);
+    } finally {
+      console.log = log;
+    }
+    expect(printed.join("\n")).to.include(`dry-run ${market.target}: outcome 2`);
+    expect(AuditLog.read(audit).map((d) => d.decision)).to.deep.equal(["dry-run", "skip", "resolve", "confirmed"]);
+  });
+});
@@ -0,0 +1,172 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { deployMarketFactory } = require("../lib/deploy");
+const { MetadataStore } = require("../lib/metadata");
+const { DeploymentRegistry, REGISTRY_VERSION } = require("../lib/registry");
+const { IndexerStore, MarketIndexer, createApiServer } = require("../indexer");
+const {
+  InvalidMetadataError,
+  MetadataMismatchError,
+  PredictionMarketClient,
+  buildQuestionMetadata,
+  canonicalizeQuestionMetadata,
+  hashQuestionMetadata,
+  verifyQuestionMetadata,
+} = require("../sdk");
+
+const BTC = {
+  question: "  Will BTC close above $100,000 on 2027-01-01? ",
+  category: "crypto",
+  resolutionSource: "https://www.coinbase.com/price/bitcoin",
+  rules: "Resolves YES if the BTC-USD daily close on 2027-01-01 is above 100,000.",
+  endDate: "2027-01-01",
+};
+
+describe("Question metadata", function () {
+  let dir;
+  let server;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (server) {
+      server.closeAllConnections();
+      server.close();
+      await once(server, "close");
+      server = null;
+    }
+  });
+
+  async function deployFixture() {
+    const [admin] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    const startBlock = (await marketFactory.deploymentTransaction().wait()).blockNumber;
+    await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+    return { admin, marketFactory, startBlock };
+  }
+
+  it("Should build canonical documents whose hash ignores key order and formatting", function () {
+    const metadata = buildQuestionMetadata({ ...BTC, outcomes: ["Under", "Over"] });
+    expect(metadata).to.include({ version: 1, question: "Will BTC close above $100,000 on 2027-01-01?", endDate: "2027-01-01T00:00:00Z" });
+    expect(buildQuestionMetadata({ ...BTC, endDate: 1798761600 }).endDate).to.equal("2027-01-01T00:00:00Z");
+
+    const canonical = canonicalizeQuestionMetadata(metadata);
+    expect(canonical).to.match(/^\{"category":"crypto","endDate":/);
+    const reordered = JSON.parse(JSON.stringify(metadata, ["version", "rules", "outcomes", "question", "endDate", "resolutionSource", "category"], 2));
+    expect(hashQuestionMetadata(reordered)).to.equal(ethers.id(canonical));
+    expect(verifyQuestionMetadata(ethers.id(canonical), reordered)).to.equal(reordered);
+
+    expect(() => verifyQuestionMetadata(ethers.id(BTC.question), metadata)).to.throw(MetadataMismatchError);
+    expect(() => buildQuestionMetadata({ ...BTC, rules: " ", endDate: "someday", outcomes: ["Yes"], extra: 1 })).to.throw(
+      InvalidMetadataError,
+      "unknown field extra; rules must be a non-empty string; endDate must be a UTC timestamp like 2027-01-01T00:00:00Z; outcomes must list",
+    );
+    // untrimmed text would hash differently from its normalized form, so only built documents are valid
+    expect(() => hashQuestionMetadata({ ...metadata, question: BTC.question })).to.throw("question must be trimmed NFC text");
+  });
+
+  it("Should store documents by hash and refuse ones edited after storing", function () {
+    const store = new MetadataStore(dir);
+    const metadata = buildQuestionMetadata(BTC);
+    const hash = store.put(metadata);
+
+    expect(hash).to.equal(hashQuestionMetadata(metadata));
+    expect(ethers.keccak256(fs.readFileSync(store.file(hash)))).to.equal(hash);
+    expect(store.get(hash)).to.deep.equal(metadata);
+    expect(store.get(ethers.id("unknown"))).to.equal(null);
+    expect(store.list()).to.deep.equal([hash.toLowerCase()]);
+
+    fs.writeFileSync(store.file(hash), JSON.stringify({ ...metadata, rules: "Resolves NO." }));
+    expect(() => store.get(hash)).to.throw(MetadataMismatchError, "hashes to");
+    fs.writeFileSync(store.file(hash), "{");
+    expect(() => store.get(hash)).to.throw(MetadataMismatchError, "not valid JSON");
+  });
+
+  it("Should create markets from metadata and resolve it through the SDK and API", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { admin, marketFactory, startBlock } = fixture;
+    const store = new MetadataStore(dir);
+    const client = new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: admin, metadata: store });
+
+    const metadata = buildQuestionMetadata(BTC);
+    const weather = buildQuestionMetadata({ ...BTC, question: "Will it rain?", category: "weather", outcomes: ["Dry", "Rain", "Snow"] });
+    const created = await client.createMarket({ question: metadata, initYesPool: ethers.parseEther("100"), initNoPool: ethers.parseEther("100") });
+    const categorical = await client.createCategoricalMarket({ question: weather, outcomeCount: 3, initialLiquidity: ethers.parseEther("30") });
+    await client.createMarket({ question: "Plain text", initYesPool: ethers.parseEther("1"), initNoPool: ethers.parseEther("1") });
+
+    expect(created.question).to.equal(hashQuestionMetadata(metadata));
+    expect(store.has(created.question)).to.be.true;
+    expect((await client.getMarket(created.address)).metadata).to.deep.equal(metadata);
+    expect((await client.getCategoricalMarket(categorical.address)).metadata.outcomes).to.deep.equal(["Dry", "Rain", "Snow"]);
+
+    const indexer = new MarketIndexer({ provider: ethers.provider, factoryAddress: marketFactory.target, store: new IndexerStore(), startBlock });
+    await indexer.syncOnce();
+    server = createApiServer({ store: indexer.store, metadata: store });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const get = async (route) => {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}${route}`);
+      return { status: res.status, body: await res.json() };
+    };
+
+    const { body: markets } = await get("/markets");
+    expect(markets.items.map((m) => (m.metadata ? m.metadata.question : null))).to.deep.equal([metadata.question, "Will it rain?", null]);
+    expect((await get("/markets?category=Weather")).body.items.map((m) => m.address)).to.deep.equal([categorical.address]);
+    expect((await get(`/metadata/${created.question}`)).body).to.deep.equal({ question: created.question, metadata });
+    expect((await get(`/metadata/${ethers.id("Plain text")}`)).status).to.equal(404);
+    expect((await get("/metadata/0x1234")).status).to.equal(400);
+
+    // a tampered document is reported, never served
+    fs.writeFileSync(store.file(created.question), JSON.stringify({ ...metadata, endDate: "2030-01-01T00:00:00Z" }));
+    const tampered = await get(`/metadata/${created.question}`);
+    expect(tampered.status).to.equal(409);
+    expect((await get(`/markets/${created.address}`)).body).to.include({ metadata: null, metadataError: tampered.body.error });
+    await expect(client.getMarket(created.address)).to.be.rejectedWith(MetadataMismatchError);
+  });
+
+  it("Should add metadata files and create markets from them through the tasks", async function () {
+    const { marketFactory } = await loadFixture(deployFixture);
+    const registry = new DeploymentRegistry(
+      { version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] },
+      DeploymentRegistry.path("hardhat", dir),
+    );
+    registry.addContract({ contractName: "MarketFactory", address: marketFactory.target, constructorArgs: [] });
+    registry.save();
+    const file = path.join(dir, "btc.json");
+    fs.writeFileSync(file, JSON.stringify(BTC));
+    const metadataDir = path.join(dir, "metadata");
+
+    const log = console.log;
+    const printed = [];
+    console.log = (...line) => printed.push(line.join(" "));
+    try {
+      const added = await hre.run("metadata:add", { file, metadataDir });
+      expect(added.question).to.equal(hashQuestionMetadata(buildQuestionMetadata(BTC)));
+
+      const created = await hre.run("market:create", { dir, metadata: file, metadataDir, yesPool: "10", noPool: "10" });
+      const market = await ethers.getContractAt("Market", created.market);
+      expect(await market.question()).to.equal(added.question);
+      // the resolution time defaults to the document's endDate
+      expect(await market.resolveTimestamp()).to.equal(1798761600n);
+
+      const shown = await hre.run("metadata:show", { question: created.market, metadataDir });
+      expect(shown.metadata).to.deep.equal(added.metadata);
+      const { markets } = await hre.run("market:list", { dir, metadataDir });
+      expect(markets[0].title).to.equal("Will BTC close above $100,000 on 2027-01-01?");
+
+      await expect(hre.run("market:create", { dir, question: "Both", metadata: file, metadataDir })).to.be.rejectedWith("Pass either --question or --metadata");
+    } finally {
+      console.log = log;
+    }
+    expect(printed.join("\n")).to.include(`Stored ${hashQuestionMetadata(buildQuestionMetadata(BTC))}`);
+    expect(printed.join("\n")).to.include("category crypto, ends 2027-01-01T00:00:00Z");
+  });
+});
@@ -0,0 +1,249 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployMarketFactory } = require("../lib/deploy");
+const {
+  WAD,
+  applyFee,
+  calcOutGivenIn,
+  quoteBuy,
+  quoteSell,
+  quoteAmountInForUnits,
+  quoteAmountInForPriceYes,
+  quoteCategoricalBuy,
+  toWad,
+  EmptyPoolError,
+  QuoteError,
+} = require("../sdk");
+
+// Deterministic PRNG so a failing randomized case can be replayed
+function mulberry32(seed) {
+  let a = seed;
+  return function () {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomBigInt(rand, min, max) {
+  const span = max - min + 1n;
+  const r = BigInt(Math.floor(rand() * 2 ** 52)) * BigInt(Math.floor(rand() * 2 ** 52));
+  return min + (r % span);
+}
+
+describe("SDK: CPMM quote engine", function () {
+  async function deployFixture() {
+    const [admin, trader] = await ethers.getSigners();
+
+    const SettlementToken = await ethers.getContractFactory("SettlementToken");
+    const settlementToken = await SettlementToken.deploy("Test Token", "TEST");
+
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+
+    await settlementToken.mint(admin.address, ethers.parseEther("100000"));
+    await settlementToken.mint(trader.address, ethers.parseEther("100000000"));
+    await settlementToken.approve(marketFactory.target, ethers.MaxUint256);
+
+    return { admin, trader, settlementToken, marketFactory };
+  }
+
+  async function createMarket({ marketFactory, settlementToken, trader }, yesPool, noPool, feeBps) {
+    const tx = await marketFactory.createAndFundMarket(ethers.id(`q-${yesPool}-${noPool}`), 0, yesPool, noPool, feeBps, ethers.ZeroAddress);
+    await tx.wait();
+    const markets = await marketFactory.getMarkets();
+    const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+    await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+    return market;
+  }
+
+  async function readPool(market) {
+    return {
+      yesPool: await market.yesPool(),
+      noPool: await market.noPool(),
+      feeBps: Number(await market.feeBps()),
+    };
+  }
+
+  describe("Pure math", function () {
+    it("Should round the fee down like _applyFee", function () {
+      expect(applyFee(999n, 100)).to.deep.equal({ amountAfterFee: 990n, fee: 9n });
+      expect(applyFee(12345n, 0)).to.deep.equal({ amountAfterFee: 12345n, fee: 0n });
+    });
+
+    it("Should round the output down like _calcOutGivenIn", function () {
+      // 1000 * 3 / 1003 = 2.99..., the pool keeps the remainder
+      expect(calcOutGivenIn(1000n, 1000n, 3n)).to.equal(2n);
+    });
+
+    it("Should reject empty pools", function () {
+      expect(() => calcOutGivenIn(0n, 10n, 1n)).to.throw(EmptyPoolError);
+      expect(() => quoteBuy({ yesPool: 0n, noPool: 0n, feeBps: 0 }, "yes", 1n)).to.throw(EmptyPoolError);
+    });
+
+    it("Should report prices, average price and impact", function () {
+      const pool = { yesPool: ethers.parseEther("1000"), noPool: ethers.parseEther("1000"), feeBps: 100 };
+      const q = quoteBuy(pool, "yes", ethers.parseEther("100"));
+
+      expect(q.fee).to.equal(ethers.parseEther("1"));
+      expect(q.priceYesAfter).to.deep.equal({ numerator: q.noPoolAfter, denominator: q.yesPoolAfter });
+      expect(q.averagePrice).to.equal((q.amountIn * WAD) / q.positionUnits);
+      expect(q.priceImpact).to.be.gt(0n);
+    });
+  });
+
+  describe("Agreement with Market on randomized pool states", function () {
+    it("Should match BetPlaced and the resulting pools to the wei", async function () {
+      const contracts = await loadFixture(deployFixture);
+      const rand = mulberry32(0x5eed);
+
+      for (let m = 0; m < 6; m++) {
+        const yesPool = randomBigInt(rand, 1n, ethers.parseEther("10000"));
+        const noPool = randomBigInt(rand, 1n, ethers.parseEther("10000"));
+        const feeBps = Math.floor(rand() * 1001);
+        const market = await createMarket(contracts, yesPool, noPool, feeBps);
+
+        for (let t = 0; t < 8; t++) {
+          const side = rand() < 0.5 ? "yes" : "no";
+          const amount = randomBigInt(rand, 1n, ethers.parseEther("500"));
+          const pool = await readPool(market);
+
+          const quote = quoteBuy(pool, side, amount);
+          const buy = side === "yes"
+            ? market.connect(contracts.trader).buyYes(amount)
+            : market.connect(contracts.trader).buyNo(amount);
+          await expect(buy)
+            .to.emit(market, "BetPlaced")
+            .withArgs(contracts.trader.address, side === "yes" ? 1 : 0, amount, quote.positionUnits);
+
+          expect(await market.yesPool()).to.equal(quote.yesPoolAfter);
+          expect(await market.noPool()).to.equal(quote.noPoolAfter);
+          const [numerator, denominator] = await market.currentPriceYes();
+          expect({ numerator, denominator }).to.deep.equal(quote.priceYesAfter);
+        }
+      }
+    });
+
+    it("Should match PositionSold and the resulting pools to the wei", async function () {
+      const contracts = await loadFixture(deployFixture);
+      const rand = mulberry32(0xc0ffee);
+
+      for (let m = 0; m < 4; m++) {
+        const yesPool = randomBigInt(rand, 1n, ethers.parseEther("10000"));
+        const noPool = randomBigInt(rand, 1n, ethers.parseEther("10000"));
+        const feeBps = Math.floor(rand() * 1001);
+        const market = await createMarket(contracts, yesPool, noPool, feeBps);
+        const trader = market.connect(contracts.trader);
+
+        await trader.buyYes(randomBigInt(rand, 1n, ethers.parseEther("500")));
+        await trader.buyNo(randomBigInt(rand, 1n, ethers.parseEther("500")));
+
+        for (const side of ["yes", "no"]) {
+          const held = side === "yes"
+            ? await market.yesPositions(contracts.trader.address)
+            : await market.noPositions(contracts.trader.address);
+          const units = randomBigInt(rand, 1n, held);
+          const quote = quoteSell(await readPool(market), side, units);
+
+          const sell = side === "yes" ? trader.sellYes(units, quote.amountOut) : trader.sellNo(units, quote.amountOut);
+          await expect(sell)
+            .to.emit(market, "PositionSold")
+            .withArgs(contracts.trader.address, side === "yes" ? 1 : 0, units, quote.amountOut);
+
+          expect(await market.yesPool()).to.equal(quote.yesPoolAfter);
+          expect(await market.noPool()).to.equal(quote.noPoolAfter);
+        }
+      }
+    });
+
+    it("Should find the minimal amount for a target number of units", async function () {
+      const contracts = await loadFixture(deployFixture);
+      const rand = mulberry32(42);
+
+      for (let m = 0; m < 4; m++) {
+        const yesPool = randomBigInt(rand, ethers.parseEther("100"), ethers.parseEther("10000"));
+        const noPool = randomBigInt(rand, ethers.parseEther("100"), ethers.parseEther("10000"));
+        const feeBps = Math.floor(rand() * 1001);
+        const market = await createMarket(contracts, yesPool, noPool, feeBps);
+        const pool = await readPool(market);
+
+        const side = m % 2 === 0 ? "yes" : "no";
+        const units = randomBigInt(rand, 1n, ethers.parseEther("50"));
+        const quote = quoteAmountInForUnits(pool, side, units);
+
+        expect(quote.positionUnits).to.be.gte(units);
+        if (quote.amountIn > 1n) {
+          expect(quoteBuy(pool, side, quote.amountIn - 1n).positionUnits).to.be.lt(units);
+        }
+
+        const buy = side === "yes"
+          ? market.connect(contracts.trader).buyYes(quote.amountIn)
+          : market.connect(contracts.trader).buyNo(quote.amountIn);
+        await expect(buy)
+          .to.emit(market, "BetPlaced")
+          .withArgs(contracts.trader.address, side === "yes" ? 1 : 0, quote.amountIn, quote.positionUnits);
+      }
+    });
+
+    it("Should find the amount that moves the YES price to a target", async function () {
+      const contracts = await loadFixture(deployFixture);
+      const market = await createMarket(contracts, ethers.parseEther("1000"), ethers.parseEther("1000"), 100);
+      const pool = await readPool(market);
+
+      const up = quoteAmountInForPriceYes(pool, ethers.parseEther("1.5"));
+      expect(toWad(up.priceYesAfter)).to.be.gte(ethers.parseEther("1.5"));
+      expect(toWad(quoteBuy(pool, "yes", up.amountIn - 1n).priceYesAfter)).to.be.lt(ethers.parseEther("1.5"));
+
+      const down = quoteAmountInForPriceYes(pool, ethers.parseEther("0.5"));
+      expect(down.side).to.equal("no");
+      expect(toWad(down.priceYesAfter)).to.be.lte(ethers.parseEther("0.5"));
+
+      await market.connect(contracts.trader).buyYes(up.amountIn);
+      const [numerator, denominator] = await market.currentPriceYes();
+      expect((numerator * WAD) / denominator).to.equal(toWad(up.priceYesAfter));
+    });
+
+    it("Should report targets the pools cannot reach", function () {
+      const pool = { yesPool: 1000n, noPool: 1000n, feeBps: 0 };
+
+      // the output can never exceed the opposite pool
+      expect(() => quoteAmountInForUnits(pool, "yes", 1001n)).to.throw(QuoteError);
+      expect(quoteAmountInForPriceYes(pool, WAD)).to.equal(null);
+    });
+  });
+
+  describe("Agreement with CategoricalMarket on randomized pool states", function () {
+    it("Should match BetPlaced, the resulting pools and prices to the wei", async function () {
+      const contracts = await loadFixture(deployFixture);
+      const { marketFactory, settlementToken, trader } = contracts;
+      const rand = mulberry32(0xca7);
+
+      for (let m = 0; m < 4; m++) {
+        const outcomeCount = 2 + Math.floor(rand() * 6);
+        const liquidity = randomBigInt(rand, 1000n, ethers.parseEther("10000"));
+        const feeBps = Math.floor(rand() * 1001);
+        await marketFactory.createCategoricalMarket(ethers.id(`c-${m}`), 0, outcomeCount, liquidity, feeBps, ethers.ZeroAddress);
+        const markets = await marketFactory.getCategoricalMarkets();
+        const market = await ethers.getContractAt("CategoricalMarket", markets[markets.length - 1]);
+        await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+
+        for (let t = 0; t < 8; t++) {
+          const outcome = Math.floor(rand() * outcomeCount);
+          const amount = randomBigInt(rand, 1n, ethers.parseEther("500"));
+          const quote = quoteCategoricalBuy({ pools: [...(await market.getPools())], feeBps }, outcome, amount);
+
+          await expect(market.connect(trader).buy(outcome, amount, quote.positionUnits))
+            .to.emit(market, "BetPlaced")
+            .withArgs(trader.address, outcome, amount, quote.positionUnits);
+          expect(await market.getPools()).to.deep.equal(quote.poolsAfter);
+          expect(await market.currentPrices()).to.deep.equal(quote.pricesAfter);
+        }
+      }
+    });
+
+    it("Should reject an out-of-range outcome", function () {
+      expect(() => quoteCategoricalBuy({ pools: [10n, 10n, 10n], feeBps: 0 }, 3, 1n)).to.throw(QuoteError);
+    });
+  });
+});
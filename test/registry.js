@@ -0,0 +1,171 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployFactoryLibraries, deployMarketFactory } = require("../lib/deploy");
+const { DeploymentRegistry, REGISTRY_VERSION, abiHash, migrateLegacy, syncRegistry } = require("../lib/registry");
+
+describe("Deployment registry", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin, creator, feeRecipient] = await ethers.getSigners();
+    const registry = new DeploymentRegistry({ version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] });
+
+    const SettlementToken = await ethers.getContractFactory("SettlementToken");
+    const settlementToken = await SettlementToken.deploy("Test Token", "TEST");
+    await registry.recordDeployment("SettlementToken", settlementToken, { constructorArgs: ["Test Token", "TEST"], artifacts });
+
+    const libraries = await deployFactoryLibraries(ethers, (name, library) => registry.recordDeployment(name, library, { artifacts }));
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address, libraries);
+    await registry.recordDeployment("MarketFactory", marketFactory, {
+      constructorArgs: [settlementToken.target, admin.address],
+      libraries,
+      artifacts,
+    });
+
+    await settlementToken.mint(creator.address, ethers.parseEther("10000"));
+    await settlementToken.connect(creator).approve(marketFactory.target, ethers.MaxUint256);
+
+    return { admin, creator, feeRecipient, settlementToken, marketFactory, libraries, registryData: registry.toJSON() };
+  }
+
+  // loadFixture hands every test the same objects, so each one works on its own copy of the registry
+  async function registryFixture() {
+    const { registryData, ...contracts } = await loadFixture(deployFixture);
+    const registry = new DeploymentRegistry(structuredClone(registryData), DeploymentRegistry.path("hardhat", dir));
+    return { ...contracts, registry };
+  }
+
+  it("Should record contracts with constructor arguments, transaction, block and ABI hash", async function () {
+    const { registry, marketFactory, settlementToken, libraries, admin } = await registryFixture();
+
+    const factory = registry.getContract("MarketFactory");
+    expect(factory.address).to.equal(marketFactory.target);
+    expect(factory.constructorArgs).to.deep.equal([settlementToken.target, admin.address]);
+    expect(factory.libraries).to.deep.equal(libraries);
+    expect(factory.abiHash).to.equal(abiHash((await artifacts.readArtifact("MarketFactory")).abi));
+
+    const receipt = await ethers.provider.getTransactionReceipt(factory.txHash);
+    expect(receipt.contractAddress).to.equal(marketFactory.target);
+    expect(factory.blockNumber).to.equal(receipt.blockNumber);
+
+    expect(registry.getContract("MarketDeployer").address).to.equal(libraries.MarketDeployer);
+    expect(registry.getContract("SettlementToken").constructorArgs).to.deep.equal(["Test Token", "TEST"]);
+  });
+
+  it("Should backfill every market from factory logs with its constructor arguments", async function () {
+    const { registry, marketFactory, settlementToken, creator, feeRecipient } = await registryFixture();
+    const factory = marketFactory.connect(creator);
+
+    await factory.createAndFundMarket(ethers.id("funded"), 0, ethers.parseEther("100"), ethers.parseEther("300"), 50, feeRecipient.address);
+    await factory.createMarket(ethers.id("unfunded"), 4102444800, 0, 0, 0, ethers.ZeroAddress);
+    await factory.createCategoricalMarket(ethers.id("categorical"), 0, 4, ethers.parseEther("40"), 25, ethers.ZeroAddress);
+
+    const synced = await syncRegistry(registry, { provider: ethers.provider, artifacts });
+    expect(synced).to.have.length(3);
+
+    const [funded, unfunded] = await marketFactory.getMarkets();
+    const positionToken = await marketFactory.positionToken();
+    expect(registry.getMarket(funded)).to.include({ contractName: "Market", factory: marketFactory.target, creator: creator.address, question: ethers.id("funded") });
+    expect(registry.getMarket(funded).constructorArgs).to.deep.equal([
+      settlementToken.target, ethers.id("funded"), "0", ethers.parseEther("100").toString(), ethers.parseEther("300").toString(), "50", feeRecipient.address, creator.address, positionToken,
+    ]);
+    // a zero feeRecipient is recorded as passed, not as the factory address the market stores
+    expect(registry.getMarket(unfunded).constructorArgs).to.deep.equal([
+      settlementToken.target, ethers.id("unfunded"), "4102444800", "0", "0", "0", ethers.ZeroAddress, creator.address, positionToken,
+    ]);
+
+    const [categorical] = await marketFactory.getCategoricalMarkets();
+    const entry = registry.getMarket(categorical);
+    expect(entry.contractName).to.equal("CategoricalMarket");
+    expect(entry.constructorArgs).to.deep.equal([
+      settlementToken.target, ethers.id("categorical"), "0", "4", ethers.parseEther("40").toString(), "25", ethers.ZeroAddress, creator.address,
+    ]);
+    expect(entry.abiHash).to.equal(abiHash((await artifacts.readArtifact("CategoricalMarket")).abi));
+    const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+    expect(entry.blockNumber).to.equal(receipt.blockNumber);
+  });
+
+  it("Should resume after lastSyncedBlock and survive a save / load round trip", async function () {
+    const { registry, marketFactory, creator } = await registryFixture();
+    const factory = marketFactory.connect(creator);
+
+    await factory.createAndFundMarket(ethers.id("first"), 0, ethers.parseEther("10"), ethers.parseEther("10"), 0, ethers.ZeroAddress);
+    await syncRegistry(registry, { provider: ethers.provider, batchSize: 2 });
+    expect(registry.lastSyncedBlock).to.equal(await ethers.provider.getBlockNumber());
+    registry.save();
+
+    await factory.createAndFundMarket(ethers.id("second"), 0, ethers.parseEther("10"), ethers.parseEther("10"), 0, ethers.ZeroAddress);
+    const reloaded = DeploymentRegistry.load("hardhat", { dir, chainId: 31337 });
+    expect(reloaded.markets()).to.have.length(1);
+
+    const synced = await syncRegistry(reloaded, { provider: ethers.provider });
+    expect(synced).to.have.length(1);
+    expect(synced[0].question).to.equal(ethers.id("second"));
+    expect(await syncRegistry(reloaded, { provider: ethers.provider })).to.have.length(0);
+
+    // rescanning from the start merges into the existing entries instead of duplicating them
+    await syncRegistry(reloaded, { provider: ethers.provider, fromBlock: 0 });
+    expect(reloaded.markets().map((m) => m.address)).to.deep.equal(await marketFactory.getMarkets());
+
+    const onDisk = JSON.parse(fs.readFileSync(reloaded.save(), "utf8"));
+    expect(onDisk.version).to.equal(REGISTRY_VERSION);
+    expect(onDisk.chainId).to.equal(31337);
+    expect(onDisk.markets).to.have.length(2);
+  });
+
+  it("Should refuse another chain's file and newer formats", async function () {
+    DeploymentRegistry.load("hardhat", { dir, chainId: 31337 }).save();
+    expect(() => DeploymentRegistry.load("hardhat", { dir, chainId: 1 })).to.throw("belongs to chain 31337");
+
+    fs.writeFileSync(DeploymentRegistry.path("future", dir), JSON.stringify({ version: REGISTRY_VERSION + 1 }));
+    expect(() => DeploymentRegistry.load("future", { dir })).to.throw("registry version");
+  });
+
+  it("Should upgrade files written by the old deploy script", function () {
+    const legacy = {
+      network: "sepolia",
+      deployer: "0x1df86eAcBbCb398BC5bac64C1391D66c7950fA65",
+      contracts: {
+        settlementToken: "0x40E301b4b0bE1CdBC6FCed08DA1700e46C7414B6",
+        marketFactory: "0x19553caEc97562935670Ce90d4310086d7300999",
+        sampleMarket: "0x9B5d4d163Adbec92Dca543aD1DbfB8E6D106FDB3",
+      },
+      sampleMarket: { question: ethers.id("q"), resolveTimestamp: "1762165278", initYesPool: "1", initNoPool: "2", feeBps: 100 },
+    };
+
+    const registry = migrateLegacy(legacy);
+    expect(registry.version).to.equal(REGISTRY_VERSION);
+    expect(registry.contracts.MarketFactory.constructorArgs).to.deep.equal([legacy.contracts.settlementToken, legacy.deployer]);
+    expect(registry.markets[0].constructorArgs).to.deep.equal([
+      legacy.contracts.settlementToken, ethers.id("q"), "1762165278", "1", "2", "100", legacy.deployer, legacy.deployer,
+    ]);
+  });
+
+  it("Should sync through the registry:sync task", async function () {
+    const { registry, marketFactory, creator } = await registryFixture();
+    registry.save();
+    await marketFactory.connect(creator).createAndFundMarket(ethers.id("task"), 0, ethers.parseEther("1"), ethers.parseEther("1"), 0, ethers.ZeroAddress);
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("registry:sync", { dir });
+    } finally {
+      console.log = log;
+    }
+
+    const saved = DeploymentRegistry.load("hardhat", { dir });
+    expect(saved.markets().map((m) => m.question)).to.deep.equal([ethers.id("task")]);
+  });
+});
@@ -0,0 +1,125 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { once } = require("events");
+const { deployMarketFactory, deployOrderRelay } = require("../lib/deploy");
+const { OrderRelayer, createRelayerServer } = require("../relayer");
+const { InvalidOrderError, PredictionMarketClient, Side, orderRelay, postOrder } = require("../sdk");
+
+describe("Order relayer", function () {
+  const minFee = ethers.parseEther("0.5");
+  let server;
+
+  afterEach(async function () {
+    if (!server) return;
+    server.closeAllConnections();
+    server.close();
+    await once(server, "close");
+    server = null;
+  });
+
+  async function deployFixture() {
+    const [admin, relayerSigner, trader, other] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    const relay = await deployOrderRelay(ethers, settlementToken.target);
+
+    await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+    await settlementToken.approve(marketFactory.target, ethers.MaxUint256);
+    await marketFactory.createAndFundMarket(ethers.id("relayed"), 0, ethers.parseEther("1000"), ethers.parseEther("1000"), 100, ethers.ZeroAddress);
+    const market = await ethers.getContractAt("Market", (await marketFactory.getMarkets())[0]);
+
+    // the traders hold tokens and nothing else is needed: no approval, and they never send a transaction
+    await settlementToken.mint(trader.address, ethers.parseEther("1000"));
+    await settlementToken.mint(other.address, ethers.parseEther("1000"));
+    const client = (runner) => new PredictionMarketClient({ factoryAddress: marketFactory.target, runner, relayAddress: relay.target });
+    return { relayerSigner, trader, other, settlementToken, market, relay, traderClient: client(trader), otherClient: client(other) };
+  }
+
+  async function serve({ relay, relayerSigner }) {
+    const relayer = new OrderRelayer({ relay: orderRelay(relay.target, relayerSigner), minFee });
+    server = createRelayerServer({ relayer });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const get = async (path) => {
+      const res = await fetch(url + path);
+      return { status: res.status, body: await res.json() };
+    };
+    return { relayer, url, get };
+  }
+
+  it("Should execute a signed order with its permit end to end and collect the fee", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { relayerSigner, trader, settlementToken, market, relay, traderClient } = fixture;
+    const { relayer, url, get } = await serve(fixture);
+    const executed = [];
+    relayer.on("executed", (e) => executed.push(e));
+
+    const sent = await ethers.provider.getTransactionCount(trader.address);
+
+    const config = (await get("/config")).body;
+    expect(config).to.deep.equal({
+      relay: relay.target,
+      chainId: "31337",
+      settlementToken: settlementToken.target,
+      relayer: relayerSigner.address,
+      minFee: minFee.toString(),
+    });
+    expect((await get(`/nonces/${trader.address.toLowerCase()}`)).body).to.deep.equal({ trader: trader.address, nonce: "0" });
+
+    const amount = ethers.parseEther("100");
+    const signed = await traderClient.signOrder(market.target, Side.YES, amount, { relayerFee: minFee });
+    expect(signed.permit.value).to.equal(amount + minFee);
+    expect(signed.orderHash).to.equal(await relay.hashOrder(signed.order));
+
+    const result = await postOrder(url, signed);
+    expect(result.orderHash).to.equal(signed.orderHash);
+    expect(BigInt(result.positionUnits)).to.be.gte(signed.order.minPositionUnits);
+    expect(await market.yesPositions(trader.address)).to.equal(BigInt(result.positionUnits));
+    expect(await settlementToken.balanceOf(relayerSigner.address)).to.equal(minFee);
+    expect(await settlementToken.balanceOf(trader.address)).to.equal(ethers.parseEther("1000") - amount - minFee);
+    expect(await ethers.provider.getTransactionCount(trader.address)).to.equal(sent);
+    expect(executed.map((e) => e.txHash)).to.deep.equal([result.txHash]);
+    expect((await get(`/nonces/${trader.address}`)).body.nonce).to.equal("1");
+
+    // the same order again: its nonce is used up
+    await expect(postOrder(url, signed)).to.be.rejectedWith(InvalidOrderError, `is not ${trader.address}'s current nonce 1`);
+  });
+
+  it("Should refuse orders before spending gas and report why", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { relayerSigner, trader, other, market, traderClient, otherClient } = fixture;
+    const { relayer, url } = await serve(fixture);
+    const rejected = [];
+    relayer.on("rejected", (e) => rejected.push(e.error));
+    const gasBefore = await ethers.provider.getTransactionCount(relayerSigner.address);
+    const amount = ethers.parseEther("10");
+
+    const cheap = await traderClient.signOrder(market.target, Side.NO, amount, { relayerFee: minFee - 1n });
+    await expect(postOrder(url, cheap)).to.be.rejectedWith(InvalidOrderError, "relayer fee below the minimum");
+
+    // another key signing for the trader
+    const forged = await otherClient.signOrder(market.target, Side.NO, amount, { relayerFee: minFee });
+    await expect(postOrder(url, { ...forged, order: { ...forged.order, trader: trader.address } }))
+      .to.be.rejectedWith(InvalidOrderError, "invalid signature");
+
+    const expiring = await traderClient.signOrder(market.target, Side.NO, amount, { relayerFee: minFee, deadlineSeconds: 5 });
+    await time.increase(10);
+    await expect(postOrder(url, expiring)).to.be.rejectedWith(InvalidOrderError, "expired");
+
+    // valid, but the market would revert: the simulation catches it
+    const greedy = await traderClient.signOrder(market.target, Side.NO, amount, { relayerFee: minFee, minPositionUnits: amount * 10n });
+    const refused = await postOrder(url, greedy).catch((err) => err);
+    expect(refused).to.be.instanceOf(InvalidOrderError);
+    expect(refused.reason).to.equal("slippage");
+
+    // cancelling the nonce voids a signed order
+    const pending = await otherClient.signOrder(market.target, Side.YES, amount, { relayerFee: minFee });
+    expect((await otherClient.cancelOrders()).nonce).to.equal(0);
+    await expect(postOrder(url, pending)).to.be.rejectedWith(InvalidOrderError, `is not ${other.address}'s current nonce 1`);
+
+    expect(rejected).to.have.length(5);
+    expect(await ethers.provider.getTransactionCount(relayerSigner.address)).to.equal(gasBefore);
+    expect(await market.noPositions(trader.address)).to.equal(0);
+  });
+});
@@ -0,0 +1,553 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployMarketFactory, deployMarketRouter } = require("../lib/deploy");
+const {
+  PredictionMarketClient,
+  Side,
+  Outcome,
+  MarketState,
+  InvalidStateError,
+  TradingClosedError,
+  DisputeWindowError,
+  EmptyPoolError,
+  InvalidAmountError,
+  SlippageError,
+  DeadlineExpiredError,
+  InsufficientPositionError,
+  UnauthorizedError,
+  PausedError,
+  ContractRevertError,
+} = require("../sdk");
+
+describe("SDK: PredictionMarketClient", function () {
+  async function deployFixture() {
+    const [admin, oracle, user1, user2, feeRecipient] = await ethers.getSigners();
+
+    const SettlementToken = await ethers.getContractFactory("SettlementToken");
+    const settlementToken = await SettlementToken.deploy("Test Token", "TEST");
+
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+
+    await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+    await settlementToken.mint(user1.address, ethers.parseEther("5000"));
+    await settlementToken.mint(user2.address, ethers.parseEther("5000"));
+
+    const adminClient = new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: admin });
+    const created = await adminClient.createMarket({
+      question: "Will Bitcoin reach $100k by 2024?",
+      initYesPool: ethers.parseEther("1000"),
+      initNoPool: ethers.parseEther("1000"),
+      feeBps: 100,
+      feeRecipient: feeRecipient.address,
+    });
+
+    const market = await ethers.getContractAt("Market", created.address);
+    await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+
+    return {
+      admin,
+      oracle,
+      user1,
+      user2,
+      feeRecipient,
+      settlementToken,
+      marketFactory,
+      market,
+      created,
+      adminClient,
+      oracleClient: new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: oracle }),
+      user1Client: new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: user1 }),
+      user2Client: new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: user2 }),
+    };
+  }
+
+  describe("createMarket / getMarket", function () {
+    it("Should decode MarketDeployed and hash plain-text questions", async function () {
+      const { created, admin, marketFactory } = await loadFixture(deployFixture);
+
+      expect(created.address).to.equal((await marketFactory.getMarkets())[0]);
+      expect(created.creator).to.equal(admin.address);
+      expect(created.question).to.equal(ethers.id("Will Bitcoin reach $100k by 2024?"));
+    });
+
+    it("Should return a snapshot of the market", async function () {
+      const { adminClient, created, feeRecipient } = await loadFixture(deployFixture);
+
+      const info = await adminClient.getMarket(created.address);
+      expect(info.state).to.equal(MarketState.Active);
+      expect(info.stateName).to.equal("Active");
+      expect(info.yesPool).to.equal(ethers.parseEther("1000"));
+      expect(info.noPool).to.equal(ethers.parseEther("1000"));
+      expect(info.feeBps).to.equal(100);
+      expect(info.feeRecipient).to.equal(feeRecipient.address);
+    });
+
+    it("Should fund the seeded pools from the creator by default", async function () {
+      const { adminClient, settlementToken, created, admin } = await loadFixture(deployFixture);
+
+      expect(await settlementToken.balanceOf(created.address)).to.equal(ethers.parseEther("2000"));
+      expect(await settlementToken.balanceOf(admin.address)).to.equal(ethers.parseEther("8000"));
+
+      const unfunded = await adminClient.createMarket({
+        question: "Unfunded",
+        initYesPool: ethers.parseEther("10"),
+        initNoPool: ethers.parseEther("10"),
+        fund: false,
+      });
+      expect((await adminClient.getMarket(unfunded.address)).stateName).to.equal("Created");
+    });
+
+    it("Should send fees to the signer when no fee recipient is given", async function () {
+      const { adminClient, marketFactory, admin } = await loadFixture(deployFixture);
+
+      const binary = await adminClient.createMarket({ question: "No recipient", initYesPool: 10n, initNoPool: 10n, feeBps: 100 });
+      const market = await ethers.getContractAt("Market", binary.address);
+      expect(await market.feeRecipient()).to.equal(admin.address);
+      expect(await market.feeRecipient()).to.not.equal(marketFactory.target);
+
+      const categorical = await adminClient.createCategoricalMarket({ question: "No recipient", outcomeCount: 2, initialLiquidity: 10n, feeBps: 100 });
+      expect(await (await ethers.getContractAt("CategoricalMarket", categorical.address)).feeRecipient()).to.equal(admin.address);
+    });
+  });
+
+  describe("listMarkets", function () {
+    it("Should page summaries by kind, state, creator and question", async function () {
+      const { adminClient, user1Client, created, user1 } = await loadFixture(deployFixture);
+      const second = await user1Client.createMarket({ question: "Second", initYesPool: 10n, initNoPool: 10n, fund: false });
+      const third = await adminClient.createMarket({ question: "Will Bitcoin reach $100k by 2024?", initYesPool: 0n, initNoPool: 0n });
+      const categorical = await adminClient.createCategoricalMarket({ question: "Winner", outcomeCount: 2, initialLiquidity: ethers.parseEther("20") });
+
+      const page = await adminClient.listMarkets({ offset: 1, limit: 1 });
+      expect(page).to.include({ total: 3, offset: 1, limit: 1 });
+      expect(page.items.map((m) => m.address)).to.deep.equal([second.address]);
+      expect(page.items[0]).to.include({ kind: "binary", state: MarketState.Created, stateName: "Created", feeBps: 0 });
+
+      const [first] = await adminClient.getMarketSummaries([created.address]);
+      expect(first.pools).to.deep.equal([ethers.parseEther("1000"), ethers.parseEther("1000")]);
+      expect(first.prices).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("1")]);
+
+      const active = await adminClient.findMarkets({ state: MarketState.Active }, { pageSize: 1 });
+      expect(active.map((m) => m.address).sort()).to.deep.equal([created.address, third.address, categorical.address].sort());
+      expect((await adminClient.listMarkets({ kind: "categorical" })).items[0]).to.include({ kind: "categorical", address: categorical.address });
+      expect((await adminClient.listMarkets({ creator: user1.address })).items.map((m) => m.address)).to.deep.equal([second.address]);
+      expect(await adminClient.getMarketsByQuestion("Will Bitcoin reach $100k by 2024?")).to.deep.equal([created.address, third.address]);
+
+      try {
+        await adminClient.listMarkets({ creator: user1.address, state: MarketState.Active });
+        expect.fail("combined filters");
+      } catch (err) {
+        expect(err.message).to.include("one of creator, state or question");
+      }
+    });
+  });
+
+  describe("buy", function () {
+    it("Should approve automatically and return the decoded bet and new position", async function () {
+      const { user1Client, created, settlementToken, user1, market } = await loadFixture(deployFixture);
+
+      const amount = ethers.parseEther("100");
+      const result = await user1Client.buy(created.address, Side.YES, amount);
+
+      expect(result.bet.user).to.equal(user1.address);
+      expect(result.bet.side).to.equal(Side.YES);
+      expect(result.bet.amountIn).to.equal(amount);
+      expect(result.fee).to.equal(ethers.parseEther("1"));
+      expect(result.position.yes).to.equal(result.bet.positionUnits);
+      expect(result.position.no).to.equal(0);
+      expect(await market.yesPositions(user1.address)).to.equal(result.bet.positionUnits);
+      expect(await settlementToken.allowance(user1.address, created.address)).to.equal(0);
+    });
+
+    it("Should skip the approval when the allowance already covers the trade", async function () {
+      const { user1Client, created, settlementToken, user1 } = await loadFixture(deployFixture);
+
+      await settlementToken.connect(user1).approve(created.address, ethers.parseEther("1000"));
+      await user1Client.buy(created.address, "no", ethers.parseEther("100"));
+
+      expect(await settlementToken.allowance(user1.address, created.address)).to.equal(ethers.parseEther("900"));
+    });
+
+    it("Should sign a permit instead of sending an approval with permit: true", async function () {
+      const { user1Client, created, settlementToken, user1, market } = await loadFixture(deployFixture);
+
+      const nonce = await settlementToken.nonces(user1.address);
+      const sent = await ethers.provider.getTransactionCount(user1.address);
+      const result = await user1Client.buy(created.address, Side.NO, ethers.parseEther("100"), { permit: true });
+
+      expect(result.bet.side).to.equal(Side.NO);
+      expect(await market.noPositions(user1.address)).to.equal(result.bet.positionUnits);
+      expect(await settlementToken.nonces(user1.address)).to.equal(nonce + 1n);
+      expect(await settlementToken.allowance(user1.address, created.address)).to.equal(0);
+      // one transaction: the trade itself
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(sent + 1);
+    });
+
+    it("Should send the quoted minimum output reduced by the slippage tolerance", async function () {
+      const { marketFactory, user1, created } = await loadFixture(deployFixture);
+
+      const client = new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: user1, slippageBps: 0 });
+      const amount = ethers.parseEther("100");
+      const quote = await client.quote(created.address, Side.NO, amount);
+      const result = await client.buy(created.address, Side.NO, amount);
+
+      expect(result.bet.positionUnits).to.equal(quote.positionUnits);
+    });
+
+    it("Should map 'slippage' to SlippageError when the price moved past the tolerance", async function () {
+      const { user1Client, user2Client, created } = await loadFixture(deployFixture);
+
+      const amount = ethers.parseEther("100");
+      const quote = await user1Client.quote(created.address, Side.YES, amount);
+      // another trader moves the price before user1's order lands
+      await user2Client.buy(created.address, Side.YES, ethers.parseEther("500"));
+
+      await expect(user1Client.buy(created.address, Side.YES, amount, { minPositionUnits: quote.positionUnits }))
+        .to.be.rejectedWith(SlippageError);
+    });
+
+    it("Should map 'expired' to DeadlineExpiredError", async function () {
+      const { user1Client, created } = await loadFixture(deployFixture);
+
+      const deadline = (await time.latest()) - 1;
+      await expect(user1Client.buy(created.address, Side.YES, ethers.parseEther("1"), { deadline }))
+        .to.be.rejectedWith(DeadlineExpiredError);
+    });
+
+    it("Should reject zero amounts before sending a transaction", async function () {
+      const { user1Client, created } = await loadFixture(deployFixture);
+
+      await expect(user1Client.buy(created.address, Side.YES, 0)).to.be.rejectedWith(InvalidAmountError);
+    });
+
+    it("Should map 'empty pool' to EmptyPoolError", async function () {
+      const { adminClient, user1Client } = await loadFixture(deployFixture);
+
+      const empty = await adminClient.createMarket({ question: "Empty pools", initYesPool: 0, initNoPool: 0 });
+      await expect(user1Client.buy(empty.address, Side.YES, ethers.parseEther("1")))
+        .to.be.rejectedWith(EmptyPoolError);
+    });
+
+    it("Should map 'Invalid state for action' to InvalidStateError", async function () {
+      const { user1Client, oracleClient, created } = await loadFixture(deployFixture);
+
+      await oracleClient.resolve(created.address, Outcome.YES);
+      await expect(user1Client.buy(created.address, Side.YES, ethers.parseEther("1")))
+        .to.be.rejectedWith(InvalidStateError);
+    });
+  });
+
+  describe("sell", function () {
+    it("Should sell at the quoted output and return the decoded sale", async function () {
+      const { marketFactory, user1, created, settlementToken } = await loadFixture(deployFixture);
+
+      const client = new PredictionMarketClient({ factoryAddress: marketFactory.target, runner: user1, slippageBps: 0 });
+      const { bet } = await client.buy(created.address, Side.YES, ethers.parseEther("100"));
+      const quote = await client.quoteSell(created.address, Side.YES, bet.positionUnits);
+      const balanceBefore = await settlementToken.balanceOf(user1.address);
+
+      const result = await client.sell(created.address, Side.YES, bet.positionUnits);
+
+      expect(result.sale.amountOut).to.equal(quote.amountOut);
+      expect(result.fee).to.equal(quote.fee);
+      expect(result.position.yes).to.equal(0);
+      expect(await settlementToken.balanceOf(user1.address)).to.equal(balanceBefore + quote.amountOut);
+    });
+
+    it("Should map 'insufficient position' to InsufficientPositionError", async function () {
+      const { user1Client, created } = await loadFixture(deployFixture);
+
+      await expect(user1Client.sell(created.address, Side.NO, 1, { minCollateralOut: 0 }))
+        .to.be.rejectedWith(InsufficientPositionError);
+    });
+  });
+
+  describe("transferPosition", function () {
+    it("Should move units on the shared position token", async function () {
+      const { user1Client, user2Client, created, user1, user2 } = await loadFixture(deployFixture);
+
+      const { bet } = await user1Client.buy(created.address, Side.NO, ethers.parseEther("100"));
+      const sent = await user1Client.transferPosition(created.address, Side.NO, user2.address, bet.positionUnits);
+
+      expect(sent.from).to.equal(user1.address);
+      expect(sent.tokenId).to.equal(await user1Client.positionTokenId(created.address, Side.NO));
+      expect(await user2Client.getPosition(created.address)).to.deep.equal({ yes: 0n, no: bet.positionUnits });
+      expect(await user1Client.getPosition(created.address)).to.deep.equal({ yes: 0n, no: 0n });
+
+      const positionToken = await user2Client.positionToken();
+      expect(await positionToken.balanceOf(user2.address, sent.tokenId)).to.equal(bet.positionUnits);
+    });
+
+    it("Should map an overdrawn transfer to InsufficientPositionError", async function () {
+      const { user1Client, created, user2 } = await loadFixture(deployFixture);
+
+      await expect(user1Client.transferPosition(created.address, Side.YES, user2.address, 1n))
+        .to.be.rejectedWith(InsufficientPositionError);
+    });
+  });
+
+  describe("liquidity", function () {
+    it("Should add liquidity, accrue fees and remove it after resolution", async function () {
+      const { adminClient, user1Client, user2Client, oracleClient, created, market, user2 } = await loadFixture(deployFixture);
+
+      await adminClient.market(created.address).setFeesToLiquidity(true);
+      const added = await user2Client.addLiquidity(created.address, ethers.parseEther("2000"));
+      expect(added.provider).to.equal(user2.address);
+      expect(added.shares).to.equal(ethers.parseEther("2000"));
+
+      await user1Client.buy(created.address, Side.YES, ethers.parseEther("100"));
+      const liquidity = await user2Client.getLiquidity(created.address);
+      expect(liquidity.shares).to.equal(added.shares);
+      expect(liquidity.totalShares).to.equal(ethers.parseEther("4000"));
+      expect(liquidity.pendingFees).to.be.gt(0);
+
+      await oracleClient.resolve(created.address, Outcome.NO);
+      const payout = await market.liquidityPayout();
+      const removed = await user2Client.removeLiquidity(created.address, added.shares);
+      // half the shares, half the settled liquidity; the losing YES bet makes it a profit
+      expect(removed.amount).to.equal(payout / 2n);
+      expect(removed.amount).to.be.gt(added.amount);
+      expect(removed.fees).to.equal(liquidity.pendingFees);
+      expect((await user2Client.getLiquidity(created.address)).shares).to.equal(0);
+    });
+
+    it("Should map 'insufficient shares' to InsufficientPositionError", async function () {
+      const { user1Client, created } = await loadFixture(deployFixture);
+
+      await expect(user1Client.removeLiquidity(created.address, 1)).to.be.rejectedWith(InsufficientPositionError);
+    });
+  });
+
+  describe("resolve / claim / refund", function () {
+    it("Should map missing ORACLE_ROLE to UnauthorizedError", async function () {
+      const { user1Client, created, user1 } = await loadFixture(deployFixture);
+
+      const err = await user1Client.resolve(created.address, Outcome.YES).catch((e) => e);
+      expect(err).to.be.instanceOf(UnauthorizedError);
+      expect(err.account).to.equal(user1.address);
+    });
+
+    it("Should resolve and let the winner claim", async function () {
+      const { user1Client, oracleClient, created, settlementToken, user1 } = await loadFixture(deployFixture);
+
+      await user1Client.buy(created.address, Side.YES, ethers.parseEther("100"));
+      const resolved = await oracleClient.resolve(created.address, Outcome.YES);
+      expect(resolved.state).to.equal(MarketState.Resolved);
+
+      const balanceBefore = await settlementToken.balanceOf(user1.address);
+      const result = await user1Client.claim(created.address);
+
+      expect(result.claims).to.have.length(1);
+      expect(result.claims[0].user).to.equal(user1.address);
+      expect(await settlementToken.balanceOf(user1.address)).to.equal(balanceBefore + result.amount);
+    });
+
+    it("Should refund both sides after cancellation", async function () {
+      const { user1Client, oracleClient, created } = await loadFixture(deployFixture);
+
+      const yes = await user1Client.buy(created.address, Side.YES, ethers.parseEther("100"));
+      const no = await user1Client.buy(created.address, Side.NO, ethers.parseEther("50"));
+      await oracleClient.resolve(created.address, Outcome.CANCEL);
+
+      const result = await user1Client.refund(created.address);
+      expect(result.claims).to.have.length(2);
+      expect(result.amount).to.equal(yes.bet.positionUnits + no.bet.positionUnits);
+    });
+
+    it("Should map 'trading closed' and 'too early' to TradingClosedError", async function () {
+      const { adminClient, user1Client, oracleClient, market, oracle } = await loadFixture(deployFixture);
+
+      const resolveTimestamp = (await time.latest()) + 3600;
+      const scheduled = await adminClient.createMarket({
+        question: "Scheduled",
+        resolveTimestamp,
+        initYesPool: ethers.parseEther("100"),
+        initNoPool: ethers.parseEther("100"),
+      });
+      await adminClient.market(scheduled.address).grantRole(await market.ORACLE_ROLE(), oracle.address);
+      await adminClient.market(scheduled.address).setResolutionGracePeriod(600);
+
+      const err = await oracleClient.resolve(scheduled.address, Outcome.YES).catch((e) => e);
+      expect(err).to.be.instanceOf(TradingClosedError);
+      expect(err).to.be.instanceOf(InvalidStateError);
+
+      await time.increaseTo(resolveTimestamp);
+      expect((await user1Client.getMarket(scheduled.address)).tradingOpen).to.equal(false);
+      await expect(user1Client.buy(scheduled.address, Side.YES, ethers.parseEther("1")))
+        .to.be.rejectedWith(TradingClosedError);
+
+      await time.increaseTo(resolveTimestamp + 600);
+      const cancelled = await user1Client.cancelUnresolved(scheduled.address);
+      expect(cancelled.stateName).to.equal("Cancelled");
+    });
+
+    it("Should run propose / dispute / arbitrate and map dispute-window reverts", async function () {
+      const { adminClient, oracleClient, user1Client, user2Client, market, settlementToken, admin, oracle, user2 } = await loadFixture(deployFixture);
+
+      const bond = ethers.parseEther("50");
+      await market.setDisputeParams(3600, bond);
+      await market.grantRole(await market.ARBITER_ROLE(), admin.address);
+      await settlementToken.mint(oracle.address, bond);
+      await user1Client.buy(market.target, Side.YES, ethers.parseEther("100"));
+
+      await expect(oracleClient.resolve(market.target, Outcome.YES)).to.be.rejectedWith(DisputeWindowError);
+
+      const proposal = await oracleClient.proposeOutcome(market.target, Outcome.YES);
+      expect(proposal.proposer).to.equal(oracle.address);
+      expect(proposal.bond).to.equal(bond);
+      expect((await user1Client.getMarket(market.target)).stateName).to.equal("Proposed");
+      await expect(user1Client.finalize(market.target)).to.be.rejectedWith(DisputeWindowError);
+
+      const disputed = await user2Client.dispute(market.target);
+      expect(disputed.disputer).to.equal(user2.address);
+
+      const ruling = await adminClient.arbitrate(market.target, Outcome.NO);
+      expect(ruling.stateName).to.equal("Resolved");
+      expect(ruling.bondRecipient).to.equal(user2.address);
+      const err = await user1Client.claim(market.target).catch((e) => e);
+      expect(err).to.be.instanceOf(ContractRevertError);
+      expect(err.reason).to.equal("no no position");
+    });
+
+    it("Should map claim before resolution to InvalidStateError", async function () {
+      const { user1Client, created } = await loadFixture(deployFixture);
+
+      await expect(user1Client.claim(created.address)).to.be.rejectedWith(InvalidStateError);
+    });
+  });
+
+  describe("emergency stop", function () {
+    it("Should pause a market or all of them and map the reverts to PausedError", async function () {
+      const { adminClient, user1Client, oracleClient, created } = await loadFixture(deployFixture);
+      await user1Client.buy(created.address, Side.YES, ethers.parseEther("100"));
+
+      expect(await adminClient.pause(created.address)).to.include({ paused: true, claimsFrozen: false });
+      expect((await user1Client.getMarket(created.address)).paused).to.be.true;
+      const err = await user1Client.buy(created.address, Side.YES, ethers.parseEther("10")).catch((e) => e);
+      expect(err).to.be.instanceOf(PausedError);
+      expect(err).to.be.instanceOf(InvalidStateError);
+      await adminClient.unpause(created.address);
+
+      await adminClient.pauseAll();
+      await adminClient.freezeAllClaims();
+      expect(await user1Client.getPauseStatus(created.address)).to.deep.equal({
+        paused: true,
+        claimsFrozen: true,
+        factoryPaused: true,
+        factoryClaimsFrozen: true,
+      });
+      await expect(adminClient.createMarket({ question: "Blocked", initYesPool: 1n, initNoPool: 1n })).to.be.rejectedWith(PausedError, "paused");
+      await oracleClient.resolve(created.address, Outcome.YES);
+      await expect(user1Client.claim(created.address)).to.be.rejectedWith(PausedError, "claims frozen");
+
+      await expect(user1Client.unfreezeAllClaims()).to.be.rejectedWith(UnauthorizedError);
+      await adminClient.unfreezeAllClaims();
+      expect(await adminClient.unpauseAll()).to.include({ paused: false, claimsFrozen: false });
+      expect((await user1Client.claim(created.address)).amount).to.be.greaterThan(0n);
+    });
+  });
+
+  describe("categorical markets", function () {
+    it("Should create, trade, resolve and claim an N-outcome market", async function () {
+      const { adminClient, user1Client, user2Client, oracleClient, settlementToken, oracle, user1 } = await loadFixture(deployFixture);
+
+      const created = await adminClient.createCategoricalMarket({
+        question: "Which team wins the cup?",
+        outcomeCount: 4,
+        initialLiquidity: ethers.parseEther("400"),
+        feeBps: 100,
+      });
+      expect(created.outcomeCount).to.equal(4);
+      const market = adminClient.categoricalMarket(created.address);
+      await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+
+      const info = await user1Client.getCategoricalMarket(created.address);
+      expect(info.stateName).to.equal("Active");
+      expect(info.pools).to.deep.equal(Array(4).fill(ethers.parseEther("400")));
+      expect(info.prices).to.deep.equal(Array(4).fill(ethers.parseEther("0.25")));
+
+      const quote = await user1Client.quoteOutcome(created.address, 2, ethers.parseEther("100"));
+      const bought = await user1Client.buyOutcome(created.address, 2, ethers.parseEther("100"));
+      expect(bought.bet).to.deep.equal({ user: user1.address, outcome: 2, amountIn: ethers.parseEther("100"), positionUnits: quote.positionUnits });
+      expect(bought.fee).to.equal(ethers.parseEther("1"));
+      await user2Client.buyOutcome(created.address, 0, ethers.parseEther("50"));
+
+      const position = await user1Client.getCategoricalPosition(created.address);
+      expect(position.units[2]).to.equal(quote.positionUnits);
+      expect(position.deposit).to.equal(ethers.parseEther("99"));
+
+      await expect(user1Client.buyOutcome(created.address, 2, ethers.parseEther("10"), { minPositionUnits: ethers.parseEther("1000") }))
+        .to.be.rejectedWith(SlippageError);
+
+      await oracleClient.resolve(created.address, 2);
+      const balanceBefore = await settlementToken.balanceOf(user1.address);
+      const claimed = await user1Client.claim(created.address);
+      expect(claimed.amount).to.equal(quote.positionUnits);
+      expect(await settlementToken.balanceOf(user1.address)).to.equal(balanceBefore + quote.positionUnits);
+      await expect(user2Client.claim(created.address)).to.be.rejectedWith(ContractRevertError);
+    });
+
+    it("Should refund deposits after cancelCategorical", async function () {
+      const { adminClient, user1Client, oracleClient, oracle } = await loadFixture(deployFixture);
+
+      const created = await adminClient.createCategoricalMarket({
+        question: "Which month?",
+        outcomeCount: 12,
+        initialLiquidity: ethers.parseEther("120"),
+      });
+      const market = adminClient.categoricalMarket(created.address);
+      await market.grantRole(await market.ORACLE_ROLE(), oracle.address);
+
+      await user1Client.buyOutcome(created.address, 0, ethers.parseEther("30"));
+      await user1Client.buyOutcome(created.address, 11, ethers.parseEther("20"));
+      const cancelled = await oracleClient.cancelCategorical(created.address);
+      expect(cancelled.stateName).to.equal("Cancelled");
+
+      const refunded = await user1Client.refund(created.address);
+      expect(refunded.amount).to.equal(ethers.parseEther("50"));
+    });
+  });
+
+  describe("router", function () {
+    async function routerFixture() {
+      const fixture = await loadFixture(deployFixture);
+      const { adminClient, marketFactory, settlementToken, oracle, user1, user2 } = fixture;
+      const router = await deployMarketRouter(ethers, settlementToken.target);
+      const categorical = await adminClient.createCategoricalMarket({ question: "Which quarter?", outcomeCount: 4, initialLiquidity: ethers.parseEther("400") });
+      await adminClient.categoricalMarket(categorical.address).grantRole(await fixture.market.ORACLE_ROLE(), oracle.address);
+      const client = (runner) => new PredictionMarketClient({ factoryAddress: marketFactory.target, runner, routerAddress: router.target });
+      return { ...fixture, router, categorical, user1Router: client(user1), user2Router: client(user2) };
+    }
+
+    it("Should buy across markets in one transaction and claim everything with claimAll", async function () {
+      const { user1Router, user2Router, oracleClient, created, categorical, settlementToken, router, user1 } = await loadFixture(routerFixture);
+
+      const { bets } = await user1Router.batchBuy([
+        { market: created.address, outcome: Side.YES, amount: ethers.parseEther("100") },
+        { market: categorical.address, outcome: 3, amount: ethers.parseEther("40") },
+      ]);
+      expect(bets.map((b) => [b.market, b.user, b.outcome, b.amountIn])).to.deep.equal([
+        [created.address, user1.address, Outcome.YES, ethers.parseEther("100")],
+        [categorical.address, user1.address, 3, ethers.parseEther("40")],
+      ]);
+      expect(await settlementToken.allowance(user1.address, router.target)).to.equal(0);
+      await user2Router.batchBuy([{ market: created.address, outcome: Side.NO, amount: ethers.parseEther("10") }], { permit: true });
+
+      expect(await user1Router.getClaimableMarkets()).to.deep.equal([]);
+      await oracleClient.resolve(created.address, Outcome.YES);
+      await oracleClient.cancelCategorical(categorical.address);
+      expect(await user1Router.getClaimableMarkets()).to.deep.equal([created.address, categorical.address]);
+      expect(await user2Router.getClaimableMarkets()).to.deep.equal([]);
+
+      // user2 sweeps for user1, and the payouts go to user1
+      const balanceBefore = await settlementToken.balanceOf(user1.address);
+      const swept = await user2Router.claimAll(user1.address);
+      expect(swept.markets).to.deep.equal([created.address, categorical.address]);
+      expect(swept.claims.map((c) => [c.market, c.to])).to.deep.equal([[created.address, user1.address], [categorical.address, user1.address]]);
+      expect(swept.claims[1].amount).to.equal(ethers.parseEther("40"));
+      expect(await settlementToken.balanceOf(user1.address)).to.equal(balanceBefore + swept.amount);
+
+      const again = await user1Router.claimAll();
+      expect(again).to.include({ amount: 0n, receipt: null });
+    });
+  });
+});
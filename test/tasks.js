@@ -0,0 +1,294 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployAdminMultisig, deployAdminTimelock, deployMarketFactory } = require("../lib/deploy");
+const { DeploymentRegistry, REGISTRY_VERSION } = require("../lib/registry");
+const { UnauthorizedError, InvalidStateError, PausedError } = require("../sdk");
+
+describe("Operator tasks", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tasks-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin, oracle, trader] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
+    return { admin, oracle, trader, settlementToken, marketFactory };
+  }
+
+  // every test gets its own deployments/hardhat.json pointing at the fixture's factory
+  async function tasksFixture() {
+    const fixture = await loadFixture(deployFixture);
+    const registry = new DeploymentRegistry(
+      { version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] },
+      DeploymentRegistry.path("hardhat", dir),
+    );
+    registry.addContract({ contractName: "MarketFactory", address: fixture.marketFactory.target, constructorArgs: [] });
+    registry.save();
+    return fixture;
+  }
+
+  // runs a task with console.log captured; returns its result and what it printed
+  async function run(name, args = {}) {
+    const printed = [];
+    const log = console.log;
+    console.log = (...line) => printed.push(line.join(" "));
+    try {
+      const result = await hre.run(name, { dir, ...args });
+      return { result, printed: printed.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  async function createMarket(args = {}) {
+    const { result } = await run("market:create", { question: "Will it rain?", yesPool: "100", noPool: "300", feeBps: 100, ...args });
+    return result.market;
+  }
+
+  it("Should mint from the faucet, and only simulate with --dry-run", async function () {
+    const { settlementToken, trader } = await tasksFixture();
+
+    const dry = await run("token:faucet", { to: trader.address, amount: "1,000.5", dryRun: true });
+    expect(dry.result.transactions[0].status).to.equal("simulated");
+    expect(await settlementToken.balanceOf(trader.address)).to.equal(0n);
+
+    const { printed } = await run("token:faucet", { to: trader.address, amount: "1,000.5" });
+    expect(await settlementToken.balanceOf(trader.address)).to.equal(ethers.parseEther("1000.5"));
+    expect(printed).to.include("Minted 1,000.5 TEST");
+
+    await expect(run("token:faucet", { from: trader.address, amount: "1", dryRun: true })).to.be.rejectedWith(UnauthorizedError);
+    await expect(run("token:faucet", { amount: "0" })).to.be.rejectedWith("Amount must be positive");
+  });
+
+  it("Should create a funded market from human-readable input", async function () {
+    const { admin, marketFactory, settlementToken } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+
+    // without an allowance the dry run simulates the approval and flags the create call
+    const dry = await run("market:create", { question: "Will it rain?", yesPool: "100", noPool: "300", resolveAt: "2030-01-01", dryRun: true });
+    expect(dry.result.transactions.map((t) => t.status)).to.deep.equal(["simulated", "requires-approval"]);
+    expect(await marketFactory.numMarkets()).to.equal(0n);
+
+    const { result, printed } = await run("market:create", { question: "Will it rain?", yesPool: "100", noPool: "300", resolveAt: "2030-01-01", feeBps: 50 });
+    expect(result.transactions.map((t) => t.label)).to.deep.equal(["approve", "createAndFundMarket"]);
+    expect(result.market).to.equal((await marketFactory.getMarkets())[0]);
+    expect(printed).to.include(`Created market ${result.market}`);
+
+    const market = await ethers.getContractAt("Market", result.market);
+    expect(await market.question()).to.equal(ethers.id("Will it rain?"));
+    expect(await market.resolveTimestamp()).to.equal(1893456000n);
+    expect(await market.yesPool()).to.equal(ethers.parseEther("100"));
+    expect(await market.state()).to.equal(1);
+    expect(await market.hasRole(await market.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.true;
+    // fees go to the signer unless --fee-recipient says otherwise, never to the factory
+    expect(await market.feeRecipient()).to.equal(admin.address);
+
+    // with an allowance in place the dry run simulates the create call and predicts the address it deploys to
+    await settlementToken.approve(marketFactory.target, ethers.MaxUint256);
+    const next = await run("market:create", { question: "Next", yesPool: "1", noPool: "1", dryRun: true });
+    expect(next.result.transactions.map((t) => t.status)).to.deep.equal(["simulated"]);
+    expect(next.result.market).to.equal(await createMarket({ question: "Next", yesPool: "1", noPool: "1" }));
+  });
+
+  it("Should list markets with state, pools, prices and fee as text or JSON", async function () {
+    const { admin, marketFactory, settlementToken } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+    const address = await createMarket();
+    await createMarket({ question: "Unfunded", unfunded: true });
+    await settlementToken.approve(marketFactory.target, ethers.MaxUint256);
+    await marketFactory.createCategoricalMarket(ethers.id("Winner"), 0, 3, ethers.parseEther("30"), 0, ethers.ZeroAddress);
+    const [categorical] = await marketFactory.getCategoricalMarkets();
+
+    const { printed } = await run("market:list", { json: true });
+    const { markets } = JSON.parse(printed);
+    expect(markets).to.have.length(2);
+    expect(markets[0]).to.include({ index: 0, address, state: "Active", yesPool: ethers.parseEther("100").toString(), priceYes: "3.0000", priceNo: "0.3333", feeBps: 100 });
+    expect(markets[1]).to.include({ state: "Created", yesPool: ethers.parseEther("100").toString() });
+
+    const text = await run("market:list");
+    expect(text.printed).to.include(`#0 ${address} Active pools 100.0 YES / 300.0 NO price YES 3.0000 NO 0.3333 fee 100 bps`);
+
+    const created = JSON.parse((await run("market:list", { state: "created", json: true })).printed);
+    expect(created.markets.map((m) => m.state)).to.deep.equal(["Created"]);
+    expect(created.markets[0].index).to.equal(null);
+    expect(JSON.parse((await run("market:list", { offset: 1, limit: 5, json: true })).printed)).to.include({ total: 2 });
+
+    // the creator and state lists hold both kinds, and show every market they count
+    const mine = JSON.parse((await run("market:list", { creator: admin.address, json: true })).printed);
+    expect(mine.total).to.equal(3);
+    expect(mine.markets.map((m) => m.kind)).to.deep.equal(["binary", "binary", "categorical"]);
+    expect(mine.markets[2]).to.include({ address: categorical, state: "Active" });
+    expect(mine.markets[2].prices).to.deep.equal(["0.3333", "0.3333", "0.3333"]);
+    const active = await run("market:list", { state: "active" });
+    expect(active.printed).to.include(`${categorical} Active categorical pools 30.0 / 30.0 / 30.0 prices 0.3333 / 0.3333 / 0.3333 fee 0 bps`);
+  });
+
+  it("Should buy by market index with a quoted minimum, approving first", async function () {
+    const { trader, settlementToken } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+    await run("token:faucet", { to: trader.address, amount: "50" });
+    const address = await createMarket();
+    const market = await ethers.getContractAt("Market", address);
+
+    const dry = await run("market:buy", { market: "0", side: "YES", amount: "10", from: trader.address, dryRun: true });
+    expect(dry.result.transactions.map((t) => t.status)).to.deep.equal(["simulated", "requires-approval"]);
+
+    const { result } = await run("market:buy", { market: "0", side: "yes", amount: "10", from: trader.address, json: true });
+    expect(result.transactions.map((t) => t.status)).to.deep.equal(["sent", "sent"]);
+    expect(await market.yesPositions(trader.address)).to.equal(result.quotedUnits);
+    expect(result.minPositionUnits).to.equal((result.quotedUnits * 9950n) / 10000n);
+    expect(await settlementToken.balanceOf(trader.address)).to.equal(ethers.parseEther("40"));
+
+    await expect(run("market:buy", { market: "5", side: "yes", amount: "1" })).to.be.rejectedWith("No market #5");
+    await expect(run("market:buy", { market: address, side: "maybe", amount: "1" })).to.be.rejectedWith("Side must be yes or no");
+  });
+
+  it("Should grant and revoke roles, then resolve and claim", async function () {
+    const { oracle, trader, settlementToken } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+    await run("token:faucet", { to: trader.address, amount: "50" });
+    const address = await createMarket();
+    const market = await ethers.getContractAt("Market", address);
+    const oracleRole = await market.ORACLE_ROLE();
+    await run("market:buy", { market: address, side: "no", amount: "20", from: trader.address });
+
+    await expect(run("market:resolve", { market: address, outcome: "no", from: oracle.address })).to.be.rejectedWith(UnauthorizedError);
+
+    const dry = await run("roles:grant", { role: "oracle_role", account: oracle.address, target: address, dryRun: true });
+    expect(dry.result.hasRole).to.be.false;
+    const granted = await run("roles:grant", { role: "ORACLE_ROLE", account: oracle.address, target: address });
+    expect(granted.result).to.include({ contractName: "Market", hasRole: true });
+    expect(await market.hasRole(oracleRole, oracle.address)).to.be.true;
+
+    await run("market:resolve", { market: address, outcome: "no", from: oracle.address, dryRun: true });
+    expect(await market.state()).to.equal(1);
+    await run("market:resolve", { market: address, outcome: "NO", from: oracle.address });
+    expect(await market.state()).to.equal(2);
+    expect(await market.resolutionOutcome()).to.equal(0);
+
+    const units = await market.noPositions(trader.address);
+    const before = await settlementToken.balanceOf(trader.address);
+    const { result } = await run("market:claim", { market: address, from: trader.address });
+    expect(result.paid).to.equal((await settlementToken.balanceOf(trader.address)) - before);
+    expect(result.paid).to.be.greaterThan(0n);
+    expect(await market.noPositions(trader.address)).to.equal(0n);
+    expect(units).to.be.greaterThan(0n);
+
+    await run("roles:revoke", { role: "ORACLE_ROLE", account: oracle.address, target: address });
+    expect(await market.hasRole(oracleRole, oracle.address)).to.be.false;
+  });
+
+  it("Should pause one market or all of them and report the switches", async function () {
+    const { admin, trader, marketFactory } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+    await run("token:faucet", { to: trader.address, amount: "100" });
+    const address = await createMarket();
+    const market = await ethers.getContractAt("Market", address);
+
+    await expect(run("emergency:pause", {})).to.be.rejectedWith("Pass either --market or --all");
+    await run("emergency:pause", { market: "0", dryRun: true });
+    expect(await market.paused()).to.be.false;
+    const { result, printed } = await run("emergency:pause", { market: "0" });
+    expect(result).to.include({ contractName: "Market", target: address, paused: true });
+    expect(printed).to.include(`Paused Market ${address}`);
+    await expect(run("market:buy", { market: "0", side: "yes", amount: "10", from: trader.address })).to.be.rejectedWith(PausedError);
+    await run("emergency:unpause", { market: address });
+
+    // the kill switch needs PAUSER_ROLE on the factory
+    await expect(run("emergency:pause", { all: true, from: trader.address })).to.be.rejectedWith(UnauthorizedError);
+    await run("roles:grant", { role: "PAUSER_ROLE", account: trader.address });
+    await run("emergency:pause", { all: true, from: trader.address });
+    await run("emergency:freeze-claims", { all: true });
+    expect(await marketFactory.paused()).to.be.true;
+    const status = await run("emergency:status", { market: "0" });
+    expect(status.printed).to.include(`MarketFactory ${marketFactory.target}: paused, claims frozen`);
+    expect(status.printed).to.include(`Market ${address}: paused, claims frozen`);
+
+    await run("emergency:unpause", { all: true, from: admin.address });
+    await run("emergency:unfreeze-claims", { all: true });
+    expect((await run("emergency:status", { json: true })).result.factory).to.include({ paused: false, claimsFrozen: false });
+  });
+
+  it("Should hand admin to a timelock and schedule, cancel and execute changes through it", async function () {
+    const { admin, oracle, trader } = await tasksFixture();
+    await run("token:faucet", { amount: "1000" });
+    const address = await createMarket();
+    const market = await ethers.getContractAt("Market", address);
+    const multisig = await deployAdminMultisig(ethers, { owners: [admin.address, oracle.address], threshold: 2 });
+    const timelock = await deployAdminTimelock(ethers, { minDelay: 3600, proposers: [admin.address, multisig.target] });
+    const registry = DeploymentRegistry.load("hardhat", { dir, chainId: 31337 });
+    registry.addContract({ contractName: "AdminTimelock", address: timelock.target, constructorArgs: [] });
+    registry.save();
+
+    const handover = await run("admin:handover", { to: timelock.target, target: "0" });
+    expect(handover.printed).to.include(`Handed DEFAULT_ADMIN_ROLE on Market ${address} to ${timelock.target}`);
+    expect(await market.hasRole(await market.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.false;
+
+    await expect(run("timelock:schedule", { action: "set-fee", value: "500" })).to.be.rejectedWith("set-fee needs --target <market>");
+    await expect(run("timelock:schedule", { action: "set-fee", value: "5000", target: "0" })).to.be.rejectedWith("Fee must be 0-1000 basis points");
+    const { result: raise, printed } = await run("timelock:schedule", { action: "set-fee", value: "500", target: "0" });
+    expect(printed).to.include(`Scheduled setFeeBps(500) on Market ${address} as ${raise.id}`);
+    await expect(run("timelock:schedule", { action: "set-fee", value: "500", target: "0" })).to.be.rejectedWith("is already scheduled");
+    await expect(run("timelock:execute", { id: raise.id })).to.be.rejectedWith("is not ready until");
+
+    const grant = (await run("timelock:schedule", { action: "grant-oracle", value: trader.address, target: address })).result;
+    const cancelled = await run("timelock:cancel", { id: grant.id });
+    expect(cancelled.printed).to.include(`Cancelled grantRole(ORACLE_ROLE, ${trader.address})`);
+
+    // the multisig proposes once both owners have confirmed
+    const { result: recipient } = await run("timelock:schedule", { action: "set-fee-recipient", value: trader.address, target: "0", multisig: multisig.target });
+    expect(recipient.readyAt).to.equal(null);
+    const confirmed = await run("multisig:confirm", { id: 0, multisig: multisig.target, from: oracle.address });
+    expect(confirmed.printed).to.include("Confirmed AdminMultisig #0: 2 of 2, executed");
+
+    const pending = await run("timelock:list", {});
+    expect(pending.result.operations.map((o) => o.id)).to.deep.equal([raise.id, recipient.id]);
+    expect(pending.printed).to.include(`${raise.id} waiting until`);
+
+    await time.increase(3600);
+    await run("timelock:execute", { id: raise.id });
+    await run("timelock:execute", { id: recipient.id, from: trader.address });
+    expect(await market.feeBps()).to.equal(100n);
+    await time.increase(await market.FEE_CHANGE_DELAY());
+    await market.applyFeeChange();
+    expect(await market.feeBps()).to.equal(500n);
+    expect(await market.feeRecipient()).to.equal(trader.address);
+    const all = await run("timelock:list", { all: true, json: true });
+    expect(all.result.operations.map((o) => o.state)).to.deep.equal(["done", "cancelled", "done"]);
+  });
+
+  it("Should pick each role's default target and refund cancelled markets", async function () {
+    const { admin, oracle, trader, settlementToken, marketFactory } = await tasksFixture();
+
+    await run("roles:grant", { role: "MINTER_ROLE", account: trader.address });
+    expect(await settlementToken.hasRole(await settlementToken.MINTER_ROLE(), trader.address)).to.be.true;
+    await run("roles:grant", { role: "ORACLE_ROLE", account: oracle.address });
+    expect(await marketFactory.hasRole(await marketFactory.ORACLE_ROLE(), oracle.address)).to.be.true;
+    await expect(run("roles:grant", { role: "MINTER_ROLE", account: trader.address, target: "factory" })).to.be.rejectedWith("MarketFactory has no MINTER_ROLE");
+    await expect(run("roles:grant", { role: "OWNER", account: trader.address })).to.be.rejectedWith("Role must be one of");
+
+    await run("token:faucet", { from: trader.address, to: admin.address, amount: "1000" });
+    await run("token:faucet", { from: trader.address, amount: "100" });
+    const address = await createMarket();
+    await run("roles:grant", { role: "ORACLE_ROLE", account: oracle.address, target: "0" });
+    await run("market:buy", { market: address, side: "yes", amount: "30", from: trader.address });
+
+    await expect(run("market:refund", { market: address, from: trader.address, dryRun: true })).to.be.rejectedWith(InvalidStateError);
+    await run("market:resolve", { market: address, outcome: "cancel", from: oracle.address });
+    const before = await settlementToken.balanceOf(trader.address);
+    const { result, printed } = await run("market:refund", { market: address, from: trader.address });
+    expect(result.paid).to.be.greaterThan(0n);
+    expect(await settlementToken.balanceOf(trader.address)).to.equal(before + result.paid);
+    expect(printed).to.include(`refund paid ${ethers.formatEther(result.paid)} TEST`);
+  });
+});
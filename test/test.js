@@ -4,6 +4,16 @@ const {
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
+const {
+  deployAdminMultisig,
+  deployAdminTimelock,
+  deployFactoryLibraries,
+  deployMarketFactory,
+  deployMarketRouter,
+  deployOrderRelay,
+  handOverAdmin,
+} = require("../lib/deploy");
+const { orderDomain, signOrder, signPermit } = require("../sdk/orders");
 
 describe("Prediction Market System", function () {
   async function deployContractsFixture() {
@@ -12,8 +22,7 @@ describe("Prediction Market System", function () {
     const SettlementToken = await ethers.getContractFactory("SettlementToken");
     const settlementToken = await SettlementToken.deploy("Test Token", "TEST");
 
-    const MarketFactory = await ethers.getContractFactory("MarketFactory");
-    const marketFactory = await MarketFactory.deploy(settlementToken.target, admin.address);
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address);
 
     await marketFactory.connect(admin).grantRole(
       await marketFactory.ORACLE_ROLE(), 
@@ -44,7 +53,8 @@ describe("Prediction Market System", function () {
     const initNoPool = ethers.parseEther("1000");
     const feeBps = 100;
 
-    const tx = await marketFactory.connect(admin).createMarket(
+    await settlementToken.connect(admin).approve(marketFactory.target, initYesPool + initNoPool);
+    const tx = await marketFactory.connect(admin).createAndFundMarket(
       question,
       resolveTimestamp,
       initYesPool,
@@ -75,8 +85,6 @@ describe("Prediction Market System", function () {
     const Market = await ethers.getContractFactory("Market");
     const market = Market.attach(marketAddress);
 
-    await settlementToken.connect(admin).transfer(marketAddress, initYesPool + initNoPool);
-
     await market.connect(admin).grantRole(await market.ORACLE_ROLE(), contracts.oracle.address);
 
     return {
@@ -105,6 +113,12 @@ describe("Prediction Market System", function () {
     return contracts;
   }
 
+  // YES/NO resolution only opens once the market's schedule has passed
+  async function advanceToResolution(market) {
+    const opensAt = await market.resolutionOpensAt();
+    if (BigInt(await time.latest()) < opensAt) await time.increaseTo(opensAt);
+  }
+
   describe("SettlementToken", function () {
     describe("Deployment", function () {
       it("Should set the right name and symbol", async function () {
@@ -224,6 +238,222 @@ describe("Prediction Market System", function () {
         expect(markets[0]).to.not.equal(markets[1]);
       });
     });
+
+    describe("Discovery", function () {
+      async function discoveryFixture() {
+        const contracts = await loadFixture(deployContractsFixture);
+        const { marketFactory, settlementToken, admin, user1 } = contracts;
+        await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+        await settlementToken.connect(admin).approve(marketFactory.target, ethers.MaxUint256);
+
+        await marketFactory.connect(admin).createAndFundMarket(ethers.id("Rain"), 0, ethers.parseEther("100"), ethers.parseEther("300"), 100, ethers.ZeroAddress);
+        await marketFactory.connect(user1).createMarket(ethers.id("Snow"), 0, 100, 100, 0, ethers.ZeroAddress);
+        await marketFactory.connect(admin).createMarket(ethers.id("Rain"), 0, 0, 0, 0, ethers.ZeroAddress);
+        await marketFactory.connect(admin).createCategoricalMarket(ethers.id("Winner"), 0, 3, ethers.parseEther("30"), 50, ethers.ZeroAddress);
+        const [funded, unfunded, empty] = await marketFactory.getMarkets();
+        const [categorical] = await marketFactory.getCategoricalMarkets();
+        return { ...contracts, funded, unfunded, empty, categorical };
+      }
+
+      it("Should page through markets and look them up by creator and question", async function () {
+        const { marketFactory, admin, user1, funded, unfunded, empty, categorical } = await loadFixture(discoveryFixture);
+
+        expect(await marketFactory.getMarketsPaginated(1, 5)).to.deep.equal([[unfunded, empty], 3n]);
+        expect(await marketFactory.getMarketsPaginated(0, 1)).to.deep.equal([[funded], 3n]);
+        expect(await marketFactory.getMarketsPaginated(3, 1)).to.deep.equal([[], 3n]);
+        expect(await marketFactory.getMarketsPaginated(1, ethers.MaxUint256)).to.deep.equal([[unfunded, empty], 3n]);
+        expect(await marketFactory.getCategoricalMarketsPaginated(0, 10)).to.deep.equal([[categorical], 1n]);
+
+        expect(await marketFactory.getMarketsByCreator(admin.address, 0, 10)).to.deep.equal([[funded, empty, categorical], 3n]);
+        expect(await marketFactory.getMarketsByCreator(user1.address, 0, 10)).to.deep.equal([[unfunded], 1n]);
+        expect(await marketFactory.getMarketsByQuestion(ethers.id("Rain"))).to.deep.equal([funded, empty]);
+        expect(await marketFactory.getMarketsByQuestion(ethers.id("Hail"))).to.deep.equal([]);
+
+        expect(await marketFactory.marketKind(funded)).to.equal(1);
+        expect(await marketFactory.marketKind(categorical)).to.equal(2);
+        expect(await marketFactory.marketKind(admin.address)).to.equal(0);
+      });
+
+      it("Should keep the state index current as markets change state", async function () {
+        const { marketFactory, settlementToken, admin, user1, funded, unfunded, empty, categorical } = await loadFixture(discoveryFixture);
+        const byState = async (state) => {
+          const [page, total] = await marketFactory.getMarketsByState(state, 0, 10);
+          expect(page).to.have.length(Number(total));
+          return [...page].sort();
+        };
+        expect(await byState(0)).to.deep.equal([unfunded]);
+        expect(await byState(1)).to.deep.equal([funded, empty, categorical].sort());
+
+        await settlementToken.mint(unfunded, 200);
+        await (await ethers.getContractAt("Market", unfunded)).connect(user1).activate();
+        const market = await ethers.getContractAt("Market", funded);
+        await market.connect(admin).grantRole(await market.ORACLE_ROLE(), admin.address);
+        await market.connect(admin).resolve(1);
+        const cat = await ethers.getContractAt("CategoricalMarket", categorical);
+        await cat.connect(admin).grantRole(await cat.ORACLE_ROLE(), admin.address);
+        await cat.connect(admin).cancel();
+
+        expect(await byState(0)).to.deep.equal([]);
+        expect(await byState(1)).to.deep.equal([unfunded, empty].sort());
+        expect(await byState(2)).to.deep.equal([funded]);
+        expect(await byState(3)).to.deep.equal([categorical]);
+
+        await expect(marketFactory.connect(admin).marketStateChanged(2)).to.be.revertedWith("unknown market");
+      });
+
+      it("Should let markets deployed by a contract that is not a factory change state", async function () {
+        const { marketFactory, settlementToken, admin } = await loadFixture(deployContractsFixture);
+        const MarketLauncher = await ethers.getContractFactory("MarketLauncher", { libraries: await deployFactoryLibraries(ethers) });
+        const launcher = await MarketLauncher.deploy();
+        const launched = async (tx) => (await (await tx).wait()).logs.map((log) => launcher.interface.parseLog(log)).find((log) => log).args.market;
+
+        const market = await ethers.getContractAt("Market", await launched(
+          launcher.connect(admin).launchMarket(settlementToken.target, 100, 100, await marketFactory.positionToken())
+        ));
+        expect(await market.creator()).to.equal(launcher.target);
+        await settlementToken.mint(market.target, 200);
+        await expect(market.connect(admin).activate()).to.emit(market, "MarketActivated");
+        await market.connect(admin).grantRole(await market.ORACLE_ROLE(), admin.address);
+        await expect(market.connect(admin).resolve(1)).to.emit(market, "MarketResolved");
+
+        const cat = await ethers.getContractAt("CategoricalMarket", await launched(
+          launcher.connect(admin).launchCategoricalMarket(settlementToken.target, 10)
+        ));
+        await settlementToken.mint(cat.target, 10);
+        await expect(cat.connect(admin).activate()).to.emit(cat, "MarketActivated");
+        await cat.connect(admin).grantRole(await cat.ORACLE_ROLE(), admin.address);
+        await expect(cat.connect(admin).cancel()).to.emit(cat, "MarketCancelled");
+        expect(await cat.state()).to.equal(3);
+      });
+
+      it("Should summarize many markets in one call", async function () {
+        const { marketFactory, admin, funded, empty, categorical } = await loadFixture(discoveryFixture);
+
+        const [binary, unpriced, cat, unknown] = await marketFactory.getMarketSummaries([funded, empty, categorical, admin.address]);
+        expect(binary.market).to.equal(funded);
+        expect(binary.kind).to.equal(1);
+        expect(binary.state).to.equal(1);
+        expect(binary.question).to.equal(ethers.id("Rain"));
+        expect(binary.feeBps).to.equal(100);
+        expect(binary.pools).to.deep.equal([ethers.parseEther("300"), ethers.parseEther("100")]);
+        expect(binary.prices).to.deep.equal([ethers.parseEther("1") / 3n, ethers.parseEther("3")]);
+
+        expect(unpriced.pools).to.deep.equal([0n, 0n]);
+        expect(unpriced.prices).to.deep.equal([0n, 0n]);
+
+        const market = await ethers.getContractAt("CategoricalMarket", categorical);
+        expect(cat.kind).to.equal(2);
+        expect(cat.feeBps).to.equal(50);
+        expect(cat.pools).to.deep.equal(await market.getPools());
+        expect(cat.prices).to.deep.equal(await market.currentPrices());
+
+        expect(unknown.kind).to.equal(0);
+        expect(unknown.pools).to.deep.equal([]);
+      });
+    });
+
+    describe("Funding", function () {
+      const initYesPool = ethers.parseEther("600");
+      const initNoPool = ethers.parseEther("400");
+
+      async function fundedFactoryFixture() {
+        const contracts = await loadFixture(deployContractsFixture);
+        await contracts.settlementToken.mint(contracts.admin.address, ethers.parseEther("10000"));
+        return contracts;
+      }
+
+      async function lastMarket(marketFactory) {
+        const markets = await marketFactory.getMarkets();
+        return ethers.getContractAt("Market", markets[markets.length - 1]);
+      }
+
+      it("Should pull the liquidity and activate the market in one transaction", async function () {
+        const { marketFactory, settlementToken, admin } = await loadFixture(fundedFactoryFixture);
+
+        await settlementToken.connect(admin).approve(marketFactory.target, initYesPool + initNoPool);
+        await expect(marketFactory.connect(admin).createAndFundMarket(ethers.id("Funded"), 0, initYesPool, initNoPool, 100, ethers.ZeroAddress))
+          .to.changeTokenBalance(settlementToken, admin, -(initYesPool + initNoPool));
+
+        const market = await lastMarket(marketFactory);
+        expect(await market.state()).to.equal(1);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(initYesPool + initNoPool);
+        expect(await market.balanceOf(admin.address)).to.equal(initYesPool + initNoPool);
+        expect(await settlementToken.allowance(admin.address, marketFactory.target)).to.equal(0);
+      });
+
+      it("Should fund the market with an EIP-2612 permit", async function () {
+        const { marketFactory, settlementToken, admin } = await loadFixture(fundedFactoryFixture);
+
+        const value = initYesPool + initNoPool;
+        const deadline = (await time.latest()) + 3600;
+        const signature = await admin.signTypedData(
+          {
+            name: await settlementToken.name(),
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: settlementToken.target,
+          },
+          {
+            Permit: [
+              { name: "owner", type: "address" },
+              { name: "spender", type: "address" },
+              { name: "value", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint256" },
+            ],
+          },
+          { owner: admin.address, spender: marketFactory.target, value, nonce: await settlementToken.nonces(admin.address), deadline }
+        );
+        const { v, r, s } = ethers.Signature.from(signature);
+
+        await marketFactory.connect(admin).createAndFundMarketWithPermit(
+          ethers.id("Permit funded"), 0, initYesPool, initNoPool, 100, ethers.ZeroAddress, deadline, v, r, s
+        );
+
+        const market = await lastMarket(marketFactory);
+        expect(await market.state()).to.equal(1);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(value);
+
+        // replaying the spent permit does not fund another market
+        await expect(marketFactory.connect(admin).createAndFundMarketWithPermit(
+          ethers.id("Replay"), 0, initYesPool, initNoPool, 100, ethers.ZeroAddress, deadline, v, r, s
+        )).to.be.revertedWithCustomError(settlementToken, "ERC20InsufficientAllowance");
+      });
+
+      it("Should refuse to fund a market without liquidity or allowance", async function () {
+        const { marketFactory, settlementToken, admin } = await loadFixture(fundedFactoryFixture);
+
+        await expect(marketFactory.connect(admin).createAndFundMarket(ethers.id("Empty"), 0, 0, 0, 0, ethers.ZeroAddress))
+          .to.be.revertedWith("no liquidity");
+        await expect(marketFactory.connect(admin).createAndFundMarket(ethers.id("No allowance"), 0, initYesPool, initNoPool, 0, ethers.ZeroAddress))
+          .to.be.revertedWithCustomError(settlementToken, "ERC20InsufficientAllowance");
+      });
+
+      it("Should keep an unfunded market closed until it is backed and activated", async function () {
+        const { marketFactory, settlementToken, admin, user1 } = await loadFixture(fundedFactoryFixture);
+
+        await marketFactory.connect(admin).createMarket(ethers.id("Unfunded"), 0, initYesPool, initNoPool, 0, ethers.ZeroAddress);
+        const market = await lastMarket(marketFactory);
+        expect(await market.state()).to.equal(0);
+
+        await settlementToken.mint(user1.address, ethers.parseEther("100"));
+        await settlementToken.connect(user1).approve(market.target, ethers.parseEther("100"));
+        await expect(market.connect(user1).buyYes(ethers.parseEther("100")))
+          .to.be.revertedWith("Invalid state for action");
+
+        await settlementToken.connect(admin).transfer(market.target, initYesPool);
+        await expect(market.connect(admin).activate()).to.be.revertedWith("unfunded");
+
+        await settlementToken.connect(admin).transfer(market.target, initNoPool);
+        await expect(market.connect(user1).activate()).to.be.revertedWith("not authorized");
+        await expect(market.connect(admin).activate())
+          .to.emit(market, "MarketActivated")
+          .withArgs(admin.address);
+
+        await expect(market.connect(user1).buyYes(ethers.parseEther("100"))).to.emit(market, "BetPlaced");
+        await expect(market.connect(admin).activate()).to.be.revertedWith("Invalid state for action");
+      });
+    });
   });
 
   describe("Market", function () {
@@ -287,7 +517,7 @@ describe("Prediction Market System", function () {
         
         await expect(market.connect(user1).buyYes(amountIn))
           .to.emit(market, "BetPlaced")
-          .withArgs(user1.address, true, amountIn, anyValue)
+          .withArgs(user1.address, 1, amountIn, anyValue)
           .and.to.emit(market, "FeeCollected")
           .withArgs(feeRecipient.address, feeAmount);
 
@@ -304,7 +534,7 @@ describe("Prediction Market System", function () {
         
         await expect(market.connect(user1).buyNo(amountIn))
           .to.emit(market, "BetPlaced")
-          .withArgs(user1.address, false, amountIn, anyValue);
+          .withArgs(user1.address, 0, amountIn, anyValue);
 
         expect(await market.noPositions(user1.address)).to.be.gt(0);
         expect(await market.totalNoPositions()).to.be.gt(0);
@@ -328,7 +558,8 @@ describe("Prediction Market System", function () {
         await settlementToken.mint(admin.address, ethers.parseEther("10000"));
         
         const question = ethers.id("No fee market");
-        const tx = await marketFactory.connect(admin).createMarket(
+        await settlementToken.connect(admin).approve(marketFactory.target, ethers.parseEther("2000"));
+        const tx = await marketFactory.connect(admin).createAndFundMarket(
           question, 0, ethers.parseEther("1000"), ethers.parseEther("1000"), 0, ethers.ZeroAddress
         );
         
@@ -356,17 +587,56 @@ describe("Prediction Market System", function () {
         
         await settlementToken.mint(user1.address, ethers.parseEther("1000"));
         await settlementToken.connect(user1).approve(marketAddress, ethers.parseEther("1000"));
-        
-        await settlementToken.connect(admin).transfer(marketAddress, ethers.parseEther("2000"));
 
         await expect(market.connect(user1).buyYes(ethers.parseEther("100")))
           .to.emit(market, "BetPlaced")
           .and.to.not.emit(market, "FeeCollected");
       });
 
+      it("Should accept a trade that meets the minimum output and deadline", async function () {
+        const { market, user1 } = await loadFixture(mintTokensFixture);
+
+        const amountIn = ethers.parseEther("100");
+        const deadline = (await time.latest()) + 60;
+        // 99 after fee: 1000 * 99 / (1000 + 99)
+        const expectedOut = (ethers.parseEther("1000") * ethers.parseEther("99")) / ethers.parseEther("1099");
+
+        await expect(market.connect(user1)["buyYes(uint256,uint256,uint256)"](amountIn, expectedOut, deadline))
+          .to.emit(market, "BetPlaced")
+          .withArgs(user1.address, 1, amountIn, expectedOut);
+
+        await expect(market.connect(user1)["buyNo(uint256,uint256,uint256)"](amountIn, 1, deadline))
+          .to.emit(market, "BetPlaced");
+      });
+
+      it("Should reject trades below the minimum output", async function () {
+        const { market, user1 } = await loadFixture(mintTokensFixture);
+
+        const amountIn = ethers.parseEther("100");
+        const deadline = (await time.latest()) + 60;
+
+        await expect(market.connect(user1)["buyYes(uint256,uint256,uint256)"](amountIn, amountIn, deadline))
+          .to.be.revertedWith("slippage");
+        await expect(market.connect(user1)["buyNo(uint256,uint256,uint256)"](amountIn, amountIn, deadline))
+          .to.be.revertedWith("slippage");
+      });
+
+      it("Should reject trades after the deadline", async function () {
+        const { market, user1 } = await loadFixture(mintTokensFixture);
+
+        const deadline = (await time.latest()) + 60;
+        await time.increaseTo(deadline + 1);
+
+        await expect(market.connect(user1)["buyYes(uint256,uint256,uint256)"](ethers.parseEther("100"), 0, deadline))
+          .to.be.revertedWith("expired");
+        await expect(market.connect(user1)["buyNo(uint256,uint256,uint256)"](ethers.parseEther("100"), 0, deadline))
+          .to.be.revertedWith("expired");
+      });
+
       it("Should reject trades when market is not active", async function () {
         const { market, user1, oracle } = await loadFixture(mintTokensFixture);
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(1);
         
         await expect(market.connect(user1).buyYes(ethers.parseEther("100")))
@@ -374,10 +644,288 @@ describe("Prediction Market System", function () {
       });
     });
 
+    describe("Selling", function () {
+      it("Should sell YES back to the pool and pay out collateral minus fee", async function () {
+        const { market, settlementToken, user1, feeRecipient } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        const units = await market.yesPositions(user1.address);
+        const yesPool = await market.yesPool();
+        const noPool = await market.noPool();
+
+        const grossOut = (noPool * units) / (yesPool + units);
+        const fee = (grossOut * 100n) / 10000n;
+        const balanceBefore = await settlementToken.balanceOf(user1.address);
+
+        await expect(market.connect(user1).sellYes(units, grossOut - fee))
+          .to.emit(market, "PositionSold")
+          .withArgs(user1.address, 1, units, grossOut - fee)
+          .and.to.emit(market, "FeeCollected")
+          .withArgs(feeRecipient.address, fee);
+
+        expect(await settlementToken.balanceOf(user1.address)).to.equal(balanceBefore + grossOut - fee);
+        expect(await market.yesPositions(user1.address)).to.equal(0);
+        expect(await market.totalYesPositions()).to.equal(0);
+        expect(await market.yesPool()).to.equal(yesPool + units);
+        expect(await market.noPool()).to.equal(noPool - grossOut);
+      });
+
+      it("Should sell part of a NO position", async function () {
+        const { market, user1 } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyNo(ethers.parseEther("100"));
+        const units = await market.noPositions(user1.address);
+
+        await expect(market.connect(user1).sellNo(units / 2n, 0))
+          .to.emit(market, "PositionSold")
+          .withArgs(user1.address, 0, units / 2n, anyValue);
+
+        expect(await market.noPositions(user1.address)).to.equal(units - units / 2n);
+        expect(await market.totalNoPositions()).to.equal(units - units / 2n);
+      });
+
+      it("Should not return more than was paid on a round trip", async function () {
+        const { marketFactory, settlementToken, user1, admin } = await loadFixture(mintTokensFixture);
+
+        // a fee-free market, so only the pool math can take anything
+        await settlementToken.connect(admin).approve(marketFactory.target, ethers.parseEther("2000"));
+        await marketFactory.connect(admin).createAndFundMarket(ethers.id("No fee"), 0, ethers.parseEther("1000"), ethers.parseEther("1000"), 0, ethers.ZeroAddress);
+        const market = await ethers.getContractAt("Market", (await marketFactory.getMarkets())[1]);
+        await settlementToken.connect(user1).approve(market.target, ethers.MaxUint256);
+        // skew the pools first so the round trip is not symmetric
+        await market.connect(user1).buyNo(ethers.parseEther("700"));
+
+        const balanceBefore = await settlementToken.balanceOf(user1.address);
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        await market.connect(user1).sellYes(await market.yesPositions(user1.address), 0);
+
+        expect(await settlementToken.balanceOf(user1.address)).to.be.lte(balanceBefore);
+      });
+
+      it("Should reject selling more than the position", async function () {
+        const { market, user1, user2 } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        const units = await market.yesPositions(user1.address);
+
+        await expect(market.connect(user1).sellYes(units + 1n, 0))
+          .to.be.revertedWith("insufficient position");
+        await expect(market.connect(user2).sellNo(1, 0))
+          .to.be.revertedWith("insufficient position");
+        await expect(market.connect(user1).sellYes(0, 0))
+          .to.be.revertedWith("amount>0");
+      });
+
+      it("Should reject sales below the minimum collateral out", async function () {
+        const { market, user1 } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        const units = await market.yesPositions(user1.address);
+
+        await expect(market.connect(user1).sellYes(units, ethers.parseEther("100")))
+          .to.be.revertedWith("slippage");
+      });
+
+      it("Should reject sales once the market is resolved", async function () {
+        const { market, user1, oracle } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+
+        await expect(market.connect(user1).sellYes(1, 0))
+          .to.be.revertedWith("Invalid state for action");
+      });
+    });
+
+    describe("Schedule", function () {
+      async function scheduledFixture() {
+        const contracts = await loadFixture(mintTokensFixture);
+        const { market, user1 } = contracts;
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        return contracts;
+      }
+
+      it("Should close trading at resolveTimestamp by default", async function () {
+        const { market, user1, admin, resolveTimestamp } = await loadFixture(scheduledFixture);
+
+        expect(await market.closeTimestamp()).to.equal(resolveTimestamp);
+        expect(await market.tradingOpen()).to.be.true;
+
+        // the next transaction is mined one second after increaseTo's block
+        await time.increaseTo(resolveTimestamp - 2);
+        await expect(market.connect(user1).buyNo(ethers.parseEther("10"))).to.emit(market, "BetPlaced");
+        await time.increaseTo(resolveTimestamp);
+        expect(await market.tradingOpen()).to.be.false;
+
+        const units = await market.yesPositions(user1.address);
+        await expect(market.connect(user1).buyYes(ethers.parseEther("10"))).to.be.revertedWith("trading closed");
+        await expect(market.connect(user1).sellYes(units, 0)).to.be.revertedWith("trading closed");
+        await expect(market.connect(user1).addLiquidity(ethers.parseEther("10"), 0)).to.be.revertedWith("trading closed");
+        await expect(market.connect(admin).removeLiquidity(ethers.parseEther("10"), 0)).to.be.revertedWith("trading closed");
+      });
+
+      it("Should only allow YES/NO resolution once resolveTimestamp has passed", async function () {
+        const { market, oracle, resolveTimestamp } = await loadFixture(scheduledFixture);
+
+        await expect(market.connect(oracle).resolve(1)).to.be.revertedWith("too early");
+
+        await time.increaseTo(resolveTimestamp);
+        await expect(market.connect(oracle).resolve(1)).to.emit(market, "MarketResolved").withArgs(1, oracle.address);
+      });
+
+      it("Should let the oracle cancel before resolveTimestamp", async function () {
+        const { market, oracle } = await loadFixture(scheduledFixture);
+
+        await expect(market.connect(oracle).resolve(2)).to.emit(market, "MarketCancelled").withArgs(oracle.address);
+        expect(await market.state()).to.equal(3);
+      });
+
+      it("Should close trading earlier with a separate closeTimestamp", async function () {
+        const { market, admin, user1, oracle, resolveTimestamp } = await loadFixture(scheduledFixture);
+
+        const closeAt = resolveTimestamp - 3600;
+        await expect(market.connect(admin).setCloseTimestamp(resolveTimestamp + 1)).to.be.revertedWith("close after resolve");
+        await expect(market.connect(admin).setCloseTimestamp((await time.latest()) - 1)).to.be.revertedWith("close in past");
+        await expect(market.connect(user1).setCloseTimestamp(closeAt))
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+        await expect(market.connect(admin).setCloseTimestamp(closeAt))
+          .to.emit(market, "ScheduleUpdated")
+          .withArgs(closeAt, 0);
+
+        await time.increaseTo(closeAt);
+        await expect(market.connect(user1).buyYes(ethers.parseEther("10"))).to.be.revertedWith("trading closed");
+        await expect(market.connect(admin).setCloseTimestamp(resolveTimestamp)).to.be.revertedWith("trading closed");
+
+        // closed, but resolution still waits for the event date
+        expect(await market.resolutionOpensAt()).to.equal(resolveTimestamp);
+        await expect(market.connect(oracle).resolve(0)).to.be.revertedWith("too early");
+        await time.increaseTo(resolveTimestamp);
+        await market.connect(oracle).resolve(0);
+        expect(await market.state()).to.equal(2);
+      });
+
+      it("Should let anyone cancel once the grace period passes without a resolution", async function () {
+        const { market, admin, user1, user2, oracle, resolveTimestamp } = await loadFixture(scheduledFixture);
+
+        await expect(market.connect(user2).cancelUnresolved()).to.be.revertedWith("no grace period");
+
+        const grace = 7 * 24 * 3600;
+        await expect(market.connect(admin).setResolutionGracePeriod(grace))
+          .to.emit(market, "ScheduleUpdated")
+          .withArgs(resolveTimestamp, grace);
+
+        await time.increaseTo(resolveTimestamp + grace - 2);
+        await expect(market.connect(user2).cancelUnresolved()).to.be.revertedWith("grace period not over");
+
+        await expect(market.connect(user2).cancelUnresolved())
+          .to.emit(market, "MarketCancelled")
+          .withArgs(user2.address);
+        await expect(market.connect(oracle).resolve(1)).to.be.revertedWith("Invalid state for action");
+
+        const units = await market.yesPositions(user1.address);
+        await expect(market.connect(user1).refund()).to.emit(market, "Claimed").withArgs(user1.address, user1.address, units);
+      });
+
+      it("Should not cancel a market the oracle resolved within the grace period", async function () {
+        const { market, admin, user2, oracle, resolveTimestamp } = await loadFixture(scheduledFixture);
+
+        await market.connect(admin).setResolutionGracePeriod(3600);
+        await time.increaseTo(resolveTimestamp + 1800);
+        await market.connect(oracle).resolve(1);
+
+        await time.increaseTo(resolveTimestamp + 3600);
+        await expect(market.connect(user2).cancelUnresolved()).to.be.revertedWith("Invalid state for action");
+      });
+
+      it("Should hold a Created market closed until activation, and not activate it after close", async function () {
+        const { marketFactory, settlementToken, admin, user1 } = await loadFixture(mintTokensFixture);
+
+        const closeAt = (await time.latest()) + 3600;
+        await marketFactory.connect(admin).createMarket(ethers.id("Pre-open"), closeAt + 3600, 1000, 1000, 0, ethers.ZeroAddress);
+        const markets = await marketFactory.getMarkets();
+        const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+        await settlementToken.connect(admin).transfer(market.target, 2000);
+
+        // the schedule can still be configured before the market opens
+        expect(await market.state()).to.equal(0);
+        expect(await market.tradingOpen()).to.be.false;
+        await market.connect(admin).setCloseTimestamp(closeAt);
+        await market.connect(admin).setResolutionGracePeriod(60);
+        await expect(market.connect(user1).buyYes(10)).to.be.revertedWith("Invalid state for action");
+
+        await time.increaseTo(closeAt);
+        await expect(market.connect(admin).activate()).to.be.revertedWith("trading closed");
+      });
+
+      it("Should let anyone cancel a market left in Created past its close and return the seed", async function () {
+        const { marketFactory, settlementToken, admin, user2 } = await loadFixture(mintTokensFixture);
+
+        const closeAt = (await time.latest()) + 3600;
+        await marketFactory.connect(admin).createMarket(ethers.id("Never opened"), closeAt, 1000, 1000, 0, ethers.ZeroAddress);
+        const markets = await marketFactory.getMarkets();
+        const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+        // only part of the seeded pools ever arrives
+        await settlementToken.connect(admin).transfer(market.target, 1500);
+
+        await expect(market.connect(user2).cancelUnresolved()).to.be.revertedWith("trading open");
+        await time.increaseTo(closeAt);
+        await expect(market.connect(user2).cancelUnresolved())
+          .to.emit(market, "MarketCancelled")
+          .withArgs(user2.address);
+        expect(await market.state()).to.equal(3);
+        expect(await market.liquidityPayout()).to.equal(1500);
+
+        const shares = await market.balanceOf(admin.address);
+        await expect(market.connect(admin).removeLiquidity(shares, 0))
+          .to.emit(market, "LiquidityRemoved")
+          .withArgs(admin.address, shares, 1500);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+      });
+
+      it("Should let the admin cancel a Created market that has no close time", async function () {
+        const { marketFactory, settlementToken, admin, user2 } = await loadFixture(mintTokensFixture);
+
+        await marketFactory.connect(admin).createMarket(ethers.id("Unscheduled seed"), 0, 1000, 1000, 0, ethers.ZeroAddress);
+        const markets = await marketFactory.getMarkets();
+        const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+        await settlementToken.connect(admin).transfer(market.target, 2000);
+        expect(await market.closeTimestamp()).to.equal(0);
+
+        // it never closes, so only its admin can call it off
+        await time.increase(365 * 24 * 3600);
+        await expect(market.connect(user2).cancelUnresolved()).to.be.revertedWith("trading open");
+        await expect(market.connect(admin).cancelUnresolved())
+          .to.emit(market, "MarketCancelled")
+          .withArgs(admin.address);
+        await expect(market.connect(admin).removeLiquidity(await market.balanceOf(admin.address), 0))
+          .to.emit(market, "LiquidityRemoved")
+          .withArgs(admin.address, 2000, 2000);
+      });
+
+      it("Should keep unscheduled markets open until the oracle reports", async function () {
+        const { marketFactory, settlementToken, admin, oracle, user1 } = await loadFixture(mintTokensFixture);
+
+        await settlementToken.connect(admin).approve(marketFactory.target, 2000);
+        await marketFactory.connect(admin).createAndFundMarket(ethers.id("Unscheduled"), 0, 1000, 1000, 0, ethers.ZeroAddress);
+        const markets = await marketFactory.getMarkets();
+        const market = await ethers.getContractAt("Market", markets[markets.length - 1]);
+        await market.connect(admin).grantRole(await market.ORACLE_ROLE(), oracle.address);
+        await market.connect(admin).setResolutionGracePeriod(60);
+
+        await time.increase(365 * 24 * 3600);
+        await settlementToken.connect(user1).approve(market.target, 100);
+        await expect(market.connect(user1).buyYes(100)).to.emit(market, "BetPlaced");
+        await expect(market.connect(user1).cancelUnresolved()).to.be.revertedWith("no grace period");
+        await expect(market.connect(oracle).resolve(1)).to.emit(market, "MarketResolved");
+      });
+    });
+
     describe("Resolution", function () {
       it("Should allow oracle to resolve market as YES", async function () {
         const { market, oracle } = await loadFixture(mintTokensFixture);
         
+        await advanceToResolution(market);
         await expect(market.connect(oracle).resolve(1))
           .to.emit(market, "MarketResolved")
           .withArgs(1, oracle.address);
@@ -389,6 +937,7 @@ describe("Prediction Market System", function () {
       it("Should allow oracle to resolve market as NO", async function () {
         const { market, oracle } = await loadFixture(mintTokensFixture);
         
+        await advanceToResolution(market);
         await expect(market.connect(oracle).resolve(0))
           .to.emit(market, "MarketResolved")
           .withArgs(0, oracle.address);
@@ -424,6 +973,7 @@ describe("Prediction Market System", function () {
       it("Should reject resolution when not active", async function () {
         const { market, oracle } = await loadFixture(mintTokensFixture);
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(1);
         
         await expect(market.connect(oracle).resolve(0))
@@ -431,6 +981,161 @@ describe("Prediction Market System", function () {
       });
     });
 
+    describe("Optimistic Resolution", function () {
+      const window = 24 * 3600;
+      const bond = ethers.parseEther("100");
+      const grace = 7 * 24 * 3600;
+
+      async function optimisticFixture() {
+        const contracts = await loadFixture(mintTokensFixture);
+        const { market, settlementToken, admin, oracle, user1, user2, user3 } = contracts;
+        const arbiter = (await ethers.getSigners())[6];
+
+        await market.connect(admin).setDisputeParams(window, bond);
+        await market.connect(admin).setResolutionGracePeriod(grace);
+        await market.connect(admin).grantRole(await market.ARBITER_ROLE(), arbiter.address);
+        await settlementToken.mint(oracle.address, ethers.parseEther("1000"));
+        await settlementToken.connect(oracle).approve(market.target, ethers.MaxUint256);
+
+        await market.connect(user1).buyYes(ethers.parseEther("200"));
+        await market.connect(user3).buyNo(ethers.parseEther("100"));
+        await advanceToResolution(market);
+
+        return { ...contracts, arbiter, disputer: user2 };
+      }
+
+      it("Should require proposals instead of direct resolution", async function () {
+        const { market, oracle, user1, admin } = await loadFixture(optimisticFixture);
+
+        await expect(market.connect(oracle).resolve(1)).to.be.revertedWith("use proposeOutcome");
+        await expect(market.connect(user1).proposeOutcome(1))
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+        await expect(market.connect(admin).setDisputeParams(0, 0)).to.be.revertedWith("trading closed");
+      });
+
+      it("Should finalize an undisputed proposal after the window and return the bond", async function () {
+        const { market, settlementToken, oracle, user1, user2 } = await loadFixture(optimisticFixture);
+
+        const proposal = market.connect(oracle).proposeOutcome(1);
+        await expect(proposal).to.emit(market, "OutcomeProposed").withArgs(1, oracle.address, bond);
+        await expect(proposal).to.changeTokenBalance(settlementToken, oracle, -bond);
+        expect(await market.state()).to.equal(4);
+
+        await expect(market.connect(user1).claim()).to.be.revertedWith("Invalid state for action");
+        await expect(market.connect(user2).finalize()).to.be.revertedWith("dispute window open");
+
+        await time.increase(window);
+        const finalized = market.connect(user2).finalize();
+        await expect(finalized).to.emit(market, "MarketResolved").withArgs(1, user2.address);
+        await expect(finalized).to.changeTokenBalance(settlementToken, oracle, bond);
+        expect(await market.state()).to.equal(2);
+        await expect(market.connect(user2).dispute()).to.be.revertedWith("Invalid state for action");
+
+        await market.connect(user1).claim();
+      });
+
+      it("Should reject disputes after the window", async function () {
+        const { market, oracle, disputer } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        await time.increase(window);
+        await expect(market.connect(disputer).dispute()).to.be.revertedWith("dispute window closed");
+      });
+
+      it("Should escalate a dispute and pay both bonds to the disputer when the ruling overturns the proposal", async function () {
+        const { market, settlementToken, oracle, disputer, arbiter, user1, user3 } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        const disputed = market.connect(disputer).dispute();
+        await expect(disputed).to.emit(market, "OutcomeDisputed").withArgs(disputer.address, bond);
+        await expect(disputed).to.changeTokenBalance(settlementToken, disputer, -bond);
+        expect(await market.state()).to.equal(5);
+
+        await time.increase(window);
+        await expect(market.connect(disputer).finalize()).to.be.revertedWith("Invalid state for action");
+        await expect(market.connect(user1).claim()).to.be.revertedWith("Invalid state for action");
+        await expect(market.connect(oracle).arbitrate(0))
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+
+        const ruling = market.connect(arbiter).arbitrate(0);
+        await expect(ruling).to.emit(market, "DisputeRuled").withArgs(0, arbiter.address, disputer.address);
+        await expect(ruling).to.changeTokenBalances(settlementToken, [disputer, oracle], [2n * bond, 0]);
+        expect(await market.resolutionOutcome()).to.equal(0);
+
+        await expect(market.connect(user1).claim()).to.be.revertedWith("no no position");
+        await market.connect(user3).claim();
+      });
+
+      it("Should pay both bonds to the proposer when the ruling upholds the proposal", async function () {
+        const { market, settlementToken, oracle, disputer, arbiter } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        await market.connect(disputer).dispute();
+
+        await expect(market.connect(arbiter).arbitrate(1))
+          .to.changeTokenBalances(settlementToken, [oracle, disputer], [2n * bond, 0]);
+        expect(await market.state()).to.equal(2);
+      });
+
+      it("Should let the arbiter cancel a disputed market", async function () {
+        const { market, oracle, disputer, arbiter, user1 } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        await market.connect(disputer).dispute();
+        await expect(market.connect(arbiter).arbitrate(2))
+          .to.emit(market, "MarketCancelled")
+          .withArgs(arbiter.address);
+
+        await expect(market.connect(user1).refund()).to.emit(market, "Claimed");
+      });
+
+      it("Should let anyone cancel a dispute nobody rules on after the grace period and return both bonds", async function () {
+        const { market, settlementToken, oracle, disputer, admin, user1, user3 } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        const disputedAt = await time.latest();
+        await market.connect(disputer).dispute();
+
+        await time.increaseTo(disputedAt + window + grace - 2);
+        await expect(market.connect(user1).cancelUnresolved()).to.be.revertedWith("grace period not over");
+
+        const cancelled = market.connect(user1).cancelUnresolved();
+        await expect(cancelled).to.emit(market, "MarketCancelled").withArgs(user1.address);
+        await expect(cancelled).to.changeTokenBalances(settlementToken, [oracle, disputer], [bond, bond]);
+        expect(await market.state()).to.equal(3);
+
+        await market.connect(user1).refund();
+        await market.connect(user3).refund();
+        await market.connect(admin).removeLiquidity(await market.balanceOf(admin.address), 0);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+      });
+
+      it("Should let anyone cancel a stale proposal after the grace period and return the proposer's bond", async function () {
+        const { market, settlementToken, oracle, user1 } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(1);
+        await time.increase(window);
+        await expect(market.connect(user1).cancelUnresolved()).to.be.revertedWith("grace period not over");
+
+        await time.increase(grace);
+        await expect(market.connect(user1).cancelUnresolved()).to.changeTokenBalance(settlementToken, oracle, bond);
+        expect(await market.state()).to.equal(3);
+      });
+
+      it("Should keep bonds out of the settlement split", async function () {
+        const { market, settlementToken, oracle, disputer, arbiter, admin, user1, user3 } = await loadFixture(optimisticFixture);
+
+        await market.connect(oracle).proposeOutcome(0);
+        await market.connect(disputer).dispute();
+        await market.connect(arbiter).arbitrate(1);
+
+        await market.connect(user1).claim();
+        await expect(market.connect(user3).claim()).to.be.revertedWith("no yes position");
+        await market.connect(admin).removeLiquidity(await market.balanceOf(admin.address), 0);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+      });
+    });
+
     describe("Claiming", function () {
       it("Should allow YES winners to claim", async function () {
         const { market, settlementToken, user1, oracle } = await loadFixture(mintTokensFixture);
@@ -438,6 +1143,7 @@ describe("Prediction Market System", function () {
         await market.connect(user1).buyYes(ethers.parseEther("100"));
         const userYesPosition = await market.yesPositions(user1.address);
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(1);
         
         const balanceBefore = await settlementToken.balanceOf(user1.address);
@@ -456,6 +1162,7 @@ describe("Prediction Market System", function () {
         await market.connect(user1).buyNo(ethers.parseEther("100"));
         const userNoPosition = await market.noPositions(user1.address);
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(0);
         
         const balanceBefore = await settlementToken.balanceOf(user1.address);
@@ -471,6 +1178,7 @@ describe("Prediction Market System", function () {
       it("Should reject claiming without position", async function () {
         const { market, user1, oracle } = await loadFixture(mintTokensFixture);
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(1);
         
         await expect(market.connect(user1).claim())
@@ -485,6 +1193,390 @@ describe("Prediction Market System", function () {
         await expect(market.connect(user1).claim())
           .to.be.revertedWith("Invalid state for action");
       });
+
+      it("Should let anyone claim or refund for a user and pay the user", async function () {
+        const { market, settlementToken, user1, user2, user3, oracle } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        await advanceToResolution(market);
+        await expect(market.connect(user3).refundFor(user1.address)).to.be.revertedWith("Invalid state for action");
+        await market.connect(oracle).resolve(1);
+
+        const payout = await market.connect(user3).claimFor.staticCall(user1.address);
+        const claim = await market.connect(user3).claimFor(user1.address);
+        await expect(claim).to.emit(market, "Claimed").withArgs(user1.address, user1.address, payout);
+        await expect(claim).to.changeTokenBalances(settlementToken, [user1, user3], [payout, 0]);
+        expect(await market.yesPositions(user1.address)).to.equal(0);
+        await expect(market.connect(user3).claimFor(user1.address)).to.be.revertedWith("no yes position");
+        await expect(market.connect(user3).claimFor(user2.address)).to.be.revertedWith("no yes position");
+      });
+    });
+
+    describe("Claim Accounting", function () {
+      // Deterministic PRNG so a failing order can be replayed
+      function mulberry32(seed) {
+        let a = seed;
+        return function () {
+          a = (a + 0x6d2b79f5) | 0;
+          let t = Math.imul(a ^ (a >>> 15), 1 | a);
+          t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+          return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+      }
+
+      function shuffle(items, rand) {
+        const out = [...items];
+        for (let i = out.length - 1; i > 0; i--) {
+          const j = Math.floor(rand() * (i + 1));
+          [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+      }
+
+      async function tradedMarketFixture(seed) {
+        const contracts = await loadFixture(createMarketFixture);
+        const { market, settlementToken } = contracts;
+        const traders = (await ethers.getSigners()).slice(6, 14);
+        const rand = mulberry32(seed);
+
+        for (const trader of traders) {
+          await settlementToken.mint(trader.address, ethers.parseEther("5000"));
+          await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+        }
+        for (let i = 0; i < 24; i++) {
+          const trader = traders[Math.floor(rand() * traders.length)];
+          const amount = ethers.parseEther((1 + Math.floor(rand() * 200)).toString()) + BigInt(Math.floor(rand() * 1e9));
+          if (rand() < 0.5) await market.connect(trader).buyYes(amount);
+          else await market.connect(trader).buyNo(amount);
+        }
+        // a few partial exits so sales are part of the accounting
+        for (const trader of traders.slice(0, 3)) {
+          const held = await market.yesPositions(trader.address);
+          if (held > 0n) await market.connect(trader).sellYes(held / 3n, 0);
+        }
+        return { ...contracts, traders, rand };
+      }
+
+      async function owed(market) {
+        return (await market.payoutPool()) + (await market.liquidityPayout());
+      }
+
+      for (const [outcome, label] of [[1, "YES"], [0, "NO"]]) {
+        it(`Should stay solvent and pay every ${label} winner exactly, in random order`, async function () {
+          const { market, settlementToken, oracle, admin, traders, rand } = await tradedMarketFixture(outcome + 7);
+
+          await advanceToResolution(market);
+          await market.connect(oracle).resolve(outcome);
+
+          const positionOf = (t) => outcome === 1 ? market.yesPositions(t.address) : market.noPositions(t.address);
+          const winners = [];
+          for (const trader of traders) {
+            if ((await positionOf(trader)) > 0n) winners.push(trader);
+          }
+          expect(winners.length).to.be.gt(1);
+
+          const initialPayout = await market.payoutPool();
+          const initialWinning = outcome === 1 ? await market.totalYesPositions() : await market.totalNoPositions();
+          expect(await settlementToken.balanceOf(market.target)).to.equal(await owed(market));
+
+          for (const winner of shuffle(winners, rand)) {
+            const pos = await positionOf(winner);
+            const before = await settlementToken.balanceOf(winner.address);
+            await market.connect(winner).claim();
+            const paid = (await settlementToken.balanceOf(winner.address)) - before;
+
+            // pro-rata of the snapshot, plus at most one wei of rounding per earlier claim
+            const fairShare = (pos * initialPayout) / initialWinning;
+            expect(paid).to.be.gte(fairShare);
+            expect(paid - fairShare).to.be.lte(BigInt(winners.length));
+            expect(await settlementToken.balanceOf(market.target)).to.be.gte(await owed(market));
+          }
+
+          expect(await market.payoutPool()).to.equal(0);
+          expect(outcome === 1 ? await market.totalYesPositions() : await market.totalNoPositions()).to.equal(0);
+
+          await market.connect(admin).removeLiquidity(await market.balanceOf(admin.address), 0);
+          expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+        });
+      }
+
+      it("Should return the whole collateral as liquidity when nobody holds the winning side", async function () {
+        const { market, settlementToken, user1, oracle, admin, initYesPool, initNoPool } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyNo(ethers.parseEther("100"));
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+
+        expect(await market.payoutPool()).to.equal(0);
+        const balance = await settlementToken.balanceOf(market.target);
+        expect(balance).to.equal(initYesPool + initNoPool + ethers.parseEther("99"));
+
+        const shares = await market.balanceOf(admin.address);
+        await expect(market.connect(admin).removeLiquidity(shares, balance))
+          .to.emit(market, "LiquidityRemoved")
+          .withArgs(admin.address, shares, balance);
+      });
+
+      it("Should cover refunds and liquidity after cancellation", async function () {
+        const { market, settlementToken, user1, user2, oracle, admin } = await loadFixture(mintTokensFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        await market.connect(user2).buyNo(ethers.parseEther("300"));
+        await market.connect(oracle).resolve(2);
+
+        expect(await market.liquidityPayout()).to.equal((await market.yesPool()) + (await market.noPool()));
+
+        await market.connect(user1).refund();
+        await market.connect(admin).removeLiquidity(await market.balanceOf(admin.address), 0);
+        await market.connect(user2).refund();
+        expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+      });
+
+    });
+
+    describe("Liquidity", function () {
+      async function lpFixture() {
+        const contracts = await loadFixture(mintTokensFixture);
+        const { market, settlementToken, user3 } = contracts;
+        // user3 acts as a second LP next to the admin, who seeded the pools
+        await settlementToken.connect(user3).approve(market.target, ethers.MaxUint256);
+        return { ...contracts, lp: user3 };
+      }
+
+      it("Should mint the seeded pools as LP shares to the admin", async function () {
+        const { market, admin, initYesPool, initNoPool } = await loadFixture(createMarketFixture);
+
+        expect(await market.balanceOf(admin.address)).to.equal(initYesPool + initNoPool);
+        expect(await market.totalSupply()).to.equal(initYesPool + initNoPool);
+        expect(await market.symbol()).to.equal("MLP");
+      });
+
+      it("Should add liquidity without moving the price", async function () {
+        const { market, user1, lp } = await lpFixture();
+
+        await market.connect(user1).buyYes(ethers.parseEther("300"));
+        const yesPool = await market.yesPool();
+        const noPool = await market.noPool();
+        const supply = await market.totalSupply();
+        const amount = ethers.parseEther("500");
+        const shares = (amount * supply) / (yesPool + noPool);
+
+        await expect(market.connect(lp).addLiquidity(amount, shares))
+          .to.emit(market, "LiquidityAdded")
+          .withArgs(lp.address, amount, shares);
+
+        const yesIn = (amount * yesPool) / (yesPool + noPool);
+        expect(await market.yesPool()).to.equal(yesPool + yesIn);
+        expect(await market.noPool()).to.equal(noPool + amount - yesIn);
+        expect(await market.balanceOf(lp.address)).to.equal(shares);
+
+        // price noPool / yesPool unchanged up to one wei of rounding on each pool
+        const before = (noPool * 10n ** 18n) / yesPool;
+        const after = ((await market.noPool()) * 10n ** 18n) / (await market.yesPool());
+        expect(after - before).to.be.lte(10n ** 9n);
+      });
+
+      it("Should remove liquidity before resolution as a fraction of both pools", async function () {
+        const { market, settlementToken, admin } = await lpFixture();
+
+        const yesPool = await market.yesPool();
+        const noPool = await market.noPool();
+        const supply = await market.totalSupply();
+        const shares = supply / 4n;
+        const expected = (yesPool * shares) / supply + (noPool * shares) / supply;
+
+        const balanceBefore = await settlementToken.balanceOf(admin.address);
+        await expect(market.connect(admin).removeLiquidity(shares, expected))
+          .to.emit(market, "LiquidityRemoved")
+          .withArgs(admin.address, shares, expected);
+        expect(await settlementToken.balanceOf(admin.address)).to.equal(balanceBefore + expected);
+        expect(await market.yesPool()).to.equal(yesPool - (yesPool * shares) / supply);
+      });
+
+      it("Should reject invalid liquidity operations", async function () {
+        const { market, admin, lp, oracle } = await lpFixture();
+
+        await expect(market.connect(lp).addLiquidity(0, 0)).to.be.revertedWith("amount>0");
+        await expect(market.connect(lp).addLiquidity(ethers.parseEther("10"), ethers.parseEther("11")))
+          .to.be.revertedWith("slippage");
+        await expect(market.connect(lp).removeLiquidity(1, 0)).to.be.revertedWith("insufficient shares");
+        await expect(market.connect(admin).removeLiquidity(await market.totalSupply(), 0))
+          .to.be.revertedWith("cannot remove all liquidity");
+
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+        await expect(market.connect(lp).addLiquidity(ethers.parseEther("10"), 0))
+          .to.be.revertedWith("Invalid state for action");
+      });
+
+      it("Should accrue fees to LP shares when enabled", async function () {
+        const { market, settlementToken, admin, user1, user2, lp, feeRecipient } = await lpFixture();
+
+        await market.connect(admin).setFeesToLiquidity(true);
+        await market.connect(lp).addLiquidity(ethers.parseEther("1000"), 0);
+        const adminShares = await market.balanceOf(admin.address);
+        const lpShares = await market.balanceOf(lp.address);
+
+        await expect(market.connect(user1).buyYes(ethers.parseEther("300")))
+          .to.emit(market, "FeeCollected")
+          .withArgs(market.target, ethers.parseEther("3"));
+        expect(await settlementToken.balanceOf(feeRecipient.address)).to.equal(0);
+
+        const supply = adminShares + lpShares;
+        const precision = 10n ** 18n;
+        const perShare = (ethers.parseEther("3") * precision) / supply;
+        expect(await market.pendingFees(admin.address)).to.equal((adminShares * perShare) / precision);
+        expect(await market.pendingFees(lp.address)).to.equal((lpShares * perShare) / precision);
+
+        // shares transferred later do not carry fees earned before the transfer
+        await market.connect(lp).transfer(user2.address, lpShares);
+        expect(await market.pendingFees(user2.address)).to.equal(0);
+
+        const pending = await market.pendingFees(lp.address);
+        await expect(market.connect(lp).claimFees())
+          .to.emit(market, "FeesClaimed")
+          .withArgs(lp.address, pending);
+        expect(await market.pendingFees(lp.address)).to.equal(0);
+      });
+
+      for (const [outcome, label] of [[1, "YES"], [0, "NO"]]) {
+        it(`Should settle LP P&L pro-rata when ${label} wins`, async function () {
+          const { market, settlementToken, admin, user1, user2, lp, oracle, initYesPool, initNoPool } = await lpFixture();
+
+          await market.connect(admin).setFeesToLiquidity(true);
+          const lpDeposit = ethers.parseEther("1000");
+          await market.connect(lp).addLiquidity(lpDeposit, 0);
+          const adminDeposit = initYesPool + initNoPool;
+
+          // traders lean heavily towards YES
+          await market.connect(user1).buyYes(ethers.parseEther("800"));
+          await market.connect(user2).buyYes(ethers.parseEther("400"));
+          await market.connect(user2).buyNo(ethers.parseEther("100"));
+          await advanceToResolution(market);
+          await market.connect(oracle).resolve(outcome);
+
+          for (const trader of [user1, user2]) {
+            const pos = outcome === 1 ? await market.yesPositions(trader.address) : await market.noPositions(trader.address);
+            if (pos > 0n) await market.connect(trader).claim();
+          }
+
+          const received = {};
+          for (const provider of [admin, lp]) {
+            const before = await settlementToken.balanceOf(provider.address);
+            await market.connect(provider).removeLiquidity(await market.balanceOf(provider.address), 0);
+            received[provider.address] = (await settlementToken.balanceOf(provider.address)) - before;
+          }
+
+          const adminPnl = received[admin.address] - adminDeposit;
+          const lpPnl = received[lp.address] - lpDeposit;
+          if (outcome === 1) {
+            // LPs took the other side of the YES flow and lose when YES wins
+            expect(lpPnl).to.be.lt(0);
+            expect(adminPnl).to.be.lt(0);
+          } else {
+            expect(lpPnl).to.be.gt(0);
+            expect(adminPnl).to.be.gt(0);
+          }
+
+          // same deposit per share, same P&L per share (up to rounding)
+          const adminPerShare = (received[admin.address] * 10n ** 18n) / adminDeposit;
+          const lpPerShare = (received[lp.address] * 10n ** 18n) / lpDeposit;
+          expect(adminPerShare - lpPerShare).to.be.lte(10n ** 6n);
+          expect(lpPerShare - adminPerShare).to.be.lte(10n ** 6n);
+
+          // only fee-per-share rounding dust (under totalSupply / FEE_PRECISION per fee) can be left behind
+          expect(await settlementToken.balanceOf(market.target)).to.be.lte(10n ** 6n);
+        });
+      }
+    });
+
+    describe("Position Token", function () {
+      async function positionTokenFixture() {
+        const contracts = await loadFixture(mintTokensFixture);
+        const positionToken = await ethers.getContractAt("PositionToken", await contracts.market.positionToken());
+        return { ...contracts, positionToken };
+      }
+
+      it("Should mint YES and NO units as ERC-1155 balances keyed by market and outcome", async function () {
+        const { market, positionToken, marketFactory, user1 } = await loadFixture(positionTokenFixture);
+
+        expect(await marketFactory.positionToken()).to.equal(positionToken.target);
+        const yesId = await market.yesTokenId();
+        const noId = await market.noTokenId();
+        expect(yesId).to.equal(await positionToken.positionId(market.target, 1));
+        expect(noId).to.equal(await positionToken.positionId(market.target, 0));
+        expect(await positionToken.marketOf(yesId)).to.equal(market.target);
+        expect(await positionToken.outcomeOf(yesId)).to.equal(1);
+        expect(await positionToken.outcomeOf(noId)).to.equal(0);
+
+        const [yesPool, noPool] = [await market.yesPool(), await market.noPool()];
+        const yesOut = (yesPool * ethers.parseEther("99")) / (noPool + ethers.parseEther("99"));
+        await expect(market.connect(user1).buyYes(ethers.parseEther("100")))
+          .to.emit(positionToken, "TransferSingle")
+          .withArgs(market.target, ethers.ZeroAddress, user1.address, yesId, yesOut);
+        expect(await positionToken.balanceOf(user1.address, yesId)).to.equal(yesOut);
+        expect(await market.yesPositions(user1.address)).to.equal(yesOut);
+
+        await market.connect(user1).buyNo(ethers.parseEther("50"));
+        expect(await positionToken.balanceOf(user1.address, noId)).to.equal(await market.noPositions(user1.address));
+      });
+
+      it("Should let transferred units be sold, claimed and refunded by their new holder", async function () {
+        const { market, positionToken, settlementToken, user1, user2, oracle } = await loadFixture(positionTokenFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("200"));
+        const units = await market.yesPositions(user1.address);
+        const totalBefore = await market.totalYesPositions();
+        const half = units / 2n;
+
+        await positionToken.connect(user1).safeTransferFrom(user1.address, user2.address, await market.yesTokenId(), half, "0x");
+        expect(await market.yesPositions(user1.address)).to.equal(units - half);
+        expect(await market.yesPositions(user2.address)).to.equal(half);
+        expect(await market.totalYesPositions()).to.equal(totalBefore);
+
+        await expect(market.connect(user1).sellYes(units, 0)).to.be.revertedWith("insufficient position");
+        await market.connect(user2).sellYes(half / 2n, 0);
+        expect(await market.totalYesPositions()).to.equal(totalBefore - half / 2n);
+
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+        await market.connect(user1).claim();
+        await market.connect(user2).claim();
+        expect(await market.payoutPool()).to.equal(0);
+        expect(await market.totalYesPositions()).to.equal(0);
+        expect(await market.yesPositions(user1.address)).to.equal(0);
+        expect(await market.yesPositions(user2.address)).to.equal(0);
+        expect(await settlementToken.balanceOf(market.target)).to.equal(await market.liquidityPayout());
+      });
+
+      it("Should refund whoever holds the units after a cancellation", async function () {
+        const { market, positionToken, settlementToken, user1, user2, oracle } = await loadFixture(positionTokenFixture);
+
+        await market.connect(user1).buyNo(ethers.parseEther("100"));
+        const units = await market.noPositions(user1.address);
+        await positionToken.connect(user1).setApprovalForAll(user2.address, true);
+        await positionToken.connect(user2).safeTransferFrom(user1.address, user2.address, await market.noTokenId(), units, "0x");
+
+        await market.connect(oracle).resolve(2);
+        await expect(market.connect(user1).refund()).to.be.revertedWith("no positions");
+        await expect(market.connect(user2).refund()).to.changeTokenBalance(settlementToken, user2, units);
+      });
+
+      it("Should only let a market mint and burn its own ids", async function () {
+        const { market, positionToken, user1, user2 } = await loadFixture(positionTokenFixture);
+
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        const units = await market.yesPositions(user1.address);
+
+        // an outsider's mint lands on ids derived from its own address, not the market's
+        await positionToken.connect(user2).mint(user2.address, 1, ethers.parseEther("1000"));
+        expect(await market.yesPositions(user2.address)).to.equal(0);
+        expect(await positionToken.balanceOf(user2.address, await positionToken.positionId(user2.address, 1))).to.equal(ethers.parseEther("1000"));
+
+        await expect(positionToken.connect(user2).burn(user1.address, 1, units))
+          .to.be.revertedWithCustomError(positionToken, "ERC1155InsufficientBalance");
+        expect(await market.yesPositions(user1.address)).to.equal(units);
+      });
     });
 
     describe("Refunds", function () {
@@ -532,11 +1624,39 @@ describe("Prediction Market System", function () {
     });
 
     describe("Admin Functions", function () {
-      it("Should allow admin to set fee", async function () {
-        const { market, admin } = await loadFixture(createMarketFixture);
-        
-        await market.connect(admin).setFeeBps(200);
-        expect(await market.feeBps()).to.equal(200);
+      it("Should apply an announced fee only after FEE_CHANGE_DELAY", async function () {
+        const { market, admin, user1 } = await loadFixture(createMarketFixture);
+        const delay = await market.FEE_CHANGE_DELAY();
+
+        const tx = await market.connect(admin).setFeeBps(1000);
+        const readyAt = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) + delay;
+        await expect(tx).to.emit(market, "FeeChangeAnnounced").withArgs(1000, await market.feeRecipient(), readyAt);
+        // the creator cannot raise the fee on the spot: the old fee stays until the delay has passed
+        expect(await market.feeBps()).to.equal(100);
+        await expect(market.connect(user1).applyFeeChange()).to.be.revertedWith("fee change pending");
+
+        await time.increaseTo(readyAt);
+        await expect(market.connect(user1).applyFeeChange())
+          .to.emit(market, "FeeUpdated").withArgs(1000, await market.feeRecipient());
+        expect(await market.feeBps()).to.equal(1000);
+        await expect(market.connect(user1).applyFeeChange()).to.be.revertedWith("no fee change");
+      });
+
+      it("Should let the admin cancel an announced fee change", async function () {
+        const { market, admin, user1, feeRecipient } = await loadFixture(createMarketFixture);
+
+        await market.connect(admin).setFeeBps(500);
+        await market.connect(admin).setFeeRecipient(user1.address);
+        expect(await market.pendingFeeBps()).to.equal(500);
+        expect(await market.pendingFeeRecipient()).to.equal(user1.address);
+        await expect(market.connect(user1).cancelFeeChange())
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+        await expect(market.connect(admin).cancelFeeChange()).to.emit(market, "FeeChangeCancelled").withArgs(500, user1.address);
+
+        await time.increase(await market.FEE_CHANGE_DELAY());
+        await expect(market.connect(user1).applyFeeChange()).to.be.revertedWith("no fee change");
+        expect(await market.feeBps()).to.equal(100);
+        expect(await market.feeRecipient()).to.equal(feeRecipient.address);
       });
 
       it("Should reject fee > 10%", async function () {
@@ -546,11 +1666,14 @@ describe("Prediction Market System", function () {
           .to.be.revertedWith("max 10%");
       });
 
-      it("Should allow admin to set fee recipient", async function () {
+      it("Should allow admin to set fee recipient after the delay", async function () {
         const { market, admin, user1 } = await loadFixture(createMarketFixture);
         
         await market.connect(admin).setFeeRecipient(user1.address);
+        await time.increase(await market.FEE_CHANGE_DELAY());
+        await market.applyFeeChange();
         expect(await market.feeRecipient()).to.equal(user1.address);
+        expect(await market.feeBps()).to.equal(100);
       });
 
       it("Should reject zero fee recipient", async function () {
@@ -589,6 +1712,306 @@ describe("Prediction Market System", function () {
       });
     });
 
+    describe("Emergency Stop", function () {
+      it("Should let PAUSER_ROLE halt trading while resolution and claims go on", async function () {
+        const { market, admin, oracle, user1 } = await loadFixture(mintTokensFixture);
+        await market.connect(user1).buyYes(ethers.parseEther("100"));
+        expect(await market.hasRole(await market.PAUSER_ROLE(), admin.address)).to.be.true;
+
+        await expect(market.connect(user1).pause())
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+        await expect(market.connect(admin).pause()).to.emit(market, "Paused").withArgs(admin.address);
+        await expect(market.connect(admin).pause()).to.be.revertedWith("already paused");
+        expect(await market.paused()).to.be.true;
+        // the schedule is unchanged; only the switch blocks trades
+        expect(await market.tradingOpen()).to.be.true;
+
+        await expect(market.connect(user1).buyYes(ethers.parseEther("10"))).to.be.revertedWith("paused");
+        await expect(market.connect(user1).sellYes(1n, 0)).to.be.revertedWith("paused");
+        await expect(market.connect(user1).addLiquidity(ethers.parseEther("10"), 0)).to.be.revertedWith("paused");
+        await expect(market.connect(admin).removeLiquidity(ethers.parseEther("10"), 0)).to.be.revertedWith("paused");
+
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+        await expect(market.connect(user1).claim()).to.emit(market, "Claimed");
+        await expect(market.connect(admin).unpause()).to.emit(market, "Unpaused").withArgs(admin.address);
+        expect(await market.paused()).to.be.false;
+      });
+
+      it("Should stop claims, refunds and liquidity payouts only when claims are frozen", async function () {
+        const { market, admin, oracle, user1, settlementToken } = await loadFixture(mintTokensFixture);
+        await market.connect(user1).buyNo(ethers.parseEther("100"));
+        await market.connect(oracle).resolve(2);
+
+        await expect(market.connect(admin).freezeClaims()).to.emit(market, "ClaimsFrozen").withArgs(admin.address);
+        await expect(market.connect(user1).refund()).to.be.revertedWith("claims frozen");
+        await expect(market.connect(admin).removeLiquidity(ethers.parseEther("10"), 0)).to.be.revertedWith("claims frozen");
+        await expect(market.connect(admin).claimFees()).to.be.revertedWith("claims frozen");
+
+        await expect(market.connect(admin).unfreezeClaims()).to.emit(market, "ClaimsUnfrozen").withArgs(admin.address);
+        await expect(market.connect(admin).unfreezeClaims()).to.be.revertedWith("not frozen");
+        const before = await settlementToken.balanceOf(user1.address);
+        await market.connect(user1).refund();
+        expect(await settlementToken.balanceOf(user1.address)).to.be.gt(before);
+      });
+
+      it("Should end a claims freeze after MAX_CLAIMS_FREEZE and keep claims open as long before the next", async function () {
+        const { market, admin, oracle, user1 } = await loadFixture(mintTokensFixture);
+        await market.connect(user1).buyNo(ethers.parseEther("100"));
+        await market.connect(oracle).resolve(2);
+        const maxFreeze = Number(await market.MAX_CLAIMS_FREEZE());
+
+        await market.connect(admin).freezeClaims();
+        const frozenAt = await time.latest();
+        expect(await market.claimsFrozenUntil()).to.equal(frozenAt + maxFreeze);
+        await expect(market.connect(admin).freezeClaims()).to.be.revertedWith("frozen or cooling down");
+
+        // the admin holding PAUSER_ROLE cannot keep payouts frozen: the freeze lapses on its own
+        await time.increaseTo(frozenAt + maxFreeze);
+        expect(await market.claimsFrozen()).to.be.false;
+        await expect(market.connect(admin).unfreezeClaims()).to.be.revertedWith("not frozen");
+        await expect(market.connect(admin).freezeClaims()).to.be.revertedWith("frozen or cooling down");
+        await expect(market.connect(user1).refund()).to.emit(market, "Claimed");
+
+        await time.increaseTo(frozenAt + 2 * maxFreeze);
+        await expect(market.connect(admin).freezeClaims()).to.emit(market, "ClaimsFrozen");
+        expect(await market.claimsFrozen()).to.be.true;
+      });
+
+      it("Should pause every market and block creations from the factory's kill switch", async function () {
+        const { market, marketFactory, settlementToken, admin, oracle, user1 } = await loadFixture(mintTokensFixture);
+        await settlementToken.connect(admin).approve(marketFactory.target, ethers.MaxUint256);
+        await marketFactory.connect(admin).createCategoricalMarket(ethers.id("Categorical"), 0, 3, ethers.parseEther("30"), 0, ethers.ZeroAddress);
+        const categorical = await ethers.getContractAt("CategoricalMarket", (await marketFactory.getCategoricalMarkets())[0]);
+        await settlementToken.connect(user1).approve(categorical.target, ethers.MaxUint256);
+        await market.connect(user1).buyYes(ethers.parseEther("50"));
+
+        await expect(marketFactory.connect(user1).pause())
+          .to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+        await expect(marketFactory.connect(admin).pause()).to.emit(marketFactory, "Paused").withArgs(admin.address);
+
+        // the markets read the switch from the factory that deployed them: no per-market transaction needed
+        expect(await market.paused()).to.be.true;
+        expect(await categorical.paused()).to.be.true;
+        await expect(market.connect(user1).buyNo(ethers.parseEther("10"))).to.be.revertedWith("paused");
+        await expect(categorical.connect(user1).buy(0, ethers.parseEther("10"), 0)).to.be.revertedWith("paused");
+        await expect(marketFactory.connect(admin).createAndFundMarket(ethers.id("New"), 0, 1n, 1n, 0, ethers.ZeroAddress))
+          .to.be.revertedWith("paused");
+        await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("New"), 0, 2, 1n, 0, ethers.ZeroAddress))
+          .to.be.revertedWith("paused");
+        // a market-level unpause cannot override the factory
+        await expect(market.connect(admin).unpause()).to.be.revertedWith("not paused");
+
+        await marketFactory.connect(admin).unpause();
+        await expect(categorical.connect(user1).buy(0, ethers.parseEther("10"), 0)).to.emit(categorical, "BetPlaced");
+
+        await marketFactory.connect(admin).freezeClaims();
+        expect(await market.paused()).to.be.false;
+        await advanceToResolution(market);
+        await market.connect(oracle).resolve(1);
+        await expect(market.connect(user1).claim()).to.be.revertedWith("claims frozen");
+        await marketFactory.connect(admin).unfreezeClaims();
+        await expect(market.connect(user1).claim()).to.emit(market, "Claimed");
+      });
+    });
+
+    describe("Timelocked Admin", function () {
+      const DELAY = 2 * 24 * 60 * 60;
+
+      it("Should apply fee changes only after the timelock delay and let proposers cancel them", async function () {
+        const { market, admin, user1, user2, feeRecipient } = await loadFixture(mintTokensFixture);
+        const timelock = await deployAdminTimelock(ethers, { minDelay: DELAY, proposers: [admin.address] });
+        await handOverAdmin(market.connect(admin), timelock.target);
+
+        // the old admin lost the instant path but keeps the emergency stop
+        await expect(market.connect(admin).setFeeBps(1000))
+          .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+        expect(await market.hasRole(await market.PAUSER_ROLE(), admin.address)).to.be.true;
+
+        const raise = market.interface.encodeFunctionData("setFeeBps", [1000]);
+        const id = await timelock.hashOperation(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash);
+        await expect(timelock.connect(admin).schedule(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash, DELAY - 1))
+          .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+        await expect(timelock.connect(user1).schedule(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash, DELAY))
+          .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+        await expect(timelock.connect(admin).schedule(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash, DELAY))
+          .to.emit(timelock, "CallScheduled").withArgs(id, 0, market.target, 0, raise, ethers.ZeroHash, DELAY);
+
+        // announced and pending: traders see it coming and the fee is unchanged until the delay has passed
+        expect(await timelock.isOperationPending(id)).to.be.true;
+        await time.increase(DELAY - 10);
+        await expect(timelock.connect(user1).execute(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+        expect(await market.feeBps()).to.equal(100);
+
+        await time.increase(10);
+        await expect(timelock.connect(user1).execute(market.target, 0, raise, ethers.ZeroHash, ethers.ZeroHash))
+          .to.emit(timelock, "CallExecuted").withArgs(id, 0, market.target, 0, raise)
+          .and.to.emit(market, "FeeChangeAnnounced");
+        expect(await timelock.isOperationDone(id)).to.be.true;
+        // executing the call announces it on the market, which applies it after its own delay
+        expect(await market.feeBps()).to.equal(100);
+        await time.increase(await market.FEE_CHANGE_DELAY());
+        await market.connect(user1).applyFeeChange();
+        expect(await market.feeBps()).to.equal(1000);
+
+        const redirect = market.interface.encodeFunctionData("setFeeRecipient", [user2.address]);
+        const redirectId = await timelock.hashOperation(market.target, 0, redirect, ethers.ZeroHash, ethers.ZeroHash);
+        await timelock.connect(admin).schedule(market.target, 0, redirect, ethers.ZeroHash, ethers.ZeroHash, DELAY);
+        await expect(timelock.connect(user1).cancel(redirectId))
+          .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+        await expect(timelock.connect(admin).cancel(redirectId)).to.emit(timelock, "Cancelled").withArgs(redirectId);
+        await time.increase(DELAY);
+        await expect(timelock.connect(user1).execute(market.target, 0, redirect, ethers.ZeroHash, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+        expect(await market.feeRecipient()).to.equal(feeRecipient.address);
+      });
+
+      it("Should need several owners to schedule an ORACLE_ROLE grant on the factory", async function () {
+        const { marketFactory, admin, user1, user2, user3 } = await loadFixture(deployContractsFixture);
+        const multisig = await deployAdminMultisig(ethers, { owners: [admin.address, user1.address, user2.address], threshold: 2 });
+        const timelock = await deployAdminTimelock(ethers, { minDelay: DELAY, proposers: [multisig.target] });
+        await handOverAdmin(marketFactory.connect(admin), timelock.target);
+        const oracleRole = await marketFactory.ORACLE_ROLE();
+
+        await expect(marketFactory.connect(admin).grantRole(oracleRole, user3.address))
+          .to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+
+        const grant = marketFactory.interface.encodeFunctionData("grantRole", [oracleRole, user3.address]);
+        const schedule = timelock.interface.encodeFunctionData("schedule", [marketFactory.target, 0, grant, ethers.ZeroHash, ethers.ZeroHash, DELAY]);
+        await expect(multisig.connect(admin).submit(timelock.target, schedule))
+          .to.emit(multisig, "Confirmed").withArgs(0, admin.address);
+        const id = await timelock.hashOperation(marketFactory.target, 0, grant, ethers.ZeroHash, ethers.ZeroHash);
+        expect(await timelock.isOperation(id)).to.be.false;
+
+        await expect(multisig.connect(user3).confirm(0)).to.be.revertedWith("not owner");
+        await expect(multisig.connect(admin).confirm(0)).to.be.revertedWith("already confirmed");
+        await expect(multisig.connect(user1).confirm(0))
+          .to.emit(multisig, "Executed").withArgs(0)
+          .and.to.emit(timelock, "CallScheduled");
+        await expect(multisig.connect(user2).confirm(0)).to.be.revertedWith("already executed");
+
+        expect(await marketFactory.hasRole(oracleRole, user3.address)).to.be.false;
+        await time.increase(DELAY);
+        await expect(timelock.connect(user3).execute(marketFactory.target, 0, grant, ethers.ZeroHash, ethers.ZeroHash))
+          .to.emit(marketFactory, "RoleGranted").withArgs(oracleRole, user3.address, timelock.target);
+        expect(await marketFactory.hasRole(oracleRole, user3.address)).to.be.true;
+      });
+    });
+
+    describe("Permit and Signed Orders", function () {
+      const amount = ethers.parseEther("100");
+      const fee = ethers.parseEther("1");
+
+      // user1 holds tokens but has approved nothing
+      async function unapprovedFixture() {
+        const contracts = await loadFixture(createMarketFixture);
+        const { settlementToken, user1, user2 } = contracts;
+        await settlementToken.mint(user1.address, ethers.parseEther("1000"));
+        await settlementToken.mint(user2.address, ethers.parseEther("1000"));
+        const relay = await deployOrderRelay(ethers, settlementToken.target);
+        return { ...contracts, relay };
+      }
+
+      async function signedOrder(relay, trader, fields) {
+        const order = {
+          trader: trader.address,
+          outcome: 1,
+          amount,
+          minPositionUnits: 0n,
+          relayerFee: fee,
+          nonce: await relay.nonces(trader.address),
+          deadline: BigInt(await time.latest()) + 3600n,
+          ...fields,
+        };
+        const domain = orderDomain(relay.target, (await ethers.provider.getNetwork()).chainId);
+        return { order, signature: await signOrder(trader, domain, order) };
+      }
+
+      it("Should buy with a permit instead of an approve and let a router buy for someone else", async function () {
+        const { market, settlementToken, user1, user2 } = await loadFixture(unapprovedFixture);
+        const deadline = BigInt(await time.latest()) + 3600n;
+        const { v, r, s } = await signPermit(user1, settlementToken.target, market.target, amount, deadline);
+
+        const buy = await market.connect(user1).buyWithPermit(1, amount, 0, deadline, v, r, s);
+        await expect(buy).to.emit(market, "BetPlaced").withArgs(user1.address, 1, amount, anyValue);
+        await expect(buy).to.changeTokenBalance(settlementToken, user1, -amount);
+        expect(await market.yesPositions(user1.address)).to.be.gt(0);
+        expect(await settlementToken.allowance(user1.address, market.target)).to.equal(0);
+        // the permit is spent, so replaying it buys nothing
+        await expect(market.connect(user1).buyWithPermit(1, amount, 0, deadline, v, r, s))
+          .to.be.revertedWithCustomError(settlementToken, "ERC20InsufficientAllowance");
+
+        // user2 pays, user1 receives the NO units and is the user BetPlaced names
+        await settlementToken.connect(user2).approve(market.target, amount);
+        const units = await market.connect(user2).buyFor.staticCall(user1.address, 0, amount, 0, deadline);
+        const buyFor = await market.connect(user2).buyFor(user1.address, 0, amount, 0, deadline);
+        await expect(buyFor).to.emit(market, "BetPlaced").withArgs(user1.address, 0, amount, units);
+        await expect(buyFor).to.changeTokenBalance(settlementToken, user2, -amount);
+        expect(await market.noPositions(user1.address)).to.equal(units);
+        expect(await market.noPositions(user2.address)).to.equal(0);
+        await expect(market.connect(user2).buyFor(user1.address, 2, amount, 0, deadline)).to.be.revertedWith("invalid outcome");
+        await expect(market.connect(user2).buyFor(user1.address, 0, amount, 0, (await time.latest()) - 1)).to.be.revertedWith("expired");
+      });
+
+      it("Should execute a signed order for a relayer that pays the gas and earns the fee", async function () {
+        const { market, settlementToken, relay, user1, user3, feeRecipient } = await loadFixture(unapprovedFixture);
+        const { order, signature } = await signedOrder(relay, user1, { market: market.target });
+        const permit = await signPermit(user1, settlementToken.target, relay.target, amount + fee, order.deadline);
+        const ethBefore = await ethers.provider.getBalance(user1.address);
+
+        const units = await relay.connect(user3).executeWithPermit.staticCall(order, signature, permit.deadline, permit.v, permit.r, permit.s);
+        const tx = await relay.connect(user3).executeWithPermit(order, signature, permit.deadline, permit.v, permit.r, permit.s);
+        await expect(tx).to.emit(relay, "OrderExecuted")
+          .withArgs(await relay.hashOrder(order), user1.address, user3.address, market.target, 1, amount, units, fee)
+          .and.to.emit(market, "BetPlaced").withArgs(user1.address, 1, amount, units);
+        // the market keeps its own 1% trading fee out of `amount`
+        await expect(tx).to.changeTokenBalances(
+          settlementToken, [user1, user3, market, feeRecipient], [-(amount + fee), fee, amount - amount / 100n, amount / 100n]
+        );
+
+        expect(await market.yesPositions(user1.address)).to.equal(units);
+        expect(await ethers.provider.getBalance(user1.address)).to.equal(ethBefore);
+        expect(await settlementToken.balanceOf(relay.target)).to.equal(0);
+        expect(await relay.nonces(user1.address)).to.equal(1);
+
+        // the nonce is used up, so the same order cannot run twice
+        await settlementToken.connect(user1).approve(relay.target, ethers.MaxUint256);
+        await expect(relay.connect(user3).execute(order, signature))
+          .to.be.revertedWithCustomError(relay, "InvalidAccountNonce").withArgs(user1.address, 1);
+      });
+
+      it("Should refuse expired, forged, cancelled and mismatched orders", async function () {
+        const { market, settlementToken, relay, user1, user2, user3 } = await loadFixture(unapprovedFixture);
+        await settlementToken.connect(user1).approve(relay.target, ethers.MaxUint256);
+
+        const expired = await signedOrder(relay, user1, { market: market.target, deadline: BigInt(await time.latest()) });
+        await expect(relay.connect(user3).execute(expired.order, expired.signature)).to.be.revertedWith("expired");
+
+        // signed by user2 on user1's behalf, or altered after signing
+        const forged = await signedOrder(relay, user2, { market: market.target, trader: user1.address });
+        await expect(relay.connect(user3).execute(forged.order, forged.signature)).to.be.revertedWith("invalid signature");
+        const valid = await signedOrder(relay, user1, { market: market.target });
+        await expect(relay.connect(user3).execute({ ...valid.order, relayerFee: amount }, valid.signature)).to.be.revertedWith("invalid signature");
+
+        // a market settling in another token
+        const OtherToken = await ethers.getContractFactory("SettlementToken");
+        const otherToken = await OtherToken.deploy("Other", "OTH");
+        const otherRelay = await deployOrderRelay(ethers, otherToken.target);
+        const other = await signedOrder(otherRelay, user1, { market: market.target });
+        await expect(otherRelay.connect(user3).execute(other.order, other.signature)).to.be.revertedWith("wrong settlement token");
+
+        // a below-minimum trade reverts in the market and leaves the nonce unused
+        const slipped = await signedOrder(relay, user1, { market: market.target, minPositionUnits: amount * 10n });
+        await expect(relay.connect(user3).execute(slipped.order, slipped.signature)).to.be.revertedWith("slippage");
+
+        await expect(relay.connect(user1).cancelNonce()).to.emit(relay, "NonceCancelled").withArgs(user1.address, 0);
+        await expect(relay.connect(user3).execute(valid.order, valid.signature))
+          .to.be.revertedWithCustomError(relay, "InvalidAccountNonce").withArgs(user1.address, 1);
+        expect(await market.yesPositions(user1.address)).to.equal(0);
+      });
+    });
+
     describe("Edge Cases", function () {
       it("Should handle empty pool calculation", async function () {
         const { admin, settlementToken, marketFactory } = await loadFixture(deployContractsFixture);
@@ -635,6 +2058,7 @@ describe("Prediction Market System", function () {
         await market.connect(user1).buyYes(ethers.parseEther("100"));
         await market.connect(user2).buyYes(ethers.parseEther("200"));
         
+        await advanceToResolution(market);
         await market.connect(oracle).resolve(1);
         
         await expect(market.connect(user1).claim()).to.emit(market, "Claimed");
@@ -656,4 +2080,374 @@ describe("Prediction Market System", function () {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe("CategoricalMarket", function () {
+    const liquidity = ethers.parseEther("1000");
+
+    async function categoricalFixture() {
+      const contracts = await loadFixture(deployContractsFixture);
+      const { admin, oracle, user1, user2, user3, settlementToken, marketFactory, feeRecipient } = contracts;
+
+      await settlementToken.mint(admin.address, ethers.parseEther("10000"));
+      for (const user of [user1, user2, user3]) {
+        await settlementToken.mint(user.address, ethers.parseEther("5000"));
+      }
+
+      const question = ethers.id("Who wins the election?");
+      const resolveTimestamp = (await time.latest()) + 86400;
+      await settlementToken.connect(admin).approve(marketFactory.target, liquidity);
+      await marketFactory.connect(admin).createCategoricalMarket(question, resolveTimestamp, 3, liquidity, 100, feeRecipient.address);
+
+      const market = await ethers.getContractAt("CategoricalMarket", (await marketFactory.getCategoricalMarkets())[0]);
+      await market.connect(admin).grantRole(await market.ORACLE_ROLE(), oracle.address);
+      for (const user of [user1, user2, user3]) {
+        await settlementToken.connect(user).approve(market.target, ethers.MaxUint256);
+      }
+
+      return { ...contracts, market, question, resolveTimestamp };
+    }
+
+    function product(pools) {
+      return pools.reduce((a, b) => a * b, 1n);
+    }
+
+    it("Should deploy, fund and open the market through the factory", async function () {
+      const { market, marketFactory, settlementToken, admin, question } = await loadFixture(categoricalFixture);
+
+      expect(await marketFactory.numCategoricalMarkets()).to.equal(1);
+      expect(await marketFactory.numMarkets()).to.equal(0);
+      expect(await market.question()).to.equal(question);
+      expect(await market.outcomeCount()).to.equal(3);
+      expect(await market.state()).to.equal(1);
+      expect(await market.creator()).to.equal(marketFactory.target);
+      expect(await market.hasRole(await market.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.true;
+      expect(await market.getPools()).to.deep.equal([liquidity, liquidity, liquidity]);
+      expect(await settlementToken.balanceOf(market.target)).to.equal(liquidity);
+
+      const prices = await market.currentPrices();
+      for (const price of prices) expect(price).to.equal(ethers.parseEther("1") / 3n);
+    });
+
+    it("Should emit CategoricalMarketDeployed and reject invalid parameters", async function () {
+      const { marketFactory, settlementToken, admin } = await loadFixture(categoricalFixture);
+
+      await settlementToken.connect(admin).approve(marketFactory.target, ethers.MaxUint256);
+      await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("Buckets"), 0, 5, liquidity, 0, ethers.ZeroAddress))
+        .to.emit(marketFactory, "CategoricalMarketDeployed")
+        .withArgs(anyValue, admin.address, ethers.id("Buckets"), 5);
+
+      await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("One"), 0, 1, liquidity, 0, ethers.ZeroAddress))
+        .to.be.revertedWith("invalid outcome count");
+      await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("Many"), 0, 17, liquidity, 0, ethers.ZeroAddress))
+        .to.be.revertedWith("invalid outcome count");
+      await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("Empty"), 0, 3, 0, 0, ethers.ZeroAddress))
+        .to.be.revertedWith("no liquidity");
+      await expect(marketFactory.connect(admin).createCategoricalMarket(ethers.id("Fee"), 0, 3, liquidity, 1001, ethers.ZeroAddress))
+        .to.be.revertedWith("fee too high");
+    });
+
+    it("Should announce fee changes and apply them only after the delay", async function () {
+      const { market, admin, user1 } = await loadFixture(categoricalFixture);
+
+      await expect(market.connect(admin).setFeeBps(1001)).to.be.revertedWith("max 10%");
+      await expect(market.connect(admin).setFeeBps(1000)).to.emit(market, "FeeChangeAnnounced");
+      expect(await market.feeBps()).to.equal(100);
+      await expect(market.connect(user1).applyFeeChange()).to.be.revertedWith("fee change pending");
+
+      await time.increase(await market.FEE_CHANGE_DELAY());
+      await expect(market.connect(user1).applyFeeChange()).to.emit(market, "FeeUpdated");
+      expect(await market.feeBps()).to.equal(1000);
+    });
+
+    it("Should buy an outcome, keep the pool product and move its price up", async function () {
+      const { market, settlementToken, user1, feeRecipient } = await loadFixture(categoricalFixture);
+
+      const amount = ethers.parseEther("100");
+      const amountAfterFee = ethers.parseEther("99");
+      const pools = [...(await market.getPools())];
+      const expected = await market.calcBuyAmount(1, amountAfterFee);
+
+      await expect(market.connect(user1).buy(1, amount, expected))
+        .to.emit(market, "BetPlaced")
+        .withArgs(user1.address, 1, amount, expected);
+      expect(await settlementToken.balanceOf(feeRecipient.address)).to.equal(ethers.parseEther("1"));
+
+      // more units than collateral: the outcome was priced below 1
+      expect(expected).to.be.gt(amountAfterFee);
+      expect(await market.positions(user1.address, 1)).to.equal(expected);
+      expect(await market.deposits(user1.address)).to.equal(amountAfterFee);
+
+      const after = [...(await market.getPools())];
+      expect(after[0]).to.equal(pools[0] + amountAfterFee);
+      expect(after[1]).to.equal(pools[1] + amountAfterFee - expected);
+      expect(product(after)).to.be.gte(product(pools));
+
+      const prices = await market.currentPrices();
+      expect(prices[1]).to.be.gt(prices[0]);
+      expect(prices[0]).to.equal(prices[2]);
+    });
+
+    it("Should reject bad trades", async function () {
+      const { market, user1, resolveTimestamp } = await loadFixture(categoricalFixture);
+
+      await expect(market.connect(user1).buy(0, 0, 0)).to.be.revertedWith("amount>0");
+      await expect(market.connect(user1).buy(3, ethers.parseEther("1"), 0)).to.be.revertedWith("invalid outcome");
+      const out = await market.calcBuyAmount(0, ethers.parseEther("9.9"));
+      await expect(market.connect(user1).buy(0, ethers.parseEther("10"), out + 1n)).to.be.revertedWith("slippage");
+
+      await time.increaseTo(resolveTimestamp);
+      await expect(market.connect(user1).buy(0, ethers.parseEther("10"), 0)).to.be.revertedWith("trading closed");
+    });
+
+    it("Should resolve on schedule, pay winners 1:1 and return the winning pool as liquidity", async function () {
+      const { market, settlementToken, admin, oracle, user1, user2, user3, resolveTimestamp } = await loadFixture(categoricalFixture);
+
+      await market.connect(user1).buy(0, ethers.parseEther("300"), 0);
+      await market.connect(user2).buy(1, ethers.parseEther("200"), 0);
+      await market.connect(user3).buy(0, ethers.parseEther("50"), 0);
+      await market.connect(user3).buy(2, ethers.parseEther("120"), 0);
+
+      await expect(market.connect(oracle).resolve(0)).to.be.revertedWith("too early");
+      await expect(market.connect(user1).resolve(0)).to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await time.increaseTo(resolveTimestamp);
+      await expect(market.connect(oracle).resolve(3)).to.be.revertedWith("invalid outcome");
+      await expect(market.connect(oracle).resolve(0))
+        .to.emit(market, "MarketResolved")
+        .withArgs(0, oracle.address);
+
+      const units1 = await market.positions(user1.address, 0);
+      await expect(market.connect(user1).claim())
+        .to.emit(market, "Claimed")
+        .withArgs(user1.address, user1.address, units1);
+      await market.connect(user3).claim();
+      await expect(market.connect(user2).claim()).to.be.revertedWith("no position");
+      await expect(market.connect(user1).claim()).to.be.revertedWith("no position");
+
+      expect(await market.liquidityPayout()).to.equal((await market.getPools())[0]);
+      await expect(market.connect(admin).withdrawLiquidity(admin.address))
+        .to.emit(market, "LiquidityWithdrawn");
+      expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+    });
+
+    it("Should refund deposits after a cancellation", async function () {
+      const { market, settlementToken, admin, oracle, user1, user2 } = await loadFixture(categoricalFixture);
+
+      await market.connect(user1).buy(0, ethers.parseEther("100"), 0);
+      await market.connect(user1).buy(2, ethers.parseEther("50"), 0);
+      await market.connect(user2).buy(1, ethers.parseEther("200"), 0);
+
+      await expect(market.connect(user1).cancel()).to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.connect(oracle).cancel())
+        .to.emit(market, "MarketCancelled")
+        .withArgs(oracle.address);
+
+      await expect(market.connect(user1).refund())
+        .to.emit(market, "Claimed")
+        .withArgs(user1.address, user1.address, ethers.parseEther("148.5"));
+      await market.connect(user2).refund();
+      await expect(market.connect(user1).claim()).to.be.revertedWith("Invalid state for action");
+
+      await expect(market.connect(admin).withdrawLiquidity(admin.address))
+        .to.emit(market, "LiquidityWithdrawn")
+        .withArgs(admin.address, liquidity);
+      expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+    });
+
+    it("Should stay solvent for every possible winner after random trading", async function () {
+      const { market, settlementToken, admin, oracle, resolveTimestamp } = await loadFixture(categoricalFixture);
+      const traders = (await ethers.getSigners()).slice(6, 12);
+      for (const trader of traders) {
+        await settlementToken.mint(trader.address, ethers.parseEther("5000"));
+        await settlementToken.connect(trader).approve(market.target, ethers.MaxUint256);
+      }
+
+      let seed = 7;
+      const rand = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+      for (let i = 0; i < 30; i++) {
+        const trader = traders[Math.floor(rand() * traders.length)];
+        const amount = ethers.parseEther((1 + Math.floor(rand() * 300)).toString()) + BigInt(Math.floor(rand() * 1e9));
+        await market.connect(trader).buy(Math.floor(rand() * 3), amount, 0);
+      }
+
+      // units in circulation plus the pool equal the collateral held, for every outcome
+      const pools = await market.getPools();
+      const totals = await market.getTotalPositions();
+      const balance = await settlementToken.balanceOf(market.target);
+      for (let i = 0; i < 3; i++) expect(pools[i] + totals[i]).to.equal(balance);
+
+      await time.increaseTo(resolveTimestamp);
+      await market.connect(oracle).resolve(2);
+      for (const trader of traders) {
+        if ((await market.positions(trader.address, 2)) > 0n) await market.connect(trader).claim();
+      }
+      await market.connect(admin).withdrawLiquidity(admin.address);
+      expect(await settlementToken.balanceOf(market.target)).to.equal(0);
+    });
+
+    it("Should not open an unfunded market", async function () {
+      const { settlementToken, admin } = await loadFixture(categoricalFixture);
+
+      const CategoricalMarket = await ethers.getContractFactory("CategoricalMarket");
+      const market = await CategoricalMarket.deploy(settlementToken.target, ethers.id("Direct"), 0, 4, liquidity, 0, ethers.ZeroAddress, admin.address);
+      expect(await market.state()).to.equal(0);
+      await expect(market.connect(admin).activate()).to.be.revertedWith("unfunded");
+
+      await settlementToken.connect(admin).transfer(market.target, liquidity);
+      await expect(market.connect(admin).activate()).to.emit(market, "MarketActivated");
+    });
+
+    it("Should buy an outcome with a permit or through a signed order, crediting the trader's deposit", async function () {
+      const { market, settlementToken, user1, user2, user3 } = await loadFixture(categoricalFixture);
+      const amount = ethers.parseEther("100");
+      const deadline = BigInt(await time.latest()) + 3600n;
+      await settlementToken.connect(user1).approve(market.target, 0);
+
+      const permit = await signPermit(user1, settlementToken.target, market.target, amount, deadline);
+      await expect(market.connect(user1).buyWithPermit(2, amount, 0, deadline, permit.v, permit.r, permit.s))
+        .to.emit(market, "BetPlaced").withArgs(user1.address, 2, amount, anyValue);
+      expect(await market.deposits(user1.address)).to.equal(ethers.parseEther("99"));
+
+      const relay = await deployOrderRelay(ethers, settlementToken.target);
+      await settlementToken.connect(user2).approve(relay.target, amount);
+      const order = { trader: user2.address, market: market.target, outcome: 0, amount, minPositionUnits: 0n, relayerFee: 0n, nonce: 0n, deadline };
+      const signature = await signOrder(user2, orderDomain(relay.target, (await ethers.provider.getNetwork()).chainId), order);
+      await expect(relay.connect(user3).execute(order, signature))
+        .to.emit(market, "BetPlaced").withArgs(user2.address, 0, amount, anyValue);
+      expect(await market.positions(user2.address, 0)).to.be.gt(0);
+      expect(await market.deposits(user2.address)).to.equal(ethers.parseEther("99"));
+      expect(await market.deposits(relay.target)).to.equal(0);
+    });
+  });
+
+  describe("MarketRouter", function () {
+    const amount = ethers.parseEther("100");
+
+    // a binary and a categorical market, a router, and user1 who has approved nothing but the router
+    async function routerFixture() {
+      const contracts = await loadFixture(createMarketFixture);
+      const { admin, oracle, user1, user2, settlementToken, marketFactory } = contracts;
+
+      await settlementToken.connect(admin).approve(marketFactory.target, ethers.parseEther("1000"));
+      await marketFactory.connect(admin).createCategoricalMarket(ethers.id("Which bucket?"), contracts.resolveTimestamp, 3, ethers.parseEther("1000"), 100, ethers.ZeroAddress);
+      const categorical = await ethers.getContractAt("CategoricalMarket", (await marketFactory.getCategoricalMarkets())[0]);
+      await categorical.connect(admin).grantRole(await categorical.ORACLE_ROLE(), oracle.address);
+
+      const router = await deployMarketRouter(ethers, settlementToken.target);
+      for (const user of [user1, user2]) {
+        await settlementToken.mint(user.address, ethers.parseEther("1000"));
+        await settlementToken.connect(user).approve(router.target, ethers.MaxUint256);
+      }
+      return { ...contracts, categorical, router };
+    }
+
+    async function deadline() {
+      return BigInt(await time.latest()) + 3600n;
+    }
+
+    it("Should place trades across markets from one approval with per-leg minimums", async function () {
+      const { market, categorical, router, settlementToken, user1 } = await loadFixture(routerFixture);
+      const legs = [
+        { market: market.target, outcome: 1, amount, minPositionUnits: 0n },
+        { market: market.target, outcome: 0, amount, minPositionUnits: 0n },
+        { market: categorical.target, outcome: 2, amount, minPositionUnits: 0n },
+      ];
+
+      const units = await router.connect(user1).trade.staticCall(legs, await deadline());
+      const tx = await router.connect(user1).trade(legs, await deadline());
+      await expect(tx).to.emit(market, "BetPlaced").withArgs(user1.address, 1, amount, units[0])
+        .and.to.emit(market, "BetPlaced").withArgs(user1.address, 0, amount, units[1])
+        .and.to.emit(categorical, "BetPlaced").withArgs(user1.address, 2, amount, units[2]);
+      // one BetPlaced topic covers trades on both market kinds
+      expect(market.interface.getEvent("BetPlaced").topicHash).to.equal(categorical.interface.getEvent("BetPlaced").topicHash);
+      await expect(tx).to.changeTokenBalances(settlementToken, [user1, router], [-3n * amount, 0]);
+
+      expect(await market.yesPositions(user1.address)).to.equal(units[0]);
+      expect(await market.noPositions(user1.address)).to.equal(units[1]);
+      expect(await categorical.positions(user1.address, 2)).to.equal(units[2]);
+      expect(await categorical.deposits(user1.address)).to.equal(ethers.parseEther("99"));
+      expect(await settlementToken.allowance(router.target, market.target)).to.equal(0);
+    });
+
+    it("Should revert the whole batch when any leg misses its minimum or the deadline", async function () {
+      const { market, categorical, router, settlementToken, user1 } = await loadFixture(routerFixture);
+      const legs = [
+        { market: market.target, outcome: 1, amount, minPositionUnits: 0n },
+        { market: categorical.target, outcome: 0, amount, minPositionUnits: amount * 10n },
+      ];
+
+      await expect(router.connect(user1).trade(legs, await deadline())).to.be.revertedWith("slippage");
+      await expect(router.connect(user1).trade(legs.slice(0, 1), await time.latest())).to.be.revertedWith("expired");
+      await expect(router.connect(user1).trade([], await deadline())).to.be.revertedWith("no trades");
+      await expect(router.connect(user1).trade([{ ...legs[0], outcome: 2 }], await deadline())).to.be.revertedWith("invalid outcome");
+      expect(await market.yesPositions(user1.address)).to.equal(0);
+      expect(await settlementToken.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+
+      const otherToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Other", "OTH");
+      const otherRouter = await deployMarketRouter(ethers, otherToken.target);
+      await expect(otherRouter.connect(user1).trade(legs.slice(0, 1), await deadline())).to.be.revertedWith("wrong settlement token");
+    });
+
+    it("Should trade with a permit instead of an approval of the router", async function () {
+      const { market, categorical, router, settlementToken, user3 } = await loadFixture(routerFixture);
+      await settlementToken.mint(user3.address, ethers.parseEther("1000"));
+      const legs = [
+        { market: market.target, outcome: 0, amount, minPositionUnits: 0n },
+        { market: categorical.target, outcome: 1, amount, minPositionUnits: 0n },
+      ];
+      const end = await deadline();
+      const { v, r, s } = await signPermit(user3, settlementToken.target, router.target, 2n * amount, end);
+
+      await expect(router.connect(user3).tradeWithPermit(legs, end, v, r, s))
+        .to.changeTokenBalance(settlementToken, user3, -2n * amount);
+      expect(await market.noPositions(user3.address)).to.be.gt(0);
+      expect(await categorical.positions(user3.address, 1)).to.be.gt(0);
+      expect(await settlementToken.allowance(user3.address, router.target)).to.equal(0);
+    });
+
+    it("Should sweep claims and refunds across markets and skip the rest", async function () {
+      const { admin, market, categorical, router, settlementToken, marketFactory, oracle, user1, user2, user3 } = await loadFixture(routerFixture);
+      // a third market that stays open
+      await settlementToken.connect(admin).approve(marketFactory.target, ethers.parseEther("200"));
+      await marketFactory.connect(admin).createAndFundMarket(ethers.id("Still open"), 0, ethers.parseEther("100"), ethers.parseEther("100"), 0, ethers.ZeroAddress);
+      const open = await ethers.getContractAt("Market", (await marketFactory.getMarkets())[1]);
+      await open.connect(admin).grantRole(await open.ORACLE_ROLE(), oracle.address);
+
+      await router.connect(user1).trade([
+        { market: market.target, outcome: 1, amount, minPositionUnits: 0n },
+        { market: market.target, outcome: 0, amount, minPositionUnits: 0n },
+        { market: categorical.target, outcome: 0, amount, minPositionUnits: 0n },
+        { market: open.target, outcome: 1, amount, minPositionUnits: 0n },
+      ], await deadline());
+      await router.connect(user2).trade([{ market: market.target, outcome: 0, amount, minPositionUnits: 0n }], await deadline());
+
+      await advanceToResolution(market);
+      await market.connect(oracle).resolve(1);
+      await categorical.connect(oracle).cancel();
+
+      const markets = [market.target, categorical.target, open.target];
+      const amounts = await router.connect(user3).claimAllFor.staticCall(user1.address, markets);
+      expect(amounts[0]).to.be.gt(0);
+      expect(amounts[1]).to.equal(ethers.parseEther("99"));
+      expect(amounts[2]).to.equal(0);
+
+      // anyone may sweep; the payouts go to user1
+      const tx = await router.connect(user3).claimAllFor(user1.address, markets);
+      await expect(tx).to.emit(router, "Swept").withArgs(user1.address, 3, amounts[0] + amounts[1])
+        .and.to.emit(market, "Claimed").withArgs(user1.address, user1.address, amounts[0])
+        .and.to.emit(categorical, "Claimed").withArgs(user1.address, user1.address, amounts[1]);
+      await expect(tx).to.changeTokenBalances(settlementToken, [user1, user3, router], [amounts[0] + amounts[1], 0, 0]);
+      expect(await market.yesPositions(user1.address)).to.equal(0);
+      expect(await open.yesPositions(user1.address)).to.be.gt(0);
+
+      // user2 only holds the losing side, and frozen claims are skipped rather than reverting the sweep
+      await expect(router.connect(user2).claimAll(markets)).to.emit(router, "Swept").withArgs(user2.address, 3, 0);
+      await router.connect(user1).trade([{ market: open.target, outcome: 0, amount, minPositionUnits: 0n }], await deadline());
+      await open.connect(oracle).resolve(2);
+      await open.connect(admin).freezeClaims();
+      await expect(router.connect(user1).claimAll([open.target])).to.emit(router, "Swept").withArgs(user1.address, 1, 0);
+      await open.connect(admin).unfreezeClaims();
+      const units = (await open.yesPositions(user1.address)) + (await open.noPositions(user1.address));
+      await expect(router.connect(user1).claimAll([open.target])).to.emit(router, "Swept").withArgs(user1.address, 1, units);
+    });
+  });
+});
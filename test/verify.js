@@ -0,0 +1,185 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { subtask } = require("hardhat/config");
+const { deployFactoryLibraries, deployMarketFactory } = require("../lib/deploy");
+const { DeploymentRegistry, REGISTRY_VERSION, readMarketEntry } = require("../lib/registry");
+const { verifyEntries } = require("../lib/verify");
+
+// Local stand-in for the block explorer: remembers what was submitted and can rate-limit or reject.
+function stubExplorer({ verified = [], rateLimits = 0, rejects = [] } = {}) {
+  const explorer = {
+    name: "stub",
+    submitted: [],
+    async isVerified(address) {
+      return verified.includes(address);
+    },
+    async verify(entry) {
+      if (rateLimits-- > 0) throw new Error("Max rate limit reached, please use API Key for higher rate limit");
+      if (rejects.includes(entry.address)) throw new Error("Fail - Unable to verify. Compiled contract deployment bytecode does NOT match");
+      explorer.submitted.push(entry);
+      verified.push(entry.address);
+    },
+    async url(address) {
+      return `https://explorer.test/address/${address}`;
+    },
+  };
+  return explorer;
+}
+
+describe("Market verification", function () {
+  let dir;
+  let explorer = null;
+
+  before(function () {
+    subtask("verify-markets:explorer").setAction(async (args, hre, runSuper) => explorer || runSuper(args));
+  });
+
+  after(function () {
+    explorer = null;
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin, creator, feeRecipient] = await ethers.getSigners();
+    const settlementToken = await (await ethers.getContractFactory("SettlementToken")).deploy("Test Token", "TEST");
+    const libraries = await deployFactoryLibraries(ethers);
+    const marketFactory = await deployMarketFactory(ethers, settlementToken.target, admin.address, libraries);
+    const factoryReceipt = await marketFactory.deploymentTransaction().wait();
+
+    await settlementToken.mint(creator.address, ethers.parseEther("10000"));
+    await settlementToken.connect(creator).approve(marketFactory.target, ethers.MaxUint256);
+    const factory = marketFactory.connect(creator);
+    await factory.createAndFundMarket(ethers.id("first"), 4102444800, ethers.parseEther("100"), ethers.parseEther("300"), 50, feeRecipient.address);
+    await factory.createMarket(ethers.id("second"), 0, 0, 0, 0, ethers.ZeroAddress);
+    await factory.createCategoricalMarket(ethers.id("third"), 0, 3, ethers.parseEther("30"), 25, ethers.ZeroAddress);
+
+    const markets = [...(await marketFactory.getMarkets()), ...(await marketFactory.getCategoricalMarkets())];
+    return { admin, creator, feeRecipient, settlementToken, marketFactory, factoryReceipt, markets };
+  }
+
+  // registry file holding only the factory, as scripts/deploy.js leaves it before any market exists
+  function writeRegistry({ marketFactory, factoryReceipt, settlementToken, admin }) {
+    const registry = new DeploymentRegistry(
+      { version: REGISTRY_VERSION, network: "hardhat", chainId: 31337, lastSyncedBlock: null, contracts: {}, markets: [] },
+      DeploymentRegistry.path("hardhat", dir),
+    );
+    registry.addContract({
+      contractName: "MarketFactory",
+      address: marketFactory.target,
+      constructorArgs: [settlementToken.target, admin.address],
+      txHash: factoryReceipt.hash,
+      blockNumber: factoryReceipt.blockNumber,
+    });
+    return registry.save();
+  }
+
+  async function runQuietly(taskName, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(taskName, args);
+    } finally {
+      console.log = log;
+    }
+  }
+
+  it("Should rebuild a market's constructor arguments from its creation event and getters", async function () {
+    const { markets, settlementToken, marketFactory, creator, feeRecipient } = await loadFixture(deployFixture);
+    const positionToken = await marketFactory.positionToken();
+
+    const first = await readMarketEntry(ethers.provider, markets[0]);
+    expect(first).to.include({ contractName: "Market", factory: marketFactory.target, creator: creator.address });
+    expect(first.constructorArgs).to.deep.equal([
+      settlementToken.target, ethers.id("first"), "4102444800", ethers.parseEther("100").toString(), ethers.parseEther("300").toString(), "50", feeRecipient.address, creator.address, positionToken,
+    ]);
+
+    const third = await readMarketEntry(ethers.provider, markets[2]);
+    expect(third.contractName).to.equal("CategoricalMarket");
+    expect(third.constructorArgs).to.deep.equal([
+      settlementToken.target, ethers.id("third"), "0", "3", ethers.parseEther("30").toString(), "25", ethers.ZeroAddress, creator.address,
+    ]);
+
+    await expect(readMarketEntry(ethers.provider, settlementToken.target)).to.be.rejectedWith("no creation event");
+  });
+
+  it("Should skip verified contracts, back off on rate limits and keep going after a failure", async function () {
+    const { markets } = await loadFixture(deployFixture);
+    const entries = await Promise.all(markets.map((m) => readMarketEntry(ethers.provider, m)));
+    const stub = stubExplorer({ verified: [markets[0]], rateLimits: 2, rejects: [markets[2]] });
+    const waits = [];
+
+    const results = await verifyEntries(entries, { explorer: stub, backoffMs: 100, wait: async (ms) => waits.push(ms) });
+
+    expect(results.map((r) => r.status)).to.deep.equal(["already-verified", "verified", "failed"]);
+    expect(results[0].attempts).to.equal(0);
+    expect(results[1].attempts).to.equal(3);
+    expect(waits).to.deep.equal([100, 200]);
+    expect(results[2].error).to.include("does NOT match");
+    expect(results[1].url).to.equal(`https://explorer.test/address/${markets[1]}`);
+    expect(stub.submitted.map((e) => e.address)).to.deep.equal([markets[1]]);
+    expect(stub.submitted[0].constructorArgs).to.deep.equal(entries[1].constructorArgs);
+  });
+
+  it("Should give up on a contract once the retries are used", async function () {
+    const { markets } = await loadFixture(deployFixture);
+    const entry = await readMarketEntry(ethers.provider, markets[0]);
+    const waits = [];
+
+    const [result] = await verifyEntries([entry], {
+      explorer: stubExplorer({ rateLimits: 10 }),
+      retries: 3,
+      backoffMs: 1,
+      wait: async (ms) => waits.push(ms),
+    });
+
+    expect(result.status).to.equal("failed");
+    expect(result.error).to.include("rate limit");
+    expect(result.attempts).to.equal(4);
+    expect(waits).to.deep.equal([1, 2, 4]);
+  });
+
+  it("Should verify every market with --all and write a status report", async function () {
+    const fixture = await loadFixture(deployFixture);
+    writeRegistry(fixture);
+    explorer = stubExplorer({ verified: [fixture.markets[1]] });
+
+    const report = await runQuietly("verify-markets", { all: true, dir, backoff: 0 });
+    expect(report.summary).to.deep.equal({ total: 3, verified: 2, alreadyVerified: 1, failed: 0 });
+    expect(explorer.submitted.map((e) => e.address)).to.deep.equal([fixture.markets[0], fixture.markets[2]]);
+
+    const onDisk = JSON.parse(fs.readFileSync(path.join(dir, "verification", "hardhat.json"), "utf8"));
+    expect(onDisk).to.include({ network: "hardhat", chainId: 31337, explorer: "stub" });
+    expect(onDisk.results.map((r) => r.status)).to.deep.equal(["verified", "already-verified", "verified"]);
+    // --all backfills the registry as it goes
+    expect(DeploymentRegistry.load("hardhat", { dir }).markets()).to.have.length(3);
+
+    // a second run submits nothing
+    const rerun = await runQuietly("verify-markets", { all: true, dir, backoff: 0 });
+    expect(rerun.summary.alreadyVerified).to.equal(3);
+    expect(explorer.submitted).to.have.length(2);
+  });
+
+  it("Should verify a single market with --address without a registry", async function () {
+    const { markets } = await loadFixture(deployFixture);
+    explorer = stubExplorer();
+    const reportFile = path.join(dir, "single.json");
+
+    const report = await runQuietly("verify-markets", { address: markets[2], dir, report: reportFile });
+    expect(report.results).to.have.length(1);
+    expect(report.results[0]).to.include({ contractName: "CategoricalMarket", address: markets[2], status: "verified" });
+    expect(fs.existsSync(reportFile)).to.be.true;
+
+    await expect(runQuietly("verify-markets", { dir })).to.be.rejectedWith("exactly one of --all or --address");
+    await expect(runQuietly("verify-markets", { all: true, address: markets[0], dir })).to.be.rejectedWith("exactly one of");
+  });
+});